@@ -22,6 +22,7 @@ const defaultConfig = {
   apiServerUrl: 'https://kubernetes.external.foo.bar',
   apiServerCaData: toBase64(ca),
   tokenRequestAudiences: ['aud1', 'aud2'],
+  dashboardUserName: 'system:serviceaccount:garden:gardener-dashboard',
   gitHub: {
     apiUrl: 'https://api.github.com',
     org: 'gardener',
@@ -84,7 +85,9 @@ const defaultConfig = {
   },
   frontend: {
     features: {
-      terminalEnabled: true
+      terminalEnabled: true,
+      notificationsEnabled: true,
+      alertRulesEnabled: true
     },
     helpMenuItems: [
       {
@@ -6,16 +6,20 @@
 
 'use strict'
 
-const { cloneDeep, find, filter, split, isEmpty } = require('lodash')
+const yaml = require('js-yaml')
+const { cloneDeep, find, filter, split, isEmpty, merge, get, set } = require('lodash')
 const createError = require('http-errors')
 const pathToRegexp = require('path-to-regexp')
 const { createUrl } = require('./helper')
 
-function getConfigMap ({ namespace, name, labels, creationTimestamp, data = {} }) {
+function getConfigMap ({ namespace, name, labels, creationTimestamp, resourceVersion, data = {} }) {
   const metadata = {
     namespace,
     name
   }
+  if (resourceVersion) {
+    metadata.resourceVersion = resourceVersion
+  }
   if (!isEmpty(labels)) {
     metadata.labels = labels
   }
@@ -37,8 +41,46 @@ function getClusterIdentitConfigMap ({ identity = 'landscape-test' } = {}) {
   })
 }
 
+function getShootTemplatesConfigMap () {
+  const templates = [
+    {
+      name: 'small',
+      description: 'Small development cluster',
+      spec: {
+        cloudProfileName: 'infra1-profileName',
+        region: 'foo-west',
+        provider: {
+          type: 'infra1',
+          workers: [
+            {
+              name: 'worker-1',
+              minimum: 1,
+              maximum: 2
+            }
+          ]
+        },
+        purpose: 'development'
+      },
+      createdBy: 'foo@example.org',
+      creationTimestamp: '2023-01-01T00:00:00Z'
+    }
+  ]
+  return getConfigMap({
+    namespace: 'garden-foo',
+    name: 'shoot.templates',
+    labels: {
+      'dashboard.gardener.cloud/shoot-templates': 'true'
+    },
+    resourceVersion: '42',
+    data: {
+      templates: yaml.dump(templates)
+    }
+  })
+}
+
 const configMapsList = [
-  getClusterIdentitConfigMap()
+  getClusterIdentitConfigMap(),
+  getShootTemplatesConfigMap()
 ]
 
 const configMaps = {
@@ -100,6 +142,39 @@ const mocks = {
 
       return Promise.reject(createError(404))
     }
+  },
+  create () {
+    return (headers, json) => {
+      const matchResult = matchList(headers[':path'])
+      if (matchResult === false) {
+        return Promise.reject(createError(503))
+      }
+      const { params: { namespace } = {} } = matchResult
+      const item = cloneDeep(json)
+      set(item, 'metadata.namespace', namespace)
+      set(item, 'metadata.resourceVersion', '1')
+      return Promise.resolve(item)
+    }
+  },
+  patch () {
+    return (headers, json) => {
+      const matchResult = matchItem(headers[':path'])
+      if (matchResult === false) {
+        return Promise.reject(createError(503))
+      }
+      const { params: { namespace, name } = {} } = matchResult
+      const item = configMaps.get(namespace, name)
+      if (!item) {
+        return Promise.reject(createError(404))
+      }
+      const resourceVersion = get(item, 'metadata.resourceVersion', '42')
+      if (get(json, 'metadata.resourceVersion', resourceVersion) !== resourceVersion) {
+        return Promise.reject(createError(409))
+      }
+      merge(item, json)
+      set(item, 'metadata.resourceVersion', (+resourceVersion + 1).toString())
+      return Promise.resolve(item)
+    }
   }
 }
 
@@ -145,6 +145,41 @@ const secrets = {
       })
     }
   },
+  getNotificationTargetsSecret (namespace) {
+    if (namespace !== 'garden-foo') {
+      return
+    }
+    const targets = [
+      {
+        name: 'webhook',
+        type: 'webhook',
+        url: 'https://hooks.example.org/gardener',
+        events: ['unhealthy', 'recovered']
+      },
+      {
+        name: 'mail',
+        type: 'smtp',
+        smtp: {
+          host: 'smtp.example.org',
+          username: 'gardener',
+          password: 'secret',
+          from: 'gardener@example.org',
+          to: ['ops@example.org']
+        },
+        events: ['lastOperationFailed']
+      }
+    ]
+    return getSecret({
+      name: 'notification.targets',
+      namespace,
+      labels: {
+        'dashboard.gardener.cloud/notification-targets': 'true'
+      },
+      data: {
+        targets: yaml.dump(targets)
+      }
+    })
+  },
   getShootSecret (namespace, name) {
     const shootName = name.substring(0, name.length - 11)
     const projectName = namespace.replace(/^garden-/, '')
@@ -277,6 +312,12 @@ const mocks = {
             return Promise.resolve(item)
           }
         }
+        if (name === 'notification.targets') {
+          const item = secrets.getNotificationTargetsSecret(namespace)
+          if (item) {
+            return Promise.resolve(item)
+          }
+        }
         const item = secrets.get(namespace, name)
         if (item) {
           return Promise.resolve(item)
@@ -13,7 +13,7 @@ const { applyPatch } = require('fast-json-patch')
 
 const { getTokenPayload } = require('./auth')
 const projects = require('./projects')
-const { createTestKubeconfig, formatTime, toBase64 } = require('./helper')
+const { createTestKubeconfig, createUrl, formatTime, toBase64 } = require('./helper')
 
 const shootList = [
   getShoot({
@@ -136,7 +136,8 @@ const matchBinding = pathToRegexp.match('/apis/core.gardener.cloud/v1beta1/names
 const mocks = {
   list () {
     return headers => {
-      const matchResult = matchList(headers[':path'])
+      const url = createUrl(headers)
+      const matchResult = matchList(url.pathname)
       if (matchResult === false) {
         return Promise.reject(createError(503))
       }
@@ -152,7 +153,8 @@ const mocks = {
   },
   create ({ uid = 21, resourceVersion = '42', phase = 'Ready' } = {}) {
     return (headers, json) => {
-      const matchResult = matchList(headers[':path'])
+      const url = createUrl(headers)
+      const matchResult = matchList(url.pathname)
       if (matchResult === false) {
         return Promise.reject(createError(503))
       }
@@ -240,7 +242,8 @@ const mocks = {
   },
   put () {
     return (headers, json) => {
-      const matchResult = matchItem(headers[':path'])
+      const url = createUrl(headers)
+      const matchResult = matchItem(url.pathname)
       if (matchResult === false) {
         return Promise.reject(createError(503))
       }
@@ -23,7 +23,8 @@ const terminalList = [
   getTerminal({
     target: 'cp',
     namespace: 'garden-foo',
-    identifier: '2'
+    identifier: '2',
+    lastHeartbeatTimestamp: '2023-01-01T00:00:00Z'
   }),
   getTerminal({
     target: 'shoot',
@@ -40,20 +41,26 @@ function getTerminal (options = {}) {
     identifier,
     createdBy = 'admin@example.org',
     preferredHost = 'seed',
-    image = 'fooImage:0.1.2'
+    image = 'fooImage:0.1.2',
+    lastHeartbeatTimestamp
   } = options
   const generateName = `term-${target}-`
   const name = generateName + padStart(identifier, 5, '0')
+  const annotations = {
+    'gardener.cloud/created-by': createdBy,
+    'dashboard.gardener.cloud/identifier': identifier,
+    'dashboard.gardener.cloud/preferredHost': preferredHost
+  }
+  if (lastHeartbeatTimestamp) {
+    annotations['dashboard.gardener.cloud/last-heartbeat-at'] = lastHeartbeatTimestamp
+  }
   return {
     metadata: {
       namespace,
       generateName,
       name,
-      annotations: {
-        'gardener.cloud/created-by': createdBy,
-        'dashboard.gardener.cloud/identifier': identifier,
-        'dashboard.gardener.cloud/preferredHost': preferredHost
-      },
+      creationTimestamp: '2023-01-01T00:00:00Z',
+      annotations,
       labels: {
         'dashboard.gardener.cloud/created-by-hash': hash(createdBy),
         'dashboard.gardener.cloud/identifier-hash': hash(identifier)
@@ -76,7 +83,7 @@ function getTerminal (options = {}) {
           }
         }
       },
-      target: {}
+      target: getTerminalTarget(target)
     },
     status: {
       attachServiceAccountName: 'term-attach-' + identifier,
@@ -85,6 +92,26 @@ function getTerminal (options = {}) {
   }
 }
 
+function getTerminalTarget (target) {
+  switch (target) {
+    case 'shoot':
+      return {
+        credentials: {
+          shootRef: {
+            namespace: 'garden-foo',
+            name: 'fooShoot'
+          }
+        }
+      }
+    case 'cp':
+      return {
+        kubeconfigContextNamespace: 'shoot--foo--fooShoot'
+      }
+    default:
+      return {}
+  }
+}
+
 const terminals = {
   create (options) {
     return getTerminal(options)
@@ -106,6 +133,7 @@ const terminals = {
 }
 
 const matchOptions = { decode: decodeURIComponent }
+const matchListAllNamespaces = pathToRegexp.match('/apis/dashboard.gardener.cloud/v1alpha1/terminals', matchOptions)
 const matchList = pathToRegexp.match('/apis/dashboard.gardener.cloud/v1alpha1/namespaces/:namespace/terminals', matchOptions)
 const matchItem = pathToRegexp.match('/apis/dashboard.gardener.cloud/v1alpha1/namespaces/:namespace/terminals/:name', matchOptions)
 
@@ -124,6 +152,17 @@ const mocks = {
       return Promise.resolve({ items })
     }
   },
+  listAllNamespaces () {
+    return headers => {
+      const [pathname] = split(headers[':path'], '?')
+      const matchResult = matchListAllNamespaces(pathname)
+      if (matchResult === false) {
+        return Promise.reject(createError(503))
+      }
+      const items = terminals.list()
+      return Promise.resolve({ items })
+    }
+  },
   create ({ resourceVersion = '42' } = {}) {
     return (headers, json) => {
       const matchResult = matchList(headers[':path'])
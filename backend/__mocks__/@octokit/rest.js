@@ -67,6 +67,7 @@ const Octokit = jest.fn().mockImplementation(options => {
     throw createError(404)
   })
   octokit.issues.get = jest.fn().mockRejectedValue(serviceUnavailable)
+  octokit.issues.create = jest.fn().mockRejectedValue(serviceUnavailable)
   octokit.issues.update = jest.fn().mockRejectedValue(serviceUnavailable)
   octokit.issues.createComment = jest.fn().mockRejectedValue(serviceUnavailable)
   return octokit
@@ -0,0 +1,119 @@
+//
+// SPDX-FileCopyrightText: 2023 SAP SE or an SAP affiliate company and Gardener contributors
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+
+'use strict'
+
+const _ = require('lodash')
+const cache = require('./cache')
+const { alertRules } = require('./services')
+
+const { RuleTypeEnum, parseDuration } = alertRules
+
+function findCondition (shoot, type) {
+  return _.find([
+    ..._.get(shoot, 'status.conditions', []),
+    ..._.get(shoot, 'status.constraints', [])
+  ], ['type', type])
+}
+
+const evaluators = {
+  [RuleTypeEnum.CONDITION] ({ conditionType, status, duration }, shoot, { now }) {
+    const condition = findCondition(shoot, conditionType)
+    if (!condition || condition.status !== status) {
+      return
+    }
+    const since = condition.lastTransitionTime
+    if (now - new Date(since).getTime() < parseDuration(duration)) {
+      return
+    }
+    return {
+      since,
+      message: duration
+        ? `Condition ${conditionType} has status ${status} for more than ${duration}`
+        : `Condition ${conditionType} has status ${status}`
+    }
+  },
+  [RuleTypeEnum.LAST_OPERATION_FAILED] ({ count }, shoot, { failures }) {
+    if (!failures || failures < count) {
+      return
+    }
+    const { type, lastUpdateTime } = _.get(shoot, 'status.lastOperation', {})
+    return {
+      since: lastUpdateTime,
+      message: failures > 1
+        ? `Last operation ${type} failed ${failures} times in a row`
+        : `Last operation ${type} failed`
+    }
+  }
+}
+
+/**
+ * Returns the alerts of the rules which match the given shoot. The number of consecutive
+ * failed operations is tracked by the caller because it cannot be derived from the shoot.
+ */
+function evaluateRules (rules, shoot, { failures = 0, now = Date.now() } = {}) {
+  const alerts = []
+  for (const rule of rules) {
+    const alert = evaluators[rule.type](rule, shoot, { failures, now })
+    if (alert) {
+      alerts.push({
+        rule: rule.name,
+        severity: rule.severity,
+        ...alert
+      })
+    }
+  }
+  return alerts
+}
+
+function createAlertEvaluator ({ shootAlerts = cache.getShootAlerts() } = {}) {
+  const failuresByUid = new Map()
+
+  function countFailures ({ metadata, status }) {
+    const { uid } = metadata
+    const { type, state, lastUpdateTime } = _.get(status, 'lastOperation', {})
+    if (state === 'Succeeded') {
+      failuresByUid.delete(uid)
+    } else if (state === 'Failed') {
+      // a failed operation is counted once, no matter how often the shoot is evaluated
+      const key = `${type}/${lastUpdateTime}`
+      const { count = 0, key: lastKey } = failuresByUid.get(uid) || {}
+      if (key !== lastKey) {
+        failuresByUid.set(uid, { count: count + 1, key })
+      }
+    }
+    return _.get(failuresByUid.get(uid), 'count', 0)
+  }
+
+  /**
+   * Evaluates the alert rules of the project for the given shoot and returns
+   * the new alerts of the shoot or `undefined` if the alerts have not changed.
+   */
+  function evaluate (object, now = Date.now()) {
+    const { namespace, uid } = object.metadata
+    const failures = countFailures(object)
+    const rules = alertRules.getRulesForNamespace(namespace)
+    const alerts = evaluateRules(rules, object, { failures, now })
+    if (shootAlerts.setAlerts(uid, alerts)) {
+      return alerts
+    }
+  }
+
+  function remove (uid) {
+    failuresByUid.delete(uid)
+    shootAlerts.deleteAlerts(uid)
+  }
+
+  return {
+    evaluate,
+    delete: remove
+  }
+}
+
+module.exports = {
+  evaluateRules,
+  createAlertEvaluator
+}
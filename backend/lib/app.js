@@ -16,7 +16,7 @@ const { notFound, renderError, historyFallback, noCache } = require('./middlewar
 const helmet = require('helmet')
 const api = require('./api')
 const auth = require('./auth')
-const githubWebhook = require('./github/webhook')
+const ticketsWebhook = require('./tickets/webhook')
 
 const { healthCheck } = require('./healthz')
 
@@ -30,7 +30,10 @@ const INDEX_FILENAME = join(PUBLIC_DIRNAME, 'index.html')
 const connectSrc = ['\'self\'', 'wss:', 'ws:']
 const imgSrc = ['\'self\'', 'data:', 'https://www.gravatar.com']
 const gitHubRepoUrl = _.get(config, 'frontend.ticket.gitHubRepoUrl')
-if (gitHubRepoUrl) {
+if (gitHubRepoUrl && config.gitLab) {
+  // avatars and uploads are served by the GitLab instance itself
+  imgSrc.push(new URL(gitHubRepoUrl).origin)
+} else if (gitHubRepoUrl) {
   const url = new URL(gitHubRepoUrl)
   const gitHubHostname = url.hostname
   url.hostname = 'avatars.' + gitHubHostname
@@ -57,7 +60,7 @@ app.use(helmet.noSniff())
 app.use(helmet.hsts())
 app.use(noCache(['/js', '/css', '/fonts', '/img', '/static']))
 app.use('/auth', auth.router)
-app.use('/webhook', githubWebhook.router)
+app.use('/webhook', ticketsWebhook.router)
 app.use('/api', api.router)
 
 app.use(helmet.xssFilter())
@@ -0,0 +1,223 @@
+//
+// SPDX-FileCopyrightText: 2023 SAP SE or an SAP affiliate company and Gardener contributors
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+
+'use strict'
+
+const { StringDecoder } = require('string_decoder')
+const { WebSocket, WebSocketServer } = require('ws')
+const kubernetesClient = require('@gardener-dashboard/kube-client')
+const logger = require('./logger')
+const leaderElector = require('./leaderElection')
+const { authenticateFn } = require('./io')
+const { terminals } = require('./services')
+
+const ATTACH_PATH = '/api/terminals/attach'
+
+// See https://github.com/kubernetes/kubernetes/blob/master/staging/src/k8s.io/apimachinery/pkg/util/remotecommand/constants.go
+const ATTACH_PROTOCOL = 'v4.channel.k8s.io'
+
+const recordingRetentionInterval = 3_600_000
+
+const ChannelEnum = {
+  STD_IN: 0,
+  STD_OUT: 1,
+  STD_ERR: 2,
+  ERR: 3,
+  RESIZE: 4
+}
+
+function toInteger (value, defaultValue) {
+  const number = parseInt(value, 10)
+  return Number.isInteger(number) && number > 0 ? number : defaultValue
+}
+
+function closeSocket (socket, code, reason) {
+  if (socket.readyState === WebSocket.OPEN || socket.readyState === WebSocket.CONNECTING) {
+    // the reason of a close frame must not exceed 123 bytes
+    socket.close(code, reason && Buffer.from(reason).subarray(0, 123).toString())
+  }
+}
+
+/*
+  Relays the frames of the attach protocol between the browser (downstream) and the terminal container
+  (upstream). The browser may only send input and resize frames. The output of the container and the
+  size of the terminal are recorded if the session is recorded. A session with an enforced recording
+  is closed if the recording exceeds its maximum size.
+*/
+function proxy (downstream, upstream, { recorder } = {}) {
+  const decoder = new StringDecoder('utf8')
+
+  if (recorder) {
+    recorder.once('truncated', () => {
+      if (recorder.metadata.enforced) {
+        logger.info('Closing terminal session, because recording %s exceeded its maximum size', recorder.metadata.id)
+        closeSocket(downstream, 1011, 'Terminal recording exceeded its maximum size')
+        closeSocket(upstream, 1000)
+      }
+    })
+  }
+
+  downstream.on('message', data => {
+    const channel = data[0]
+    if (channel !== ChannelEnum.STD_IN && channel !== ChannelEnum.RESIZE) {
+      return
+    }
+    if (channel === ChannelEnum.RESIZE && recorder) {
+      try {
+        const { Width: cols, Height: rows } = JSON.parse(data.subarray(1).toString())
+        // the browser resizes the terminal to 1x1 before the actual size to force a redraw
+        if (cols > 1 && rows > 1) {
+          recorder.resize({ cols, rows })
+        }
+      } catch (err) {
+        return
+      }
+    }
+    if (upstream.readyState === WebSocket.OPEN) {
+      upstream.send(data)
+    }
+  })
+
+  upstream.on('message', data => {
+    const channel = data[0]
+    if (recorder && (channel === ChannelEnum.STD_OUT || channel === ChannelEnum.STD_ERR)) {
+      recorder.output(decoder.write(data.subarray(1)))
+    }
+    if (downstream.readyState === WebSocket.OPEN) {
+      downstream.send(data)
+    }
+  })
+
+  upstream.on('error', err => {
+    logger.error('Terminal attach connection failed: %s', err.message)
+    closeSocket(downstream, 1011, err.message)
+  })
+  downstream.on('error', err => {
+    logger.error('Terminal attach connection of browser failed: %s', err.message)
+    closeSocket(upstream, 1000)
+  })
+
+  upstream.once('close', code => {
+    closeSocket(downstream, code === 1000 ? 1000 : 1011)
+    if (recorder) {
+      recorder.stop()
+    }
+  })
+  downstream.once('close', () => closeSocket(upstream, 1000))
+}
+
+function isSameOrigin ({ headers }) {
+  if (!headers.origin) {
+    return true
+  }
+  try {
+    return new URL(headers.origin).host === headers.host
+  } catch (err) {
+    return false
+  }
+}
+
+function rejectUpgrade (socket, statusCode, message) {
+  socket.end(`HTTP/1.1 ${statusCode} ${message}\r\nConnection: close\r\n\r\n`)
+}
+
+async function attach (ws, { user, searchParams }) {
+  const { url, token, ca, rejectUnauthorized, recorder } = await terminals.getTerminalAttachment({
+    user,
+    namespace: searchParams.get('namespace'),
+    name: searchParams.get('name'),
+    record: searchParams.get('record') === 'true',
+    cols: toInteger(searchParams.get('cols'), 80),
+    rows: toInteger(searchParams.get('rows'), 24)
+  })
+  if (recorder) {
+    // the recording is created before the container is attached, therefore no output is missed
+    try {
+      await recorder.start()
+    } catch (err) {
+      // an enforced recording must not be skipped
+      logger.error('Failed to start terminal recording: %s', err.message)
+      closeSocket(ws, 1011, 'Failed to start terminal recording')
+      return
+    }
+  }
+  if (ws.readyState !== WebSocket.OPEN) {
+    if (recorder) {
+      recorder.stop()
+    }
+    return
+  }
+  const upstream = new WebSocket(url, [ATTACH_PROTOCOL], {
+    headers: {
+      Authorization: `Bearer ${token}`
+    },
+    ca,
+    rejectUnauthorized
+  })
+  proxy(ws, upstream, { recorder })
+}
+
+function init (httpServer) {
+  const wss = new WebSocketServer({
+    noServer: true,
+    handleProtocols: protocols => protocols.has(ATTACH_PROTOCOL) ? ATTACH_PROTOCOL : false
+  })
+  const authenticate = authenticateFn(kubernetesClient)
+
+  const handleUpgrade = (req, socket, head) => {
+    const { pathname, searchParams } = new URL(req.url, 'http://localhost')
+    if (pathname !== ATTACH_PATH) {
+      return // handled by socket.io or rejected
+    }
+    if (!isSameOrigin(req)) {
+      return rejectUpgrade(socket, 403, 'Forbidden')
+    }
+    // socket.io destroys upgrade requests which are not completed within one second
+    wss.handleUpgrade(req, socket, head, async ws => {
+      let user
+      try {
+        user = await authenticate(req)
+      } catch (err) {
+        return closeSocket(ws, 1008, 'Unauthorized')
+      }
+      try {
+        await attach(ws, { user, searchParams })
+      } catch (err) {
+        logger.error('Failed to attach terminal of user %s: %s', user.id, err.message)
+        closeSocket(ws, 1011, err.message)
+      }
+    })
+  }
+
+  // expired recordings are only removed by the leading replica
+  const removeExpiredRecordings = async () => {
+    if (!leaderElector.isLeader()) {
+      return
+    }
+    try {
+      const ids = await terminals.removeExpiredTerminalRecordings()
+      if (ids.length) {
+        logger.info('Removed expired terminal recordings %s', ids.join(', '))
+      }
+    } catch (err) {
+      logger.error('Failed to remove expired terminal recordings: %s', err.message)
+    }
+  }
+  const recordingRetentionIntervalId = setInterval(removeExpiredRecordings, recordingRetentionInterval)
+  recordingRetentionIntervalId.unref()
+
+  httpServer.on('upgrade', handleUpgrade)
+  httpServer.once('close', () => {
+    httpServer.off('upgrade', handleUpgrade)
+    clearInterval(recordingRetentionIntervalId)
+  })
+  return wss
+}
+
+exports = module.exports = init
+
+exports.proxy = proxy
+exports.ATTACH_PATH = ATTACH_PATH
@@ -0,0 +1,188 @@
+//
+// SPDX-FileCopyrightText: 2023 SAP SE or an SAP affiliate company and Gardener contributors
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+
+'use strict'
+
+const _ = require('lodash')
+const { STATUS_CODES } = require('http')
+const logger = require('../logger')
+const config = require('../config')
+const { createSink } = require('./sinks')
+
+const REDACTED = '[REDACTED]'
+const sensitiveKeyPattern = /(?:password|secret|token|credentials?|privatekey)$|^(?:kubeconfig|data|stringData)$/i
+
+const verbs = {
+  POST: 'create',
+  PUT: 'update',
+  PATCH: 'patch',
+  DELETE: 'delete'
+}
+
+const {
+  sink: sinkOptions,
+  maxEntries = 1000
+} = config.audit || {}
+
+let sink
+let entries = []
+
+function getSink () {
+  if (sink === undefined) {
+    sink = sinkOptions
+      ? createSink(sinkOptions)
+      : null
+  }
+  return sink
+}
+
+/**
+ * Returns a deep copy of the request body with the values of sensitive properties replaced.
+ */
+function sanitize (value, pattern = sensitiveKeyPattern) {
+  if (Array.isArray(value)) {
+    return _.map(value, value => sanitize(value, pattern))
+  }
+  if (_.isPlainObject(value)) {
+    return _.mapValues(value, (value, key) => pattern.test(key) && !_.isNil(value)
+      ? REDACTED
+      : sanitize(value, pattern)
+    )
+  }
+  return value
+}
+
+function getPathSegments (path) {
+  return _
+    .chain(path)
+    .split('/')
+    .compact()
+    .map(decodeURIComponent)
+    .value()
+}
+
+function defaultResource (req, type) {
+  const [name, ...subresources] = getPathSegments(req.path)
+  const resource = {
+    type,
+    namespace: req.params.namespace
+  }
+  if (!name) {
+    resource.name = _.get(req.body, 'metadata.name')
+  } else if (name.startsWith('_')) {
+    subresources.unshift(name)
+  } else {
+    resource.name = name
+  }
+  if (subresources.length) {
+    resource.subresource = subresources.join('/')
+  }
+  return resource
+}
+
+function createEntry ({ req, res, type, resource, body }) {
+  const user = req.user || {}
+  const code = res.statusCode
+  const outcome = {
+    status: code < 400 ? 'Success' : 'Failure',
+    code,
+    reason: STATUS_CODES[code]
+  }
+  const message = _.get(res.locals, 'error.message')
+  if (message) {
+    outcome.message = message
+  }
+  const rpcMethod = _.get(req.body, 'method')
+  return {
+    timestamp: new Date().toISOString(),
+    user: {
+      id: user.id,
+      groups: user.groups || []
+    },
+    verb: req.method === 'POST' && _.isString(rpcMethod)
+      ? rpcMethod
+      : verbs[req.method],
+    method: req.method,
+    path: req.originalUrl,
+    resource: _.omitBy({ ...resource, type }, _.isNil),
+    body,
+    outcome
+  }
+}
+
+function record (entry) {
+  entries.push(entry)
+  if (entries.length > maxEntries) {
+    entries = entries.slice(-maxEntries)
+  }
+  try {
+    const sink = getSink()
+    if (sink) {
+      sink.write(entry)
+    }
+  } catch (err) {
+    logger.error('Failed to write audit entry: %s', err.message)
+  }
+}
+
+/**
+ * Returns a middleware that records an audit entry for each mutating request once the response has been sent.
+ * The request body is sanitized before the route handlers run because they may modify it.
+ */
+function auditRequest (type, { getResource = defaultResource, skip = _.stubFalse, sensitiveKeyPattern: pattern } = {}) {
+  return (req, res, next) => {
+    if (!verbs[req.method] || skip(req)) {
+      return next()
+    }
+    const resource = getResource(req, type)
+    const body = sanitize(req.body, pattern)
+    res.once('finish', () => {
+      record(createEntry({ req, res, type, resource, body }))
+    })
+    next()
+  }
+}
+
+/**
+ * Returns the most recent audit entries first. The entries are kept in the memory of each replica,
+ * therefore only the requests served by this replica since it has been started are returned.
+ */
+function query ({ namespace, user, type, verb, status, limit = 100 } = {}) {
+  const items = []
+  for (let i = entries.length - 1; i >= 0 && items.length < limit; i--) {
+    const entry = entries[i]
+    if (namespace && entry.resource.namespace !== namespace) {
+      continue
+    }
+    if (user && !_.includes(_.toLower(entry.user.id), _.toLower(user))) {
+      continue
+    }
+    if (type && entry.resource.type !== type) {
+      continue
+    }
+    if (verb && entry.verb !== verb) {
+      continue
+    }
+    if (status && entry.outcome.status !== status) {
+      continue
+    }
+    items.push(entry)
+  }
+  return items
+}
+
+function clear () {
+  entries = []
+}
+
+module.exports = {
+  sensitiveKeyPattern,
+  sanitize,
+  auditRequest,
+  record,
+  query,
+  clear
+}
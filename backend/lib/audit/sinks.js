@@ -0,0 +1,98 @@
+//
+// SPDX-FileCopyrightText: 2023 SAP SE or an SAP affiliate company and Gardener contributors
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+
+'use strict'
+
+const fs = require('fs')
+const os = require('os')
+const { dashboardClient } = require('@gardener-dashboard/kube-client')
+const logger = require('../logger')
+
+const kindByType = {
+  shoots: 'Shoot',
+  cloudprovidersecrets: 'Secret'
+}
+
+function stdout () {
+  return {
+    write (entry) {
+      process.stdout.write(JSON.stringify(entry) + '\n')
+    }
+  }
+}
+
+function file ({ path }) {
+  if (!path) {
+    throw new TypeError('The audit file sink requires a path')
+  }
+  const stream = fs.createWriteStream(path, { flags: 'a' })
+  stream.on('error', err => logger.error('Failed to write audit log file %s: %s', path, err.message))
+  return {
+    write (entry) {
+      stream.write(JSON.stringify(entry) + '\n')
+    }
+  }
+}
+
+function toEvent ({ timestamp, user, verb, resource, outcome }, { namespace: defaultNamespace }) {
+  const namespace = resource.namespace || defaultNamespace
+  const kind = kindByType[resource.type]
+  const involvedObject = kind && resource.name
+    ? { kind, namespace, name: resource.name }
+    : { kind: 'Namespace', name: namespace }
+  const target = [resource.type, resource.name, resource.subresource].filter(Boolean).join('/')
+  return {
+    metadata: {
+      generateName: 'gardener-dashboard-audit.',
+      namespace
+    },
+    involvedObject,
+    type: outcome.status === 'Success' ? 'Normal' : 'Warning',
+    reason: 'DashboardAudit',
+    action: verb,
+    message: `User ${user.id} performed ${verb} on ${target}: ${outcome.code} ${outcome.reason}`,
+    source: {
+      component: 'gardener-dashboard',
+      host: os.hostname()
+    },
+    firstTimestamp: timestamp,
+    lastTimestamp: timestamp,
+    count: 1
+  }
+}
+
+function event ({ namespace = 'garden' } = {}) {
+  return {
+    async write (entry) {
+      const body = toEvent(entry, { namespace })
+      try {
+        await dashboardClient.core.events.create(body.metadata.namespace, body)
+      } catch (err) {
+        logger.error('Failed to create audit event in namespace %s: %s', body.metadata.namespace, err.message)
+      }
+    }
+  }
+}
+
+const sinks = {
+  stdout,
+  file,
+  event
+}
+
+function createSink ({ type, ...options } = {}) {
+  const factory = sinks[type]
+  if (!factory) {
+    throw new TypeError(`Unknown audit sink type "${type}". Supported types are ${Object.keys(sinks).join(', ')}`)
+  }
+  return factory(options)
+}
+
+module.exports = {
+  ...sinks,
+  toEvent,
+  createSink
+}
@@ -0,0 +1,49 @@
+//
+// SPDX-FileCopyrightText: 2023 SAP SE or an SAP affiliate company and Gardener contributors
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+
+'use strict'
+
+const _ = require('lodash')
+
+function init () {
+  const alertsByUid = new Map()
+
+  function getAlerts (uid) {
+    return alertsByUid.get(uid) || []
+  }
+
+  /*
+    Returns `true` if the alerts of the shoot with the given uid have changed.
+  */
+  function setAlerts (uid, alerts = []) {
+    if (_.isEqual(getAlerts(uid), alerts)) {
+      return false
+    }
+    if (alerts.length) {
+      alertsByUid.set(uid, alerts)
+    } else {
+      alertsByUid.delete(uid)
+    }
+    return true
+  }
+
+  function deleteAlerts (uid) {
+    return alertsByUid.delete(uid)
+  }
+
+  function clear () {
+    alertsByUid.clear()
+  }
+
+  return {
+    getAlerts,
+    setAlerts,
+    deleteAlerts,
+    clear
+  }
+}
+
+module.exports = init
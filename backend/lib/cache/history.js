@@ -0,0 +1,90 @@
+//
+// SPDX-FileCopyrightText: 2023 SAP SE or an SAP affiliate company and Gardener contributors
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+
+'use strict'
+
+const _ = require('lodash')
+
+function escapePathSegment (key) {
+  return String(key).replace(/~/g, '~0').replace(/\//g, '~1')
+}
+
+function diff (oldValue, newValue, path = '') {
+  if (_.isEqual(oldValue, newValue)) {
+    return []
+  }
+  if (_.isPlainObject(oldValue) && _.isPlainObject(newValue)) {
+    const operations = []
+    for (const key of _.union(Object.keys(oldValue), Object.keys(newValue))) {
+      const childPath = `${path}/${escapePathSegment(key)}`
+      if (!_.has(oldValue, key)) {
+        operations.push({ op: 'add', path: childPath, value: newValue[key] })
+      } else if (!_.has(newValue, key)) {
+        operations.push({ op: 'remove', path: childPath, oldValue: oldValue[key] })
+      } else {
+        operations.push(...diff(oldValue[key], newValue[key], childPath))
+      }
+    }
+    return operations
+  }
+  return [{ op: 'replace', path, value: newValue, oldValue }]
+}
+
+function getSpecManager ({ managedFields = [] } = {}) {
+  return _
+    .chain(managedFields)
+    .filter(entry => _.has(entry, ['fieldsV1', 'f:spec']))
+    .maxBy(entry => new Date(entry.time || 0).getTime())
+    .value()
+}
+
+function init ({ maxRevisions = 20 } = {}) {
+  const revisionsByUid = new Map()
+
+  function getRevisions (uid) {
+    return revisionsByUid.get(uid) || []
+  }
+
+  function addRevision (object, oldObject) {
+    const { uid, generation } = object.metadata
+    const revisions = getRevisions(uid)
+    const lastRevision = _.last(revisions)
+    if (lastRevision && lastRevision.generation === generation) {
+      return
+    }
+    const { manager, operation, time } = getSpecManager(object.metadata) || {}
+    const oldSpec = _.get(lastRevision, 'spec', _.get(oldObject, 'spec'))
+    const revision = {
+      generation,
+      timestamp: time || new Date().toISOString(),
+      manager,
+      operation,
+      patch: oldSpec ? diff(oldSpec, object.spec) : [],
+      spec: object.spec
+    }
+    revisionsByUid.set(uid, _.takeRight([...revisions, revision], maxRevisions))
+    return revision
+  }
+
+  function deleteRevisions (uid) {
+    revisionsByUid.delete(uid)
+  }
+
+  function clear () {
+    revisionsByUid.clear()
+  }
+
+  return {
+    getRevisions,
+    addRevision,
+    deleteRevisions,
+    clear
+  }
+}
+
+init.diff = diff
+
+module.exports = init
@@ -7,6 +7,8 @@
 const _ = require('lodash')
 const { NotFound } = require('http-errors')
 const createTicketCache = require('./tickets')
+const createShootHistory = require('./history')
+const createShootAlerts = require('./alerts')
 
 /*
   In file `lib/api.js` the synchronization is started with the privileged dashboardClient.
@@ -18,6 +20,8 @@ class Cache extends Map {
   constructor () {
     super()
     this.ticketCache = createTicketCache()
+    this.shootHistory = createShootHistory()
+    this.shootAlerts = createShootAlerts()
   }
 
   getCloudProfiles () {
@@ -51,6 +55,14 @@ class Cache extends Map {
   getTicketCache () {
     return this.ticketCache
   }
+
+  getShootHistory () {
+    return this.shootHistory
+  }
+
+  getShootAlerts () {
+    return this.shootAlerts
+  }
 }
 
 const cache = new Cache()
@@ -118,5 +130,11 @@ module.exports = {
   },
   getTicketCache () {
     return cache.getTicketCache()
+  },
+  getShootHistory () {
+    return cache.getShootHistory()
+  },
+  getShootAlerts () {
+    return cache.getShootAlerts()
   }
 }
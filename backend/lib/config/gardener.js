@@ -24,6 +24,8 @@ const environmentVariableDefinitions = {
   GITHUB_AUTHENTICATION_USERNAME: 'gitHub.authentication.username',
   GITHUB_AUTHENTICATION_TOKEN: 'gitHub.authentication.token',
   GITHUB_WEBHOOK_SECRET: 'gitHub.webhookSecret', // pragma: whitelist secret
+  GITLAB_AUTHENTICATION_TOKEN: 'gitLab.authentication.token',
+  GITLAB_WEBHOOK_SECRET: 'gitLab.webhookSecret', // pragma: whitelist secret
   LOG_LEVEL: 'logLevel',
   LOG_HTTP_REQUEST_BODY: {
     type: 'Boolean',
@@ -118,9 +120,20 @@ module.exports = {
 
     _.set(config, 'frontend.apiServerUrl', config.apiServerUrl)
     _.set(config, 'frontend.clusterIdentity', config.clusterIdentity)
-    if (!config.gitHub && _.has(config, 'frontend.ticket')) {
+    if (!config.gitHub && !config.gitLab && _.has(config, 'frontend.ticket')) {
       _.unset(config, 'frontend.ticket')
     }
+    if (_.has(config, 'frontend.ticket')) {
+      _.set(config, 'frontend.ticket.provider', config.gitLab ? 'gitlab' : 'github')
+    }
+
+    if (_.get(config, 'terminal.recording.enabled')) {
+      _.set(config, 'frontend.features.terminalRecordingEnabled', true)
+    }
+
+    if (_.get(config, 'terminal.sharing.enabled')) {
+      _.set(config, 'frontend.features.terminalSharingEnabled', true)
+    }
 
     if (config.frontend.shootAdminKubeconfig) {
       _.set(config, 'frontend.shootAdminKubeconfig.enabled', config.frontend.shootAdminKubeconfig.enabled)
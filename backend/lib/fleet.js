@@ -0,0 +1,66 @@
+//
+// SPDX-FileCopyrightText: 2023 SAP SE or an SAP affiliate company and Gardener contributors
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+
+'use strict'
+
+const _ = require('lodash')
+const cache = require('./cache')
+const { shootHasIssue } = require('./utils')
+
+function hasExpirationDate (versions, version) {
+  return !!_.get(_.find(versions, ['version', version]), 'expirationDate')
+}
+
+function isKubernetesVersionExpiring (cloudProfile, version) {
+  return hasExpirationDate(_.get(cloudProfile, 'spec.kubernetes.versions'), version)
+}
+
+function isMachineImageExpiring (cloudProfile, workers) {
+  const machineImages = _.get(cloudProfile, 'spec.machineImages')
+  return _.some(workers, worker => {
+    const { name, version } = _.get(worker, 'machine.image', {})
+    const versions = _.get(_.find(machineImages, ['name', name]), 'versions')
+    return hasExpirationDate(versions, version)
+  })
+}
+
+/*
+  Summarizes a shoot for the fleet health metrics of the monitor package.
+  Shoots are attributed to the project owning their namespace.
+*/
+function summarizeShoot (shoot, { projectNames, cloudProfiles }) {
+  const { metadata, spec = {}, status = {} } = shoot
+  const cloudProfile = cloudProfiles[spec.cloudProfileName]
+  const kubernetesVersion = _.get(spec, 'kubernetes.version')
+  const lastOperation = status.lastOperation || {}
+  return {
+    project: projectNames[metadata.namespace] || '',
+    seed: spec.seedName,
+    status: _.get(metadata, ['labels', 'shoot.gardener.cloud/status']),
+    hasIssues: shootHasIssue(shoot),
+    hibernated: _.get(spec, 'hibernation.enabled', false),
+    lastOperationFailed: lastOperation.state === 'Failed',
+    lastOperationType: lastOperation.type,
+    kubernetesVersion,
+    kubernetesVersionExpiring: isKubernetesVersionExpiring(cloudProfile, kubernetesVersion),
+    machineImageExpiring: isMachineImageExpiring(cloudProfile, _.get(spec, 'provider.workers'))
+  }
+}
+
+function getShootSummaries () {
+  const projectNames = _
+    .chain(cache.getProjects())
+    .keyBy('spec.namespace')
+    .mapValues('metadata.name')
+    .value()
+  const cloudProfiles = _.keyBy(cache.getCloudProfiles(), 'metadata.name')
+  return _.map(cache.getShoots(), shoot => summarizeShoot(shoot, { projectNames, cloudProfiles }))
+}
+
+module.exports = {
+  summarizeShoot,
+  getShootSummaries
+}
@@ -39,6 +39,16 @@ function getIssue ({ number }) {
   })
 }
 
+function createIssue ({ title, body, labels }) {
+  return octokit.issues.create({
+    owner,
+    repo,
+    title,
+    body,
+    labels
+  })
+}
+
 function closeIssue ({ number }) {
   return octokit.issues.update({
     owner,
@@ -69,6 +79,7 @@ function createComment ({ number }, body) {
 module.exports = {
   octokit,
   searchIssues,
+  createIssue,
   closeIssue,
   getIssue,
   getComments,
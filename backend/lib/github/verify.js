@@ -9,7 +9,7 @@
 const { createHmac, timingSafeEqual } = require('crypto')
 const assert = require('assert')
 const createError = require('http-errors')
-const config = require('../../config')
+const config = require('../config')
 
 function digestsEqual (a, b) {
   if (a.length !== b.length) return false
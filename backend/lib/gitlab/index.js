@@ -0,0 +1,158 @@
+//
+// SPDX-FileCopyrightText: 2023 SAP SE or an SAP affiliate company and Gardener contributors
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+
+'use strict'
+
+const http = require('http')
+const https = require('https')
+const _ = require('lodash')
+const { createHttpError } = require('@gardener-dashboard/request')
+const config = require('../config')
+
+const {
+  apiUrl = 'https://gitlab.com/api/v4',
+  ca,
+  timeout = 30000,
+  projectId,
+  authentication: {
+    token
+  } = {}
+} = config.gitLab || {}
+
+const baseUrl = _.replace(apiUrl, /\/$/, '')
+const projectPath = `/projects/${encodeURIComponent(projectId)}`
+const agent = ca
+  ? new https.Agent({ ca, keepAlive: true })
+  : undefined
+
+function request (method, path, { query, body } = {}) {
+  return new Promise((resolve, reject) => {
+    const url = new URL(baseUrl + path)
+    _.forEach(query, (value, key) => {
+      if (!_.isNil(value)) {
+        url.searchParams.set(key, value)
+      }
+    })
+    const headers = {
+      accept: 'application/json',
+      'user-agent': 'gardener-dashboard'
+    }
+    if (token) {
+      headers['private-token'] = token
+    }
+    let data
+    if (body) {
+      data = JSON.stringify(body)
+      headers['content-type'] = 'application/json'
+      headers['content-length'] = Buffer.byteLength(data)
+    }
+    const options = { method, headers, timeout }
+    if (url.protocol === 'https:' && agent) {
+      options.agent = agent
+    }
+    const req = (url.protocol === 'https:' ? https : http).request(url, options, res => {
+      const { statusCode, statusMessage, headers } = res
+      const chunks = []
+      res.on('data', chunk => chunks.push(chunk))
+      res.on('end', () => {
+        const text = Buffer.concat(chunks).toString()
+        if (statusCode < 200 || statusCode >= 300) {
+          return reject(createHttpError({ statusCode, statusMessage, headers, body: text }))
+        }
+        try {
+          resolve({
+            headers,
+            data: text ? JSON.parse(text) : undefined
+          })
+        } catch (err) {
+          reject(err)
+        }
+      })
+      res.on('error', reject)
+    })
+    req.on('timeout', () => req.destroy(new Error(`Request to ${url.origin} timed out`)))
+    req.on('error', reject)
+    req.end(data)
+  })
+}
+
+/**
+ * Follows the `x-next-page` response header until all pages have been fetched.
+ */
+async function paginate (path, query) {
+  const items = []
+  let page = 1
+  while (page) {
+    const { headers, data } = await request('GET', path, {
+      query: { ...query, page, per_page: 100 }
+    })
+    items.push(...data)
+    page = parseInt(headers['x-next-page'], 10) || 0
+  }
+  return items
+}
+
+function searchIssues ({ state, title } = {}) {
+  const query = {
+    with_labels_details: true
+  }
+  if (state) {
+    query.state = state
+  }
+  if (title) {
+    query.search = title
+    query.in = 'title'
+  }
+  return paginate(`${projectPath}/issues`, query)
+}
+
+async function getIssue ({ number }) {
+  const { data } = await request('GET', `${projectPath}/issues/${number}`)
+  return data
+}
+
+async function createIssue ({ title, description, labels }) {
+  const { data } = await request('POST', `${projectPath}/issues`, {
+    body: {
+      title,
+      description,
+      labels: _.join(labels, ',')
+    }
+  })
+  return data
+}
+
+async function closeIssue ({ number }) {
+  const { data } = await request('PUT', `${projectPath}/issues/${number}`, {
+    body: { state_event: 'close' }
+  })
+  return data
+}
+
+function getNotes ({ number }) {
+  return paginate(`${projectPath}/issues/${number}/notes`, {
+    sort: 'asc',
+    order_by: 'created_at'
+  })
+}
+
+async function createNote ({ number }, body) {
+  const { data } = await request('POST', `${projectPath}/issues/${number}/notes`, {
+    body: { body }
+  })
+  return data
+}
+
+module.exports = {
+  request,
+  paginate,
+  searchIssues,
+  getIssue,
+  createIssue,
+  closeIssue,
+  getNotes,
+  createNote
+}
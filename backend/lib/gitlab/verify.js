@@ -0,0 +1,32 @@
+//
+// SPDX-FileCopyrightText: 2023 SAP SE or an SAP affiliate company and Gardener contributors
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+
+'use strict'
+
+const { timingSafeEqual } = require('crypto')
+const assert = require('assert')
+const createError = require('http-errors')
+const config = require('../config')
+
+function tokensEqual (a, b) {
+  if (a.length !== b.length) return false
+  return timingSafeEqual(a, b)
+}
+
+function verify (req, res, body) {
+  const webhookSecret = config.gitLab?.webhookSecret
+  assert.ok(webhookSecret, 'Property \'gitLab.webhookSecret\' not configured on dashboard backend')
+
+  const requestToken = req.headers['x-gitlab-token']
+  if (!requestToken) {
+    throw createError(403, 'Header \'x-gitlab-token\' not provided')
+  }
+  if (!tokensEqual(Buffer.from(requestToken), Buffer.from(webhookSecret))) {
+    throw createError(403, 'Tokens didn\'t match!')
+  }
+}
+
+module.exports = verify
@@ -7,11 +7,14 @@
 'use strict'
 
 const { createDashboardClient, abortWatcher } = require('@gardener-dashboard/kube-client')
-const { monitorHttpServer, monitorSocketIO } = require('@gardener-dashboard/monitor')
+const { monitorHttpServer, monitorSocketIO, monitorShoots } = require('@gardener-dashboard/monitor')
 const cache = require('./cache')
-const config = require('./config')
 const watches = require('./watches')
 const io = require('./io')
+const attach = require('./attach')
+const { WEBHOOK_LEASE_NAME, getProviderConfig } = require('./tickets')
+const { getShootSummaries } = require('./fleet')
+const leaderElector = require('./leaderElection')
 
 class LifecycleHooks {
   constructor (client) {
@@ -46,12 +49,16 @@ class LifecycleHooks {
       informer.run(this.ac.signal)
       untilHasSyncedList.push(informer.store.untilHasSynced)
     }
+    // elect the replica which runs the background tasks
+    leaderElector.run(this.ac.signal)
     // create io instance
     this.io = io(server, cache)
+    // attach terminal sessions which are recorded
+    attach(server)
     // register watches
     for (const [key, watch] of Object.entries(watches)) {
       if (informers[key]) {
-        if (key === 'leases') {
+        if (key === 'leases' || key === 'shoots' || key === 'projects') {
           watch(this.io, informers[key], { signal: this.ac.signal })
         } else {
           watch(this.io, informers[key])
@@ -61,6 +68,7 @@ class LifecycleHooks {
 
     monitorHttpServer(server)
     monitorSocketIO(this.io)
+    monitorShoots(getShootSummaries)
 
     return Promise.all(untilHasSyncedList)
   }
@@ -72,14 +80,15 @@ class LifecycleHooks {
       controllerregistrations: client['core.gardener.cloud'].controllerregistrations.informer(),
       projects: client['core.gardener.cloud'].projects.informer(),
       quotas: client['core.gardener.cloud'].quotas.informerAllNamespaces(),
+      secretbindings: client['core.gardener.cloud'].secretbindings.informerAllNamespaces(),
       seeds: client['core.gardener.cloud'].seeds.informer(),
       shoots: client['core.gardener.cloud'].shoots.informerAllNamespaces(),
       // core
       resourcequotas: client.core.resourcequotas.informerAllNamespaces()
     }
 
-    if (config.gitHub?.webhookSecret) {
-      const informerOpts = { fieldSelector: 'metadata.name=gardener-dashboard-github-webhook' }
+    if (getProviderConfig()?.webhookSecret) {
+      const informerOpts = { fieldSelector: `metadata.name=${WEBHOOK_LEASE_NAME}` }
       const namespace = process.env.POD_NAMESPACE || 'garden'
       informers.leases = client['coordination.k8s.io'].leases.informer(namespace, informerOpts)
     }
@@ -12,10 +12,12 @@ const cookieParser = require('cookie-parser')
 const createError = require('http-errors')
 const kubernetesClient = require('@gardener-dashboard/kube-client')
 const cache = require('./cache')
+const config = require('./config')
 const logger = require('./logger')
 const { projectFilter } = require('./utils')
 const { authenticate } = require('./security')
-const { authorization } = require('./services')
+const { authorization, terminals } = require('./services')
+const sharing = require('./services/terminals/sharing')
 
 const { isHttpError } = createError
 
@@ -67,21 +69,22 @@ function getAllNamespaces (user) {
     .map(project => project.spec.namespace)
 }
 
-async function subscribeShoots (socket, { namespace, name, labelSelector }) {
+function joinRoom (socket, room) {
   const user = getUserFromSocket(socket)
+  logger.debug('User %s joined rooms [%s]', user.id, room)
+  return socket.join(room)
+}
 
-  const joinRoom = room => {
-    logger.debug('User %s joined rooms [%s]', user.id, room)
-    return socket.join(room)
-  }
+async function subscribeShoots (socket, { namespace, name, labelSelector }) {
+  const user = getUserFromSocket(socket)
 
   if (namespace && name) {
     if (await authorization.canGetShoot(user, namespace, name)) {
-      return joinRoom(`shoots;${namespace}/${name}`)
+      return joinRoom(socket, `shoots;${namespace}/${name}`)
     }
   } else if (namespace !== '_all') {
     if (await authorization.canListShoots(user, namespace)) {
-      return joinRoom(`shoots;${namespace}`)
+      return joinRoom(socket, `shoots;${namespace}`)
     }
   } else {
     let room = 'shoots'
@@ -89,41 +92,155 @@ async function subscribeShoots (socket, { namespace, name, labelSelector }) {
       room += ':unhealthy'
     }
     if (await authorization.isAdmin(user)) {
-      return joinRoom(room + ':admin')
+      return joinRoom(socket, room + ':admin')
     }
     const namespaces = getAllNamespaces(user)
     if (await canListAllShoots(user, namespaces)) {
       const rooms = namespaces.map(namespace => room + `;${namespace}`)
-      return joinRoom(rooms)
+      return joinRoom(socket, rooms)
     }
   }
   throw createError(403, 'Insufficient authorization for shoot subscription')
 }
 
-async function subscribe (socket, key, options = {}) {
-  switch (key) {
-    case 'shoots':
-      await unsubscribeShoots(socket)
-      return subscribeShoots(socket, options)
-    default:
-      throw new TypeError(`Invalid subscription type - ${key}`)
+/*
+  Every user may subscribe projects. The projects watch decides per socket
+  which project events are visible to the user of the socket.
+*/
+async function subscribeProjects (socket) {
+  const user = getUserFromSocket(socket)
+  if (await authorization.isAdmin(user)) {
+    return joinRoom(socket, 'projects:admin')
+  }
+  return joinRoom(socket, 'projects')
+}
+
+async function subscribeSeeds (socket) {
+  const user = getUserFromSocket(socket)
+  if (await authorization.canListSeeds(user)) {
+    return joinRoom(socket, 'seeds')
+  }
+  throw createError(403, 'Insufficient authorization for seed subscription')
+}
+
+async function subscribeSecrets (socket, { namespace }) {
+  const user = getUserFromSocket(socket)
+  if (await authorization.canListSecretBindings(user, namespace)) {
+    return joinRoom(socket, `secrets;${namespace}`)
   }
+  throw createError(403, 'Insufficient authorization for secret subscription')
 }
 
-function unsubscribeShoots (socket) {
+async function subscribeMembers (socket, { namespace }) {
+  const user = getUserFromSocket(socket)
+  const { metadata: { name } } = cache.findProjectByNamespace(namespace)
+  if (await authorization.canGetProject(user, name)) {
+    return joinRoom(socket, `members;${namespace}`)
+  }
+  throw createError(403, 'Insufficient authorization for member subscription')
+}
+
+/*
+  The owner of a shared terminal session joins the owner room and relays the terminal output,
+  observers join the observer room. The observers never get access to the terminal pod itself.
+*/
+async function subscribeTerminals (socket, { id }) {
+  const user = getUserFromSocket(socket)
+  user.isAdmin = await authorization.isAdmin(user)
+  const share = await terminals.getObservableShare({ user, id })
+  if (share.owner === user.id) {
+    return joinRoom(socket, `terminals:owner;${id}`)
+  }
+  await joinRoom(socket, `terminals;${id}`)
+  sharing.addObserver(share, user.id)
+  if (share.size) {
+    socket.emit('terminal-resize', { id, ...share.size })
+  }
+  if (share.scrollback) {
+    socket.emit('terminal-output', { id, data: share.scrollback })
+  }
+}
+
+function findOwnShare (socket, id) {
+  if (socket.rooms.has(`terminals:owner;${id}`)) {
+    return sharing.find(id)
+  }
+}
+
+function handleTerminalOutput (socket, { id, data } = {}) {
+  const share = findOwnShare(socket, id)
+  if (share && typeof data === 'string') {
+    sharing.write(share, data)
+    socket.to(`terminals;${id}`).emit('terminal-output', { id, data })
+  }
+}
+
+function handleTerminalResize (socket, { id, cols, rows } = {}) {
+  const share = findOwnShare(socket, id)
+  if (share && Number.isInteger(cols) && Number.isInteger(rows)) {
+    sharing.resize(share, { cols, rows })
+    socket.to(`terminals;${id}`).emit('terminal-resize', { id, cols, rows })
+  }
+}
+
+function handleTerminalInput (socket, { id, data } = {}) {
+  const user = getUserFromSocket(socket)
+  const share = socket.rooms.has(`terminals;${id}`)
+    ? sharing.find(id)
+    : undefined
+  if (!share || typeof data !== 'string') {
+    return
+  }
+  if (!sharing.isInputAllowed(share, user.id)) {
+    logger.error('User %s is not allowed to send input to shared terminal session %s', user.id, id)
+    return
+  }
+  socket.to(`terminals:owner;${id}`).emit('terminal-input', { id, data, username: user.id })
+}
+
+const subscriptions = {
+  shoots: subscribeShoots,
+  projects: subscribeProjects,
+  seeds: subscribeSeeds,
+  secrets: subscribeSecrets,
+  members: subscribeMembers,
+  terminals: subscribeTerminals
+}
+
+function removeObserver (socket, room) {
+  const [key, id] = room.split(';')
+  const share = key === 'terminals'
+    ? sharing.find(id)
+    : undefined
+  if (share) {
+    sharing.removeObserver(share, getUserFromSocket(socket).id)
+  }
+}
+
+function leaveRooms (socket, key) {
   const promises = Array.from(socket.rooms)
-    .filter(room => room !== socket.id && room.startsWith('shoots'))
-    .map(room => socket.leave(room))
+    .filter(room => room !== socket.id && room.startsWith(key))
+    .map(room => {
+      removeObserver(socket, room)
+      return socket.leave(room)
+    })
   return Promise.all(promises)
 }
 
+async function subscribe (socket, key, options = {}) {
+  const subscribeFn = subscriptions[key]
+  if (!subscribeFn) {
+    throw new TypeError(`Invalid subscription type - ${key}`)
+  }
+  await leaveRooms(socket, key)
+  return subscribeFn(socket, options)
+}
+
 async function unsubscribe (socket, key) {
-  switch (key) {
-    case 'shoots':
-      return unsubscribeShoots(socket)
-    default:
-      throw new TypeError(`Invalid subscription type - ${key}`)
+  if (!subscriptions[key]) {
+    throw new TypeError(`Invalid subscription type - ${key}`)
   }
+  return leaveRooms(socket, key)
 }
 
 function setDisconnectTimeout (socket, delay) {
@@ -174,6 +291,25 @@ function init (httpServer, cache) {
     }
   })
 
+  // notify owners and observers of shared terminal sessions
+  const handleShareEvent = event => {
+    const { id } = event.object
+    const rooms = [`terminals;${id}`, `terminals:owner;${id}`]
+    io.to(rooms).emit('terminal-share', event)
+    if (event.type === 'DELETED') {
+      io.in(rooms).socketsLeave(rooms)
+    }
+  }
+  sharing.events.on('event', handleShareEvent)
+  // a terminal session is considered stale if five heartbeats have been missed
+  const shareTimeout = (config.frontend?.terminal?.heartbeatIntervalSeconds ?? 60) * 5 * 1000
+  const shareIntervalId = setInterval(() => sharing.removeExpired(shareTimeout), 60_000)
+  shareIntervalId.unref()
+  httpServer.once('close', () => {
+    sharing.events.off('event', handleShareEvent)
+    clearInterval(shareIntervalId)
+  })
+
   // handle connections (see https://socket.io/docs/v4/server-application-structure)
   io.on('connection', socket => {
     const socketId = socket.id
@@ -205,6 +341,18 @@ function init (httpServer, cache) {
       }
     })
 
+    // handle shared terminal session events
+    socket.on('terminal-output', payload => handleTerminalOutput(socket, payload))
+    socket.on('terminal-resize', payload => handleTerminalResize(socket, payload))
+    socket.on('terminal-input', payload => handleTerminalInput(socket, payload))
+
+    // handle 'disconnecting' event (the rooms of the socket are still available)
+    socket.once('disconnecting', () => {
+      for (const room of socket.rooms) {
+        removeObserver(socket, room)
+      }
+    })
+
     // handle 'disconnect' event
     socket.once('disconnect', reason => {
       clearTimeout(timeoutId)
@@ -219,3 +367,4 @@ function init (httpServer, cache) {
 exports = module.exports = init
 
 exports.setDisconnectTimeout = setDisconnectTimeout
+exports.authenticateFn = authenticateFn
@@ -0,0 +1,149 @@
+//
+// SPDX-FileCopyrightText: 2023 SAP SE or an SAP affiliate company and Gardener contributors
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+
+'use strict'
+
+const os = require('os')
+const EventEmitter = require('events')
+const { isHttpError } = require('http-errors')
+const { dashboardClient } = require('@gardener-dashboard/kube-client')
+const logger = require('./logger')
+
+const LEADER_LEASE_NAME = 'gardener-dashboard-leader'
+
+function toMicroTime (time) {
+  return new Date(time).toISOString().replace(/Z$/, '000Z')
+}
+
+/*
+  Elects one replica of the dashboard which runs the background tasks (e.g. removing expired members or
+  sending notifications). The replica holding the lease renews it periodically. The other replicas take
+  over if the lease has not been renewed within `leaseDurationSeconds`. The lease is updated with the
+  `resourceVersion` it has been read with, therefore only one replica can acquire an expired lease.
+  The lease is created by the first replica which does not find it.
+*/
+class LeaderElector extends EventEmitter {
+  constructor ({
+    client = dashboardClient,
+    namespace = process.env.POD_NAMESPACE || 'garden',
+    name = LEADER_LEASE_NAME,
+    identity = process.env.POD_NAME || os.hostname(),
+    leaseDurationSeconds = 30,
+    renewDeadline = 20_000,
+    retryPeriod = 5_000
+  } = {}) {
+    super()
+    this.client = client
+    this.namespace = namespace
+    this.name = name
+    this.identity = identity
+    this.leaseDurationSeconds = leaseDurationSeconds
+    this.renewDeadline = renewDeadline
+    this.retryPeriod = retryPeriod
+    this.leaderUntil = 0
+    this.leading = false
+  }
+
+  isLeader (now = Date.now()) {
+    return this.leaderUntil > now
+  }
+
+  async tryAcquireOrRenew (now = Date.now()) {
+    const leases = this.client['coordination.k8s.io'].leases
+    let lease
+    try {
+      lease = await leases.get(this.namespace, this.name)
+    } catch (err) {
+      if (!isHttpError(err) || err.statusCode !== 404) {
+        throw err
+      }
+      // the creation fails with a conflict if another replica has created the lease in the meantime
+      await leases.create(this.namespace, {
+        metadata: {
+          name: this.name,
+          namespace: this.namespace
+        },
+        spec: {
+          holderIdentity: this.identity,
+          leaseDurationSeconds: this.leaseDurationSeconds,
+          acquireTime: toMicroTime(now),
+          renewTime: toMicroTime(now),
+          leaseTransitions: 0
+        }
+      })
+      return true
+    }
+    const {
+      holderIdentity,
+      renewTime,
+      leaseDurationSeconds = this.leaseDurationSeconds,
+      leaseTransitions = 0
+    } = lease.spec || {}
+    const isHolder = holderIdentity === this.identity
+    const expired = !renewTime || Date.parse(renewTime) + leaseDurationSeconds * 1000 <= now
+    if (holderIdentity && !isHolder && !expired) {
+      return false
+    }
+    const spec = {
+      ...lease.spec,
+      holderIdentity: this.identity,
+      leaseDurationSeconds: this.leaseDurationSeconds,
+      renewTime: toMicroTime(now)
+    }
+    if (!isHolder) {
+      spec.acquireTime = toMicroTime(now)
+      spec.leaseTransitions = leaseTransitions + 1
+    }
+    // the update fails with a conflict if another replica has updated the lease in the meantime
+    await leases.update(this.namespace, this.name, { ...lease, spec })
+    return true
+  }
+
+  async renew (now = Date.now()) {
+    let acquired = false
+    try {
+      acquired = await this.tryAcquireOrRenew(now)
+    } catch (err) {
+      if (!isHttpError(err) || err.statusCode !== 409) {
+        logger.error('Failed to acquire or renew lease %s: %s', this.name, err.message)
+      }
+    }
+    if (acquired) {
+      this.leaderUntil = now + this.renewDeadline
+    }
+    this.setLeading(this.isLeader(now))
+  }
+
+  setLeading (leading) {
+    if (leading !== this.leading) {
+      this.leading = leading
+      logger.info('%s leading with lease %s', leading ? 'Started' : 'Stopped', this.name)
+      this.emit(leading ? 'started' : 'stopped')
+    }
+  }
+
+  run (signal) {
+    const renew = () => {
+      this.renew().catch(err => logger.error('Leader election failed: %s', err.message))
+    }
+    const interval = setInterval(renew, this.retryPeriod)
+    interval.unref()
+    renew()
+    if (signal) {
+      signal.addEventListener('abort', () => {
+        clearInterval(interval)
+        this.leaderUntil = 0
+        this.setLeading(false)
+      }, { once: true })
+    }
+  }
+}
+
+const leaderElector = new LeaderElector()
+
+module.exports = leaderElector
+module.exports.LeaderElector = LeaderElector
+module.exports.LEADER_LEASE_NAME = LEADER_LEASE_NAME
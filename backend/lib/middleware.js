@@ -75,6 +75,7 @@ function errorToLocals (err, req) {
 
 function sendError (err, req, res, next) {
   const locals = errorToLocals(err, req)
+  res.locals.error = locals
   res.status(locals.code).send(locals)
 }
 
@@ -0,0 +1,106 @@
+//
+// SPDX-FileCopyrightText: 2023 SAP SE or an SAP affiliate company and Gardener contributors
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+
+'use strict'
+
+const logger = require('../logger')
+
+class DeliveryQueue {
+  #deliver
+  #concurrency
+  #maxAttempts
+  #retryDelay
+  #maxSize
+  #queue = []
+  #active = 0
+  #timeoutIds = new Set()
+  #stopped = false
+
+  constructor (deliverFunc, { concurrency = 5, maxAttempts = 5, retryDelay = 10_000, maxSize = 1000, signal } = {}) {
+    if (signal) {
+      signal.addEventListener('abort', () => this.stop(), { once: true })
+    }
+    this.#deliver = deliverFunc
+    this.#concurrency = concurrency
+    this.#maxAttempts = maxAttempts
+    this.#retryDelay = retryDelay
+    this.#maxSize = maxSize
+  }
+
+  get size () {
+    return this.#queue.length
+  }
+
+  get active () {
+    return this.#active
+  }
+
+  push (job) {
+    if (this.#stopped) {
+      return
+    }
+    // jobs waiting for a retry count as well, otherwise an unreachable target would fill up the memory
+    if (this.#queue.length + this.#timeoutIds.size >= this.#maxSize) {
+      logger.warn('Delivery queue is full, discarding job')
+      return
+    }
+    this.#queue.push({ job, attempt: 1 })
+    this.#next()
+  }
+
+  stop () {
+    this.#stopped = true
+    this.#queue = []
+    for (const timeoutId of this.#timeoutIds) {
+      clearTimeout(timeoutId)
+    }
+    this.#timeoutIds.clear()
+  }
+
+  #next () {
+    while (!this.#stopped && this.#active < this.#concurrency && this.#queue.length) {
+      this.#run(this.#queue.shift())
+    }
+  }
+
+  /**
+   * Delivers the job and schedules a retry with exponential backoff
+   * until the maximum number of attempts has been reached.
+   */
+  async #run (entry) {
+    this.#active++
+    try {
+      await this.#deliver(entry.job, entry.attempt)
+    } catch (err) {
+      if (entry.attempt < this.#maxAttempts) {
+        const delay = this.#retryDelay * 2 ** (entry.attempt - 1)
+        logger.debug('Delivery attempt %d failed, retrying in %d ms: %s', entry.attempt, delay, err.message)
+        this.#retry({ ...entry, attempt: entry.attempt + 1 }, delay)
+      } else {
+        logger.error('Delivery failed after %d attempts: %s', entry.attempt, err.message)
+      }
+    } finally {
+      this.#active--
+      this.#next()
+    }
+  }
+
+  #retry (entry, delay) {
+    if (this.#stopped) {
+      return
+    }
+    const timeoutId = setTimeout(() => {
+      this.#timeoutIds.delete(timeoutId)
+      if (!this.#stopped) {
+        this.#queue.push(entry)
+        this.#next()
+      }
+    }, delay)
+    this.#timeoutIds.add(timeoutId)
+  }
+}
+
+module.exports = DeliveryQueue
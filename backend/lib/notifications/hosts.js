@@ -0,0 +1,102 @@
+//
+// SPDX-FileCopyrightText: 2023 SAP SE or an SAP affiliate company and Gardener contributors
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+
+'use strict'
+
+const net = require('net')
+const dns = require('dns')
+const _ = require('lodash')
+const config = require('../config')
+
+/*
+  Notification targets are configured by project members, therefore the backend must not send requests
+  to the cluster network or to other internal endpoints on their behalf. Either the hosts are restricted
+  to the configured `notifications.allowedHosts` or targets resolving to non-public addresses are refused.
+*/
+const privateNetworks = new net.BlockList()
+for (const [address, prefix, type] of [
+  ['0.0.0.0', 8, 'ipv4'],
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'],
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'],
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['::', 128, 'ipv6'],
+  ['::1', 128, 'ipv6'],
+  ['fc00::', 7, 'ipv6'],
+  ['fe80::', 10, 'ipv6']
+]) {
+  privateNetworks.addSubnet(address, prefix, type)
+}
+
+function getAllowedHosts () {
+  return _.get(config, 'notifications.allowedHosts')
+}
+
+function isPublicAddress (address) {
+  const family = net.isIP(address)
+  if (!family) {
+    return false
+  }
+  // IPv4-mapped IPv6 addresses are checked as IPv4 addresses
+  const [, ipv4Address] = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address) || []
+  return ipv4Address
+    ? !privateNetworks.check(ipv4Address, 'ipv4')
+    : !privateNetworks.check(address, family === 6 ? 'ipv6' : 'ipv4')
+}
+
+function isAllowedHost (hostname) {
+  // the hostname of an URL with an IPv6 address is enclosed in brackets
+  hostname = _.toLower(_.trim(hostname, '[]'))
+  const allowedHosts = getAllowedHosts()
+  if (allowedHosts) {
+    return _.some(allowedHosts, allowedHost => {
+      allowedHost = _.toLower(allowedHost)
+      return allowedHost.startsWith('*.')
+        ? hostname.endsWith(allowedHost.substring(1))
+        : hostname === allowedHost
+    })
+  }
+  return !net.isIP(hostname) || isPublicAddress(hostname)
+}
+
+/*
+  Replaces the `lookup` of `net.connect` and `http.request`. Host names are resolved when the notification
+  is delivered, therefore the resolved addresses are checked and not only the host names of the targets.
+*/
+function lookup (hostname, options, callback) {
+  if (typeof options === 'function') {
+    callback = options
+    options = {}
+  }
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) {
+      return callback(err)
+    }
+    if (!getAllowedHosts()) {
+      const addresses = Array.isArray(address) ? address : [{ address, family }]
+      const privateAddress = _.find(addresses, ({ address }) => !isPublicAddress(address))
+      if (privateAddress) {
+        return callback(new Error(`Host ${hostname} resolves to the non-public address ${privateAddress.address}`))
+      }
+    }
+    callback(null, address, family)
+  })
+}
+
+function assertAllowedHost (hostname) {
+  if (!isAllowedHost(hostname)) {
+    throw new Error(`Notifications must not be sent to host ${hostname}`)
+  }
+}
+
+module.exports = {
+  isPublicAddress,
+  isAllowedHost,
+  assertAllowedHost,
+  lookup
+}
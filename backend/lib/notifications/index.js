@@ -0,0 +1,158 @@
+//
+// SPDX-FileCopyrightText: 2023 SAP SE or an SAP affiliate company and Gardener contributors
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+
+'use strict'
+
+const _ = require('lodash')
+const logger = require('../logger')
+const config = require('../config')
+const cache = require('../cache')
+const { shootHasIssue } = require('../utils')
+const { notifications } = require('../services')
+const DeliveryQueue = require('./DeliveryQueue')
+const transports = require('./transports')
+
+const { EventTypeEnum } = notifications
+
+const summaries = {
+  [EventTypeEnum.UNHEALTHY]: 'became unhealthy',
+  [EventTypeEnum.RECOVERED]: 'recovered',
+  [EventTypeEnum.LAST_OPERATION_FAILED]: 'last operation failed',
+  [EventTypeEnum.DELETION_STARTED]: 'is being deleted',
+  [EventTypeEnum.CREDENTIAL_ROTATION_PENDING]: 'has a pending credential rotation'
+}
+
+function getPreparedRotations (shoot) {
+  return _
+    .chain(shoot)
+    .get('status.credentials.rotation', {})
+    .pickBy(['phase', 'Prepared'])
+    .keys()
+    .value()
+}
+
+function getLastOperationState (shoot) {
+  return _.get(shoot, 'status.lastOperation.state')
+}
+
+/**
+ * Returns the notification event types for the transition from `oldObject` to `object`.
+ */
+function getTransitions (object, oldObject) {
+  if (!oldObject) {
+    return []
+  }
+  const transitions = []
+  const hadIssue = shootHasIssue(oldObject)
+  const hasIssue = shootHasIssue(object)
+  if (!hadIssue && hasIssue) {
+    transitions.push(EventTypeEnum.UNHEALTHY)
+  } else if (hadIssue && !hasIssue) {
+    transitions.push(EventTypeEnum.RECOVERED)
+  }
+  if (getLastOperationState(object) === 'Failed' && getLastOperationState(oldObject) !== 'Failed') {
+    transitions.push(EventTypeEnum.LAST_OPERATION_FAILED)
+  }
+  if (object.metadata.deletionTimestamp && !oldObject.metadata.deletionTimestamp) {
+    transitions.push(EventTypeEnum.DELETION_STARTED)
+  }
+  if (_.difference(getPreparedRotations(object), getPreparedRotations(oldObject)).length) {
+    transitions.push(EventTypeEnum.CREDENTIAL_ROTATION_PENDING)
+  }
+  return transitions
+}
+
+function getDashboardOrigin () {
+  const redirectUri = _.head(_.get(config, 'oidc.redirect_uris'))
+  try {
+    return new URL(redirectUri).origin
+  } catch (err) {
+    return undefined
+  }
+}
+
+function createNotification (type, object) {
+  const { namespace, name, uid } = object.metadata
+  const projectName = _.get(_.find(cache.getProjects(), ['spec.namespace', namespace]), 'metadata.name')
+  const lastOperation = _.get(object, 'status.lastOperation', {})
+  const summary = `Cluster ${name} of project ${projectName || namespace} ${summaries[type]}`
+  let description = summary
+  if (type === EventTypeEnum.LAST_OPERATION_FAILED && lastOperation.description) {
+    description = `${summary}: ${lastOperation.description}`
+  } else if (type === EventTypeEnum.CREDENTIAL_ROTATION_PENDING) {
+    description = `${summary}: ${getPreparedRotations(object).join(', ')} prepared and waiting for completion`
+  }
+  const origin = getDashboardOrigin()
+  const notification = {
+    type,
+    summary,
+    description,
+    timestamp: new Date().toISOString(),
+    shoot: {
+      namespace,
+      name,
+      uid,
+      projectName,
+      lastOperation
+    }
+  }
+  if (origin) {
+    notification.link = `${origin}/namespace/${encodeURIComponent(namespace)}/shoots/${encodeURIComponent(name)}`
+  }
+  return notification
+}
+
+function createNotifier ({ signal } = {}) {
+  const {
+    concurrency = 5,
+    maxAttempts = 5,
+    retryDelaySeconds = 10,
+    timeoutSeconds = 10,
+    maxQueueSize = 1000
+  } = config.notifications || {}
+  const timeout = timeoutSeconds * 1000
+
+  const queue = new DeliveryQueue(({ target, notification }, attempt) => {
+    logger.debug('Sending %s notification to target %s (attempt %d)', notification.type, target.name, attempt)
+    return transports[target.type](target, notification, { timeout })
+  }, {
+    concurrency,
+    maxAttempts,
+    retryDelay: retryDelaySeconds * 1000,
+    maxSize: maxQueueSize,
+    signal
+  })
+
+  async function notify (object, oldObject) {
+    const transitions = getTransitions(object, oldObject)
+    if (!transitions.length) {
+      return
+    }
+    const { namespace, name } = object.metadata
+    try {
+      const targets = await notifications.getTargetsForNamespace(namespace)
+      for (const type of transitions) {
+        const notification = createNotification(type, object)
+        for (const target of _.filter(targets, ({ events }) => _.includes(events, type))) {
+          queue.push({ target, notification })
+        }
+      }
+    } catch (err) {
+      logger.error('Failed to read notification targets for shoot %s/%s: %s', namespace, name, err.message)
+    }
+  }
+
+  return {
+    queue,
+    notify
+  }
+}
+
+module.exports = {
+  getTransitions,
+  createNotification,
+  createNotifier
+}
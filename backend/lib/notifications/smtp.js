@@ -0,0 +1,192 @@
+//
+// SPDX-FileCopyrightText: 2023 SAP SE or an SAP affiliate company and Gardener contributors
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+
+'use strict'
+
+const net = require('net')
+const tls = require('tls')
+const os = require('os')
+const { assertAllowedHost, lookup } = require('./hosts')
+
+class SmtpError extends Error {
+  constructor (message, code) {
+    super(message)
+    this.name = this.constructor.name
+    this.code = code
+  }
+}
+
+class SmtpConnection {
+  constructor (socket) {
+    this.buffer = ''
+    this.pending = []
+    this.lines = []
+    this.attach(socket)
+  }
+
+  attach (socket) {
+    this.socket = socket
+    socket.setEncoding('utf8')
+    socket.on('data', chunk => this.onData(chunk))
+    socket.on('error', err => this.onError(err))
+    socket.on('close', () => this.onError(new SmtpError('Connection closed unexpectedly')))
+  }
+
+  detach () {
+    this.socket.removeAllListeners('data')
+    this.socket.removeAllListeners('error')
+    this.socket.removeAllListeners('close')
+    return this.socket
+  }
+
+  onData (chunk) {
+    this.buffer += chunk
+    let index
+    while ((index = this.buffer.indexOf('\r\n')) !== -1) {
+      const line = this.buffer.substring(0, index)
+      this.buffer = this.buffer.substring(index + 2)
+      this.lines.push(line)
+      // the last line of a (multiline) reply has a space after the status code
+      if (/^\d{3}(?: |$)/.test(line)) {
+        const lines = this.lines
+        this.lines = []
+        const code = Number(line.substring(0, 3))
+        const { resolve } = this.pending.shift() || {}
+        if (resolve) {
+          resolve({ code, lines })
+        }
+      }
+    }
+  }
+
+  onError (err) {
+    for (const { reject } of this.pending.splice(0)) {
+      reject(err)
+    }
+  }
+
+  read () {
+    return new Promise((resolve, reject) => this.pending.push({ resolve, reject }))
+  }
+
+  async command (line, expectedCode) {
+    const reply = this.read()
+    if (line !== undefined) {
+      this.socket.write(line + '\r\n')
+    }
+    const { code, lines } = await reply
+    if (expectedCode && code !== expectedCode) {
+      throw new SmtpError(`Unexpected SMTP reply: ${lines.join(' ')}`, code)
+    }
+    return lines
+  }
+
+  close () {
+    this.detach()
+    this.socket.end()
+  }
+}
+
+function connect ({ host, port, secure, timeout }) {
+  return new Promise((resolve, reject) => {
+    const options = { host, port, timeout, lookup, servername: host }
+    const socket = secure
+      ? tls.connect(options)
+      : net.connect(options)
+    const onError = err => reject(err)
+    socket.once('error', onError)
+    socket.once('timeout', () => socket.destroy(new SmtpError('Connection timed out')))
+    socket.once(secure ? 'secureConnect' : 'connect', () => {
+      socket.removeListener('error', onError)
+      resolve(socket)
+    })
+  })
+}
+
+function upgrade (socket, { host }) {
+  return new Promise((resolve, reject) => {
+    const secureSocket = tls.connect({ socket, servername: host })
+    secureSocket.once('error', reject)
+    secureSocket.once('secureConnect', () => {
+      secureSocket.removeListener('error', reject)
+      resolve(secureSocket)
+    })
+  })
+}
+
+function encodeHeader (value) {
+  return /^[\x20-\x7e]*$/.test(value)
+    ? value
+    : `=?UTF-8?B?${Buffer.from(value).toString('base64')}?=`
+}
+
+// addresses are written to SMTP commands and headers, therefore line breaks would inject commands
+function isValidAddress (address) {
+  return typeof address === 'string' && /^[^\s<>@]+@[^\s<>@]+$/.test(address)
+}
+
+function createMessage ({ from, to, subject, text }) {
+  const invalidAddress = [from, ...to].find(address => !isValidAddress(address))
+  if (invalidAddress !== undefined) {
+    throw new SmtpError(`Invalid email address ${JSON.stringify(invalidAddress)}`)
+  }
+  const headers = [
+    `From: ${from}`,
+    `To: ${to.join(', ')}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: 8bit'
+  ]
+  const body = text
+    .replace(/\r?\n/g, '\r\n')
+    // dot stuffing (RFC 5321 section 4.5.2)
+    .replace(/^\./gm, '..')
+  return `${headers.join('\r\n')}\r\n\r\n${body}\r\n.`
+}
+
+async function sendMail ({ host, port = 587, secure = port === 465, username, password, timeout = 10000 }, { from, to, subject, text }) {
+  assertAllowedHost(host)
+  const message = createMessage({ from, to, subject, text })
+  const socket = await connect({ host, port, secure, timeout })
+  const connection = new SmtpConnection(socket)
+  try {
+    await connection.command(undefined, 220)
+    const hostname = os.hostname()
+    const capabilities = await connection.command(`EHLO ${hostname}`, 250)
+    let encrypted = secure
+    if (!secure && capabilities.some(line => /STARTTLS/i.test(line))) {
+      await connection.command('STARTTLS', 220)
+      connection.attach(await upgrade(connection.detach(), { host }))
+      await connection.command(`EHLO ${hostname}`, 250)
+      encrypted = true
+    }
+    if (username) {
+      if (!encrypted) {
+        throw new SmtpError(`SMTP server ${host} does not support TLS, the credentials are not sent unencrypted`)
+      }
+      const credentials = Buffer.from(`\u0000${username}\u0000${password}`).toString('base64')
+      await connection.command(`AUTH PLAIN ${credentials}`, 235)
+    }
+    await connection.command(`MAIL FROM:<${from}>`, 250)
+    for (const recipient of to) {
+      await connection.command(`RCPT TO:<${recipient}>`, 250)
+    }
+    await connection.command('DATA', 354)
+    await connection.command(message, 250)
+    await connection.command('QUIT', 221)
+  } finally {
+    connection.close()
+  }
+}
+
+module.exports = {
+  SmtpError,
+  isValidAddress,
+  createMessage,
+  sendMail
+}
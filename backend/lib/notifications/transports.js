@@ -0,0 +1,72 @@
+//
+// SPDX-FileCopyrightText: 2023 SAP SE or an SAP affiliate company and Gardener contributors
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+
+'use strict'
+
+const http = require('http')
+const https = require('https')
+const { createHttpError } = require('@gardener-dashboard/request')
+const { sendMail } = require('./smtp')
+const { assertAllowedHost, lookup } = require('./hosts')
+
+function postJson (url, body, { timeout = 10000 } = {}) {
+  return new Promise((resolve, reject) => {
+    const { protocol, hostname } = new URL(url)
+    assertAllowedHost(hostname)
+    const data = JSON.stringify(body)
+    const request = (protocol === 'https:' ? https : http).request(url, {
+      method: 'POST',
+      timeout,
+      lookup,
+      headers: {
+        'content-type': 'application/json',
+        'content-length': Buffer.byteLength(data),
+        'user-agent': 'gardener-dashboard'
+      }
+    }, response => {
+      const { statusCode, statusMessage, headers } = response
+      const chunks = []
+      response.on('data', chunk => chunks.push(chunk))
+      response.on('end', () => {
+        if (statusCode >= 200 && statusCode < 300) {
+          resolve({ statusCode })
+        } else {
+          reject(createHttpError({ statusCode, statusMessage, headers, body: Buffer.concat(chunks).toString() }))
+        }
+      })
+      response.on('error', reject)
+    })
+    request.on('timeout', () => request.destroy(new Error(`Request to ${url} timed out`)))
+    request.on('error', reject)
+    request.end(data)
+  })
+}
+
+function webhook (target, notification, options) {
+  return postJson(target.url, notification, options)
+}
+
+function slack (target, { summary, description, link }, options) {
+  const text = link
+    ? `*${summary}*\n${description}\n<${link}|Open in Gardener Dashboard>`
+    : `*${summary}*\n${description}`
+  return postJson(target.url, { text }, options)
+}
+
+function smtp (target, { summary, description, link }, { timeout } = {}) {
+  const { from, to, ...smtpOptions } = target.smtp
+  const text = link
+    ? `${description}\n\n${link}\n`
+    : `${description}\n`
+  return sendMail({ ...smtpOptions, timeout }, { from, to: [].concat(to), subject: summary, text })
+}
+
+module.exports = {
+  postJson,
+  webhook,
+  slack,
+  smtp
+}
@@ -0,0 +1,27 @@
+//
+// SPDX-FileCopyrightText: 2023 SAP SE or an SAP affiliate company and Gardener contributors
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+
+'use strict'
+
+const express = require('express')
+const { accessReview } = require('../services')
+const { metricsRoute } = require('../middleware')
+
+const router = module.exports = express.Router()
+
+const metricsMiddleware = metricsRoute('accessReview')
+
+router.route('/')
+  .all(metricsMiddleware)
+  .get(async (req, res, next) => {
+    try {
+      const user = req.user
+
+      res.send(await accessReview.list({ user }))
+    } catch (err) {
+      next(err)
+    }
+  })
@@ -0,0 +1,44 @@
+//
+// SPDX-FileCopyrightText: 2023 SAP SE or an SAP affiliate company and Gardener contributors
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+
+'use strict'
+
+const express = require('express')
+const { alertRules } = require('../services')
+const { metricsRoute } = require('../middleware')
+const { auditRequest } = require('../audit')
+
+const router = module.exports = express.Router({
+  mergeParams: true
+})
+
+const metricsMiddleware = metricsRoute('alertRules')
+
+router.use(auditRequest('alertrules'))
+
+router.route('/')
+  .all(metricsMiddleware)
+  .get(async (req, res, next) => {
+    try {
+      const user = req.user
+      const namespace = req.params.namespace
+
+      res.send(await alertRules.list({ user, namespace }))
+    } catch (err) {
+      next(err)
+    }
+  })
+  .put(async (req, res, next) => {
+    try {
+      const user = req.user
+      const namespace = req.params.namespace
+      const body = req.body
+
+      res.send(await alertRules.replace({ user, namespace, body }))
+    } catch (err) {
+      next(err)
+    }
+  })
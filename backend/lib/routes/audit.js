@@ -0,0 +1,28 @@
+//
+// SPDX-FileCopyrightText: 2023 SAP SE or an SAP affiliate company and Gardener contributors
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+
+'use strict'
+
+const express = require('express')
+const { audit } = require('../services')
+const { metricsRoute } = require('../middleware')
+
+const router = module.exports = express.Router()
+
+const metricsMiddleware = metricsRoute('audit')
+
+router.route('/')
+  .all(metricsMiddleware)
+  .get(async (req, res, next) => {
+    try {
+      const user = req.user
+      const query = req.query
+
+      res.send(await audit.list({ user, query }))
+    } catch (err) {
+      next(err)
+    }
+  })
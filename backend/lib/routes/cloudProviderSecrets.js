@@ -9,6 +9,7 @@
 const express = require('express')
 const { cloudProviderSecrets } = require('../services')
 const { metricsRoute } = require('../middleware')
+const { auditRequest } = require('../audit')
 
 const router = module.exports = express.Router({
   mergeParams: true
@@ -16,6 +17,8 @@ const router = module.exports = express.Router({
 
 const metricsMiddleware = metricsRoute('cloudprovidersecrets')
 
+router.use(auditRequest('cloudprovidersecrets'))
+
 router.route('/')
   .all(metricsMiddleware)
   .get(async (req, res, next) => {
@@ -13,10 +13,14 @@ const express = require('express')
 const { dashboardClient } = require('@gardener-dashboard/kube-client')
 const config = require('../config')
 const { metricsRoute } = require('../middleware')
+const { MEMBER_ROLE_DESCRIPTORS } = require('../services/members/roles')
 
 const router = module.exports = express.Router()
 
-const frontendConfig = sanitizeFrontendConfig(config.frontend)
+const frontendConfig = {
+  ...sanitizeFrontendConfig(config.frontend),
+  memberRoles: MEMBER_ROLE_DESCRIPTORS
+}
 const metricsMiddleware = metricsRoute('config')
 
 router.route('/')
@@ -22,9 +22,23 @@ module.exports = {
   '/namespaces/:namespace/tickets': require('./tickets'),
   '/namespaces/:namespace/cloudprovidersecrets': require('./cloudProviderSecrets'),
   '/namespaces/:namespace/members': require('./members'),
-  '/namespaces/:namespace/resourcequotas': require('./resourceQuotas')
+  '/namespaces/:namespace/resourcequotas': require('./resourceQuotas'),
+  '/namespaces/:namespace/shoottemplates': require('./shootTemplates'),
+  '/namespaces/:namespace/machineimages': require('./machineImages'),
+  '/audit': require('./audit'),
+  '/accessreview': require('./accessReview'),
+  '/projecttemplates': require('./projectTemplates')
 }
 
 if (_.get(config, 'frontend.features.terminalEnabled', false)) {
   module.exports['/terminals'] = require('./terminals')
 }
+
+if (_.get(config, 'frontend.features.notificationsEnabled', false)) {
+  module.exports['/namespaces/:namespace/notifications'] = require('./notifications')
+}
+
+if (_.get(config, 'frontend.features.alertRulesEnabled', false)) {
+  module.exports['/namespaces/:namespace/alertrules'] = require('./alertRules')
+  module.exports['/namespaces/:namespace/alerts'] = require('./alerts')
+}
@@ -0,0 +1,47 @@
+//
+// SPDX-FileCopyrightText: 2023 SAP SE or an SAP affiliate company and Gardener contributors
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+
+'use strict'
+
+const express = require('express')
+const { machineImages } = require('../services')
+const { metricsRoute } = require('../middleware')
+const { auditRequest } = require('../audit')
+
+const router = module.exports = express.Router({
+  mergeParams: true
+})
+
+const metricsMiddleware = metricsRoute('machineImages')
+
+router.use(auditRequest('machineimages'))
+
+router.route('/')
+  .all(metricsMiddleware)
+  .get(async (req, res, next) => {
+    try {
+      const user = req.user
+      const namespace = req.params.namespace
+
+      res.send(await machineImages.report({ user, namespace }))
+    } catch (err) {
+      next(err)
+    }
+  })
+
+router.route('/_update')
+  .all(metricsMiddleware)
+  .post(async (req, res, next) => {
+    try {
+      const user = req.user
+      const namespace = req.params.namespace
+      const body = req.body
+
+      res.send(await machineImages.update({ user, namespace, body }))
+    } catch (err) {
+      next(err)
+    }
+  })
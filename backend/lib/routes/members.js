@@ -10,6 +10,7 @@ const express = require('express')
 const { members } = require('../services')
 const { UnprocessableEntity } = require('http-errors')
 const { metricsRoute } = require('../middleware')
+const { auditRequest } = require('../audit')
 
 const router = module.exports = express.Router({
   mergeParams: true
@@ -17,6 +18,13 @@ const router = module.exports = express.Router({
 
 const metricsMiddleware = metricsRoute('members')
 
+router.use(auditRequest('members', {
+  skip (req) {
+    // dry-run imports do not modify any resource
+    return req.path === '/_import' && !!req.body.dryRun
+  }
+}))
+
 router.route('/')
   .all(metricsMiddleware)
   .get(async (req, res, next) => {
@@ -39,6 +47,33 @@ router.route('/')
     }
   })
 
+router.route('/_export')
+  .all(metricsMiddleware)
+  .get(async (req, res, next) => {
+    try {
+      const user = req.user
+      const namespace = req.params.namespace
+      const format = req.query.format
+      const content = await members.exportMembers({ user, namespace, format })
+      res.type(format === 'csv' ? 'text/csv' : 'application/yaml').send(content)
+    } catch (err) {
+      next(err)
+    }
+  })
+
+router.route('/_import')
+  .all(metricsMiddleware)
+  .post(async (req, res, next) => {
+    try {
+      const user = req.user
+      const namespace = req.params.namespace
+      const body = req.body
+      res.send(await members.importMembers({ user, namespace, body }))
+    } catch (err) {
+      next(err)
+    }
+  })
+
 router.route('/:name')
   .all(metricsMiddleware)
   .get(async (req, res, next) => {
@@ -9,11 +9,14 @@
 const express = require('express')
 const { projects } = require('../services')
 const { metricsRoute } = require('../middleware')
+const { auditRequest } = require('../audit')
 
 const router = module.exports = express.Router()
 
 const metricsMiddleware = metricsRoute('namespaces')
 
+router.all(['/', '/:namespace'], auditRequest('namespaces'))
+
 router.route('/')
   .all(metricsMiddleware)
   .get(async (req, res, next) => {
@@ -0,0 +1,47 @@
+//
+// SPDX-FileCopyrightText: 2023 SAP SE or an SAP affiliate company and Gardener contributors
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+
+'use strict'
+
+const express = require('express')
+const { notifications } = require('../services')
+const { metricsRoute } = require('../middleware')
+const { auditRequest, sensitiveKeyPattern } = require('../audit')
+
+const router = module.exports = express.Router({
+  mergeParams: true
+})
+
+const metricsMiddleware = metricsRoute('notifications')
+
+router.use(auditRequest('notifications', {
+  // the url of a webhook contains its credentials
+  sensitiveKeyPattern: new RegExp(`${sensitiveKeyPattern.source}|^url$`, 'i')
+}))
+
+router.route('/')
+  .all(metricsMiddleware)
+  .get(async (req, res, next) => {
+    try {
+      const user = req.user
+      const namespace = req.params.namespace
+
+      res.send(await notifications.list({ user, namespace }))
+    } catch (err) {
+      next(err)
+    }
+  })
+  .put(async (req, res, next) => {
+    try {
+      const user = req.user
+      const namespace = req.params.namespace
+      const body = req.body
+
+      res.send(await notifications.replace({ user, namespace, body }))
+    } catch (err) {
+      next(err)
+    }
+  })
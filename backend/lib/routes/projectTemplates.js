@@ -0,0 +1,25 @@
+//
+// SPDX-FileCopyrightText: 2023 SAP SE or an SAP affiliate company and Gardener contributors
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+
+'use strict'
+
+const express = require('express')
+const { projectTemplates } = require('../services')
+const { metricsRoute } = require('../middleware')
+
+const router = module.exports = express.Router()
+
+const metricsMiddleware = metricsRoute('projectTemplates')
+
+router.route('/')
+  .all(metricsMiddleware)
+  .get(async (req, res, next) => {
+    try {
+      res.send(await projectTemplates.list())
+    } catch (err) {
+      next(err)
+    }
+  })
@@ -0,0 +1,59 @@
+//
+// SPDX-FileCopyrightText: 2023 SAP SE or an SAP affiliate company and Gardener contributors
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+
+'use strict'
+
+const express = require('express')
+const { shootTemplates } = require('../services')
+const { metricsRoute } = require('../middleware')
+const { auditRequest } = require('../audit')
+
+const router = module.exports = express.Router({
+  mergeParams: true
+})
+
+const metricsMiddleware = metricsRoute('shootTemplates')
+
+router.use(auditRequest('shoottemplates'))
+
+router.route('/')
+  .all(metricsMiddleware)
+  .get(async (req, res, next) => {
+    try {
+      const user = req.user
+      const namespace = req.params.namespace
+
+      res.send(await shootTemplates.list({ user, namespace }))
+    } catch (err) {
+      next(err)
+    }
+  })
+
+router.route('/:name')
+  .all(metricsMiddleware)
+  .put(async (req, res, next) => {
+    try {
+      const user = req.user
+      const namespace = req.params.namespace
+      const name = req.params.name
+      const body = req.body
+
+      res.send(await shootTemplates.replace({ user, namespace, name, body }))
+    } catch (err) {
+      next(err)
+    }
+  })
+  .delete(async (req, res, next) => {
+    try {
+      const user = req.user
+      const namespace = req.params.namespace
+      const name = req.params.name
+
+      res.send(await shootTemplates.remove({ user, namespace, name }))
+    } catch (err) {
+      next(err)
+    }
+  })
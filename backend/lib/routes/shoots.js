@@ -7,8 +7,9 @@
 'use strict'
 
 const express = require('express')
-const { shoots } = require('../services')
+const { shoots, shootTransfers } = require('../services')
 const { metricsRoute } = require('../middleware')
+const { auditRequest } = require('../audit')
 const config = require('../config')
 
 const router = module.exports = express.Router({
@@ -17,14 +18,28 @@ const router = module.exports = express.Router({
 
 const metricsMiddleware = metricsRoute('shoots')
 
+router.use(auditRequest('shoots', {
+  skip (req) {
+    // dry-run and export requests do not modify any resource
+    return /\/_(validate|export)$/.test(req.path)
+  }
+}))
+
 router.route('/')
   .all(metricsMiddleware)
   .get(async (req, res, next) => {
     try {
       const user = req.user
       const namespace = req.params.namespace
-      const labelSelector = req.query.labelSelector
-      res.send(await shoots.list({ user, namespace, labelSelector }))
+      const {
+        labelSelector,
+        search,
+        sortBy,
+        sortDesc,
+        limit,
+        continue: continueToken
+      } = req.query
+      res.send(await shoots.list({ user, namespace, labelSelector, search, sortBy, sortDesc, limit, continue: continueToken }))
     } catch (err) {
       next(err)
     }
@@ -40,6 +55,59 @@ router.route('/')
     }
   })
 
+router.route('/_bulk')
+  .all(metricsMiddleware)
+  .post(async (req, res, next) => {
+    try {
+      const user = req.user
+      const namespace = req.params.namespace
+      const body = req.body
+      res.send(await shoots.bulk({ user, namespace, body }))
+    } catch (err) {
+      next(err)
+    }
+  })
+
+router.route('/_export')
+  .all(metricsMiddleware)
+  .post(async (req, res, next) => {
+    try {
+      const user = req.user
+      const namespace = req.params.namespace
+      const body = req.body
+      const document = await shootTransfers.exportShoots({ user, namespace, body })
+      res.type('application/yaml').send(shootTransfers.dumpExport(document))
+    } catch (err) {
+      next(err)
+    }
+  })
+
+router.route('/_import')
+  .all(metricsMiddleware)
+  .post(async (req, res, next) => {
+    try {
+      const user = req.user
+      const namespace = req.params.namespace
+      const body = req.body
+      res.send(await shootTransfers.importShoots({ user, namespace, body }))
+    } catch (err) {
+      next(err)
+    }
+  })
+
+router.route('/_validate')
+  .all(metricsMiddleware)
+  .post(async (req, res, next) => {
+    try {
+      const user = req.user
+      const namespace = req.params.namespace
+      const body = req.body
+      res.send(await shoots.validate({ user, namespace, body }))
+    } catch (err) {
+      next(err)
+    }
+  })
+
 router
   .route('/:name')
   .all(metricsMiddleware)
@@ -75,6 +143,20 @@ router
     }
   })
 
+router.route('/:name/_validate')
+  .all(metricsMiddleware)
+  .post(async (req, res, next) => {
+    try {
+      const user = req.user
+      const namespace = req.params.namespace
+      const name = req.params.name
+      const body = req.body
+      res.send(await shoots.validate({ user, namespace, name, body }))
+    } catch (err) {
+      next(err)
+    }
+  })
+
 router.route('/:name/spec/kubernetes/enableStaticTokenKubeconfig')
   .all(metricsMiddleware)
   .put(async (req, res, next) => {
@@ -228,6 +310,19 @@ router.route('/:name/info')
     }
   })
 
+router.route('/:name/history')
+  .all(metricsMiddleware)
+  .get(async (req, res, next) => {
+    try {
+      const user = req.user
+      const namespace = req.params.namespace
+      const name = req.params.name
+      res.send(await shoots.history({ user, namespace, name }))
+    } catch (err) {
+      next(err)
+    }
+  })
+
 router.route('/:name/spec/purpose')
   .all(metricsMiddleware)
   .put(async (req, res, next) => {
@@ -11,6 +11,7 @@ const { terminals, authorization } = require('../services')
 const _ = require('lodash')
 const { UnprocessableEntity } = require('http-errors')
 const { metricsRoute } = require('../middleware')
+const { auditRequest } = require('../audit')
 
 const router = module.exports = express.Router({
   mergeParams: true
@@ -18,6 +19,33 @@ const router = module.exports = express.Router({
 
 const metricsMiddleware = metricsRoute('terminals')
 
+const sharingMethods = ['startSharing', 'stopSharing', 'updateShareObserver']
+
+router.use(auditRequest('terminals', {
+  skip (req) {
+    return !_.includes(['create', 'remove', 'terminate', ...sharingMethods], _.get(req.body, 'method'))
+  },
+  getResource (req, type) {
+    const params = _.get(req.body, 'params', {})
+    if (_.includes(sharingMethods, _.get(req.body, 'method'))) {
+      // shares are identified by their id once sharing has been started
+      return {
+        type,
+        namespace: params.namespace,
+        name: params.name || params.id,
+        subresource: 'sharing'
+      }
+    }
+    const { namespace, name, target } = params.coordinate || params
+    return {
+      type,
+      namespace,
+      name,
+      subresource: target
+    }
+  }
+}))
+
 router.use(async (req, res, next) => {
   try {
     const user = req.user
@@ -41,7 +69,7 @@ router.route('/')
 
       const { method, params: body } = req.body
 
-      if (!_.includes(['create', 'fetch', 'list', 'config', 'remove', 'heartbeat', 'listProjectTerminalShortcuts'], method)) {
+      if (!_.includes(['create', 'fetch', 'list', 'config', 'remove', 'heartbeat', 'listProjectTerminalShortcuts', 'listRecordings', 'fetchRecording', 'startSharing', 'stopSharing', 'updateShareObserver', 'fetchShare', 'listAll', 'terminate'], method)) {
         throw new UnprocessableEntity(`${method} not allowed for terminals`)
       }
       res.send(await terminals[method]({ user, body }))
@@ -11,6 +11,7 @@ const _ = require('lodash')
 const cache = require('../cache')
 const tickets = require('../services/tickets')
 const { metricsRoute } = require('../middleware')
+const { auditRequest } = require('../audit')
 
 const router = module.exports = express.Router({
   mergeParams: true
@@ -19,6 +20,18 @@ const router = module.exports = express.Router({
 const ticketCache = cache.getTicketCache()
 const metricsMiddleware = metricsRoute('tickets')
 
+function getAuditResource (req, type) {
+  const [name, subresource] = _.compact(_.split(req.path, '/'))
+  return _.omitBy({
+    type,
+    namespace: req.params.namespace,
+    name: name || _.get(req.body, 'name'),
+    subresource
+  }, _.isNil)
+}
+
+router.use(auditRequest('tickets', { getResource: getAuditResource }))
+
 function getProjectName (namespace = '_all') {
   if (namespace !== '_all') {
     return cache.findProjectByNamespace(namespace).metadata.name
@@ -51,6 +64,16 @@ router.route('/')
       next(err)
     }
   })
+  .post(async (req, res, next) => {
+    try {
+      const user = req.user
+      const namespace = req.params.namespace
+      const body = req.body
+      res.send(await tickets.create({ user, namespace, body }))
+    } catch (err) {
+      next(err)
+    }
+  })
 
 router.route('/:name')
   .all(metricsMiddleware)
@@ -64,3 +87,17 @@ router.route('/:name')
       next(err)
     }
   })
+
+router.route('/:name/comments')
+  .all(metricsMiddleware)
+  .post(async (req, res, next) => {
+    try {
+      const user = req.user
+      const namespace = req.params.namespace
+      const name = req.params.name
+      const body = req.body
+      res.send(await tickets.createComment({ user, namespace, name, body }))
+    } catch (err) {
+      next(err)
+    }
+  })
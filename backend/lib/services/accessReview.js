@@ -0,0 +1,83 @@
+//
+// SPDX-FileCopyrightText: 2023 SAP SE or an SAP affiliate company and Gardener contributors
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+
+'use strict'
+
+const _ = require('lodash')
+const { Forbidden } = require('http-errors')
+const authorization = require('./authorization')
+const Member = require('./members/Member')
+const cache = require('../cache')
+
+const kindOrder = ['User', 'Group', 'ServiceAccount']
+
+function getSubject ({ kind, name, namespace }) {
+  switch (kind) {
+    case 'ServiceAccount':
+      return {
+        kind,
+        name: `system:serviceaccount:${namespace}:${name}`,
+        namespace
+      }
+    case 'Group':
+      return { kind, name }
+    default: {
+      // service accounts are usually added as users with the service account username
+      const subject = Member.parseUsername(name)
+      return subject.kind === 'ServiceAccount'
+        ? { kind: subject.kind, name, namespace: subject.namespace }
+        : { kind: subject.kind, name }
+    }
+  }
+}
+
+function getProjectAccess (project, { role, roles }, subject) {
+  const { metadata, spec, status = {} } = project
+  return {
+    name: metadata.name,
+    namespace: spec.namespace,
+    roles: _.uniq(_.compact([role, ...(roles || [])])),
+    foreign: subject.kind === 'ServiceAccount' && subject.namespace !== spec.namespace,
+    stale: !!status.staleSinceTimestamp,
+    staleSinceTimestamp: status.staleSinceTimestamp,
+    staleAutoDeleteTimestamp: status.staleAutoDeleteTimestamp
+  }
+}
+
+/*
+  Inverts the members of all projects. Returns one item per user, group and service account
+  with the projects the subject is a member of and the roles it has in these projects.
+*/
+exports.list = async function ({ user }) {
+  const isAdmin = await authorization.isAdmin(user)
+  if (!isAdmin) {
+    throw new Forbidden('You are not allowed to read the access review')
+  }
+  const items = new Map()
+  for (const project of cache.getProjects()) {
+    if (!_.get(project, 'spec.namespace')) {
+      continue
+    }
+    for (const member of _.get(project, 'spec.members', [])) {
+      const subject = getSubject(member)
+      const key = `${subject.kind}:${subject.name}`
+      if (!items.has(key)) {
+        items.set(key, { ...subject, projects: [] })
+      }
+      items.get(key).projects.push(getProjectAccess(project, member, subject))
+    }
+  }
+  return _
+    .chain(Array.from(items.values()))
+    .map(item => ({
+      ...item,
+      projects: _.sortBy(item.projects, 'name'),
+      foreign: _.some(item.projects, 'foreign'),
+      stale: _.some(item.projects, 'stale')
+    }))
+    .sortBy([({ kind }) => kindOrder.indexOf(kind), 'name'])
+    .value()
+}
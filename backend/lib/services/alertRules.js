@@ -0,0 +1,213 @@
+//
+// SPDX-FileCopyrightText: 2023 SAP SE or an SAP affiliate company and Gardener contributors
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+
+'use strict'
+
+const _ = require('lodash')
+const { UnprocessableEntity } = require('http-errors')
+const logger = require('../logger')
+const cache = require('../cache')
+const shoots = require('./shoots')
+
+const annotationKey = 'dashboard.gardener.cloud/alert-rules'
+
+const RuleTypeEnum = Object.freeze({
+  CONDITION: 'condition',
+  LAST_OPERATION_FAILED: 'lastOperationFailed'
+})
+
+const SeverityEnum = Object.freeze({
+  WARNING: 'warning',
+  ERROR: 'error'
+})
+
+const durationRegex = /^(\d+)(s|m|h)$/
+const durationUnits = {
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000
+}
+
+function parseDuration (value = '0s') {
+  const [, amount, unit] = durationRegex.exec(value) || []
+  if (!unit) {
+    return NaN
+  }
+  return Number(amount) * durationUnits[unit]
+}
+exports.parseDuration = parseDuration
+
+function isPositiveInteger (value) {
+  return Number.isInteger(value) && value > 0
+}
+
+function validateRule (rule, index) {
+  const { name, type, severity, conditionType, status, duration, count } = rule
+  const path = `rules[${index}]`
+  if (!_.isString(name) || !_.trim(name)) {
+    throw new UnprocessableEntity(`Property ${path}.name is required`)
+  }
+  if (!_.includes(Object.values(RuleTypeEnum), type)) {
+    throw new UnprocessableEntity(`Property ${path}.type must be one of ${Object.values(RuleTypeEnum).join(', ')}`)
+  }
+  if (!_.includes(Object.values(SeverityEnum), severity)) {
+    throw new UnprocessableEntity(`Property ${path}.severity must be one of ${Object.values(SeverityEnum).join(', ')}`)
+  }
+  switch (type) {
+    case RuleTypeEnum.CONDITION:
+      if (!_.isString(conditionType) || !_.trim(conditionType)) {
+        throw new UnprocessableEntity(`Property ${path}.conditionType is required`)
+      }
+      if (!_.includes(['True', 'False', 'Unknown', 'Progressing'], status)) {
+        throw new UnprocessableEntity(`Property ${path}.status must be one of True, False, Unknown, Progressing`)
+      }
+      if (!_.isUndefined(duration) && !durationRegex.test(duration)) {
+        throw new UnprocessableEntity(`Property ${path}.duration must be a duration like 30s, 10m or 1h`)
+      }
+      break
+    case RuleTypeEnum.LAST_OPERATION_FAILED:
+      if (!isPositiveInteger(count)) {
+        throw new UnprocessableEntity(`Property ${path}.count must be a positive integer`)
+      }
+      break
+  }
+}
+
+function pickRuleValues (rule) {
+  const { type } = rule
+  const rulePaths = ['name', 'description', 'type', 'severity']
+  switch (type) {
+    case RuleTypeEnum.CONDITION:
+      rulePaths.push('conditionType', 'status', 'duration')
+      break
+    case RuleTypeEnum.LAST_OPERATION_FAILED:
+      rulePaths.push('count')
+      break
+  }
+  return _.pick(rule, rulePaths)
+}
+
+function fromProjectResource (project) {
+  const value = _.get(project, ['metadata', 'annotations', annotationKey])
+  if (!value) {
+    return []
+  }
+  try {
+    const rules = JSON.parse(value)
+    return _.filter(_.map(rules, pickRuleValues), (rule, index) => {
+      try {
+        validateRule(rule, index)
+        return true
+      } catch (err) {
+        return false
+      }
+    })
+  } catch (err) {
+    logger.error('Failed to parse alert rules of project %s: %s', project.metadata.name, err.message)
+    return []
+  }
+}
+exports.fromProjectResource = fromProjectResource // for unit tests
+
+function getProjectName (namespace) {
+  return cache.findProjectByNamespace(namespace).metadata.name
+}
+
+/*
+  The rules are returned with the resource version of the project. Rules are only replaced if the project
+  has not been modified since they have been read, otherwise the changes of another user would be lost.
+*/
+function toAlertRules (project) {
+  return {
+    resourceVersion: project.metadata.resourceVersion,
+    rules: fromProjectResource(project)
+  }
+}
+
+exports.list = async function ({ user, namespace }) {
+  const client = user.client
+  const name = getProjectName(namespace)
+  const project = await client['core.gardener.cloud'].projects.get(name)
+  return toAlertRules(project)
+}
+
+exports.replace = async function ({ user, namespace, body }) {
+  const client = user.client
+  const resourceVersion = _.get(body, 'resourceVersion')
+  if (!_.isString(resourceVersion) || !resourceVersion) {
+    throw new UnprocessableEntity('Property resourceVersion is required')
+  }
+  const rules = _.map(_.get(body, 'rules'), rule => pickRuleValues(_.defaults({}, rule, {
+    severity: SeverityEnum.WARNING,
+    status: 'False'
+  })))
+  _.forEach(rules, validateRule)
+  const duplicateNames = _
+    .chain(rules)
+    .countBy('name')
+    .pickBy(count => count > 1)
+    .keys()
+    .value()
+  if (duplicateNames.length) {
+    throw new UnprocessableEntity(`Rule names must be unique: ${duplicateNames.join(', ')}`)
+  }
+  const name = getProjectName(namespace)
+  const project = await client['core.gardener.cloud'].projects.mergePatch(name, {
+    metadata: {
+      resourceVersion,
+      annotations: {
+        // an empty list of rules removes the annotation
+        [annotationKey]: rules.length ? JSON.stringify(rules) : null
+      }
+    }
+  })
+  return toAlertRules(project)
+}
+
+const parsedRulesByNamespace = new Map()
+
+/*
+  Returns the rules of the project with the given namespace from the cache.
+  The rules are evaluated by the shoots watch for every shoot event, therefore
+  the annotation is only parsed once per resourceVersion of the project.
+*/
+exports.getRulesForNamespace = function (namespace) {
+  const project = _.find(cache.getProjects(), ['spec.namespace', namespace])
+  if (!project) {
+    parsedRulesByNamespace.delete(namespace)
+    return []
+  }
+  const { resourceVersion } = project.metadata
+  const parsedRules = parsedRulesByNamespace.get(namespace)
+  if (parsedRules && parsedRules.resourceVersion === resourceVersion) {
+    return parsedRules.rules
+  }
+  const rules = fromProjectResource(project)
+  parsedRulesByNamespace.set(namespace, { resourceVersion, rules })
+  return rules
+}
+
+exports.listAlerts = async function ({ user, namespace }) {
+  const shootAlerts = cache.getShootAlerts()
+  const items = _
+    .chain(await shoots.getVisibleShoots({ user, namespace }))
+    .map(({ metadata: { namespace, name, uid } }) => ({
+      namespace,
+      name,
+      uid,
+      alerts: shootAlerts.getAlerts(uid)
+    }))
+    .filter(({ alerts }) => alerts.length)
+    .value()
+  return {
+    apiVersion: 'v1',
+    kind: 'List',
+    items
+  }
+}
+
+exports.RuleTypeEnum = RuleTypeEnum
+exports.SeverityEnum = SeverityEnum
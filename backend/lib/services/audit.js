@@ -0,0 +1,22 @@
+//
+// SPDX-FileCopyrightText: 2023 SAP SE or an SAP affiliate company and Gardener contributors
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+
+'use strict'
+
+const _ = require('lodash')
+const { Forbidden } = require('http-errors')
+const authorization = require('./authorization')
+const audit = require('../audit')
+
+exports.list = async function ({ user, query = {} }) {
+  const isAdmin = await authorization.isAdmin(user)
+  if (!isAdmin) {
+    throw new Forbidden('You are not allowed to read the audit log')
+  }
+  const { namespace, user: username, type, verb, status } = query
+  const limit = _.clamp(parseInt(query.limit, 10) || 100, 1, 1000)
+  return audit.query({ namespace, user: username, type, verb, status, limit })
+}
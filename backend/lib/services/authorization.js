@@ -73,6 +73,28 @@ exports.canGetShoot = function (user, namespace, name) {
   })
 }
 
+exports.canGetProject = function (user, name) {
+  return hasAuthorization(user, {
+    resourceAttributes: {
+      verb: 'get',
+      group: 'core.gardener.cloud',
+      resource: 'projects',
+      name
+    }
+  })
+}
+
+exports.canListSecretBindings = function (user, namespace) {
+  return hasAuthorization(user, {
+    resourceAttributes: {
+      verb: 'list',
+      group: 'core.gardener.cloud',
+      resource: 'secretbindings',
+      namespace
+    }
+  })
+}
+
 exports.canListSeeds = function (user) {
   return hasAuthorization(user, {
     resourceAttributes: {
@@ -115,6 +137,17 @@ exports.canListResourceQuotas = function (user, namespace) {
   })
 }
 
+exports.canCreateTerminals = function (user, namespace) {
+  return hasAuthorization(user, {
+    resourceAttributes: {
+      verb: 'create',
+      group: 'dashboard.gardener.cloud',
+      resource: 'terminals',
+      namespace
+    }
+  })
+}
+
 exports.canListControllerRegistrations = function (user) {
   return hasAuthorization(user, {
     resourceAttributes: {
@@ -16,5 +16,13 @@ module.exports = {
   tickets: require('./tickets'),
   terminals: require('./terminals'),
   controllerregistrations: require('./controllerregistrations'),
-  resourceQuotas: require('./resourceQuotas')
+  resourceQuotas: require('./resourceQuotas'),
+  notifications: require('./notifications'),
+  shootTemplates: require('./shootTemplates'),
+  shootTransfers: require('./shootTransfers'),
+  machineImages: require('./machineImages'),
+  alertRules: require('./alertRules'),
+  audit: require('./audit'),
+  accessReview: require('./accessReview'),
+  projectTemplates: require('./projectTemplates')
 }
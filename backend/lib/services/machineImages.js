@@ -0,0 +1,197 @@
+//
+// SPDX-FileCopyrightText: 2023 SAP SE or an SAP affiliate company and Gardener contributors
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+
+'use strict'
+
+const _ = require('lodash')
+const semver = require('semver')
+const pLimit = require('p-limit')
+const { UnprocessableEntity } = require('http-errors')
+const shoots = require('./shoots')
+const cache = require('../cache')
+const logger = require('../logger')
+
+function compareVersions (a, b) {
+  return semver.compare(semver.coerce(a) ?? '0.0.0', semver.coerce(b) ?? '0.0.0')
+}
+
+function isExpired ({ expirationDate }, now) {
+  return !!expirationDate && new Date(expirationDate).getTime() < now
+}
+
+function findCloudProfile (cloudProfileName) {
+  return _.find(cache.getCloudProfiles(), ['metadata.name', cloudProfileName])
+}
+
+function getImageVersions (cloudProfile, imageName) {
+  const machineImage = _.find(_.get(cloudProfile, 'spec.machineImages'), ['name', imageName])
+  return _.get(machineImage, 'versions', [])
+}
+
+// the latest version of an image that can be used for new nodes of the given architecture
+function getLatestVersion (imageVersions, architecture, now) {
+  return _
+    .chain(imageVersions)
+    .filter(imageVersion => {
+      if (imageVersion.classification === 'preview' || isExpired(imageVersion, now)) {
+        return false
+      }
+      return _.isEmpty(imageVersion.architectures) || _.includes(imageVersion.architectures, architecture)
+    })
+    .map('version')
+    .thru(versions => versions.sort(compareVersions))
+    .last()
+    .value()
+}
+
+function getStatus (imageVersion, now) {
+  if (!imageVersion) {
+    return 'unknown'
+  }
+  if (isExpired(imageVersion, now)) {
+    return 'expired'
+  }
+  if (imageVersion.expirationDate) {
+    return 'expiring'
+  }
+  return imageVersion.classification || 'supported'
+}
+
+function toReportItems (shoot, now) {
+  const { metadata: { namespace, name }, spec = {} } = shoot
+  const cloudProfile = findCloudProfile(spec.cloudProfileName)
+  const project = _.find(cache.getProjects(), ['spec.namespace', namespace])
+  const autoUpdate = _.get(spec, 'maintenance.autoUpdate.machineImageVersion', false)
+  return _.map(_.get(spec, 'provider.workers'), worker => {
+    const { name: imageName, version: imageVersion } = _.get(worker, 'machine.image', {})
+    const architecture = _.get(worker, 'machine.architecture', 'amd64')
+    const imageVersions = getImageVersions(cloudProfile, imageName)
+    const currentVersion = _.find(imageVersions, ['version', imageVersion])
+    const latestVersion = getLatestVersion(imageVersions, architecture, now)
+    return _.omitBy({
+      namespace,
+      projectName: _.get(project, 'metadata.name'),
+      shootName: name,
+      cloudProfileName: spec.cloudProfileName,
+      workerName: worker.name,
+      machineType: _.get(worker, 'machine.type'),
+      architecture,
+      imageName,
+      imageVersion,
+      classification: _.get(currentVersion, 'classification'),
+      expirationDate: _.get(currentVersion, 'expirationDate'),
+      status: getStatus(currentVersion, now),
+      latestVersion,
+      updateAvailable: !!latestVersion && !!imageVersion && compareVersions(latestVersion, imageVersion) > 0,
+      autoUpdate
+    }, _.isUndefined)
+  })
+}
+
+exports.report = async function ({ user, namespace }) {
+  const { items = [] } = await shoots.list({ user, namespace })
+  const now = Date.now()
+  return {
+    apiVersion: 'v1',
+    kind: 'List',
+    items: _.flatMap(items, shoot => toReportItems(shoot, now))
+  }
+}
+
+function getUpdateResult (item, status, message) {
+  const { namespace, shootName, workerName } = item
+  return { namespace, shootName, workerName, status, message }
+}
+
+async function updateShootWorkers ({ user, namespace, name, items, now }) {
+  const client = user.client
+  let shoot
+  try {
+    shoot = await client['core.gardener.cloud'].shoots.get(namespace, name)
+  } catch (err) {
+    return _.map(items, item => getUpdateResult(item, 'Failure', err.message))
+  }
+  const cloudProfile = findCloudProfile(shoot.spec.cloudProfileName)
+  const workers = _.cloneDeep(_.get(shoot, 'spec.provider.workers', []))
+  const results = []
+  const updatedItems = []
+  for (const item of items) {
+    const worker = _.find(workers, ['name', item.workerName])
+    if (!worker) {
+      results.push(getUpdateResult(item, 'Failure', `Worker pool ${item.workerName} not found`))
+      continue
+    }
+    const { name: imageName, version: imageVersion } = _.get(worker, 'machine.image', {})
+    const imageVersions = getImageVersions(cloudProfile, imageName)
+    const version = item.version || getLatestVersion(imageVersions, _.get(worker, 'machine.architecture', 'amd64'), now)
+    const targetVersion = _.find(imageVersions, ['version', version])
+    if (!targetVersion || isExpired(targetVersion, now)) {
+      results.push(getUpdateResult(item, 'Failure', `Version ${version} of machine image ${imageName} is not available`))
+      continue
+    }
+    if (imageVersion && compareVersions(version, imageVersion) <= 0) {
+      results.push(getUpdateResult(item, 'Skipped', `Machine image version ${imageVersion} is already up-to-date`))
+      continue
+    }
+    _.set(worker, 'machine.image.version', version)
+    updatedItems.push({ item, version })
+  }
+  if (updatedItems.length) {
+    try {
+      // the workers list is replaced as a whole by the merge patch, therefore it fails with a conflict
+      // if the shoot has been modified since it has been read
+      await client['core.gardener.cloud'].shoots.mergePatch(namespace, name, {
+        metadata: {
+          resourceVersion: shoot.metadata.resourceVersion
+        },
+        spec: {
+          provider: { workers }
+        }
+      })
+      for (const { item, version } of updatedItems) {
+        results.push(getUpdateResult(item, 'Success', `Machine image version updated to ${version}`))
+      }
+    } catch (err) {
+      logger.info('Machine image update failed for %s/%s: %s', namespace, name, err.message)
+      for (const { item } of updatedItems) {
+        results.push(getUpdateResult(item, 'Failure', err.message))
+      }
+    }
+  }
+  // keep the order of the requested worker pools
+  return _.sortBy(results, ({ workerName }) => _.findIndex(items, ['workerName', workerName]))
+}
+
+/*
+  Updates the machine image versions of the given worker pools. Without a version the latest
+  version of the cloud profile is used. All pools of a shoot are updated with a single patch.
+*/
+exports.update = async function ({ user, namespace, body = {} }) {
+  const workers = body.workers
+  if (_.isEmpty(workers)) {
+    throw new UnprocessableEntity('The worker pools to update are required')
+  }
+  for (const { namespace: workerNamespace, shootName, workerName } of workers) {
+    if (!workerNamespace || !shootName || !workerName) {
+      throw new UnprocessableEntity('Every worker pool requires a namespace, a shootName and a workerName')
+    }
+    if (namespace !== '_all' && workerNamespace !== namespace) {
+      throw new UnprocessableEntity(`Worker pool ${shootName}/${workerName} does not belong to namespace ${namespace}`)
+    }
+  }
+  const now = Date.now()
+  const limit = pLimit(5)
+  const groups = _.groupBy(workers, ({ namespace, shootName }) => `${namespace}/${shootName}`)
+  const results = await Promise.all(_.map(groups, items => limit(() => {
+    const [{ namespace, shootName: name }] = items
+    return updateShootWorkers({ user, namespace, name, items, now })
+  })))
+  return {
+    apiVersion: 'v1',
+    kind: 'List',
+    items: _.flatten(results)
+  }
+}
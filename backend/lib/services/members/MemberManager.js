@@ -16,6 +16,9 @@ const { findProjectByNamespace } = require('../../cache')
 const Member = require('./Member')
 const SubjectListItem = require('./SubjectListItem')
 const SubjectList = require('./SubjectList')
+const { isAssignableRole } = require('./roles')
+
+const SERVICEACCOUNTS_ROLE_NAME = 'gardener.cloud:system:dashboard-project-serviceaccounts'
 
 class MemberManager {
   constructor (client, userId, project, serviceAccounts) {
@@ -23,7 +26,10 @@ class MemberManager {
     this.userId = userId
     this.namespace = project.spec.namespace
     this.projectName = project.metadata.name
+    this.resourceVersion = project.metadata.resourceVersion
     this.subjectList = new SubjectList(project, serviceAccounts)
+    this.expirations = this.subjectList.expirations
+    this.rotations = this.subjectList.rotations
   }
 
   list () {
@@ -45,7 +51,7 @@ class MemberManager {
     return item.member
   }
 
-  async create (id, { roles, description }) {
+  async create (id, { roles, description, expirationTimestamp, rotationPeriodDays }) {
     let item = this.subjectList.get(id)
     if (item) {
       throw new Conflict(`${item.kind} '${id}' already exists`)
@@ -53,12 +59,15 @@ class MemberManager {
     item = SubjectListItem.create(id, SubjectListItem.END_OF_LIST)
 
     this.setItemRoles(item, roles)
+    this.setItemExpirationTimestamp(item, expirationTimestamp)
+    this.setItemRotationPeriodDays(item, rotationPeriodDays)
 
     if (item.kind === 'ServiceAccount') {
       await this.createServiceAccount(item, {
         createdBy: this.userId,
         description
       })
+      await this.ensureServiceAccountRoleBinding(item)
     }
     if (roles.length) {
       this.subjectList.set(id, item)
@@ -67,7 +76,7 @@ class MemberManager {
     return this.subjectList.members
   }
 
-  async update (id, { roles, description }) {
+  async update (id, { roles, description, expirationTimestamp, rotationPeriodDays }) {
     const item = this.subjectList.get(id)
     if (!item) {
       const { kind } = Member.parseUsername(id)
@@ -75,6 +84,8 @@ class MemberManager {
     }
 
     this.setItemRoles(item, roles)
+    this.setItemExpirationTimestamp(item, expirationTimestamp)
+    this.setItemRotationPeriodDays(item, rotationPeriodDays)
 
     if (item.kind === 'ServiceAccount') {
       if (item.extensions?.orphaned) {
@@ -88,6 +99,7 @@ class MemberManager {
       } else {
         await this.updateServiceAccount(item, { description })
       }
+      await this.ensureServiceAccountRoleBinding(item)
     }
     await this.save()
     return this.subjectList.members
@@ -107,6 +119,88 @@ class MemberManager {
     return this.subjectList.members
   }
 
+  /*
+    Adds the imported members to the project. Existing members keep their roles and get the imported roles
+    in addition. The members are only changed if all rows are valid and all changes are saved at once.
+  */
+  async import (rows, { dryRun = false, now = Date.now() } = {}) {
+    const usernames = new Set()
+    const items = _.map(rows, ({ line, username, roles, expirationTimestamp }) => {
+      username = _.toLower(_.trim(username))
+      roles = _.uniq(roles)
+      const errors = this.constructor.validateImportRow({ username, roles, expirationTimestamp }, now)
+      if (usernames.has(username)) {
+        errors.push({ path: 'username', message: `Member ${username} is imported more than once` })
+      }
+      usernames.add(username)
+      const item = { line, username, roles, expirationTimestamp, errors }
+      item.status = _.isEmpty(errors)
+        ? this.getImportStatus(item)
+        : 'Invalid'
+      return item
+    })
+
+    const valid = _.every(items, ({ errors }) => _.isEmpty(errors))
+    if (valid && !dryRun) {
+      let dirty = false
+      for (const item of items) {
+        if (item.status === 'Unchanged') {
+          continue
+        }
+        try {
+          await this.importItem(item)
+          dirty = true
+        } catch (err) {
+          item.status = 'Failure'
+          item.errors.push({ message: err.message })
+        }
+      }
+      if (dirty) {
+        await this.save()
+      }
+    }
+
+    return {
+      apiVersion: 'v1',
+      kind: 'List',
+      valid,
+      dryRun,
+      items
+    }
+  }
+
+  getImportStatus ({ username, roles, expirationTimestamp }) {
+    const item = this.subjectList.get(username)
+    if (!item || !item.active) {
+      return 'Added'
+    }
+    const rolesChanged = !_.isEmpty(_.difference(roles, item.roles))
+    const expirationChanged = !!expirationTimestamp &&
+      Date.parse(expirationTimestamp) !== Date.parse(item.extensions.expirationTimestamp)
+    return rolesChanged || expirationChanged
+      ? 'Updated'
+      : 'Unchanged'
+  }
+
+  async importItem ({ username: id, roles, expirationTimestamp }) {
+    let item = this.subjectList.get(id)
+    if (item) {
+      this.setItemRoles(item, _.union(item.roles, roles))
+    } else {
+      item = SubjectListItem.create(id, SubjectListItem.END_OF_LIST)
+      this.setItemRoles(item, roles)
+      if (item.kind === 'ServiceAccount') {
+        await this.createServiceAccount(item, {
+          createdBy: this.userId
+        })
+      }
+    }
+    if (expirationTimestamp) {
+      this.setItemExpirationTimestamp(item, expirationTimestamp)
+    }
+    this.subjectList.set(id, item)
+  }
+
   async resetServiceAccount (id) {
     const item = this.subjectList.get(id)
     if (!item) {
@@ -186,10 +280,92 @@ class MemberManager {
     item.roles = roles
   }
 
-  save () {
+  setItemExpirationTimestamp (item, expirationTimestamp) {
+    // callers which do not know the expiration timestamp must not remove it, only `null` removes it
+    if (expirationTimestamp === undefined) {
+      return
+    }
+    if (expirationTimestamp === null) {
+      delete item.extensions.expirationTimestamp
+      return
+    }
+    const time = Date.parse(expirationTimestamp)
+    if (isNaN(time)) {
+      throw new UnprocessableEntity('Expiration timestamp must be a valid date')
+    }
+    item.extend({
+      expirationTimestamp: new Date(time).toISOString()
+    })
+  }
+
+  setItemRotationPeriodDays (item, rotationPeriodDays) {
+    // like the expiration timestamp, the rotation period is only removed if it is `null`
+    if (rotationPeriodDays === undefined) {
+      return
+    }
+    if (rotationPeriodDays === null) {
+      delete item.extensions.rotationPeriodDays
+      return
+    }
+    const { kind, namespace } = Member.parseUsername(item.id)
+    if (kind !== 'ServiceAccount' || namespace !== this.namespace) {
+      throw new UnprocessableEntity('Credentials can only be rotated for service accounts of this project')
+    }
+    const days = Number(rotationPeriodDays)
+    if (!Number.isInteger(days) || days < 1) {
+      throw new UnprocessableEntity('Rotation period must be a positive number of days')
+    }
+    item.extend({
+      rotationPeriodDays: days
+    })
+  }
+
+  async rotateDue (now = Date.now()) {
+    const ids = this.subjectList.getDueRotationIds(now)
+    for (const id of ids) {
+      await this.resetServiceAccount(id)
+    }
+    return ids
+  }
+
+  async deleteExpired (now = Date.now()) {
+    const ids = this.subjectList.getExpiredIds(now)
+    if (ids.length) {
+      for (const id of ids) {
+        const item = this.subjectList.get(id)
+        if (item.kind === 'ServiceAccount') {
+          await this.deleteServiceAccount(item)
+        }
+        this.subjectList.delete(id)
+      }
+      // fails with a conflict if the project has been modified since it has been read
+      await this.save({ resourceVersion: this.resourceVersion })
+    }
+    return ids
+  }
+
+  save ({ resourceVersion } = {}) {
     const name = this.projectName
     const members = this.subjectList.subjects
-    return this.client['core.gardener.cloud'].projects.mergePatch(name, { spec: { members } })
+    const body = { spec: { members } }
+    if (resourceVersion) {
+      _.set(body, 'metadata.resourceVersion', resourceVersion)
+    }
+    const annotations = {
+      expirations: SubjectList.EXPIRATIONS_ANNOTATION,
+      rotations: SubjectList.ROTATIONS_ANNOTATION
+    }
+    for (const [key, annotation] of Object.entries(annotations)) {
+      const value = this.subjectList[key]
+      if (!_.isEqual(value, this[key])) {
+        // the annotation is removed if no member has a value
+        _.set(body, ['metadata', 'annotations', annotation], _.isEmpty(value)
+          ? null
+          : JSON.stringify(value))
+        this[key] = value
+      }
+    }
+    return this.client['core.gardener.cloud'].projects.mergePatch(name, body)
   }
 
   async createServiceAccount (item, { createdBy, description }) {
@@ -240,6 +416,41 @@ class MemberManager {
     }
   }
 
+  /*
+    Expired service accounts are deleted and due service accounts are reset by the dashboard in the background.
+    The dashboard is not allowed to manage service accounts cluster-wide, therefore the member who sets the expiration
+    timestamp or the rotation period grants it access to the service accounts of the project namespace.
+  */
+  async ensureServiceAccountRoleBinding (item) {
+    const { namespace } = Member.parseUsername(item.id)
+    const { expirationTimestamp, rotationPeriodDays } = item.extensions
+    if (namespace !== this.namespace || !(expirationTimestamp || rotationPeriodDays) || !config.dashboardUserName) {
+      return
+    }
+    try {
+      await this.client['rbac.authorization.k8s.io'].rolebindings.create(namespace, {
+        metadata: {
+          name: SERVICEACCOUNTS_ROLE_NAME,
+          namespace
+        },
+        roleRef: {
+          apiGroup: 'rbac.authorization.k8s.io',
+          kind: 'ClusterRole',
+          name: SERVICEACCOUNTS_ROLE_NAME
+        },
+        subjects: [{
+          apiGroup: 'rbac.authorization.k8s.io',
+          kind: 'User',
+          name: config.dashboardUserName
+        }]
+      })
+    } catch (err) {
+      if (!isHttpError(err) || err.statusCode !== 409) {
+        throw err
+      }
+    }
+  }
+
   async deleteServiceAccount (item) {
     const { namespace, name } = Member.parseUsername(item.id)
     if (namespace !== this.namespace) {
@@ -290,6 +501,39 @@ class MemberManager {
     })
   }
 
+  static validateImportRow ({ username, roles, expirationTimestamp }, now = Date.now()) {
+    const errors = []
+    if (!username) {
+      errors.push({ path: 'username', message: 'Username is required' })
+    } else if (/\s/.test(username)) {
+      errors.push({ path: 'username', message: 'Username must not contain whitespace' })
+    } else if (_.startsWith(username, 'system:serviceaccount:')) {
+      const { kind, name } = Member.parseUsername(username)
+      if (kind !== 'ServiceAccount') {
+        errors.push({ path: 'username', message: 'Service account usernames must have the format system:serviceaccount:<namespace>:<name>' })
+      } else if (!/^[a-z0-9]([-a-z0-9]*[a-z0-9])?$/.test(name)) {
+        errors.push({ path: 'username', message: 'Service account names must contain only lowercase alphanumeric characters or hyphens' })
+      }
+    }
+    if (_.isEmpty(roles)) {
+      errors.push({ path: 'roles', message: 'At least one role is required' })
+    }
+    for (const role of roles) {
+      if (!isAssignableRole(role)) {
+        errors.push({ path: 'roles', message: `Role ${role} cannot be assigned` })
+      }
+    }
+    if (expirationTimestamp) {
+      const time = Date.parse(expirationTimestamp)
+      if (isNaN(time)) {
+        errors.push({ path: 'expirationTimestamp', message: 'Expiration timestamp must be a valid date' })
+      } else if (time <= now) {
+        errors.push({ path: 'expirationTimestamp', message: 'Expiration timestamp must be in the future' })
+      }
+    }
+    return errors
+  }
+
   static getFulfilledValues (results) {
     const errors = _
       .chain(results)
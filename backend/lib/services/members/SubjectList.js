@@ -10,6 +10,20 @@ const _ = require('lodash')
 
 const SubjectListItem = require('./SubjectListItem')
 
+const EXPIRATIONS_ANNOTATION = 'dashboard.gardener.cloud/member-expirations'
+const ROTATIONS_ANNOTATION = 'dashboard.gardener.cloud/serviceaccount-rotations'
+
+const dayMilliseconds = 24 * 60 * 60 * 1000
+
+function parseAnnotation (project, annotation) {
+  const value = _.get(project, ['metadata', 'annotations', annotation])
+  try {
+    return value ? JSON.parse(value) : {}
+  } catch (err) {
+    return {}
+  }
+}
+
 class SubjectList {
   constructor (project, serviceAccounts) {
     const {
@@ -75,6 +89,20 @@ class SubjectList {
       .forEach(extendItem)
       .assign(serviceAccountItems)
       .value()
+
+    for (const [id, expirationTimestamp] of Object.entries(parseAnnotation(project, EXPIRATIONS_ANNOTATION))) {
+      const item = this.subjectListItems[id]
+      if (item && item.active) {
+        item.extend({ expirationTimestamp })
+      }
+    }
+
+    for (const [id, rotationPeriodDays] of Object.entries(parseAnnotation(project, ROTATIONS_ANNOTATION))) {
+      const item = this.subjectListItems[id]
+      if (item && item.active && item.kind === 'ServiceAccount') {
+        item.extend({ rotationPeriodDays })
+      }
+    }
   }
 
   get subjects () {
@@ -92,6 +120,24 @@ class SubjectList {
       .value()
   }
 
+  get expirations () {
+    return _
+      .chain(this.subjectListItems)
+      .filter(item => item.active && item.extensions.expirationTimestamp)
+      .map(item => [item.id, item.extensions.expirationTimestamp])
+      .fromPairs()
+      .value()
+  }
+
+  get rotations () {
+    return _
+      .chain(this.subjectListItems)
+      .filter(item => item.active && item.extensions.rotationPeriodDays)
+      .map(item => [item.id, item.extensions.rotationPeriodDays])
+      .fromPairs()
+      .value()
+  }
+
   get members () {
     return _.map(this.subjectListItems, 'member')
   }
@@ -111,6 +157,35 @@ class SubjectList {
   has (id) {
     return !!this.subjectListItems[id]
   }
+
+  getExpiredIds (now = Date.now()) {
+    return _
+      .chain(this.expirations)
+      .pickBy(expirationTimestamp => new Date(expirationTimestamp).getTime() <= now)
+      .keys()
+      .value()
+  }
+
+  /*
+    The credentials of a service account are rotated by recreating the service account.
+    Therefore the creation timestamp of the service account is the time of the last rotation.
+  */
+  getDueRotationIds (now = Date.now()) {
+    return _
+      .chain(this.subjectListItems)
+      .filter(({ active, extensions }) => {
+        const { rotationPeriodDays, creationTimestamp, deletionTimestamp, orphaned } = extensions
+        if (!active || !rotationPeriodDays || !creationTimestamp || deletionTimestamp || orphaned) {
+          return false
+        }
+        return new Date(creationTimestamp).getTime() + rotationPeriodDays * dayMilliseconds <= now
+      })
+      .map('id')
+      .value()
+  }
 }
 
+SubjectList.EXPIRATIONS_ANNOTATION = EXPIRATIONS_ANNOTATION
+SubjectList.ROTATIONS_ANNOTATION = ROTATIONS_ANNOTATION
+
 module.exports = SubjectList
@@ -6,7 +6,26 @@
 
 'use strict'
 
+const _ = require('lodash')
+const { isHttpError } = require('http-errors')
+const { dashboardClient } = require('@gardener-dashboard/kube-client')
+const { findProjectByNamespace } = require('../../cache')
 const MemberManager = require('./MemberManager')
+const SubjectList = require('./SubjectList')
+const { parseMembers, dumpMembers } = require('./transfer')
+const { isAssignableRole } = require('./roles')
+
+function toTransferMembers (members) {
+  return _
+    .chain(members)
+    .map(({ username, roles, expirationTimestamp }) => ({
+      username,
+      roles: _.filter(roles, isAssignableRole),
+      expirationTimestamp
+    }))
+    .filter('roles.length')
+    .value()
+}
 
 exports.list = async function ({ user, namespace }) {
   const memberManager = await MemberManager.create(user, namespace)
@@ -37,3 +56,62 @@ exports.resetServiceAccount = async function ({ user, namespace, name }) {
   const memberManager = await MemberManager.create(user, namespace)
   return memberManager.resetServiceAccount(name)
 }
+
+exports.exportMembers = async function ({ user, namespace, format }) {
+  const memberManager = await MemberManager.create(user, namespace)
+  const project = {
+    name: memberManager.projectName,
+    namespace
+  }
+  return dumpMembers(toTransferMembers(memberManager.list()), { project, format })
+}
+
+/*
+  Imports members either from CSV or YAML `content` or from the project of the `sourceNamespace`.
+*/
+exports.importMembers = async function ({ user, namespace, body = {} }) {
+  const { content, format, sourceNamespace, dryRun = false } = body
+  let rows
+  if (sourceNamespace) {
+    const name = findProjectByNamespace(sourceNamespace).metadata.name
+    const sourceProject = await user.client['core.gardener.cloud'].projects.get(name)
+    rows = _.map(toTransferMembers(new SubjectList(sourceProject, []).members), (member, index) => ({
+      line: index + 1,
+      ...member
+    }))
+  } else {
+    rows = parseMembers(content, format)
+  }
+  const memberManager = await MemberManager.create(user, namespace)
+  return memberManager.import(rows, { dryRun })
+}
+
+/*
+  Removes the members of the project whose expiration timestamp has passed. The (privileged) dashboardClient
+  is used because the removal is not triggered by a user. The project is read again and patched with its
+  `resourceVersion` so that members added in the meantime are not removed. Returns the usernames of the removed members.
+*/
+exports.removeExpiredMembers = async function (project, now = Date.now(), { maxAttempts = 3 } = {}) {
+  const name = project.metadata.name
+  for (let attempt = 1; ; attempt++) {
+    const currentProject = await dashboardClient['core.gardener.cloud'].projects.get(name)
+    const memberManager = new MemberManager(dashboardClient, undefined, currentProject, [])
+    try {
+      return await memberManager.deleteExpired(now)
+    } catch (err) {
+      if (!isHttpError(err) || err.statusCode !== 409 || attempt >= maxAttempts) {
+        throw err
+      }
+    }
+  }
+}
+
+/*
+  Resets the service accounts of the project whose rotation period has passed since they have been created.
+  Returns the usernames of the reset service accounts.
+*/
+exports.rotateServiceAccounts = async function (project, now = Date.now()) {
+  const { items: serviceAccounts } = await dashboardClient.core.serviceaccounts.list(project.spec.namespace)
+  const memberManager = new MemberManager(dashboardClient, undefined, project, serviceAccounts)
+  return memberManager.rotateDue(now)
+}
@@ -0,0 +1,53 @@
+//
+// SPDX-FileCopyrightText: 2023 SAP SE or an SAP affiliate company and Gardener contributors
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+
+'use strict'
+
+const _ = require('lodash')
+
+/*
+  The roles of project members. The frontend receives the descriptors with its configuration.
+  The owner role is maintained in the project spec and cannot be assigned by the dashboard.
+*/
+const MEMBER_ROLE_DESCRIPTORS = [
+  {
+    name: 'admin',
+    displayName: 'Admin'
+  },
+  {
+    name: 'viewer',
+    displayName: 'Viewer'
+  },
+  {
+    name: 'uam',
+    displayName: 'UAM'
+  },
+  {
+    name: 'serviceaccountmanager',
+    displayName: 'Service Account Manager'
+  },
+  {
+    name: 'owner',
+    displayName: 'Owner',
+    notEditable: true,
+    tooltip: 'You can change the project owner on the administration page'
+  }
+]
+
+const assignableRoles = _
+  .chain(MEMBER_ROLE_DESCRIPTORS)
+  .reject('notEditable')
+  .map('name')
+  .value()
+
+function isAssignableRole (role) {
+  return _.includes(assignableRoles, role) || _.startsWith(role, 'extension:')
+}
+
+module.exports = {
+  MEMBER_ROLE_DESCRIPTORS,
+  isAssignableRole
+}
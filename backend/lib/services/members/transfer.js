@@ -0,0 +1,144 @@
+//
+// SPDX-FileCopyrightText: 2023 SAP SE or an SAP affiliate company and Gardener contributors
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+
+'use strict'
+
+const _ = require('lodash')
+const yaml = require('js-yaml')
+const { UnprocessableEntity } = require('http-errors')
+
+const apiVersion = 'dashboard.gardener.cloud/v1alpha1'
+const kind = 'MemberExport'
+const csvColumns = ['username', 'roles', 'expirationTimestamp']
+
+const FormatEnum = {
+  CSV: 'csv',
+  YAML: 'yaml'
+}
+
+function splitRoles (value) {
+  return _.compact(_.split(value, /[\s;]+/))
+}
+
+function parseCsvLine (line) {
+  const values = []
+  let value = ''
+  let quoted = false
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i]
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        value += char
+        i++
+      } else if (char === '"') {
+        quoted = false
+      } else {
+        value += char
+      }
+    } else if (char === '"') {
+      quoted = true
+    } else if (char === ',') {
+      values.push(value.trim())
+      value = ''
+    } else {
+      value += char
+    }
+  }
+  values.push(value.trim())
+  return values
+}
+
+function parseCsv (content) {
+  const lines = _.split(content, /\r?\n/)
+  const header = _.map(parseCsvLine(lines[0]), _.camelCase)
+  if (!_.includes(header, 'username')) {
+    throw new UnprocessableEntity('The first line of the CSV content must contain the column names, e.g. username,roles,expirationTimestamp')
+  }
+  const rows = []
+  for (let i = 1; i < lines.length; i++) {
+    if (!lines[i].trim()) {
+      continue
+    }
+    const values = _.zipObject(header, parseCsvLine(lines[i]))
+    rows.push({
+      line: i + 1,
+      username: values.username,
+      roles: splitRoles(values.roles),
+      expirationTimestamp: values.expirationTimestamp || undefined
+    })
+  }
+  return rows
+}
+
+function parseYaml (content) {
+  let data
+  try {
+    data = yaml.load(content)
+  } catch (err) {
+    throw new UnprocessableEntity(`The content is not valid YAML: ${err.message}`)
+  }
+  const members = _.isArray(data) ? data : _.get(data, 'members')
+  if (!_.isArray(members)) {
+    throw new UnprocessableEntity(`The content is neither a list of members nor a ${kind} document`)
+  }
+  return _.map(members, (member, index) => {
+    const { username, roles, expirationTimestamp } = member || {}
+    return {
+      line: index + 1,
+      username,
+      roles: _.isString(roles) ? splitRoles(roles) : _.compact(roles),
+      expirationTimestamp: _.isDate(expirationTimestamp) ? expirationTimestamp.toISOString() : expirationTimestamp
+    }
+  })
+}
+
+/*
+  Returns the rows of a member import. The `line` of a row is the line number for CSV content
+  and the position in the list of members for YAML content.
+*/
+exports.parseMembers = function (content, format = FormatEnum.YAML) {
+  if (!_.isString(content) || !content.trim()) {
+    throw new UnprocessableEntity('The content of the import is required')
+  }
+  switch (format) {
+    case FormatEnum.CSV:
+      return parseCsv(content)
+    case FormatEnum.YAML:
+      return parseYaml(content)
+    default:
+      throw new UnprocessableEntity(`Format ${format} is not supported`)
+  }
+}
+
+function escapeCsvValue (value = '') {
+  return /[",\n]/.test(value)
+    ? `"${value.replace(/"/g, '""')}"`
+    : value
+}
+
+exports.dumpMembers = function (members, { project, format = FormatEnum.YAML } = {}) {
+  switch (format) {
+    case FormatEnum.CSV:
+      return _
+        .chain(members)
+        .map(({ username, roles, expirationTimestamp }) => [username, _.join(roles, ' '), expirationTimestamp])
+        .map(values => _.join(_.map(values, escapeCsvValue), ','))
+        .unshift(_.join(csvColumns, ','))
+        .join('\n')
+        .value() + '\n'
+    case FormatEnum.YAML:
+      return yaml.dump({
+        apiVersion,
+        kind,
+        project,
+        members: _.map(members, member => _.omitBy(_.pick(member, csvColumns), _.isUndefined))
+      })
+    default:
+      throw new UnprocessableEntity(`Format ${format} is not supported`)
+  }
+}
+
+exports.FormatEnum = FormatEnum
@@ -0,0 +1,210 @@
+//
+// SPDX-FileCopyrightText: 2023 SAP SE or an SAP affiliate company and Gardener contributors
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+
+'use strict'
+
+const _ = require('lodash')
+const yaml = require('js-yaml')
+const { UnprocessableEntity } = require('http-errors')
+const { isHttpError } = require('@gardener-dashboard/request')
+const { dashboardClient } = require('@gardener-dashboard/kube-client')
+const { decodeBase64, encodeBase64 } = require('../utils')
+const { isAllowedHost } = require('../notifications/hosts')
+const { isValidAddress } = require('../notifications/smtp')
+
+const secretName = 'notification.targets'
+
+const TargetTypeEnum = Object.freeze({
+  WEBHOOK: 'webhook',
+  SLACK: 'slack',
+  SMTP: 'smtp'
+})
+
+const EventTypeEnum = Object.freeze({
+  UNHEALTHY: 'unhealthy',
+  RECOVERED: 'recovered',
+  LAST_OPERATION_FAILED: 'lastOperationFailed',
+  DELETION_STARTED: 'deletionStarted',
+  CREDENTIAL_ROTATION_PENDING: 'credentialRotationPending'
+})
+
+// targets read with the privileged client are cached to avoid a request per shoot event
+const targetsCache = new Map()
+const targetsCacheTTL = 60_000
+
+function isValidUrl (value) {
+  try {
+    const { protocol } = new URL(value)
+    return protocol === 'https:' || protocol === 'http:'
+  } catch (err) {
+    return false
+  }
+}
+
+function isValidHostname (value) {
+  return _.isString(value) && /^[a-z0-9]([a-z0-9-]*[a-z0-9])?(\.[a-z0-9]([a-z0-9-]*[a-z0-9])?)*$/i.test(value)
+}
+
+function isValidPort (value) {
+  return value === undefined || (Number.isInteger(value) && value > 0 && value < 65536)
+}
+
+function validateTarget (target, index) {
+  const { name, type, url, smtp, events } = target
+  const path = `targets[${index}]`
+  if (!_.isString(name) || !_.trim(name)) {
+    throw new UnprocessableEntity(`Property ${path}.name is required`)
+  }
+  if (!_.includes(Object.values(TargetTypeEnum), type)) {
+    throw new UnprocessableEntity(`Property ${path}.type must be one of ${Object.values(TargetTypeEnum).join(', ')}`)
+  }
+  if (type === TargetTypeEnum.SMTP) {
+    if (!_.get(smtp, 'host') || !_.get(smtp, 'from') || _.isEmpty(_.get(smtp, 'to'))) {
+      throw new UnprocessableEntity(`Properties ${path}.smtp.host, ${path}.smtp.from and ${path}.smtp.to are required`)
+    }
+    if (!isValidHostname(smtp.host) || !isValidPort(smtp.port)) {
+      throw new UnprocessableEntity(`Properties ${path}.smtp.host and ${path}.smtp.port must be a valid host name and port`)
+    }
+    if (!isAllowedHost(smtp.host)) {
+      throw new UnprocessableEntity(`Property ${path}.smtp.host is not allowed`)
+    }
+    if (!isValidAddress(smtp.from) || !_.every([].concat(smtp.to), isValidAddress)) {
+      throw new UnprocessableEntity(`Properties ${path}.smtp.from and ${path}.smtp.to must be valid email addresses`)
+    }
+  } else if (!isValidUrl(url)) {
+    throw new UnprocessableEntity(`Property ${path}.url must be a valid http or https URL`)
+  } else if (!isAllowedHost(new URL(url).hostname)) {
+    throw new UnprocessableEntity(`Property ${path}.url is not allowed`)
+  }
+  const unknownEvents = _.difference(events, Object.values(EventTypeEnum))
+  if (!_.isArray(events) || _.isEmpty(events) || unknownEvents.length) {
+    throw new UnprocessableEntity(`Property ${path}.events must be a non-empty list of ${Object.values(EventTypeEnum).join(', ')}`)
+  }
+}
+
+function pickTargetValues (target) {
+  return _.pick(target, [
+    'name',
+    'type',
+    'url',
+    'smtp.host',
+    'smtp.port',
+    'smtp.secure',
+    'smtp.username',
+    'smtp.password',
+    'smtp.from',
+    'smtp.to',
+    'events'
+  ])
+}
+
+function fromTargetsSecretResource (secret) {
+  const targetsBase64 = _.get(secret, 'data.targets')
+  if (!targetsBase64) {
+    return []
+  }
+  return _
+    .chain(yaml.load(decodeBase64(targetsBase64)))
+    .map(pickTargetValues)
+    .filter(target => !_.isEmpty(target))
+    .value()
+}
+exports.fromTargetsSecretResource = fromTargetsSecretResource // for unit tests
+
+// the smtp password is never returned, it is kept if a target with the same name and username is replaced without password
+function redactPassword (target) {
+  return _.omit(target, ['smtp.password'])
+}
+
+function keepPassword (target, currentTargets) {
+  const username = _.get(target, 'smtp.username')
+  if (!username || _.get(target, 'smtp.password')) {
+    return target
+  }
+  const currentTarget = _.find(currentTargets, ['name', target.name])
+  if (_.get(currentTarget, 'smtp.username') !== username || !_.get(currentTarget, 'smtp.password')) {
+    return target
+  }
+  return _.set(_.cloneDeep(target), 'smtp.password', currentTarget.smtp.password)
+}
+
+function toTargetsSecretResource (namespace, targets) {
+  return {
+    apiVersion: 'v1',
+    kind: 'Secret',
+    metadata: {
+      name: secretName,
+      namespace,
+      labels: {
+        'dashboard.gardener.cloud/notification-targets': 'true'
+      }
+    },
+    type: 'Opaque',
+    data: {
+      targets: encodeBase64(yaml.dump(targets))
+    }
+  }
+}
+
+async function readTargetsSecret (client, namespace) {
+  try {
+    return await client.core.secrets.get(namespace, secretName)
+  } catch (err) {
+    if (isHttpError(err, 404)) {
+      return
+    }
+    throw err
+  }
+}
+
+exports.list = async function ({ user, namespace }) {
+  const secret = await readTargetsSecret(user.client, namespace)
+  return _.map(fromTargetsSecretResource(secret), redactPassword)
+}
+
+exports.replace = async function ({ user, namespace, body }) {
+  const client = user.client
+  const targets = _.map(_.get(body, 'targets'), pickTargetValues)
+  _.forEach(targets, validateTarget)
+  const duplicateNames = _
+    .chain(targets)
+    .countBy('name')
+    .pickBy(count => count > 1)
+    .keys()
+    .value()
+  if (duplicateNames.length) {
+    throw new UnprocessableEntity(`Target names must be unique: ${duplicateNames.join(', ')}`)
+  }
+  const secret = await readTargetsSecret(client, namespace)
+  const currentTargets = fromTargetsSecretResource(secret)
+  const resource = toTargetsSecretResource(namespace, _.map(targets, target => keepPassword(target, currentTargets)))
+  if (secret) {
+    await client.core.secrets.mergePatch(namespace, secretName, { data: resource.data })
+  } else {
+    await client.core.secrets.create(namespace, resource)
+  }
+  targetsCache.delete(namespace)
+  return _.map(targets, redactPassword)
+}
+
+exports.getTargetsForNamespace = async function (namespace) {
+  const now = Date.now()
+  const entry = targetsCache.get(namespace)
+  if (entry && entry.expires > now) {
+    return entry.targets
+  }
+  const secret = await readTargetsSecret(dashboardClient, namespace)
+  const targets = fromTargetsSecretResource(secret)
+  targetsCache.set(namespace, { targets, expires: now + targetsCacheTTL })
+  return targets
+}
+
+exports.clearTargetsCache = function () {
+  targetsCache.clear()
+}
+
+exports.TargetTypeEnum = TargetTypeEnum
+exports.EventTypeEnum = EventTypeEnum
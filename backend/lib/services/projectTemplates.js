@@ -0,0 +1,236 @@
+//
+// SPDX-FileCopyrightText: 2023 SAP SE or an SAP affiliate company and Gardener contributors
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+
+'use strict'
+
+const { createHmac, timingSafeEqual } = require('crypto')
+const _ = require('lodash')
+const yaml = require('js-yaml')
+const { UnprocessableEntity, isHttpError } = require('http-errors')
+const { dashboardClient, Resources } = require('@gardener-dashboard/kube-client')
+const config = require('../config')
+const logger = require('../logger')
+const MemberManager = require('./members/MemberManager')
+const { encodeBase64 } = require('../utils')
+
+const costObjectAnnotation = 'billing.gardener.cloud/costObject'
+// the template of a project is stored in this annotation until it has been applied
+const TEMPLATE_ANNOTATION = 'dashboard.gardener.cloud/project-template'
+// only templates which have been signed by the dashboard when it created the project are applied
+const SIGNATURE_ANNOTATION = 'dashboard.gardener.cloud/project-template-signature'
+
+// the templates are not part of the frontend configuration because they contain usernames and secret references
+function getTemplates () {
+  return _.get(config, 'projectTemplates', [])
+}
+
+/*
+  Returns the properties of the templates which are shown in the create project dialog.
+  Members, terminal shortcuts and secret bindings are only counted.
+*/
+exports.list = async function () {
+  return _.map(getTemplates(), ({ name, description, purpose, costObject, labels, members, terminalShortcuts, secretBindings }) => ({
+    name,
+    description,
+    purpose,
+    costObject,
+    labels,
+    membersCount: _.size(members),
+    terminalShortcutsCount: _.size(terminalShortcuts),
+    secretBindingsCount: _.size(secretBindings)
+  }))
+}
+
+exports.getTemplate = function (name) {
+  const template = _.find(getTemplates(), ['name', name])
+  if (!template) {
+    throw new UnprocessableEntity(`Project template ${name} does not exist`)
+  }
+  return template
+}
+
+function patchMetadata (project, { labels, costObject }) {
+  const metadata = {}
+  if (!_.isEmpty(labels)) {
+    metadata.labels = labels
+  }
+  // a cost object entered by the user takes precedence
+  if (costObject && !_.get(project, ['metadata', 'annotations', costObjectAnnotation])) {
+    metadata.annotations = {
+      [costObjectAnnotation]: costObject
+    }
+  }
+  if (_.isEmpty(metadata)) {
+    return project
+  }
+  return dashboardClient['core.gardener.cloud'].projects.mergePatch(project.metadata.name, { metadata })
+}
+
+async function addMembers (project, members, userId) {
+  const rows = _.map(members, ({ username, roles }, index) => ({
+    line: index + 1,
+    username,
+    roles: _.compact(_.castArray(roles))
+  }))
+  const memberManager = new MemberManager(dashboardClient, userId, project, [])
+  const { valid, items } = await memberManager.import(rows)
+  if (!valid) {
+    const messages = _
+      .chain(items)
+      .flatMap(({ username, errors }) => _.map(errors, ({ message }) => `${username}: ${message}`))
+      .join(', ')
+      .value()
+    throw new UnprocessableEntity(`The members are invalid (${messages})`)
+  }
+}
+
+function ignoreConflict (err) {
+  // the resource has been created by a previous attempt or by the members of the project
+  if (!isHttpError(err) || err.statusCode !== 409) {
+    throw err
+  }
+}
+
+/*
+  Creates the terminal shortcuts of the template with the client of the project creator. The dashboard itself
+  is not allowed to create secrets in the project namespaces.
+*/
+exports.createTerminalShortcuts = async function (client, project, { terminalShortcuts: shortcuts }) {
+  if (_.isEmpty(shortcuts)) {
+    return
+  }
+  const namespace = project.spec.namespace
+  const { apiVersion, kind } = Resources.Secret
+  return client.core.secrets.create(namespace, {
+    apiVersion,
+    kind,
+    metadata: {
+      name: 'terminal.shortcuts',
+      namespace
+    },
+    type: 'Opaque',
+    data: {
+      shortcuts: encodeBase64(yaml.dump(shortcuts))
+    }
+  }).catch(ignoreConflict)
+}
+
+async function createSecretBindings (namespace, secretBindings) {
+  const { apiVersion, kind } = Resources.SecretBinding
+  for (const { name, secretRef, provider, quotas } of secretBindings) {
+    const secretBinding = {
+      apiVersion,
+      kind,
+      metadata: {
+        name,
+        namespace
+      },
+      secretRef,
+      provider
+    }
+    if (!_.isEmpty(quotas)) {
+      secretBinding.quotas = quotas
+    }
+    await dashboardClient['core.gardener.cloud'].secretbindings.create(namespace, secretBinding).catch(ignoreConflict)
+  }
+}
+
+exports.getTemplateName = function (project) {
+  return _.get(project, ['metadata', 'annotations', TEMPLATE_ANNOTATION])
+}
+
+// the uid binds the signature to the project, it is not reused if a project with the same name is created again
+function sign ({ metadata: { uid } }, templateName) {
+  return createHmac('sha256', config.sessionSecret)
+    .update(`${uid}:${templateName}`)
+    .digest('hex')
+}
+
+function isSigned (project) {
+  const templateName = exports.getTemplateName(project)
+  const signature = _.get(project, ['metadata', 'annotations', SIGNATURE_ANNOTATION], '')
+  const expectedSignature = sign(project, templateName)
+  return signature.length === expectedSignature.length &&
+    timingSafeEqual(Buffer.from(signature), Buffer.from(expectedSignature))
+}
+
+/*
+  Records the template of a project which has just been created by the dashboard. The annotations are
+  patched with the dashboardClient, template annotations which are added to a project later are ignored.
+*/
+exports.assign = function (project, templateName) {
+  return dashboardClient['core.gardener.cloud'].projects.mergePatch(project.metadata.name, {
+    metadata: {
+      annotations: {
+        [TEMPLATE_ANNOTATION]: templateName,
+        [SIGNATURE_ANNOTATION]: sign(project, templateName)
+      }
+    }
+  })
+}
+
+/*
+  Returns `true` if the template of the project has been recorded by the dashboard, has not been applied yet
+  and the project namespace exists.
+*/
+exports.isPending = function (project) {
+  return !!exports.getTemplateName(project) && _.get(project, 'status.phase') === 'Ready' && isSigned(project)
+}
+
+function removeTemplateAnnotation (project) {
+  return dashboardClient['core.gardener.cloud'].projects.mergePatch(project.metadata.name, {
+    metadata: {
+      annotations: {
+        [TEMPLATE_ANNOTATION]: null,
+        [SIGNATURE_ANNOTATION]: null
+      }
+    }
+  })
+}
+
+/*
+  Applies the template of a project in phase Ready. The (privileged) dashboardClient is used because
+  the template is applied in the background and may reference secrets the creator is not allowed to read.
+  It requires the verbs `patch` on projects and `create` on secret bindings. The terminal shortcuts are
+  created by `projects.create` with the client of the creator.
+  All parts of the template are applied even if one of them fails. The template annotation is only removed
+  if all parts have been applied, otherwise the template is applied again on the next attempt.
+*/
+exports.apply = async function (project) {
+  const templateName = exports.getTemplateName(project)
+  const template = _.find(getTemplates(), ['name', templateName])
+  if (!template) {
+    logger.warn('Project template %s of project %s does not exist', templateName, project.metadata.name)
+    return removeTemplateAnnotation(project)
+  }
+  const namespace = project.spec.namespace
+  const userId = _.get(project, 'spec.createdBy.name')
+  const { labels, costObject, members, secretBindings } = template
+  const steps = [
+    ['labels and annotations', async () => {
+      project = await patchMetadata(project, { labels, costObject })
+    }],
+    ['members', !_.isEmpty(members) && (() => addMembers(project, members, userId))],
+    ['secret bindings', !_.isEmpty(secretBindings) && (() => createSecretBindings(namespace, secretBindings))]
+  ]
+  const failures = []
+  for (const [title, fn] of steps) {
+    if (!fn) {
+      continue
+    }
+    try {
+      await fn()
+    } catch (err) {
+      failures.push(`${title}: ${err.message}`)
+    }
+  }
+  if (failures.length) {
+    throw new Error(`Template ${template.name} could not be applied completely to project ${project.metadata.name} (${failures.join('; ')})`)
+  }
+  return removeTemplateAnnotation(project)
+}
+
+exports.TEMPLATE_ANNOTATION = TEMPLATE_ANNOTATION
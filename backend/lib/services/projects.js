@@ -15,8 +15,10 @@ const {
 const { PreconditionFailed, InternalServerError } = require('http-errors')
 const shoots = require('./shoots')
 const authorization = require('./authorization')
+const projectTemplates = require('./projectTemplates')
 const { projectFilter } = require('../utils')
 const cache = require('../cache')
+const logger = require('../logger')
 const PROJECT_INITIALIZATION_TIMEOUT = 30 * 1000
 
 function fromResource ({ metadata, spec = {}, status = {} }) {
@@ -45,6 +47,7 @@ function fromResource ({ metadata, spec = {}, status = {} }) {
     }
   }
 }
+exports.fromResource = fromResource
 
 function toResource ({ metadata, data = {} }) {
   const { apiVersion, kind } = Resources.Project
@@ -130,9 +133,17 @@ exports.create = async function ({ user, body }) {
   const client = user.client
 
   const name = _.get(body, 'metadata.name')
+  const templateName = _.get(body, 'template')
+  const template = templateName
+    ? projectTemplates.getTemplate(templateName)
+    : undefined
   _.set(body, 'metadata.namespace', `garden-${name}`)
   _.set(body, 'data.createdBy', user.id)
   let project = await client['core.gardener.cloud'].projects.create(toResource(body))
+  if (template) {
+    // the template is applied by the projects watch as soon as the project is ready
+    await projectTemplates.assign(project, template.name)
+  }
 
   const isProjectReady = ({ type, object: project }) => {
     if (type === 'DELETE') {
@@ -145,6 +156,13 @@ exports.create = async function ({ user, body }) {
   const asyncIterable = await dashboardClient['core.gardener.cloud'].projects.watch(name)
   project = await asyncIterable.until(isProjectReady, { timeout })
 
+  if (template) {
+    try {
+      await projectTemplates.createTerminalShortcuts(client, project, template)
+    } catch (err) {
+      logger.error('Failed to create the terminal shortcuts of project template %s for project %s: %s', template.name, name, err.message)
+    }
+  }
   return fromResource(project)
 }
 // needs to be exported for testing
@@ -33,6 +33,7 @@ function fromResource (seed) {
 
   return { metadata, data }
 }
+exports.fromResource = fromResource
 
 exports.list = async function ({ user }) {
   const allowed = await authorization.canListSeeds(user)
@@ -0,0 +1,161 @@
+//
+// SPDX-FileCopyrightText: 2023 SAP SE or an SAP affiliate company and Gardener contributors
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+
+'use strict'
+
+const _ = require('lodash')
+const yaml = require('js-yaml')
+const { NotFound, UnprocessableEntity } = require('http-errors')
+const { isHttpError } = require('@gardener-dashboard/request')
+
+// templates do not contain secrets, therefore they are stored in a config map
+const configMapName = 'shoot.templates'
+
+const templateNameRegex = /^[a-z0-9]([-a-z0-9]*[a-z0-9])?$/
+
+// shoot spec properties that reference secrets or are specific to a single cluster
+const omittedSpecPaths = [
+  'secretBindingName',
+  'seedName',
+  'dns',
+  'resources',
+  // e.g. the ids of existing networks of the infrastructure
+  'provider.infrastructureConfig'
+]
+
+function toTemplateSpec (spec) {
+  const templateSpec = _.omit(spec, omittedSpecPaths)
+  if (_.isArray(templateSpec.extensions)) {
+    // the provider configuration of an extension may reference resources of the cluster as well
+    templateSpec.extensions = _.map(templateSpec.extensions, extension => _.omit(extension, ['providerConfig']))
+  }
+  return templateSpec
+}
+exports.toTemplateSpec = toTemplateSpec // for unit tests
+
+function validateTemplate ({ name, description, spec }) {
+  if (!_.isString(name) || !templateNameRegex.test(name) || name.length > 63) {
+    throw new UnprocessableEntity('Property name must be a lowercase RFC 1123 label')
+  }
+  if (!_.isUndefined(description) && !_.isString(description)) {
+    throw new UnprocessableEntity('Property description must be a string')
+  }
+  if (!_.isPlainObject(spec) || _.isEmpty(spec)) {
+    throw new UnprocessableEntity('Property spec must be a non-empty object')
+  }
+}
+
+function pickTemplateValues (template) {
+  return _.pick(template, [
+    'name',
+    'description',
+    'spec',
+    'createdBy',
+    'creationTimestamp'
+  ])
+}
+
+function fromTemplatesConfigMap (configMap) {
+  const templates = _.get(configMap, 'data.templates')
+  if (!templates) {
+    return []
+  }
+  return _
+    .chain(yaml.load(templates))
+    .map(pickTemplateValues)
+    .filter('name')
+    .value()
+}
+
+function toTemplatesConfigMap (namespace, templates) {
+  return {
+    apiVersion: 'v1',
+    kind: 'ConfigMap',
+    metadata: {
+      name: configMapName,
+      namespace,
+      labels: {
+        'dashboard.gardener.cloud/shoot-templates': 'true'
+      }
+    },
+    data: {
+      templates: yaml.dump(templates)
+    }
+  }
+}
+
+async function readTemplatesConfigMap (client, namespace) {
+  try {
+    return await client.core.configmaps.get(namespace, configMapName)
+  } catch (err) {
+    if (isHttpError(err, 404)) {
+      return
+    }
+    throw err
+  }
+}
+
+/*
+  The templates are written with the resource version they have been read with. If another user has
+  modified the templates in the meantime, the request fails with a conflict instead of overwriting them.
+*/
+async function writeTemplatesConfigMap (client, namespace, configMap, templates) {
+  const resource = toTemplatesConfigMap(namespace, templates)
+  if (configMap) {
+    await client.core.configmaps.mergePatch(namespace, configMapName, {
+      metadata: {
+        resourceVersion: configMap.metadata.resourceVersion
+      },
+      data: resource.data
+    })
+  } else {
+    await client.core.configmaps.create(namespace, resource)
+  }
+}
+
+exports.list = async function ({ user, namespace }) {
+  const configMap = await readTemplatesConfigMap(user.client, namespace)
+  return fromTemplatesConfigMap(configMap)
+}
+
+exports.replace = async function ({ user, namespace, name, body }) {
+  const client = user.client
+  const template = {
+    name,
+    description: _.get(body, 'description'),
+    spec: toTemplateSpec(_.get(body, 'spec'))
+  }
+  validateTemplate(template)
+  const configMap = await readTemplatesConfigMap(client, namespace)
+  const templates = fromTemplatesConfigMap(configMap)
+  const index = _.findIndex(templates, ['name', name])
+  if (index !== -1) {
+    templates[index] = {
+      ...templates[index],
+      ..._.omitBy(template, _.isUndefined)
+    }
+  } else {
+    templates.push(_.omitBy({
+      ...template,
+      createdBy: user.id,
+      creationTimestamp: new Date().toISOString()
+    }, _.isUndefined))
+  }
+  await writeTemplatesConfigMap(client, namespace, configMap, templates)
+  return _.find(templates, ['name', name])
+}
+
+exports.remove = async function ({ user, namespace, name }) {
+  const client = user.client
+  const configMap = await readTemplatesConfigMap(client, namespace)
+  const templates = fromTemplatesConfigMap(configMap)
+  const template = _.find(templates, ['name', name])
+  if (!template) {
+    throw new NotFound(`Shoot template ${name} not found`)
+  }
+  await writeTemplatesConfigMap(client, namespace, configMap, _.without(templates, template))
+  return template
+}
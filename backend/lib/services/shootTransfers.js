@@ -0,0 +1,190 @@
+//
+// SPDX-FileCopyrightText: 2023 SAP SE or an SAP affiliate company and Gardener contributors
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+
+'use strict'
+
+const _ = require('lodash')
+const yaml = require('js-yaml')
+const pLimit = require('p-limit')
+const { UnprocessableEntity, NotFound } = require('http-errors')
+const { isUserMetadataKey } = require('@gardener-dashboard/shoot-utils')
+const shoots = require('./shoots')
+const cloudProviderSecrets = require('./cloudProviderSecrets')
+const { findProjectByNamespace } = require('../cache')
+const logger = require('../logger')
+
+const apiVersion = 'dashboard.gardener.cloud/v1alpha1'
+const kind = 'ShootExport'
+
+function toExportedShoot ({ metadata, spec }) {
+  return {
+    metadata: _.omitBy({
+      name: metadata.name,
+      labels: _.pickBy(metadata.labels, (value, key) => isUserMetadataKey(key)),
+      annotations: _.pickBy(metadata.annotations, (value, key) => isUserMetadataKey(key))
+    }, _.isEmpty),
+    // dns providers and resources reference secrets of the exported project, the domain belongs to the exported shoot
+    spec: _.omit(spec, ['seedName', 'dns', 'resources'])
+  }
+}
+
+function toSecretBindingReference ({ metadata }) {
+  return _.omitBy({
+    name: metadata.name,
+    cloudProfileName: metadata.cloudProfileName,
+    cloudProviderKind: metadata.cloudProviderKind,
+    secretRef: metadata.secretRef
+  }, _.isUndefined)
+}
+
+exports.exportShoots = async function ({ user, namespace, body = {} }) {
+  const names = _.uniq(body.names)
+  if (_.isEmpty(names)) {
+    throw new UnprocessableEntity('The names of the shoots to export are required')
+  }
+  const client = user.client
+  const [{ items = [] }, secrets] = await Promise.all([
+    client['core.gardener.cloud'].shoots.list(namespace),
+    cloudProviderSecrets.list({ user, namespace })
+  ])
+  const shootItems = _.map(names, name => {
+    const shoot = _.find(items, ['metadata.name', name])
+    if (!shoot) {
+      throw new NotFound(`Shoot ${namespace}/${name} not found`)
+    }
+    return shoot
+  })
+  const secretBindingNames = _.uniq(_.map(shootItems, 'spec.secretBindingName'))
+  const project = findProjectByNamespace(namespace)
+
+  return {
+    apiVersion,
+    kind,
+    metadata: {
+      creationTimestamp: new Date().toISOString(),
+      createdBy: user.id
+    },
+    project: _.omitBy({
+      name: project.metadata.name,
+      namespace,
+      description: project.spec.description,
+      purpose: project.spec.purpose
+    }, _.isUndefined),
+    secretBindings: _
+      .chain(secrets)
+      .filter(({ metadata }) => _.includes(secretBindingNames, metadata.name))
+      .map(toSecretBindingReference)
+      .value(),
+    shoots: _.map(shootItems, toExportedShoot)
+  }
+}
+
+exports.dumpExport = function (document) {
+  return yaml.dump(document, { skipInvalid: true })
+}
+
+function parseExport (document) {
+  let data = document
+  if (typeof document === 'string') {
+    try {
+      data = yaml.load(document)
+    } catch (err) {
+      throw new UnprocessableEntity(`The export document is not valid YAML: ${err.message}`)
+    }
+  }
+  if (_.get(data, 'kind') !== kind || !_.isArray(data.shoots)) {
+    throw new UnprocessableEntity(`The document is not a ${kind} document`)
+  }
+  return data
+}
+
+function checkSecretBinding (spec, secrets, namespace) {
+  const { secretBindingName, cloudProfileName } = spec
+  const secret = _.find(secrets, ['metadata.name', secretBindingName])
+  if (!secret) {
+    return [{ path: 'spec.secretBindingName', message: `Secret binding ${secretBindingName} does not exist in namespace ${namespace}` }]
+  }
+  if (secret.metadata.cloudProfileName !== cloudProfileName) {
+    return [{ path: 'spec.secretBindingName', message: `Secret binding ${secretBindingName} cannot be used with cloud profile ${cloudProfileName}` }]
+  }
+  return []
+}
+
+/*
+  Imports the shoots of an export document into the project of the given namespace. Names and secret bindings
+  can be remapped. The shoots are only created if all of them are valid, otherwise nothing is changed.
+*/
+exports.importShoots = async function ({ user, namespace, body = {} }) {
+  const {
+    document,
+    names: nameMapping = {},
+    secretBindings: secretBindingMapping = {},
+    dryRun = false
+  } = body
+  const data = parseExport(document)
+  const secrets = await cloudProviderSecrets.list({ user, namespace })
+
+  const limit = pLimit(5)
+  const importedNames = new Set()
+  const items = await Promise.all(_.map(data.shoots, ({ metadata = {}, spec = {} }) => {
+    const sourceName = metadata.name
+    const name = nameMapping[sourceName] || sourceName
+    const secretBindingName = secretBindingMapping[spec.secretBindingName] || spec.secretBindingName
+    const shoot = {
+      metadata: {
+        name,
+        namespace,
+        labels: metadata.labels,
+        annotations: metadata.annotations
+      },
+      spec: {
+        ..._.omit(spec, ['seedName']),
+        secretBindingName
+      }
+    }
+    const errors = []
+    if (importedNames.has(name)) {
+      errors.push({ path: 'metadata.name', message: `Shoot ${name} is imported more than once` })
+    }
+    importedNames.add(name)
+    errors.push(...checkSecretBinding(shoot.spec, secrets, namespace))
+    return limit(async () => {
+      // the dry-run also checks the cloud profile and that the name is not used yet
+      const { errors: validationErrors } = await shoots.validate({ user, namespace, body: shoot })
+      errors.push(...validationErrors)
+      return { sourceName, name, shoot, errors }
+    })
+  }))
+
+  const valid = _.every(items, ({ errors }) => _.isEmpty(errors))
+  if (valid && !dryRun) {
+    await Promise.all(_.map(items, item => limit(async () => {
+      try {
+        await shoots.create({ user, namespace, body: item.shoot })
+        item.created = true
+      } catch (err) {
+        logger.info('Import of shoot %s/%s failed: %s', namespace, item.name, err.message)
+        item.errors.push({ message: err.message })
+      }
+    })))
+  }
+
+  return {
+    apiVersion: 'v1',
+    kind: 'List',
+    valid,
+    dryRun,
+    items: _.map(items, ({ sourceName, name, errors, created }) => {
+      let status = 'Valid'
+      if (created) {
+        status = 'Created'
+      } else if (!_.isEmpty(errors)) {
+        status = valid ? 'Failure' : 'Invalid'
+      }
+      return { sourceName, name, status, errors }
+    })
+  }
+}
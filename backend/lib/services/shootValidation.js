@@ -0,0 +1,179 @@
+//
+// SPDX-FileCopyrightText: 2023 SAP SE or an SAP affiliate company and Gardener contributors
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+
+'use strict'
+
+const _ = require('lodash')
+
+const quantityMultipliers = {
+  '': 1,
+  k: 1e3,
+  M: 1e6,
+  G: 1e9,
+  T: 1e12,
+  Ki: 2 ** 10,
+  Mi: 2 ** 20,
+  Gi: 2 ** 30,
+  Ti: 2 ** 40
+}
+
+function parseQuantity (value) {
+  const [, number, suffix] = /^(\d+(?:\.\d+)?)(k|M|G|T|Ki|Mi|Gi|Ti)?$/.exec(_.toString(value)) || []
+  if (!number) {
+    return NaN
+  }
+  return Number(number) * quantityMultipliers[suffix || '']
+}
+exports.parseQuantity = parseQuantity
+
+function isExpired ({ expirationDate } = {}, now) {
+  return !!expirationDate && new Date(expirationDate) < now
+}
+
+function validateKubernetesVersion (spec, cloudProfile, { oldSpec, now }) {
+  const version = _.get(spec, 'kubernetes.version')
+  if (!version || version === _.get(oldSpec, 'kubernetes.version')) {
+    return []
+  }
+  const path = 'spec.kubernetes.version'
+  const item = _.find(_.get(cloudProfile, 'spec.kubernetes.versions'), ['version', version])
+  if (!item) {
+    return [{ path, message: `Kubernetes version ${version} is not offered by cloud profile ${cloudProfile.metadata.name}` }]
+  }
+  if (isExpired(item, now)) {
+    return [{ path, message: `Kubernetes version ${version} has expired` }]
+  }
+  return []
+}
+
+function validateWorker (worker, index, { cloudProfile, regionName, region, oldWorker, now }) {
+  const errors = []
+  const path = `spec.provider.workers[${index}]`
+  const machineTypes = _.get(cloudProfile, 'spec.machineTypes', [])
+  const volumeTypes = _.get(cloudProfile, 'spec.volumeTypes', [])
+  const machineImages = _.get(cloudProfile, 'spec.machineImages', [])
+
+  const machineTypeName = _.get(worker, 'machine.type')
+  const machineType = _.find(machineTypes, ['name', machineTypeName])
+  const machineTypeChanged = machineTypeName !== _.get(oldWorker, 'machine.type')
+  if (machineTypeChanged) {
+    if (!machineType) {
+      errors.push({ path: `${path}.machine.type`, message: `Machine type ${machineTypeName} is not offered by cloud profile ${cloudProfile.metadata.name}` })
+    } else if (machineType.usable === false) {
+      errors.push({ path: `${path}.machine.type`, message: `Machine type ${machineTypeName} is not usable` })
+    }
+  }
+
+  const image = _.get(worker, 'machine.image')
+  if (image && !_.isEqual(image, _.get(oldWorker, 'machine.image'))) {
+    const machineImage = _.find(machineImages, ['name', image.name])
+    const versionItem = _.find(_.get(machineImage, 'versions'), ['version', image.version])
+    if (!machineImage) {
+      errors.push({ path: `${path}.machine.image.name`, message: `Machine image ${image.name} is not offered by cloud profile ${cloudProfile.metadata.name}` })
+    } else if (image.version && !versionItem) {
+      errors.push({ path: `${path}.machine.image.version`, message: `Version ${image.version} of machine image ${image.name} is not offered` })
+    } else if (isExpired(versionItem, now)) {
+      errors.push({ path: `${path}.machine.image.version`, message: `Version ${image.version} of machine image ${image.name} has expired` })
+    }
+  }
+
+  const volume = _.get(worker, 'volume')
+  const volumeTypeChanged = _.get(volume, 'type') !== _.get(oldWorker, 'volume.type')
+  if (volume && (machineTypeChanged || !_.isEqual(volume, _.get(oldWorker, 'volume')))) {
+    const volumeType = volume.type
+      ? _.find(volumeTypes, ['name', volume.type])
+      : undefined
+    if (volume.type && !volumeType && volumeTypeChanged) {
+      errors.push({ path: `${path}.volume.type`, message: `Volume type ${volume.type} is not offered by cloud profile ${cloudProfile.metadata.name}` })
+    }
+    const minSize = _.get(volumeType, 'minSize', _.get(machineType, 'storage.minSize'))
+    if (volume.size && minSize && parseQuantity(volume.size) < parseQuantity(minSize)) {
+      errors.push({ path: `${path}.volume.size`, message: `Volume size must be at least ${minSize}` })
+    }
+  }
+
+  // a zone is only checked if it has been added or the machine or volume type of the worker has changed
+  const regionZones = _.get(region, 'zones', [])
+  const oldZones = _.get(oldWorker, 'zones', [])
+  _.forEach(worker.zones, (zoneName, zoneIndex) => {
+    if (_.includes(oldZones, zoneName) && !machineTypeChanged && !volumeTypeChanged) {
+      return
+    }
+    const zone = _.find(regionZones, ['name', zoneName])
+    if (!zone) {
+      errors.push({ path: `${path}.zones[${zoneIndex}]`, message: `Zone ${zoneName} is not available in region ${regionName}` })
+    } else if (_.includes(zone.unavailableMachineTypes, machineTypeName)) {
+      errors.push({ path: `${path}.zones[${zoneIndex}]`, message: `Machine type ${machineTypeName} is not available in zone ${zoneName}` })
+    } else if (volume && _.includes(zone.unavailableVolumeTypes, volume.type)) {
+      errors.push({ path: `${path}.zones[${zoneIndex}]`, message: `Volume type ${volume.type} is not available in zone ${zoneName}` })
+    }
+  })
+
+  if (_.isNumber(worker.minimum) && _.isNumber(worker.maximum) && worker.minimum > worker.maximum) {
+    errors.push({ path: `${path}.maximum`, message: 'Maximum must not be lower than minimum' })
+  }
+  return errors
+}
+
+/*
+  Checks the shoot against the offerings of its cloud profile. For updates only changed values are checked,
+  e.g. an expired kubernetes version or a machine type which is no longer offered must not block unrelated
+  changes of an existing cluster.
+*/
+function validateAgainstCloudProfile (shoot, cloudProfiles, { oldShoot, now = new Date() } = {}) {
+  const spec = _.get(shoot, 'spec', {})
+  const oldSpec = _.get(oldShoot, 'spec')
+  const cloudProfileName = spec.cloudProfileName
+  const cloudProfile = _.find(cloudProfiles, ['metadata.name', cloudProfileName])
+  if (!cloudProfile) {
+    return [{ path: 'spec.cloudProfileName', message: `Cloud profile ${cloudProfileName} does not exist`, source: 'cloudprofile' }]
+  }
+  const errors = []
+  const regionName = spec.region
+  const region = _.find(_.get(cloudProfile, 'spec.regions'), ['name', regionName])
+  const regionChanged = regionName !== _.get(oldSpec, 'region')
+  if (!region && regionChanged) {
+    errors.push({ path: 'spec.region', message: `Region ${regionName} is not offered by cloud profile ${cloudProfileName}` })
+  }
+  errors.push(...validateKubernetesVersion(spec, cloudProfile, { oldSpec, now }))
+  if (region || !regionChanged) {
+    const oldWorkers = _.get(oldSpec, 'provider.workers')
+    _.forEach(_.get(spec, 'provider.workers'), (worker, index) => {
+      const oldWorker = _.find(oldWorkers, ['name', worker.name])
+      errors.push(...validateWorker(worker, index, { cloudProfile, regionName, region, oldWorker, now }))
+    })
+  }
+  return _.map(errors, error => ({ ...error, source: 'cloudprofile' }))
+}
+exports.validateAgainstCloudProfile = validateAgainstCloudProfile
+
+/*
+  Maps the error of a dry-run request to the paths of the shoot manifest. Errors that are not caused by
+  the content of the shoot (e.g. missing permissions) are rethrown.
+*/
+function fromDryRunError (err) {
+  const { statusCode, body = {} } = err
+  const message = body.message || err.message
+  switch (statusCode) {
+    case 422:
+      return _.map(_.get(body, 'details.causes', [{ message }]), ({ field, message }) => ({
+        path: field,
+        message,
+        source: 'apiserver'
+      }))
+    case 409:
+      return [{ path: 'metadata.name', message, source: 'apiserver' }]
+    case 400:
+      return [{ message, source: 'apiserver' }]
+    case 403:
+      // admission plugins deny requests with status forbidden
+      if (!/cannot (create|update) resource/.test(message)) {
+        return [{ message, source: 'apiserver' }]
+      }
+  }
+  throw err
+}
+exports.fromDryRunError = fromDryRunError
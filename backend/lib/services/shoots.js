@@ -7,21 +7,28 @@
 'use strict'
 
 const { isHttpError } = require('@gardener-dashboard/request')
+const { UnprocessableEntity, NotFound, Forbidden } = require('http-errors')
 const { cleanKubeconfig, Config } = require('@gardener-dashboard/kube-config')
 const { dashboardClient } = require('@gardener-dashboard/kube-client')
 const resources = require('@gardener-dashboard/kube-client/lib/resources')
 const utils = require('../utils')
+const { parseSearch, parseLabelSelector } = require('../utils/search')
 const cache = require('../cache')
 const authorization = require('./authorization')
+const shootValidation = require('./shootValidation')
 const logger = require('../logger')
 const _ = require('lodash')
 const semver = require('semver')
+const pLimit = require('p-limit')
 const config = require('../config')
 
 const { decodeBase64, getSeedNameFromShoot, getSeedIngressDomain, projectFilter } = utils
 const { getSeed } = cache
 
-exports.list = async function ({ user, namespace, labelSelector, shootsWithIssuesOnly = false }) {
+exports.list = async function ({ user, namespace, labelSelector, shootsWithIssuesOnly = false, search, sortBy, sortDesc, limit, continue: continueToken }) {
+  if (search || sortBy || limit || continueToken) {
+    return listPage({ user, namespace, labelSelector, shootsWithIssuesOnly, search, sortBy, sortDesc, limit, continueToken })
+  }
   const client = user.client
   const query = {}
   if (labelSelector) {
@@ -49,6 +56,274 @@ exports.list = async function ({ user, namespace, labelSelector, shootsWithIssue
   return client['core.gardener.cloud'].shoots.list(namespace, query)
 }
 
+const userErrorCodes = new Set([
+  'ERR_INFRA_UNAUTHENTICATED',
+  'ERR_INFRA_UNAUTHORIZED',
+  'ERR_INFRA_QUOTA_EXCEEDED',
+  'ERR_INFRA_DEPENDENCIES',
+  'ERR_CLEANUP_CLUSTER_RESOURCES',
+  'ERR_INFRA_RESOURCES_DEPLETED',
+  'ERR_CONFIGURATION_PROBLEM',
+  'ERR_RETRYABLE_CONFIGURATION_PROBLEM'
+])
+
+function getProjectName ({ namespace }) {
+  const project = _.find(cache.getProjects(), ['spec.namespace', namespace])
+  return _.get(project, 'metadata.name')
+}
+
+function getTicketIssues ({ namespace, name }) {
+  const projectName = getProjectName({ namespace })
+  const ticketCache = cache.getTicketCache()
+  return _
+    .chain(ticketCache.getIssueNumbersForNameAndProjectName({ name, projectName }))
+    .map(number => ticketCache.getIssue(number))
+    .compact()
+    .value()
+}
+
+function getErrorCodes ({ status = {} }) {
+  return _
+    .chain(status.lastErrors)
+    .flatMap('codes')
+    .compact()
+    .uniq()
+    .value()
+}
+
+function getRawVal (item, column) {
+  const { metadata, spec = {} } = item
+  switch (column) {
+    case 'name':
+      return metadata.name
+    case 'purpose':
+      return spec.purpose
+    case 'createdAt':
+      return metadata.creationTimestamp
+    case 'createdBy':
+      return _.get(metadata, ['annotations', 'gardener.cloud/created-by']) || _.get(metadata, ['annotations', 'garden.sapcloud.io/createdBy'])
+    case 'project':
+      return getProjectName(metadata)
+    case 'k8sVersion':
+      return _.get(spec, 'kubernetes.version')
+    case 'infrastructure':
+      return `${_.get(spec, 'provider.type')} ${spec.region}`
+    case 'seed':
+      return spec.seedName
+    case 'ticketLabels':
+      return _
+        .chain(getTicketIssues(metadata))
+        .flatMap('data.labels')
+        .map('name')
+        .uniq()
+        .join(' ')
+        .value()
+    case 'errorCodes':
+      return _.join(getErrorCodes(item), ' ')
+    case 'controlPlaneHighAvailability':
+      return _.get(spec, 'controlPlane.highAvailability.failureTolerance.type')
+    case 'issueSince':
+      return getIssueSince(item)
+    case 'technicalId':
+      return _.get(item, 'status.technicalID')
+  }
+}
+
+function getIssueSince ({ status = {} }) {
+  const issueTimestamps = []
+  const lastOperation = status.lastOperation || {}
+  if (lastOperation.state === 'False') {
+    issueTimestamps.push(lastOperation.lastUpdateTime)
+  }
+  for (const readiness of [...(status.conditions || []), ...(status.constraints || [])]) {
+    if (readiness.status !== 'True') {
+      issueTimestamps.push(readiness.lastTransitionTime)
+    }
+  }
+  for (const lastError of status.lastErrors || []) {
+    issueTimestamps.push(lastError.lastUpdateTime)
+  }
+  return _.head(issueTimestamps.sort()) || ''
+}
+
+function getSortVal (item, column) {
+  switch (column) {
+    case 'purpose':
+      return _.get({
+        infrastructure: 0,
+        production: 1,
+        development: 2,
+        evaluation: 3
+      }, [getRawVal(item, column)], 4)
+    case 'lastOperation': {
+      const { metadata, status = {} } = item
+      const operation = status.lastOperation || {}
+      const inProgress = operation.progress !== 100 && operation.state !== 'Failed' && !!operation.progress
+      const isError = operation.state === 'Failed' || !_.isEmpty(status.lastErrors)
+      const userError = _.some(getErrorCodes(item), code => userErrorCodes.has(code))
+      const ignore = _.get(metadata, ['annotations', 'shoot.gardener.cloud/ignore'], _.get(metadata, ['annotations', 'shoot.garden.sapcloud.io/ignore']))
+      const progress = _.padStart(operation.progress, 2, '0')
+      if (ignore === 'true') {
+        return isError ? 400 : 450
+      } else if (userError) {
+        return inProgress ? Number(`3${progress}`) : 200
+      } else if (isError) {
+        return inProgress ? Number(`1${progress}`) : 0
+      } else if (inProgress) {
+        return Number(`6${progress}`)
+      } else if (status.hibernated) {
+        return 500
+      }
+      return 700
+    }
+    case 'ticket':
+      return _
+        .chain(getTicketIssues(item.metadata))
+        .map('metadata.updated_at')
+        .max()
+        .value() || ''
+    case 'k8sVersion':
+      return getRawVal(item, column) || '0.0.0'
+    case 'issueSince':
+      return getRawVal(item, column)
+    default:
+      return _.toLower(getRawVal(item, column))
+  }
+}
+
+const sortableColumns = [
+  'name',
+  'purpose',
+  'lastOperation',
+  'createdAt',
+  'createdBy',
+  'project',
+  'k8sVersion',
+  'infrastructure',
+  'seed',
+  'ticket',
+  'technicalId',
+  'issueSince',
+  'controlPlaneHighAvailability'
+]
+
+function compareValues (a, b, column) {
+  if (column === 'k8sVersion' && semver.valid(a) && semver.valid(b)) {
+    return semver.compare(a, b)
+  }
+  if (a < b) {
+    return -1
+  }
+  if (a > b) {
+    return 1
+  }
+  return 0
+}
+
+function compareKeys (a, b, { column, inverse }) {
+  return compareValues(a.value, b.value, column) * inverse ||
+    compareValues(a.namespace, b.namespace) ||
+    compareValues(a.name, b.name)
+}
+
+function encodeContinueToken (key) {
+  return Buffer.from(JSON.stringify(key)).toString('base64url')
+}
+
+function decodeContinueToken (continueToken) {
+  try {
+    const key = JSON.parse(Buffer.from(continueToken, 'base64url').toString('utf8'))
+    if (_.isPlainObject(key)) {
+      return key
+    }
+  } catch (err) { /* ignore error */ }
+  throw new UnprocessableEntity('The continue token is invalid')
+}
+
+async function getVisibleShoots ({ user, namespace }) {
+  const items = cache.getShoots()
+  if (namespace === '_all') {
+    if (await authorization.isAdmin(user)) {
+      return items
+    }
+    const namespaces = _
+      .chain(cache.getProjects())
+      .filter(projectFilter(user, false))
+      .map('spec.namespace')
+      .value()
+    return _.filter(items, ({ metadata }) => namespaces.includes(metadata.namespace))
+  }
+  if (!await authorization.canListShoots(user, namespace)) {
+    throw new Forbidden(`No authorization to list shoots in namespace ${namespace}`)
+  }
+  return _.filter(items, ['metadata.namespace', namespace])
+}
+exports.getVisibleShoots = getVisibleShoots
+
+async function listPage ({ user, namespace, labelSelector, shootsWithIssuesOnly, search, sortBy = 'name', sortDesc = false, limit, continueToken }) {
+  if (!sortableColumns.includes(sortBy)) {
+    throw new UnprocessableEntity(`Sorting by column "${sortBy}" is not supported`)
+  }
+  limit = _.toInteger(limit)
+  if (limit < 0) {
+    throw new UnprocessableEntity('The limit must not be negative')
+  }
+  if (!labelSelector && shootsWithIssuesOnly) {
+    labelSelector = 'shoot.gardener.cloud/status!=healthy'
+  }
+  const matchesLabelSelector = parseLabelSelector(labelSelector)
+  const searchQuery = parseSearch(search)
+  const searchColumns = [
+    'name',
+    'infrastructure',
+    'seed',
+    'project',
+    'createdBy',
+    'purpose',
+    'k8sVersion',
+    'ticketLabels',
+    'errorCodes',
+    'controlPlaneHighAvailability'
+  ]
+  const sortOptions = {
+    column: sortBy,
+    inverse: sortDesc === true || sortDesc === 'true' ? -1 : 1
+  }
+  const continueKey = continueToken
+    ? decodeContinueToken(continueToken)
+    : undefined
+
+  let entries = _
+    .chain(await getVisibleShoots({ user, namespace }))
+    .filter(matchesLabelSelector)
+    .filter(item => searchQuery.matches(_.map(searchColumns, column => getRawVal(item, column))))
+    .map(item => ({
+      item,
+      key: {
+        value: getSortVal(item, sortBy),
+        namespace: item.metadata.namespace,
+        name: item.metadata.name
+      }
+    }))
+    .value()
+    .sort((a, b) => compareKeys(a.key, b.key, sortOptions))
+  if (continueKey) {
+    entries = _.filter(entries, ({ key }) => compareKeys(key, continueKey, sortOptions) > 0)
+  }
+
+  const metadata = {}
+  if (limit && entries.length > limit) {
+    metadata.remainingItemCount = entries.length - limit
+    entries = entries.slice(0, limit)
+    metadata.continue = encodeContinueToken(_.last(entries).key)
+  }
+  return {
+    apiVersion: 'v1',
+    kind: 'List',
+    metadata,
+    items: _.map(entries, 'item')
+  }
+}
 exports.create = async function ({ user, namespace, body }) {
   const client = user.client
   const username = user.id
@@ -90,6 +365,45 @@ exports.replace = async function ({ user, namespace, name, body }) {
   return client['core.gardener.cloud'].shoots.update(namespace, name, body)
 }
 
+exports.validate = async function ({ user, namespace, name, body }) {
+  const client = user.client
+
+  let oldShoot
+  if (name) {
+    oldShoot = await client['core.gardener.cloud'].shoots.get(namespace, name)
+    const { metadata, kind, apiVersion, status } = oldShoot
+    const { metadata: { labels, annotations } = {}, spec } = body
+    body = {
+      kind,
+      apiVersion,
+      metadata: { ...metadata, labels, annotations },
+      spec,
+      status
+    }
+  } else {
+    const annotations = {
+      'gardener.cloud/created-by': user.id
+    }
+    body = _.merge({}, body, { metadata: { namespace, annotations } })
+  }
+
+  const errors = shootValidation.validateAgainstCloudProfile(body, cache.getCloudProfiles(), { oldShoot })
+  try {
+    const options = { dryRun: 'All' }
+    if (name) {
+      await client['core.gardener.cloud'].shoots.update(namespace, name, body, options)
+    } else {
+      await client['core.gardener.cloud'].shoots.create(namespace, body, options)
+    }
+  } catch (err) {
+    errors.push(...shootValidation.fromDryRunError(err))
+  }
+  return {
+    valid: !errors.length,
+    errors
+  }
+}
+
 exports.replaceVersion = async function ({ user, namespace, name, body }) {
   const client = user.client
   const version = body.version
@@ -265,6 +579,147 @@ exports.remove = async function ({ user, namespace, name }) {
   return client['core.gardener.cloud'].shoots.delete(namespace, name)
 }
 
+exports.history = async function ({ user, namespace, name }) {
+  // read the shoot with the user client to ensure that the user is allowed to see it
+  const { metadata } = await read({ user, namespace, name })
+  const items = cache.getShootHistory().getRevisions(metadata.uid)
+  return {
+    apiVersion: 'v1',
+    kind: 'List',
+    items: _.orderBy(items, ['generation'], ['desc'])
+  }
+}
+
+function getLatestPatchVersion ({ spec = {} }) {
+  const version = _.get(spec, 'kubernetes.version')
+  if (!semver.valid(version)) {
+    return
+  }
+  const cloudProfile = _.find(cache.getCloudProfiles(), ['metadata.name', spec.cloudProfileName])
+  const now = Date.now()
+  return _
+    .chain(cloudProfile)
+    .get('spec.kubernetes.versions')
+    .filter(({ version: candidate, classification, expirationDate }) => {
+      if (!semver.valid(candidate) || classification === 'preview') {
+        return false
+      }
+      if (expirationDate && new Date(expirationDate).getTime() < now) {
+        return false
+      }
+      return semver.diff(candidate, version) === 'patch' && semver.gt(candidate, version)
+    })
+    .map('version')
+    .thru(versions => versions.sort(semver.rcompare))
+    .head()
+    .value()
+}
+exports.getLatestPatchVersion = getLatestPatchVersion
+
+const bulkOperations = {
+  async hibernate ({ user, shoot: { metadata: { namespace, name } } }) {
+    await exports.replaceHibernationEnabled({ user, namespace, name, body: { enabled: true } })
+  },
+  async wakeUp ({ user, shoot: { metadata: { namespace, name } } }) {
+    await exports.replaceHibernationEnabled({ user, namespace, name, body: { enabled: false } })
+  },
+  async maintain ({ user, shoot: { metadata: { namespace, name } } }) {
+    const annotations = {
+      'gardener.cloud/operation': 'maintain'
+    }
+    await patchAnnotations({ user, namespace, name, annotations })
+  },
+  async reconcile ({ user, shoot: { metadata: { namespace, name }, status } }) {
+    // for shoots in failed state a reconcile is a retry of the last operation
+    const operation = _.get(status, 'lastOperation.state') === 'Failed' ? 'retry' : 'reconcile'
+    const annotations = {
+      'gardener.cloud/operation': operation
+    }
+    await patchAnnotations({ user, namespace, name, annotations })
+  },
+  async updatePatchVersion ({ user, shoot }) {
+    const { namespace, name } = shoot.metadata
+    const version = getLatestPatchVersion(shoot)
+    if (!version) {
+      return { skipped: true, message: 'No newer patch version available' }
+    }
+    await exports.replaceVersion({ user, namespace, name, body: { version } })
+    return { message: `Kubernetes version updated to ${version}` }
+  },
+  async updateVersion ({ user, shoot, body }) {
+    // target versions are planned per shoot, the apiserver rejects expired versions and skipped minor versions
+    const { namespace, name } = shoot.metadata
+    const version = _.get(body, ['versions', name])
+    if (!semver.valid(version)) {
+      return { skipped: true, message: 'No target version planned' }
+    }
+    const currentVersion = _.get(shoot, 'spec.kubernetes.version')
+    if (semver.valid(currentVersion) && semver.lte(version, currentVersion)) {
+      return { skipped: true, message: `Kubernetes version ${currentVersion} is already up-to-date` }
+    }
+    await exports.replaceVersion({ user, namespace, name, body: { version } })
+    return { message: `Kubernetes version updated to ${version}` }
+  }
+}
+
+exports.bulk = async function ({ user, namespace, body = {} }) {
+  const { operation, names, labelSelector } = body
+  if (!_.has(bulkOperations, operation)) {
+    throw new UnprocessableEntity(`Operation ${operation} not supported for shoots`)
+  }
+  if (namespace === '_all') {
+    throw new UnprocessableEntity('Bulk operations are only supported within a single namespace')
+  }
+  if (_.isEmpty(names) && !labelSelector) {
+    throw new UnprocessableEntity('Either names or a labelSelector are required')
+  }
+
+  const client = user.client
+  const query = {}
+  if (_.isEmpty(names)) {
+    query.labelSelector = labelSelector
+  }
+  const { items = [] } = await client['core.gardener.cloud'].shoots.list(namespace, query)
+  const shoots = _.isEmpty(names)
+    ? items
+    : _.map(_.uniq(names), name => _.find(items, ['metadata.name', name]) ?? { metadata: { namespace, name }, notFound: true })
+
+  const limit = pLimit(10)
+  const results = await Promise.all(shoots.map(shoot => limit(async () => {
+    const name = shoot.metadata.name
+    try {
+      if (shoot.notFound) {
+        throw new NotFound(`Shoot ${namespace}/${name} not found`)
+      }
+      // every operation is executed with the client of the user, the authorization is done per shoot by the apiserver
+      const { skipped = false, message } = await bulkOperations[operation]({ user, shoot, body }) || {}
+      return _.omitBy({
+        namespace,
+        name,
+        status: skipped ? 'Skipped' : 'Success',
+        code: 200,
+        message
+      }, _.isUndefined)
+    } catch (err) {
+      logger.info('Shoot operation %s failed for %s/%s: %s', operation, namespace, name, err.message)
+      return {
+        namespace,
+        name,
+        status: 'Failure',
+        code: err.statusCode ?? 500,
+        message: err.message
+      }
+    }
+  })))
+
+  return {
+    apiVersion: 'v1',
+    kind: 'List',
+    operation,
+    items: results
+  }
+}
+
 function getDashboardUrlPath (kubernetesVersion) {
   if (!kubernetesVersion) {
     return undefined
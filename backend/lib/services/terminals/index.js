@@ -8,12 +8,13 @@
 
 const _ = require('lodash')
 const hash = require('object-hash')
+const uuid = require('uuid')
 const yaml = require('js-yaml')
 const config = require('../../config')
 const { cleanKubeconfig } = require('@gardener-dashboard/kube-config')
 const { Resources } = require('@gardener-dashboard/kube-client')
 
-const { Forbidden, UnprocessableEntity, InternalServerError } = require('http-errors')
+const { Forbidden, NotFound, UnprocessableEntity, InternalServerError } = require('http-errors')
 const { isHttpError } = require('@gardener-dashboard/request')
 
 const {
@@ -35,7 +36,17 @@ const {
   getShootRef
 } = require('./utils')
 
-const { getSeed, findProjectByNamespace } = require('../../cache')
+const {
+  getStore: getRecordingStore,
+  isRecordingEnabled,
+  getRecordingPolicy,
+  removeExpired: removeExpiredRecordings,
+  Recorder
+} = require('./recordings')
+const sharing = require('./sharing')
+
+const { getSeed, getShoots, findProjectByNamespace } = require('../../cache')
+const authorization = require('../authorization')
 const logger = require('../../logger')
 const markdown = require('../../markdown')
 
@@ -69,6 +80,14 @@ exports.remove = function ({ user, body = {} }) {
   return deleteTerminalSession({ user, body })
 }
 
+exports.listAll = function ({ user }) {
+  return listAllTerminalSessions({ user })
+}
+
+exports.terminate = function ({ user, body = {} }) {
+  return terminateTerminalSession({ user, body })
+}
+
 exports.fetch = function ({ user, body = {} }) {
   return fetchTerminalSession({ user, body })
 }
@@ -82,6 +101,30 @@ exports.listProjectTerminalShortcuts = async function ({ user, body = {} }) {
   return listShortcuts({ user, namespace })
 }
 
+exports.listRecordings = function ({ user, body = {} }) {
+  return listTerminalRecordings({ user, body })
+}
+
+exports.fetchRecording = function ({ user, body = {} }) {
+  return fetchTerminalRecording({ user, body })
+}
+
+exports.startSharing = function ({ user, body = {} }) {
+  return startTerminalSharing({ user, body })
+}
+
+exports.stopSharing = function ({ user, body = {} }) {
+  return stopTerminalSharing({ user, body })
+}
+
+exports.updateShareObserver = function ({ user, body = {} }) {
+  return updateTerminalShareObserver({ user, body })
+}
+
+exports.fetchShare = function ({ user, body = {} }) {
+  return fetchTerminalShare({ user, body })
+}
+
 function toTerminalMetadata (terminal) {
   const metadata = _.pick(terminal.metadata, ['name', 'namespace'])
   metadata.identifier = _.get(terminal, 'metadata.annotations["dashboard.gardener.cloud/identifier"]')
@@ -154,6 +197,13 @@ async function findExistingTerminalResource ({ user, namespace, body }) {
   return _.first(existingTerminalList)
 }
 
+function removeTerminalShare ({ namespace, name }) {
+  const share = sharing.findByTerminal({ namespace, name })
+  if (share) {
+    sharing.remove(share)
+  }
+}
+
 async function deleteTerminalSession ({ user, body }) {
   const username = user.id
   const client = user.client
@@ -166,6 +216,7 @@ async function deleteTerminalSession ({ user, body }) {
       throw new Forbidden(`You are not allowed to delete terminal with name ${name}`)
     }
     await client['dashboard.gardener.cloud'].terminals.delete(namespace, name)
+    removeTerminalShare({ namespace, name })
   } catch (err) {
     if (!isHttpError(err, 404)) {
       throw err
@@ -610,7 +661,7 @@ async function getOrCreateTerminalSession ({ user, namespace, name, target, body
     await ensureServiceAccountCleanup(client, { terminal, namespace, name: DASHBOARD_WEBTERMINAL_NAME })
   }
 
-  return {
+  const session = {
     metadata: toTerminalMetadata(terminal),
     hostCluster: {
       kubeApiServer: hostCluster.kubeApiServer,
@@ -618,6 +669,11 @@ async function getOrCreateTerminalSession ({ user, namespace, name, target, body
     },
     imageHelpText: imageHelpText(terminal)
   }
+  const recording = getRecordingPolicy(shootResource)
+  if (recording) {
+    session.recording = recording
+  }
+  return session
 }
 
 async function ensureServiceAccountCleanup (client, { terminal, namespace, name }) {
@@ -690,25 +746,91 @@ async function fetchTerminalSession ({ user, body: { name, namespace } }) {
   const client = user.client
 
   const terminal = await readTerminalUntilReady({ user, name, namespace })
-  const host = terminal.spec.host
-  const hostClient = await createHostClient(client, host.credentials)
-  const token = await readServiceAccountToken(hostClient, {
-    namespace: host.namespace,
-    serviceAccountName: terminal.status.attachServiceAccountName
-  })
+  const hostCluster = {
+    pod: {
+      name: terminal.status.podName,
+      container: TERMINAL_CONTAINER_NAME
+    }
+  }
+  // if recording is enabled the backend attaches to the terminal container, see `getTerminalAttachment`
+  if (!isRecordingEnabled()) {
+    const host = terminal.spec.host
+    const hostClient = await createHostClient(client, host.credentials)
+    hostCluster.token = await readServiceAccountToken(hostClient, {
+      namespace: host.namespace,
+      serviceAccountName: terminal.status.attachServiceAccountName
+    })
+  }
 
   return {
     metadata: toTerminalMetadata(terminal),
-    hostCluster: {
-      token,
-      pod: {
-        name: terminal.status.podName,
-        container: TERMINAL_CONTAINER_NAME
-      }
+    hostCluster
+  }
+}
+
+async function waitUntilPodIsRunning (hostClient, { namespace, name }) {
+  const isPodRunning = ({ type, object: pod }) => {
+    const phase = _.get(pod, 'status.phase')
+    if (type === 'DELETED' || _.includes(['Failed', 'Succeeded'], phase)) {
+      throw new InternalServerError(`Terminal pod ${name} is not running`)
     }
+    return phase === 'Running'
   }
+  const asyncIterable = await hostClient.core.pods.watch(namespace, name)
+  return asyncIterable.until(isPodRunning, { timeout: 60 * 1000 })
 }
 
+function getAttachUrl (server, { namespace, name }) {
+  const url = new URL(server)
+  url.protocol = url.protocol === 'http:' ? 'ws:' : 'wss:'
+  url.pathname = _.trimEnd(url.pathname, '/') + `/api/v1/namespaces/${encodeURIComponent(namespace)}/pods/${encodeURIComponent(name)}/attach`
+  url.search = new URLSearchParams({
+    container: TERMINAL_CONTAINER_NAME,
+    stdin: true,
+    stdout: true,
+    tty: true
+  })
+  return url.toString()
+}
+
+/*
+  Returns the connection to the terminal container of a session, which is attached by the backend if
+  recording is enabled. The service account token never leaves the backend, therefore a recording which
+  is enforced for the target cluster cannot be bypassed by the browser. The recorder is only returned if
+  the session is recorded.
+*/
+async function getTerminalAttachment ({ user, namespace, name, record = false, cols = 80, rows = 24 }) {
+  ensureRecordingEnabled()
+  const terminal = await readTerminalUntilReady({ user, name, namespace })
+  const host = terminal.spec.host
+  const hostClient = await createHostClient(user.client, host.credentials)
+  const [token] = await Promise.all([
+    readServiceAccountToken(hostClient, {
+      namespace: host.namespace,
+      serviceAccountName: terminal.status.attachServiceAccountName
+    }),
+    waitUntilPodIsRunning(hostClient, {
+      namespace: host.namespace,
+      name: terminal.status.podName
+    })
+  ])
+  const { server, certificateAuthority, insecureSkipTlsVerify } = hostClient.cluster
+  const attachment = {
+    url: getAttachUrl(server, { namespace: host.namespace, name: terminal.status.podName }),
+    token,
+    ca: certificateAuthority,
+    rejectUnauthorized: !insecureSkipTlsVerify
+  }
+  const { shoot, ...coordinate } = getTerminalCoordinate(terminal)
+  const { enforced } = getRecordingPolicy(shoot)
+  if (enforced || record) {
+    attachment.recorder = createRecorder({ user, terminal, coordinate, enforced, cols, rows })
+  }
+  return attachment
+}
+
+exports.getTerminalAttachment = getTerminalAttachment
+
 async function listTerminalSessions ({ user, namespace }) {
   const terminals = await listTerminals({ user, namespace })
 
@@ -719,6 +841,97 @@ async function listTerminalSessions ({ user, namespace }) {
   })
 }
 
+function getTerminalTarget (terminal) {
+  const [, target] = /^term-([a-z]+)-$/.exec(_.get(terminal, 'metadata.generateName')) || []
+  return target
+}
+
+function findTargetShoot (terminal, target, shoots) {
+  switch (target) {
+    case TargetEnum.SHOOT: {
+      const { namespace, name } = _.get(terminal, 'spec.target.credentials.shootRef', {})
+      return _.find(shoots, ({ metadata }) => metadata.namespace === namespace && metadata.name === name)
+    }
+    case TargetEnum.CONTROL_PLANE: {
+      const technicalID = _.get(terminal, 'spec.target.kubeconfigContextNamespace')
+      return _.find(shoots, ['status.technicalID', technicalID])
+    }
+  }
+}
+
+/*
+  Returns the cluster of a terminal session. It is derived from the Terminal resource and not taken from the
+  request, because it is used to authorize access to recordings and shares of the session.
+*/
+function getTerminalCoordinate (terminal) {
+  const target = getTerminalTarget(terminal)
+  const shoot = findTargetShoot(terminal, target, getShoots())
+  if (shoot) {
+    const { namespace, name } = shoot.metadata
+    return { namespace, name, target, shoot }
+  }
+  if (target === TargetEnum.SHOOT) {
+    const { namespace, name } = _.get(terminal, 'spec.target.credentials.shootRef', {})
+    return { namespace, name, target }
+  }
+  return { namespace: terminal.metadata.namespace, target }
+}
+
+function toTerminalSessionSummary (terminal, shoots) {
+  const { metadata, spec, status = {} } = terminal
+  const target = getTerminalTarget(terminal)
+  const shoot = findTargetShoot(terminal, target, shoots)
+  const annotations = metadata.annotations || {}
+  const container = _.get(spec, 'host.pod.container', {})
+  return {
+    metadata: {
+      ...toTerminalMetadata(terminal),
+      creationTimestamp: metadata.creationTimestamp
+    },
+    target,
+    createdBy: annotations['gardener.cloud/created-by'],
+    preferredHost: annotations['dashboard.gardener.cloud/preferredHost'],
+    lastHeartbeatTimestamp: annotations['dashboard.gardener.cloud/last-heartbeat-at'],
+    shoot: shoot
+      ? _.pick(shoot.metadata, ['namespace', 'name'])
+      : undefined,
+    seedName: _.get(shoot, 'spec.seedName'),
+    host: {
+      namespace: _.get(spec, 'host.namespace'),
+      podName: status.podName,
+      image: container.image,
+      privileged: _.get(container, 'privileged', false)
+    }
+  }
+}
+
+/*
+  Lists the terminal sessions of all users in all namespaces. Only administrators are allowed to do that,
+  see `ensureTerminalAllowed`.
+*/
+async function listAllTerminalSessions ({ user }) {
+  const client = user.client
+
+  const { items } = await client['dashboard.gardener.cloud'].terminals.listAllNamespaces()
+  const shoots = getShoots()
+  return _
+    .chain(items)
+    .filter(terminal => _.isEmpty(terminal.metadata.deletionTimestamp))
+    .map(terminal => toTerminalSessionSummary(terminal, shoots))
+    .value()
+}
+
+async function terminateTerminalSession ({ user, body }) {
+  const client = user.client
+
+  const { namespace, name } = body
+  await getTerminalResource(client, { namespace, name })
+  await client['dashboard.gardener.cloud'].terminals.delete(namespace, name)
+  removeTerminalShare({ namespace, name })
+  logger.info('Terminal %s/%s has been terminated by %s', namespace, name, user.id)
+  return { namespace, name }
+}
+
 function getSeedShootNamespace (shoot) {
   const seedShootNamespace = _.get(shoot, 'status.technicalID')
   if (_.isEmpty(seedShootNamespace)) {
@@ -732,8 +945,13 @@ function ensureTerminalAllowed ({ method, isAdmin, body }) {
     return
   }
 
+  // the terminal sessions of all users can only be managed by administrators
+  if (_.includes(['listAll', 'terminate'], method)) {
+    throw new Forbidden('Terminal management is only allowed for administrators')
+  }
+
   // whitelist methods for terminal sessions for everybody
-  if (_.includes(['list', 'fetch', 'config', 'remove', 'heartbeat', 'listProjectTerminalShortcuts'], method)) {
+  if (_.includes(['list', 'fetch', 'config', 'remove', 'heartbeat', 'listProjectTerminalShortcuts', 'listRecordings', 'fetchRecording', 'startSharing', 'stopSharing', 'updateShareObserver', 'fetchShare'], method)) {
     return
   }
 
@@ -770,6 +988,7 @@ async function heartbeatTerminalSession ({ user, body }) {
   }
 
   await setKeepaliveAnnotation(client, terminal)
+  sharing.heartbeat({ namespace, name })
   return { ok: true }
 }
 
@@ -795,6 +1014,167 @@ async function setKeepaliveAnnotation (client, terminal) {
   }
 }
 
+const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/
+function ensureRecordingEnabled () {
+  if (!isRecordingEnabled()) {
+    throw new UnprocessableEntity('Terminal session recording is not enabled')
+  }
+}
+
+async function getRecordingMetadata ({ user, id }) {
+  if (!uuidRegex.test(id)) {
+    throw new UnprocessableEntity('A valid recording id is required')
+  }
+  const metadata = await getRecordingStore().getMetadata(id)
+  if (!metadata) {
+    throw new NotFound(`Terminal recording with id ${id} not found`)
+  }
+  if (!user.isAdmin && metadata.createdBy !== user.id) {
+    throw new Forbidden(`You are not allowed to access the terminal recording with id ${id}`)
+  }
+  return metadata
+}
+
+function createRecorder ({ user, terminal, coordinate, enforced, cols, rows }) {
+  const creationTimestamp = new Date()
+  const metadata = {
+    id: uuid.v4(),
+    ...coordinate,
+    terminal: _.pick(terminal.metadata, ['namespace', 'name']),
+    createdBy: user.id,
+    creationTimestamp: creationTimestamp.toISOString(),
+    enforced,
+    duration: 0
+  }
+  const header = {
+    version: 2,
+    width: cols,
+    height: rows,
+    timestamp: Math.floor(creationTimestamp.getTime() / 1000),
+    title: _.compact([coordinate.target, coordinate.name]).join(' - '),
+    env: {
+      TERM: 'xterm-256color'
+    }
+  }
+  return new Recorder(metadata, header)
+}
+
+async function listTerminalRecordings ({ user, body }) {
+  const { coordinate: { namespace, name } = {} } = body
+  const items = await getRecordingStore().list()
+  return _
+    .chain(items)
+    .filter(metadata => metadata.namespace === namespace && (!name || metadata.name === name))
+    .filter(metadata => user.isAdmin || metadata.createdBy === user.id)
+    .orderBy(['creationTimestamp'], ['desc'])
+    .value()
+}
+
+async function fetchTerminalRecording ({ user, body }) {
+  const { id } = body
+  await getRecordingMetadata({ user, id })
+  const recording = await getRecordingStore().read(id)
+  if (!recording) {
+    throw new NotFound(`Terminal recording with id ${id} not found`)
+  }
+  return _.pick(recording, ['metadata', 'data'])
+}
+
+async function removeExpiredTerminalRecordings () {
+  if (!isRecordingEnabled()) {
+    return []
+  }
+  return removeExpiredRecordings()
+}
+
+exports.removeExpiredTerminalRecordings = removeExpiredTerminalRecordings
+
+function findShare (id) {
+  if (!uuidRegex.test(id)) {
+    throw new UnprocessableEntity('A valid share id is required')
+  }
+  const share = sharing.find(id)
+  if (!share) {
+    throw new NotFound(`Shared terminal session with id ${id} not found`)
+  }
+  return share
+}
+
+function findOwnShare ({ user, id }) {
+  const share = findShare(id)
+  if (share.owner !== user.id) {
+    throw new Forbidden(`You are not the owner of the shared terminal session with id ${id}`)
+  }
+  return share
+}
+
+/**
+ * Returns the shared terminal session if the user is allowed to observe it.
+ * Observers must be allowed to create terminals in the namespace of the shared session
+ * and non-admin users may only observe terminals they would be allowed to open themselves.
+ */
+async function getObservableShare ({ user, id }) {
+  const share = findShare(id)
+  if (share.owner === user.id) {
+    return share
+  }
+  const { namespace, target } = share.coordinate
+  if (!user.isAdmin && target !== TargetEnum.SHOOT && target !== TargetEnum.GARDEN) {
+    throw new Forbidden(`You are not allowed to observe the shared terminal session with id ${id}`)
+  }
+  if (!await authorization.canCreateTerminals(user, namespace)) {
+    throw new Forbidden(`You are not allowed to observe the shared terminal session with id ${id}`)
+  }
+  return share
+}
+exports.getObservableShare = getObservableShare
+
+/*
+  Shared terminal sessions are kept in the memory of the replica which relays them to the observers,
+  therefore sharing must only be enabled if the dashboard runs with a single replica.
+*/
+function ensureSharingEnabled () {
+  if (!_.get(config, 'terminal.sharing.enabled', false)) {
+    throw new UnprocessableEntity('Terminal session sharing is not enabled')
+  }
+}
+
+async function startTerminalSharing ({ user, body }) {
+  ensureSharingEnabled()
+  const { name, namespace } = body
+  const terminal = await getTerminalResource(user.client, { name, namespace })
+  if (terminal.metadata.annotations['gardener.cloud/created-by'] !== user.id) {
+    throw new Forbidden(`You are not allowed to share terminal session with name ${terminal.metadata.name}`)
+  }
+  // the coordinate is used to authorize the observers, therefore it must not be taken from the request
+  const share = sharing.create({
+    terminal: { namespace, name },
+    coordinate: _.pick(getTerminalCoordinate(terminal), ['namespace', 'name', 'target']),
+    owner: user.id
+  })
+  return sharing.toShare(share)
+}
+
+async function stopTerminalSharing ({ user, body }) {
+  const share = findOwnShare({ user, id: body.id })
+  sharing.remove(share)
+  return sharing.toShare(share)
+}
+
+async function updateTerminalShareObserver ({ user, body }) {
+  const { id, username, allowInput = false } = body
+  const share = findOwnShare({ user, id })
+  if (!sharing.setAllowInput(share, username, allowInput === true)) {
+    throw new NotFound(`${username} is not observing the shared terminal session with id ${id}`)
+  }
+  return sharing.toShare(share)
+}
+
+async function fetchTerminalShare ({ user, body }) {
+  const share = await getObservableShare({ user, id: body.id })
+  return sharing.toShare(share)
+}
+
 async function getTerminalConfig ({ user, namespace, name, target }) {
   const client = user.client
   const isAdmin = user.isAdmin
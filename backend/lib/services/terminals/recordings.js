@@ -0,0 +1,342 @@
+//
+// SPDX-FileCopyrightText: 2023 SAP SE or an SAP affiliate company and Gardener contributors
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+
+'use strict'
+
+const fs = require('fs').promises
+const EventEmitter = require('events')
+const zlib = require('zlib')
+const { promisify } = require('util')
+const pathModule = require('path')
+const _ = require('lodash')
+const { dashboardClient } = require('@gardener-dashboard/kube-client')
+const config = require('../../config')
+const logger = require('../../logger')
+
+const gzip = promisify(zlib.gzip)
+const gunzip = promisify(zlib.gunzip)
+
+const RECORDING_LABEL = 'dashboard.gardener.cloud/terminal-recording'
+const METADATA_ANNOTATION = 'dashboard.gardener.cloud/terminal-recording-metadata'
+
+/*
+  Recordings are stored in the asciicast v2 format (https://docs.asciinema.org/manual/asciicast/v2/).
+  The first line is the header, every following line is an event of the form [time, code, data].
+*/
+function toLines (values) {
+  return _.map(values, value => JSON.stringify(value) + '\n').join('')
+}
+
+function getMetadata (item) {
+  return JSON.parse(_.get(item, ['metadata', 'annotations', METADATA_ANNOTATION], 'null'))
+}
+
+function setMetadata (item, metadata) {
+  _.set(item, ['metadata', 'annotations', METADATA_ANNOTATION], JSON.stringify(metadata))
+}
+
+/*
+  Stores each recording gzip compressed in a secret of a namespace which is dedicated to the recordings,
+  therefore all replicas share the recordings and they survive restarts. The metadata is kept in an
+  annotation, which allows to list the recordings without reading their data. A secret must not exceed
+  1MiB. Events which would exceed `maxBytes` are dropped and the recording is marked as truncated.
+*/
+function secret ({ client = dashboardClient, namespace = 'gardener-dashboard-terminal-recordings', maxBytes = 768 * 1024 } = {}) {
+  const secrets = client.core.secrets
+  const secretName = id => `terminal-recording-${id}`
+  const readSecret = async id => {
+    try {
+      return await secrets.get(namespace, secretName(id))
+    } catch (err) {
+      if (err.statusCode === 404) {
+        return
+      }
+      throw err
+    }
+  }
+  return {
+    async create (metadata, header) {
+      const item = {
+        metadata: {
+          name: secretName(metadata.id),
+          namespace,
+          labels: {
+            [RECORDING_LABEL]: 'true'
+          }
+        },
+        type: 'Opaque',
+        data: {
+          data: (await gzip(toLines([header]))).toString('base64')
+        }
+      }
+      setMetadata(item, metadata)
+      await secrets.create(namespace, item)
+    },
+    async append (metadata, events) {
+      const item = await readSecret(metadata.id)
+      if (!item) {
+        return
+      }
+      const data = await gunzip(Buffer.from(item.data.data, 'base64'))
+      const compressedData = await gzip(data.toString('utf8') + toLines(events))
+      if (compressedData.length > maxBytes) {
+        metadata.truncated = true
+      } else {
+        item.data.data = compressedData.toString('base64')
+      }
+      setMetadata(item, metadata)
+      // the recording is only appended by the replica which proxies the terminal session
+      await secrets.update(namespace, item.metadata.name, item)
+    },
+    async getMetadata (id) {
+      const item = await readSecret(id)
+      if (item) {
+        return getMetadata(item)
+      }
+    },
+    async read (id) {
+      const item = await readSecret(id)
+      if (!item) {
+        return
+      }
+      const data = await gunzip(Buffer.from(item.data.data, 'base64'))
+      return {
+        metadata: getMetadata(item),
+        data: data.toString('utf8')
+      }
+    },
+    async list () {
+      const { items } = await secrets.listMetadata(namespace, { labelSelector: `${RECORDING_LABEL}=true` })
+      return _.compact(_.map(items, getMetadata))
+    },
+    async remove (id) {
+      try {
+        await secrets.delete(namespace, secretName(id))
+      } catch (err) {
+        if (err.statusCode !== 404) {
+          throw err
+        }
+      }
+    }
+  }
+}
+
+/*
+  Stores the recordings in files. The path must be a volume shared by all replicas of the dashboard.
+*/
+function file ({ path }) {
+  if (!path) {
+    throw new TypeError('The terminal recording file store requires a path')
+  }
+  const metadataPath = id => pathModule.join(path, `${id}.json`)
+  const dataPath = id => pathModule.join(path, `${id}.cast`)
+  const readMetadata = async filename => {
+    try {
+      return JSON.parse(await fs.readFile(filename, 'utf8'))
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        return
+      }
+      throw err
+    }
+  }
+  return {
+    async create (metadata, header) {
+      await fs.mkdir(path, { recursive: true })
+      await fs.writeFile(dataPath(metadata.id), toLines([header]))
+      await fs.writeFile(metadataPath(metadata.id), JSON.stringify(metadata))
+    },
+    async append (metadata, events) {
+      await fs.appendFile(dataPath(metadata.id), toLines(events))
+      await fs.writeFile(metadataPath(metadata.id), JSON.stringify(metadata))
+    },
+    getMetadata (id) {
+      return readMetadata(metadataPath(id))
+    },
+    async read (id) {
+      const metadata = await readMetadata(metadataPath(id))
+      if (!metadata) {
+        return
+      }
+      const data = await fs.readFile(dataPath(id), 'utf8')
+      return { metadata, data }
+    },
+    async list () {
+      let filenames
+      try {
+        filenames = await fs.readdir(path)
+      } catch (err) {
+        if (err.code === 'ENOENT') {
+          return []
+        }
+        throw err
+      }
+      const items = await Promise.all(_
+        .chain(filenames)
+        .filter(filename => filename.endsWith('.json'))
+        .map(filename => readMetadata(pathModule.join(path, filename)))
+        .value()
+      )
+      return _.compact(items)
+    },
+    async remove (id) {
+      for (const filename of [dataPath(id), metadataPath(id)]) {
+        try {
+          await fs.unlink(filename)
+        } catch (err) {
+          if (err.code !== 'ENOENT') {
+            throw err
+          }
+        }
+      }
+    }
+  }
+}
+
+const stores = {
+  secret,
+  file
+}
+
+function createStore ({ type = 'secret', ...options } = {}) {
+  const factory = stores[type]
+  if (!factory) {
+    throw new TypeError(`Unknown terminal recording store type "${type}". Supported types are ${Object.keys(stores).join(', ')}`)
+  }
+  return factory(options)
+}
+
+let store
+
+function getStore () {
+  if (!store) {
+    store = createStore(_.get(config, 'terminal.recording.store'))
+  }
+  return store
+}
+
+function isRecordingEnabled () {
+  return _.get(config, 'terminal.recording.enabled', false)
+}
+
+/**
+ * Returns the recording policy for a terminal session or `undefined` if recording is disabled.
+ * Recording is enforced for terminals of shoots with one of the configured purposes.
+ */
+function getRecordingPolicy (shootResource) {
+  if (!isRecordingEnabled()) {
+    return
+  }
+  const enforcedPurposes = _.get(config, 'terminal.recording.enforcedPurposes', [])
+  return {
+    enforced: _.includes(enforcedPurposes, _.get(shootResource, 'spec.purpose'))
+  }
+}
+
+/**
+ * Removes the recordings which are older than the configured number of retention days
+ * and returns their ids.
+ */
+async function removeExpired ({ now = Date.now(), store = getStore() } = {}) {
+  const retentionDays = _.get(config, 'terminal.recording.retentionDays', 90)
+  const expirationTime = now - retentionDays * 24 * 60 * 60 * 1000
+  const ids = []
+  for (const { id, creationTimestamp } of await store.list()) {
+    if (new Date(creationTimestamp).getTime() < expirationTime) {
+      await store.remove(id)
+      ids.push(id)
+    }
+  }
+  return ids
+}
+
+/*
+  Records the output of a terminal session which is proxied by the backend. Events are buffered
+  from the creation of the recorder and appended to the recording in regular intervals once the
+  recording has been created in the store. The recorder emits `truncated` if the recording
+  exceeded the maximum size of the store.
+*/
+class Recorder extends EventEmitter {
+  constructor (metadata, header, { store = getStore(), flushInterval = 10_000 } = {}) {
+    super()
+    this.metadata = metadata
+    this.header = header
+    this.store = store
+    this.flushInterval = flushInterval
+    this.events = []
+    this.startTime = Date.now()
+    this.started = false
+    this.stopped = false
+    this.intervalId = undefined
+    this.flushing = Promise.resolve()
+  }
+
+  async start () {
+    await this.store.create(this.metadata, this.header)
+    this.started = true
+    if (this.stopped) {
+      // the session was closed before the recording had been created
+      return this.flush()
+    }
+    this.intervalId = setInterval(() => this.flush(), this.flushInterval)
+    this.intervalId.unref()
+  }
+
+  get isRecording () {
+    return !this.stopped && !this.metadata.truncated
+  }
+
+  output (data) {
+    this.push('o', data)
+  }
+
+  resize ({ cols, rows }) {
+    this.push('r', `${cols}x${rows}`)
+  }
+
+  push (code, data) {
+    if (this.isRecording) {
+      this.events.push([(Date.now() - this.startTime) / 1000, code, data])
+    }
+  }
+
+  flush () {
+    if (!this.started || !this.events.length) {
+      return this.flushing
+    }
+    const events = this.events
+    this.events = []
+    this.flushing = this.flushing
+      .then(async () => {
+        if (this.metadata.truncated) {
+          return
+        }
+        this.metadata.duration = Math.max(this.metadata.duration, _.last(events)[0])
+        await this.store.append(this.metadata, events)
+        if (this.metadata.truncated) {
+          this.emit('truncated')
+        }
+      })
+      .catch(err => logger.error('Failed to append terminal recording %s: %s', this.metadata.id, err.message))
+    return this.flushing
+  }
+
+  stop () {
+    this.stopped = true
+    clearInterval(this.intervalId)
+    return this.flush()
+  }
+}
+
+module.exports = {
+  ...stores,
+  createStore,
+  getStore,
+  isRecordingEnabled,
+  getRecordingPolicy,
+  removeExpired,
+  Recorder
+}
@@ -0,0 +1,153 @@
+//
+// SPDX-FileCopyrightText: 2023 SAP SE or an SAP affiliate company and Gardener contributors
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+
+'use strict'
+
+const EventEmitter = require('events')
+const _ = require('lodash')
+const uuid = require('uuid')
+
+/*
+  The output of a shared terminal session is relayed by the owner's browser via the backend to the observers.
+  The backend keeps the last part of the output, so that observers joining later see the current screen content.
+*/
+const MAX_SCROLLBACK_LENGTH = 64 * 1024
+
+const shares = new Map()
+const events = new EventEmitter()
+
+function toShare ({ id, terminal, coordinate, owner, creationTimestamp, observers }) {
+  return {
+    id,
+    terminal,
+    coordinate,
+    owner,
+    creationTimestamp,
+    observers: _.map([...observers.values()], ({ username, allowInput }) => ({ username, allowInput }))
+  }
+}
+
+function emit (type, share) {
+  events.emit('event', { type, object: toShare(share) })
+}
+
+function find (id) {
+  return shares.get(id)
+}
+
+function findByTerminal ({ namespace, name }) {
+  for (const share of shares.values()) {
+    if (share.terminal.namespace === namespace && share.terminal.name === name) {
+      return share
+    }
+  }
+}
+
+function create ({ terminal, coordinate, owner }) {
+  let share = findByTerminal(terminal)
+  if (!share) {
+    share = {
+      id: uuid.v4(),
+      terminal,
+      coordinate,
+      owner,
+      creationTimestamp: new Date().toISOString(),
+      observers: new Map(),
+      scrollback: '',
+      size: undefined,
+      lastHeartbeatTime: Date.now()
+    }
+    shares.set(share.id, share)
+  }
+  return share
+}
+
+function remove (share) {
+  if (shares.delete(share.id)) {
+    emit('DELETED', share)
+  }
+}
+
+function heartbeat (terminal, now = Date.now()) {
+  const share = findByTerminal(terminal)
+  if (share) {
+    share.lastHeartbeatTime = now
+  }
+}
+
+// removes the shares of terminal sessions which are no longer kept alive by the browser of the owner
+function removeExpired (timeout, now = Date.now()) {
+  for (const share of [...shares.values()]) {
+    if (share.lastHeartbeatTime + timeout <= now) {
+      remove(share)
+    }
+  }
+}
+
+function addObserver (share, username) {
+  const observer = share.observers.get(username)
+  if (observer) {
+    observer.connections++
+  } else {
+    share.observers.set(username, {
+      username,
+      allowInput: false,
+      connections: 1
+    })
+    emit('MODIFIED', share)
+  }
+}
+
+function removeObserver (share, username) {
+  const observer = share.observers.get(username)
+  if (observer && --observer.connections <= 0) {
+    share.observers.delete(username)
+    emit('MODIFIED', share)
+  }
+}
+
+function hasObserver (share, username) {
+  return share.observers.has(username)
+}
+
+function setAllowInput (share, username, allowInput) {
+  const observer = share.observers.get(username)
+  if (observer) {
+    observer.allowInput = allowInput
+    emit('MODIFIED', share)
+  }
+  return !!observer
+}
+
+function isInputAllowed (share, username) {
+  return _.get(share.observers.get(username), 'allowInput', false)
+}
+
+function write (share, data) {
+  share.scrollback = (share.scrollback + data).slice(-MAX_SCROLLBACK_LENGTH)
+}
+
+function resize (share, { cols, rows }) {
+  share.size = { cols, rows }
+}
+
+module.exports = {
+  events,
+  toShare,
+  find,
+  findByTerminal,
+  create,
+  remove,
+  heartbeat,
+  removeExpired,
+  addObserver,
+  removeObserver,
+  hasObserver,
+  setAllowInput,
+  isInputAllowed,
+  write,
+  resize
+}
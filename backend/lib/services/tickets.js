@@ -7,9 +7,10 @@
 'use strict'
 
 const _ = require('lodash')
+const { NotFound, NotImplemented, UnprocessableEntity } = require('http-errors')
 const config = require('../config')
 const logger = require('../logger')
-const github = require('../github')
+const { getProvider, getProviderConfig } = require('../tickets')
 const markdown = require('../markdown')
 const cache = require('../cache')
 
@@ -21,7 +22,7 @@ function fromLabel (item) {
   ])
 }
 
-const apiUrl = _.get(config, 'gitHub.apiUrl')
+const apiUrl = _.get(getProviderConfig(), 'apiUrl')
 const options = {}
 
 if (apiUrl) {
@@ -106,8 +107,8 @@ async function getOpenIssues ({ name, projectName } = {}) {
   if (name && projectName) {
     title = `[${projectName}/${name}]`
   }
-  const githubIssues = await github.searchIssues({ state: 'open', title })
-  return _.map(githubIssues, fromIssue)
+  const items = await getProvider().searchIssues({ state: 'open', title })
+  return _.map(items, fromIssue)
 }
 exports.getOpenIssues = getOpenIssues
 
@@ -128,8 +129,8 @@ async function loadOpenIssues (...args) {
 exports.loadOpenIssues = exports.list = loadOpenIssues
 
 async function finalizeIssue (number) {
-  const { data: githubIssue } = await github.getIssue({ number })
-  const issue = fromIssue(githubIssue)
+  const provider = getProvider()
+  const issue = fromIssue(await provider.getIssue({ number }))
 
   if (issue.metadata.state === 'closed') {
     logger.debug('Ticket already closed. Removing from cache..')
@@ -139,8 +140,8 @@ async function finalizeIssue (number) {
     return
   }
 
-  await github.createComment({ number }, '_[Auto-closed due to Shoot deletion]_')
-  await github.closeIssue({ number })
+  await provider.createComment({ number }, '_[Auto-closed due to Shoot deletion]_')
+  await provider.closeIssue({ number })
 }
 
 function deleteTickets ({ name, projectName }) {
@@ -157,8 +158,8 @@ exports.deleteTickets = deleteTickets
 async function getIssueComments ({ number }) {
   const ticketCache = cache.getTicketCache()
   const { metadata: { name, projectName } } = ticketCache.getIssue(number)
-  const githubComments = await github.getComments({ number })
-  return _.map(githubComments, githubComment => fromComment(number, name, projectName, githubComment))
+  const items = await getProvider().getComments({ number })
+  return _.map(items, item => fromComment(number, name, projectName, item))
 }
 exports.getIssueComments = getIssueComments
 
@@ -177,3 +178,86 @@ async function loadIssueComments ({ number }) {
   return comments
 }
 exports.loadIssueComments = loadIssueComments
+
+function getConfiguredProvider () {
+  const provider = getProvider()
+  if (!provider) {
+    throw new NotImplemented('The ticket feature is not configured')
+  }
+  return provider
+}
+
+function attribution (user, action) {
+  return `_${action} by ${user.id} via the Gardener Dashboard_`
+}
+
+function escapeMarkdown (text) {
+  return _.replace(text, /[\\`*_[\]<>|#]/g, '\\$&')
+}
+
+function createIssueBody ({ user, shoot, projectName, description }) {
+  const { metadata, spec = {}, status = {} } = shoot
+  const lines = []
+  if (description) {
+    lines.push(description, '')
+  }
+  lines.push(
+    '| Cluster | Project | Seed |',
+    '| --- | --- | --- |',
+    `| ${metadata.name} | ${projectName} | ${spec.seedName || '-'} |`
+  )
+  const lastOperation = status.lastOperation
+  if (lastOperation) {
+    lines.push('', `**Last Operation:** ${lastOperation.type} ${lastOperation.state} (${lastOperation.progress}%)`)
+  }
+  if (!_.isEmpty(status.lastErrors)) {
+    lines.push('', '**Last Errors:**')
+    for (const { description, codes } of status.lastErrors) {
+      const prefix = _.isEmpty(codes) ? '' : `\`${_.join(codes, ', ')}\` `
+      lines.push(`- ${prefix}${escapeMarkdown(description)}`)
+    }
+  }
+  lines.push('', attribution(user, 'Created'))
+  return _.join(lines, '\n')
+}
+
+async function create ({ user, namespace, body = {} }) {
+  const { name, title, description } = body
+  if (!name || !_.trim(title)) {
+    throw new UnprocessableEntity('The properties name and title are required')
+  }
+  const provider = getConfiguredProvider()
+  // reading the shoot with the user client ensures that the user has access to the cluster
+  const shoot = await user.client['core.gardener.cloud'].shoots.get(namespace, name)
+  const projectName = cache.findProjectByNamespace(namespace).metadata.name
+  const item = await provider.createIssue({
+    title: `[${projectName}/${name}] ${_.trim(title)}`,
+    body: createIssueBody({ user, shoot, projectName, description }),
+    labels: _.get(config, 'frontend.ticket.newTicketLabels', [])
+  })
+  const issue = fromIssue(item)
+  cache.getTicketCache().addOrUpdateIssue({ issue })
+  return issue
+}
+exports.create = create
+
+async function createComment ({ user, namespace, name, body = {} }) {
+  const number = _.toInteger(body.number)
+  const text = body.body
+  if (!number || !_.trim(text)) {
+    throw new UnprocessableEntity('The properties number and body are required')
+  }
+  const provider = getConfiguredProvider()
+  await user.client['core.gardener.cloud'].shoots.get(namespace, name)
+  const projectName = cache.findProjectByNamespace(namespace).metadata.name
+  const ticketCache = cache.getTicketCache()
+  const issue = ticketCache.getIssue(number)
+  if (!_.isMatch(_.get(issue, 'metadata'), { projectName, name })) {
+    throw new NotFound(`Ticket ${number} of cluster ${name} not found`)
+  }
+  const item = await provider.createComment({ number }, `${text}\n\n${attribution(user, 'Commented')}`)
+  const comment = fromComment(number, name, projectName, item)
+  ticketCache.addOrUpdateComment({ issueNumber: number, comment })
+  return comment
+}
+exports.createComment = createComment
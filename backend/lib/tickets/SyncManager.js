@@ -37,12 +37,12 @@ class SyncManager {
   async #invokeLoad () {
     clearTimeout(this.#idleSyncTimeoutId)
     try {
-      logger.debug('Starting synchronization of GitHub issues and comments')
+      logger.debug('Starting synchronization of ticket issues and comments')
       await this.#load()
-      logger.info('GitHub issues and comments successfully synchronized')
+      logger.info('Ticket issues and comments successfully synchronized')
       this.ready = true
     } catch (err) {
-      logger.error('Failed to load open GitHub issues and comments: %s', err.message)
+      logger.error('Failed to load open ticket issues and comments: %s', err.message)
     } finally {
       const delay = this.ready ? this.#interval : this.#retryPeriod
       if (delay) {
@@ -59,7 +59,7 @@ class SyncManager {
     clearTimeout(this.#scheduledInvocationTimeoutId)
     const wait = Math.max(0, this.#lastInvokeTime + this.#throttle - Date.now())
     if (wait) {
-      logger.debug(`GitHub synchronization delayed due to throttling for ${wait / 1000}s`)
+      logger.debug(`Ticket synchronization delayed due to throttling for ${wait / 1000}s`)
     }
     this.#scheduledInvocationTimeoutId = setTimeout(() => {
       this.#lastInvokeTime = Date.now()
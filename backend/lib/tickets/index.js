@@ -0,0 +1,57 @@
+//
+// SPDX-FileCopyrightText: 2023 SAP SE or an SAP affiliate company and Gardener contributors
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+
+'use strict'
+
+const config = require('../config')
+
+// The name of the lease is kept for compatibility with existing installations
+const WEBHOOK_LEASE_NAME = 'gardener-dashboard-github-webhook'
+
+/**
+ * A ticket provider implements the following interface:
+ *
+ * - `searchIssues({ state, title })`, `getIssue({ number })`, `getComments({ number })`
+ *   resolve with issues and comments in the shape of the GitHub REST API
+ * - `createIssue({ title, body, labels })` and `createComment({ number }, body)` resolve with
+ *   the created issue or comment in the same shape
+ * - `closeIssue({ number })`
+ * - `webhook.eventHeader`, `webhook.events` and `webhook.verify(req, res, body)`
+ *   are used by the webhook router
+ */
+const providers = {
+  gitLab: () => require('./providers/gitlab'),
+  gitHub: () => require('./providers/github')
+}
+
+function getProviderKey () {
+  if (config.gitLab) {
+    return 'gitLab'
+  }
+  if (config.gitHub) {
+    return 'gitHub'
+  }
+}
+
+function getProviderConfig () {
+  const key = getProviderKey()
+  if (key) {
+    return config[key]
+  }
+}
+
+function getProvider () {
+  const key = getProviderKey()
+  if (key) {
+    return providers[key]()
+  }
+}
+
+module.exports = {
+  WEBHOOK_LEASE_NAME,
+  getProviderConfig,
+  getProvider
+}
@@ -0,0 +1,42 @@
+//
+// SPDX-FileCopyrightText: 2023 SAP SE or an SAP affiliate company and Gardener contributors
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+
+'use strict'
+
+const github = require('../../github')
+const verify = require('../../github/verify')
+
+// GitHub issues and comments are already in the shape expected by the tickets service
+module.exports = {
+  name: 'github',
+  displayName: 'GitHub',
+  searchIssues ({ state, title } = {}) {
+    return github.searchIssues({ state, title })
+  },
+  async getIssue ({ number }) {
+    const { data } = await github.getIssue({ number })
+    return data
+  },
+  async createIssue ({ title, body, labels }) {
+    const { data } = await github.createIssue({ title, body, labels })
+    return data
+  },
+  closeIssue ({ number }) {
+    return github.closeIssue({ number })
+  },
+  getComments ({ number }) {
+    return github.getComments({ number })
+  },
+  async createComment ({ number }, body) {
+    const { data } = await github.createComment({ number }, body)
+    return data
+  },
+  webhook: {
+    eventHeader: 'x-github-event',
+    events: ['issues', 'issue_comment'],
+    verify
+  }
+}
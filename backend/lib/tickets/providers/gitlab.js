@@ -0,0 +1,111 @@
+//
+// SPDX-FileCopyrightText: 2023 SAP SE or an SAP affiliate company and Gardener contributors
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+
+'use strict'
+
+const _ = require('lodash')
+const gitlab = require('../../gitlab')
+const verify = require('../../gitlab/verify')
+
+const states = {
+  open: 'opened',
+  closed: 'closed'
+}
+
+function fromUser (user) {
+  return {
+    login: _.get(user, 'username'),
+    avatar_url: _.get(user, 'avatar_url')
+  }
+}
+
+function fromLabel (label) {
+  if (_.isString(label)) {
+    return { name: label }
+  }
+  return {
+    id: label.id,
+    name: label.name,
+    color: _.trimStart(label.color, '#')
+  }
+}
+
+/**
+ * Converts a GitLab issue into the shape of a GitHub issue which is expected by the tickets service.
+ * GitLab identifies issues within a project by `iid`, which takes the role of the GitHub issue number.
+ */
+function fromIssue (issue) {
+  return {
+    id: issue.id,
+    number: issue.iid,
+    title: issue.title,
+    body: issue.description,
+    state: issue.state === 'opened' ? 'open' : 'closed',
+    created_at: issue.created_at,
+    updated_at: issue.updated_at,
+    html_url: issue.web_url,
+    comments: issue.user_notes_count,
+    user: fromUser(issue.author),
+    labels: _.map(issue.labels, fromLabel)
+  }
+}
+
+function fromNote (issue, note) {
+  return {
+    id: note.id,
+    body: note.body,
+    created_at: note.created_at,
+    updated_at: note.updated_at,
+    html_url: `${issue.web_url}#note_${note.id}`,
+    user: fromUser(note.author)
+  }
+}
+
+module.exports = {
+  name: 'gitlab',
+  displayName: 'GitLab',
+  async searchIssues ({ state, title } = {}) {
+    const issues = await gitlab.searchIssues({ state: states[state], title })
+    return _.map(issues, fromIssue)
+  },
+  async getIssue ({ number }) {
+    const issue = await gitlab.getIssue({ number })
+    return fromIssue(issue)
+  },
+  async createIssue ({ title, body, labels }) {
+    const issue = await gitlab.createIssue({ title, description: body, labels })
+    return fromIssue(issue)
+  },
+  closeIssue ({ number }) {
+    return gitlab.closeIssue({ number })
+  },
+  async getComments ({ number }) {
+    const [issue, notes] = await Promise.all([
+      gitlab.getIssue({ number }),
+      gitlab.getNotes({ number })
+    ])
+    return _
+      .chain(notes)
+      .reject('system')
+      .map(note => fromNote(issue, note))
+      .value()
+  },
+  async createComment ({ number }, body) {
+    const [issue, note] = await Promise.all([
+      gitlab.getIssue({ number }),
+      gitlab.createNote({ number }, body)
+    ])
+    return fromNote(issue, note)
+  },
+  webhook: {
+    eventHeader: 'x-gitlab-event',
+    events: ['Issue Hook', 'Note Hook', 'Confidential Issue Hook', 'Confidential Note Hook'],
+    verify
+  }
+}
+
+module.exports.fromIssue = fromIssue
+module.exports.fromNote = fromNote
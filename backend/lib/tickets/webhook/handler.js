@@ -8,6 +8,7 @@
 
 const createError = require('http-errors')
 const { dashboardClient } = require('@gardener-dashboard/kube-client')
+const { WEBHOOK_LEASE_NAME, getProvider } = require('..')
 
 function currentMicroDateStr () {
   const date = new Date().toISOString()
@@ -16,7 +17,7 @@ function currentMicroDateStr () {
 
 async function updateLease () {
   const namespace = process.env.POD_NAMESPACE || 'garden'
-  const name = 'gardener-dashboard-github-webhook'
+  const name = WEBHOOK_LEASE_NAME
   const body = {
     spec: {
       holderIdentity: process.env.POD_NAME || 'gardener-dashboard',
@@ -30,12 +31,13 @@ async function updateLease () {
   }
 }
 
-async function handleGithubEvent (name) {
-  if (!['issues', 'issue_comment'].includes(name)) {
-    throw createError(422, `GitHub-Event '${name}' is not supported by this webhook endpoint`)
+async function handleEvent (name) {
+  const { displayName, webhook } = getProvider()
+  if (!webhook.events.includes(name)) {
+    throw createError(422, `${displayName} event '${name}' is not supported by this webhook endpoint`)
   }
 
   await updateLease()
 }
 
-module.exports = handleGithubEvent
+module.exports = handleEvent
@@ -6,12 +6,19 @@
 
 'use strict'
 
+const assert = require('assert')
 const express = require('express')
 const bodyParser = require('body-parser')
 const { requestLogger } = require('../../middleware')
 const { monitorResponseTimes } = require('@gardener-dashboard/monitor')
-const handleGithubEvent = require('./handler')
-const verify = require('./verify')
+const { getProvider } = require('..')
+const handleEvent = require('./handler')
+
+function verify (req, res, body) {
+  const provider = getProvider()
+  assert.ok(provider, 'No ticket provider configured on dashboard backend')
+  provider.webhook.verify(req, res, body)
+}
 
 const router = express.Router()
 
@@ -26,9 +33,10 @@ const middlewares = [
 router.route('/')
   .post(middlewares, async (req, res, next) => {
     try {
-      const eventName = req.headers['x-github-event']
+      const { webhook } = getProvider()
+      const eventName = req.headers[webhook.eventHeader]
 
-      await handleGithubEvent(eventName)
+      await handleEvent(eventName)
       res.status(204).end()
     } catch (err) {
       next(err)
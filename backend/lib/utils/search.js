@@ -0,0 +1,131 @@
+//
+// SPDX-FileCopyrightText: 2023 SAP SE or an SAP affiliate company and Gardener contributors
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+
+'use strict'
+
+const _ = require('lodash')
+const { UnprocessableEntity } = require('http-errors')
+
+const tokenizePattern = /(-?"([^"]|"")*"|\S+)/g
+
+function tokenizeSearch (text) {
+  const tokens = typeof text === 'string'
+    ? text.match(tokenizePattern)
+    : null
+  return tokens || []
+}
+
+class SearchQuery {
+  constructor (terms) {
+    this.terms = terms
+  }
+
+  matches (values) {
+    for (const term of this.terms) {
+      const found = !!_.find(values, value => term.exact ? value === term.value : _.includes(value, term.value))
+      if ((!found && !term.exclude) || (found && term.exclude)) {
+        return false
+      }
+    }
+    return true
+  }
+}
+
+/*
+  Same grammar as the search field of the cluster list in the frontend:
+  terms are ANDed, quoted terms match exactly and a leading minus sign excludes a term.
+*/
+function parseSearch (text) {
+  const terms = []
+  for (let value of tokenizeSearch(text)) {
+    let exclude = false
+    if (value[0] === '-') {
+      exclude = true
+      value = value.substring(1)
+    }
+    let exact = false
+    const end = value.length - 1
+    if (value[0] === '"' && value[end] === '"') {
+      exact = true
+      value = value.substring(1, end).replace(/""/g, '"')
+    }
+    if (value) {
+      terms.push({
+        value,
+        exact,
+        exclude
+      })
+    }
+  }
+  return new SearchQuery(terms)
+}
+
+const requirementPattern = /^\s*(!)?\s*([\w./-]+)\s*(?:(==|=|!=)\s*([\w.-]*)|\s+(in|notin)\s*\(([^)]*)\))?\s*$/
+
+function splitLabelSelector (text) {
+  const requirements = []
+  let depth = 0
+  let start = 0
+  for (let i = 0; i < text.length; i++) {
+    switch (text[i]) {
+      case '(':
+        depth++
+        break
+      case ')':
+        depth--
+        break
+      case ',':
+        if (depth === 0) {
+          requirements.push(text.substring(start, i))
+          start = i + 1
+        }
+        break
+    }
+  }
+  requirements.push(text.substring(start))
+  return _.filter(requirements, _.trim)
+}
+
+function parseLabelSelector (text = '') {
+  const requirements = _.map(splitLabelSelector(text), requirement => {
+    const match = requirementPattern.exec(requirement)
+    if (!match) {
+      throw new UnprocessableEntity(`Invalid label selector requirement "${_.trim(requirement)}"`)
+    }
+    const [, not, key, operator, value, setOperator, values] = match
+    if (not) {
+      if (operator || setOperator) {
+        throw new UnprocessableEntity(`Invalid label selector requirement "${_.trim(requirement)}"`)
+      }
+      return labels => !_.has(labels, [key])
+    }
+    switch (operator || setOperator) {
+      case '=':
+      case '==':
+        return labels => _.get(labels, [key]) === value
+      case '!=':
+        return labels => _.get(labels, [key]) !== value
+      case 'in': {
+        const valueSet = new Set(_.map(_.split(values, ','), _.trim))
+        return labels => _.has(labels, [key]) && valueSet.has(labels[key])
+      }
+      case 'notin': {
+        const valueSet = new Set(_.map(_.split(values, ','), _.trim))
+        return labels => !_.has(labels, [key]) || !valueSet.has(labels[key])
+      }
+      default:
+        return labels => _.has(labels, [key])
+    }
+  })
+  return ({ metadata = {} } = {}) => _.every(requirements, matches => matches(metadata.labels || {}))
+}
+
+module.exports = {
+  tokenizeSearch,
+  parseSearch,
+  SearchQuery,
+  parseLabelSelector
+}
@@ -8,3 +8,6 @@
 
 exports.shoots = require('./shoots')
 exports.leases = require('./leases')
+exports.projects = require('./projects')
+exports.seeds = require('./seeds')
+exports.secretbindings = require('./secretbindings')
@@ -8,10 +8,10 @@
 
 const pLimit = require('p-limit')
 const logger = require('../logger')
-const config = require('../config')
 const cache = require('../cache')
 const tickets = require('../services/tickets')
-const SyncManager = require('../github/SyncManager')
+const { getProviderConfig } = require('../tickets')
+const SyncManager = require('../tickets/SyncManager')
 
 async function loadOpenIssuesAndComments (concurrency) {
   const issues = await tickets.loadOpenIssues()
@@ -26,8 +26,9 @@ async function loadOpenIssuesAndComments (concurrency) {
 }
 
 module.exports = (io, informer, { signal }) => {
-  if (!config.gitHub) {
-    logger.warn('Missing gitHub property in config for tickets feature')
+  const providerConfig = getProviderConfig()
+  if (!providerConfig) {
+    logger.warn('Missing gitHub or gitLab property in config for tickets feature')
     return
   }
 
@@ -44,7 +45,7 @@ module.exports = (io, informer, { signal }) => {
     nsp.to(rooms).emit('comments', event)
   })
 
-  const { pollIntervalSeconds, syncThrottleSeconds, syncConcurrency } = config.gitHub
+  const { pollIntervalSeconds, syncThrottleSeconds, syncConcurrency } = providerConfig
   const syncManager = new SyncManager(() => {
     return loadOpenIssuesAndComments(syncConcurrency || 10)
   }, {
@@ -0,0 +1,210 @@
+//
+// SPDX-FileCopyrightText: 2023 SAP SE or an SAP affiliate company and Gardener contributors
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+
+'use strict'
+
+const _ = require('lodash')
+const logger = require('../logger')
+const leaderElector = require('../leaderElection')
+const { projectFilter } = require('../utils')
+const { projects, members, projectTemplates } = require('../services')
+const SubjectList = require('../services/members/SubjectList')
+
+const memberExpirationInterval = 60_000
+const projectTemplateInterval = 60_000
+const serviceAccountRotationInterval = 3_600_000
+
+/*
+  Service account details are not part of the project resource.
+  Member events therefore only contain the username, the roles, the expiration timestamp and the rotation period of a member.
+*/
+function getMembers (project) {
+  if (!project) {
+    return {}
+  }
+  return _
+    .chain(new SubjectList(project, []).members)
+    .map(({ username, roles, expirationTimestamp, rotationPeriodDays }) => ({ username, roles, expirationTimestamp, rotationPeriodDays }))
+    .keyBy('username')
+    .value()
+}
+
+function getMemberEvents (object, oldObject) {
+  const members = getMembers(object)
+  const oldMembers = getMembers(oldObject)
+  const events = []
+  for (const [username, member] of Object.entries(members)) {
+    if (!oldMembers[username]) {
+      events.push({ type: 'ADDED', object: member })
+    } else if (!_.isEqual(member, oldMembers[username])) {
+      events.push({ type: 'MODIFIED', object: member })
+    }
+  }
+  for (const [username, member] of Object.entries(oldMembers)) {
+    if (!members[username]) {
+      events.push({ type: 'DELETED', object: member })
+    }
+  }
+  return events
+}
+
+/*
+  The visibility of a project depends on the user (see `projectFilter`) and may change with every
+  modification of the project. Therefore project events are emitted to each subscribed socket separately.
+*/
+function getProjectEventType (type, isVisible, wasVisible) {
+  if (type === 'DELETED') {
+    return wasVisible ? 'DELETED' : undefined
+  }
+  if (isVisible) {
+    return wasVisible ? 'MODIFIED' : 'ADDED'
+  }
+  if (wasVisible) {
+    return 'DELETED'
+  }
+}
+
+module.exports = (io, informer, { signal } = {}) => {
+  const nsp = io.of('/')
+
+  const emitProjectEvent = async ({ type, object, oldObject }) => {
+    const rooms = [
+      ['projects:admin', true],
+      ['projects', false]
+    ]
+    for (const [room, isAdmin] of rooms) {
+      const sockets = await nsp.in(room).fetchSockets()
+      for (const socket of sockets) {
+        const user = socket.data.user
+        const filter = projectFilter(user, isAdmin)
+        const isVisible = type !== 'DELETED' && filter(object)
+        const wasVisible = type === 'DELETED'
+          ? filter(object)
+          : !!oldObject && filter(oldObject)
+        const eventType = getProjectEventType(type, isVisible, wasVisible)
+        if (eventType) {
+          socket.emit('projects', { type: eventType, object: projects.fromResource(object) })
+        }
+      }
+    }
+  }
+
+  const emitMemberEvents = (object, oldObject) => {
+    const namespace = _.get(object, 'spec.namespace')
+    if (!namespace) {
+      return
+    }
+    for (const event of getMemberEvents(object, oldObject)) {
+      nsp.to(`members;${namespace}`).emit('members', { ...event, namespace })
+    }
+  }
+
+  // names of the projects whose template is currently applied
+  const applyingTemplates = new Set()
+
+  const applyProjectTemplate = async project => {
+    const name = project.metadata.name
+    if (!leaderElector.isLeader() || !projectTemplates.isPending(project) || applyingTemplates.has(name)) {
+      return
+    }
+    applyingTemplates.add(name)
+    try {
+      await projectTemplates.apply(project)
+      logger.info('Applied project template %s to project %s', projectTemplates.getTemplateName(project), name)
+    } catch (err) {
+      logger.error('Failed to apply project template: %s', err.message)
+    } finally {
+      applyingTemplates.delete(name)
+    }
+  }
+
+  // templates which could not be applied completely are applied again
+  const applyProjectTemplates = async () => {
+    for (const project of informer.store.list()) {
+      await applyProjectTemplate(project)
+    }
+  }
+
+  const handleEvent = event => {
+    emitProjectEvent(event).catch(err => {
+      logger.error('Failed to emit project event: %s', err.message)
+    })
+    if (event.type === 'MODIFIED') {
+      emitMemberEvents(event.object, event.oldObject)
+    }
+    if (event.type !== 'DELETED') {
+      applyProjectTemplate(event.object)
+    }
+  }
+
+  informer.on('add', object => handleEvent({ type: 'ADDED', object }))
+  informer.on('update', (object, oldObject) => handleEvent({ type: 'MODIFIED', object, oldObject }))
+  informer.on('delete', object => handleEvent({ type: 'DELETED', object }))
+
+  // expired members are only removed by the leading replica
+  const removeExpiredMembers = async () => {
+    if (!leaderElector.isLeader()) {
+      return
+    }
+    const now = Date.now()
+    for (const project of informer.store.list()) {
+      if (!_.has(project, ['metadata', 'annotations', SubjectList.EXPIRATIONS_ANNOTATION])) {
+        continue
+      }
+      try {
+        const usernames = await members.removeExpiredMembers(project, now)
+        if (usernames.length) {
+          logger.info('Removed expired members %s from project %s', usernames.join(', '), project.metadata.name)
+        }
+      } catch (err) {
+        logger.error('Failed to remove expired members from project %s: %s', project.metadata.name, err.message)
+      }
+    }
+  }
+
+  // service accounts are only rotated by the leading replica, otherwise credentials could be reset more than once
+  const rotateServiceAccounts = async () => {
+    if (!leaderElector.isLeader()) {
+      return
+    }
+    const now = Date.now()
+    for (const project of informer.store.list()) {
+      if (!_.has(project, ['metadata', 'annotations', SubjectList.ROTATIONS_ANNOTATION])) {
+        continue
+      }
+      try {
+        const usernames = await members.rotateServiceAccounts(project, now)
+        if (usernames.length) {
+          logger.info('Rotated service accounts %s of project %s', usernames.join(', '), project.metadata.name)
+        }
+      } catch (err) {
+        logger.error('Failed to rotate service accounts of project %s: %s', project.metadata.name, err.message)
+      }
+    }
+  }
+
+  const intervals = [
+    setInterval(removeExpiredMembers, memberExpirationInterval),
+    setInterval(rotateServiceAccounts, serviceAccountRotationInterval),
+    setInterval(applyProjectTemplates, projectTemplateInterval)
+  ]
+  for (const interval of intervals) {
+    interval.unref()
+  }
+  // rotations which became due while no replica was leading are not delayed until the next interval
+  const onStartedLeading = () => {
+    rotateServiceAccounts().catch(err => {
+      logger.error('Failed to rotate service accounts: %s', err.message)
+    })
+  }
+  leaderElector.on('started', onStartedLeading)
+  if (signal) {
+    signal.addEventListener('abort', () => {
+      intervals.forEach(clearInterval)
+      leaderElector.off('started', onStartedLeading)
+    }, { once: true })
+  }
+}
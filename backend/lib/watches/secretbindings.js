@@ -0,0 +1,24 @@
+//
+// SPDX-FileCopyrightText: 2023 SAP SE or an SAP affiliate company and Gardener contributors
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+
+'use strict'
+
+/*
+  The cloud provider secrets of the frontend are composed of a secret binding and the referenced secret.
+  The events only contain the name and namespace of the secret binding, the secret data is never emitted.
+*/
+module.exports = (io, informer) => {
+  const nsp = io.of('/')
+
+  const handleEvent = ({ type, object }) => {
+    const { namespace, name } = object.metadata
+    nsp.to(`secrets;${namespace}`).emit('secrets', { type, object: { metadata: { namespace, name } } })
+  }
+
+  informer.on('add', object => handleEvent({ type: 'ADDED', object }))
+  informer.on('update', object => handleEvent({ type: 'MODIFIED', object }))
+  informer.on('delete', object => handleEvent({ type: 'DELETED', object }))
+}
@@ -0,0 +1,21 @@
+//
+// SPDX-FileCopyrightText: 2023 SAP SE or an SAP affiliate company and Gardener contributors
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+
+'use strict'
+
+const { seeds } = require('../services')
+
+module.exports = (io, informer) => {
+  const nsp = io.of('/')
+
+  const handleEvent = ({ type, object }) => {
+    nsp.to('seeds').emit('seeds', { type, object: seeds.fromResource(object) })
+  }
+
+  informer.on('add', object => handleEvent({ type: 'ADDED', object }))
+  informer.on('update', object => handleEvent({ type: 'MODIFIED', object }))
+  informer.on('delete', object => handleEvent({ type: 'DELETED', object }))
+}
@@ -6,10 +6,18 @@
 
 'use strict'
 
+const _ = require('lodash')
 const logger = require('../logger')
 const { shootHasIssue } = require('../utils')
 const { tickets } = require('../services')
 const cache = require('../cache')
+const config = require('../config')
+const leaderElector = require('../leaderElection')
+const { createNotifier } = require('../notifications')
+const { createAlertEvaluator } = require('../alerts')
+
+// duration based alert rules must also fire if a shoot has not been modified
+const alertEvaluationInterval = 60_000
 
 async function deleteTickets ({ namespace, name }) {
   try {
@@ -20,8 +28,29 @@ async function deleteTickets ({ namespace, name }) {
   }
 }
 
-module.exports = (io, informer, { shootsWithIssues = new Set() } = {}) => {
+module.exports = (io, informer, { shootsWithIssues = new Set(), signal } = {}) => {
   const nsp = io.of('/')
+  const notifier = _.get(config, 'frontend.features.notificationsEnabled', false)
+    ? createNotifier({ signal })
+    : undefined
+  const alertEvaluator = _.get(config, 'frontend.features.alertRulesEnabled', false)
+    ? createAlertEvaluator()
+    : undefined
+
+  const alertsPublish = object => {
+    const { namespace, name, uid } = object.metadata
+    const alerts = alertEvaluator.evaluate(object)
+    if (alerts) {
+      const rooms = [
+        'shoots:admin',
+        `shoots;${namespace}`,
+        `shoots;${namespace}/${name}`,
+        'shoots:unhealthy:admin',
+        `shoots:unhealthy;${namespace}`
+      ]
+      nsp.to(rooms).emit('alerts', { namespace, name, uid, alerts })
+    }
+  }
 
   const handleEvent = event => {
     const { namespace, name } = event.object.metadata
@@ -54,6 +83,14 @@ module.exports = (io, informer, { shootsWithIssues = new Set() } = {}) => {
     }
     unhealthyShootsPublish(event)
 
+    if (alertEvaluator) {
+      if (event.type === 'DELETED') {
+        alertEvaluator.delete(event.object.metadata.uid)
+      } else {
+        alertsPublish(event.object)
+      }
+    }
+
     switch (event.type) {
       case 'DELETED':
         deleteTickets(event.object.metadata)
@@ -61,7 +98,34 @@ module.exports = (io, informer, { shootsWithIssues = new Set() } = {}) => {
     }
   }
 
-  informer.on('add', object => handleEvent({ type: 'ADDED', object }))
-  informer.on('update', object => handleEvent({ type: 'MODIFIED', object }))
-  informer.on('delete', object => handleEvent({ type: 'DELETED', object }))
+  const shootHistory = cache.getShootHistory()
+
+  informer.on('add', object => {
+    shootHistory.addRevision(object)
+    handleEvent({ type: 'ADDED', object })
+  })
+  informer.on('update', (object, oldObject) => {
+    shootHistory.addRevision(object, oldObject)
+    // every replica watches the shoots, but only the leading replica sends notifications
+    if (notifier && leaderElector.isLeader()) {
+      notifier.notify(object, oldObject)
+    }
+    handleEvent({ type: 'MODIFIED', object })
+  })
+  informer.on('delete', object => {
+    shootHistory.deleteRevisions(object.metadata.uid)
+    handleEvent({ type: 'DELETED', object })
+  })
+
+  if (alertEvaluator) {
+    const interval = setInterval(() => {
+      for (const object of informer.store.list()) {
+        alertsPublish(object)
+      }
+    }, alertEvaluationInterval)
+    interval.unref()
+    if (signal) {
+      signal.addEventListener('abort', () => clearInterval(interval), { once: true })
+    }
+  }
 }
@@ -0,0 +1,128 @@
+//
+// SPDX-FileCopyrightText: 2023 SAP SE or an SAP affiliate company and Gardener contributors
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+
+'use strict'
+
+const { cloneDeep, find } = require('lodash')
+const { mockRequest } = require('@gardener-dashboard/request')
+const cache = require('../../lib/cache')
+
+describe('api', function () {
+  let agent
+
+  beforeAll(() => {
+    agent = createAgent()
+  })
+
+  afterAll(() => {
+    return agent.close()
+  })
+
+  beforeEach(() => {
+    mockRequest.mockReset()
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  describe('accessReview', function () {
+    const user = fixtures.auth.createUser({ id: 'foo@example.org' })
+    const admin = fixtures.auth.createUser({ id: 'admin@example.org' })
+    const staleSinceTimestamp = '2023-01-01T00:00:00Z'
+    const staleAutoDeleteTimestamp = '2023-06-01T00:00:00Z'
+
+    beforeEach(() => {
+      const projects = cloneDeep(cache.getProjects())
+      const project = find(projects, ['metadata.name', 'bar'])
+      project.status = { ...project.status, staleSinceTimestamp, staleAutoDeleteTimestamp }
+      jest.spyOn(cache, 'getProjects').mockReturnValue(projects)
+    })
+
+    it('should return the projects and roles of all members', async function () {
+      mockRequest.mockImplementationOnce(fixtures.auth.mocks.reviewSelfSubjectAccess())
+
+      const res = await agent
+        .get('/api/accessreview')
+        .set('cookie', await admin.cookie)
+        .expect('content-type', /json/)
+        .expect(200)
+
+      expect(mockRequest).toBeCalledTimes(1)
+      const items = res.body
+      expect(items.map(({ kind, name }) => [kind, name])).toEqual([
+        ['User', 'bar@example.org'],
+        ['User', 'foo@example.org'],
+        ['Group', 'group1'],
+        ['Group', 'group2'],
+        ['ServiceAccount', 'system:serviceaccount:garden-bar:robot'],
+        ['ServiceAccount', 'system:serviceaccount:garden-baz:robot'],
+        ['ServiceAccount', 'system:serviceaccount:garden-foo:robot']
+      ])
+      expect(find(items, ['name', 'foo@example.org'])).toEqual({
+        kind: 'User',
+        name: 'foo@example.org',
+        foreign: false,
+        stale: true,
+        projects: [
+          {
+            name: 'bar',
+            namespace: 'garden-bar',
+            roles: ['admin', 'owner'],
+            foreign: false,
+            stale: true,
+            staleSinceTimestamp,
+            staleAutoDeleteTimestamp
+          },
+          {
+            name: 'foo',
+            namespace: 'garden-foo',
+            roles: ['admin'],
+            foreign: false,
+            stale: false
+          }
+        ]
+      })
+      expect(find(items, ['name', 'system:serviceaccount:garden-foo:robot'])).toMatchObject({
+        kind: 'ServiceAccount',
+        namespace: 'garden-foo',
+        foreign: true,
+        projects: [
+          { name: 'bar', roles: ['viewer', 'admin'], foreign: true },
+          { name: 'foo', roles: ['viewer'], foreign: false }
+        ]
+      })
+      expect(find(items, ['name', 'system:serviceaccount:garden-bar:robot'])).toMatchObject({
+        kind: 'ServiceAccount',
+        namespace: 'garden-bar',
+        foreign: true,
+        stale: false,
+        projects: [
+          { name: 'secret', namespace: 'garden-secret', roles: ['viewer'], foreign: true }
+        ]
+      })
+      expect(find(items, ['name', 'group1'])).toMatchObject({
+        kind: 'Group',
+        projects: [
+          { name: 'GroupMember1', roles: ['admin', 'owner'] }
+        ]
+      })
+    })
+
+    it('should not return the access review to non-admin users', async function () {
+      mockRequest.mockImplementationOnce(fixtures.auth.mocks.reviewSelfSubjectAccess({ allowed: false }))
+
+      const res = await agent
+        .get('/api/accessreview')
+        .set('cookie', await user.cookie)
+        .expect('content-type', /json/)
+        .expect(403)
+
+      expect(mockRequest).toBeCalledTimes(1)
+      expect(res.body.message).toBe('You are not allowed to read the access review')
+    })
+  })
+})
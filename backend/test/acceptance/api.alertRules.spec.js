@@ -0,0 +1,224 @@
+//
+// SPDX-FileCopyrightText: 2023 SAP SE or an SAP affiliate company and Gardener contributors
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+
+'use strict'
+
+const { merge } = require('lodash')
+const createError = require('http-errors')
+const { mockRequest } = require('@gardener-dashboard/request')
+const cache = require('../../lib/cache')
+
+describe('api', function () {
+  let agent
+
+  beforeAll(() => {
+    agent = createAgent()
+  })
+
+  afterAll(() => {
+    return agent.close()
+  })
+
+  beforeEach(() => {
+    mockRequest.mockReset()
+  })
+
+  describe('alertRules', function () {
+    const namespace = 'garden-foo'
+    const user = fixtures.user.create({ id: 'john.doe@example.org' })
+    const rules = [
+      {
+        name: 'apiserver-unavailable',
+        type: 'condition',
+        severity: 'error',
+        conditionType: 'APIServerAvailable',
+        status: 'False',
+        duration: '10m'
+      },
+      {
+        name: 'operation-failed',
+        type: 'lastOperationFailed',
+        severity: 'warning',
+        count: 2
+      }
+    ]
+
+    it('should return the alert rules of a project', async function () {
+      mockRequest.mockImplementationOnce(() => Promise.resolve(merge(fixtures.projects.get('foo'), {
+        metadata: {
+          annotations: {
+            'dashboard.gardener.cloud/alert-rules': JSON.stringify(rules)
+          }
+        }
+      })))
+
+      const res = await agent
+        .get(`/api/namespaces/${namespace}/alertrules`)
+        .set('cookie', await user.cookie)
+        .expect('content-type', /json/)
+        .expect(200)
+
+      expect(mockRequest).toBeCalledTimes(1)
+      expect(mockRequest.mock.calls[0][0]).toMatchObject({
+        ':method': 'get',
+        ':path': '/apis/core.gardener.cloud/v1beta1/projects/foo'
+      })
+      expect(res.body).toEqual({
+        resourceVersion: fixtures.projects.get('foo').metadata.resourceVersion,
+        rules
+      })
+    })
+
+    it('should replace the alert rules of a project', async function () {
+      mockRequest.mockImplementationOnce(fixtures.projects.mocks.patch())
+
+      const res = await agent
+        .put(`/api/namespaces/${namespace}/alertrules`)
+        .set('cookie', await user.cookie)
+        .send({
+          resourceVersion: '42',
+          rules: [
+            { name: 'operation-failed', type: 'lastOperationFailed', count: 3, limit: 10 }
+          ]
+        })
+        .expect('content-type', /json/)
+        .expect(200)
+
+      const expectedRules = [
+        { name: 'operation-failed', type: 'lastOperationFailed', severity: 'warning', count: 3 }
+      ]
+      expect(mockRequest).toBeCalledTimes(1)
+      const [headers, json] = mockRequest.mock.calls[0]
+      expect(headers).toMatchObject({
+        ':method': 'patch',
+        ':path': '/apis/core.gardener.cloud/v1beta1/projects/foo',
+        'content-type': 'application/merge-patch+json'
+      })
+      expect(json.metadata.resourceVersion).toBe('42')
+      expect(JSON.parse(json.metadata.annotations['dashboard.gardener.cloud/alert-rules'])).toEqual(expectedRules)
+      expect(res.body.rules).toEqual(expectedRules)
+    })
+
+    it('should not replace the alert rules if the project has been modified', async function () {
+      mockRequest.mockImplementationOnce(() => Promise.reject(createError(409, 'the object has been modified')))
+
+      const res = await agent
+        .put(`/api/namespaces/${namespace}/alertrules`)
+        .set('cookie', await user.cookie)
+        .send({
+          resourceVersion: '41',
+          rules
+        })
+        .expect('content-type', /json/)
+        .expect(409)
+
+      expect(mockRequest).toBeCalledTimes(1)
+      expect(res.body.message).toBe('the object has been modified')
+    })
+
+    it('should require the resource version of the project', async function () {
+      const res = await agent
+        .put(`/api/namespaces/${namespace}/alertrules`)
+        .set('cookie', await user.cookie)
+        .send({
+          rules
+        })
+        .expect('content-type', /json/)
+        .expect(422)
+
+      expect(mockRequest).not.toBeCalled()
+      expect(res.body.message).toBe('Property resourceVersion is required')
+    })
+
+    it('should reject invalid alert rules', async function () {
+      const res = await agent
+        .put(`/api/namespaces/${namespace}/alertrules`)
+        .set('cookie', await user.cookie)
+        .send({
+          resourceVersion: '42',
+          rules: [
+            { name: 'apiserver-unavailable', type: 'condition', conditionType: 'APIServerAvailable', duration: '10 minutes' }
+          ]
+        })
+        .expect('content-type', /json/)
+        .expect(422)
+
+      expect(mockRequest).not.toBeCalled()
+      expect(res.body.message).toBe('Property rules[0].duration must be a duration like 30s, 10m or 1h')
+    })
+
+    it('should reject duplicate rule names', async function () {
+      const res = await agent
+        .put(`/api/namespaces/${namespace}/alertrules`)
+        .set('cookie', await user.cookie)
+        .send({
+          resourceVersion: '42',
+          rules: [rules[1], rules[1]]
+        })
+        .expect('content-type', /json/)
+        .expect(422)
+
+      expect(mockRequest).not.toBeCalled()
+      expect(res.body.message).toBe('Rule names must be unique: operation-failed')
+    })
+
+    describe('alerts', function () {
+      const alerts = [
+        {
+          rule: 'operation-failed',
+          severity: 'warning',
+          since: '2023-03-01T10:00:00Z',
+          message: 'Last operation Reconcile failed 2 times in a row'
+        }
+      ]
+
+      beforeEach(() => {
+        cache.cache.set('shoots', {
+          list () {
+            return fixtures.shoots.list()
+          }
+        })
+        cache.getShootAlerts().setAlerts(1, alerts)
+      })
+
+      afterEach(() => {
+        cache.cache.delete('shoots')
+        cache.getShootAlerts().clear()
+      })
+
+      it('should return the alerts of the shoots', async function () {
+        mockRequest.mockImplementationOnce(fixtures.auth.mocks.reviewSelfSubjectAccess())
+
+        const res = await agent
+          .get(`/api/namespaces/${namespace}/alerts`)
+          .set('cookie', await user.cookie)
+          .expect('content-type', /json/)
+          .expect(200)
+
+        expect(mockRequest).toBeCalledTimes(1)
+        expect(res.body).toEqual({
+          apiVersion: 'v1',
+          kind: 'List',
+          items: [
+            { namespace, name: 'fooShoot', uid: 1, alerts }
+          ]
+        })
+      })
+
+      it('should not return alerts without authorization to list shoots', async function () {
+        mockRequest.mockImplementationOnce(fixtures.auth.mocks.reviewSelfSubjectAccess({ allowed: false }))
+
+        await agent
+          .get(`/api/namespaces/${namespace}/alerts`)
+          .set('cookie', await user.cookie)
+          .expect('content-type', /json/)
+          .expect(403)
+
+        expect(mockRequest).toBeCalledTimes(1)
+      })
+    })
+  })
+})
@@ -0,0 +1,96 @@
+//
+// SPDX-FileCopyrightText: 2023 SAP SE or an SAP affiliate company and Gardener contributors
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+
+'use strict'
+
+const { mockRequest } = require('@gardener-dashboard/request')
+const audit = require('../../lib/audit')
+
+describe('api', function () {
+  let agent
+
+  beforeAll(() => {
+    agent = createAgent()
+  })
+
+  afterAll(() => {
+    return agent.close()
+  })
+
+  beforeEach(() => {
+    mockRequest.mockReset()
+    audit.clear()
+  })
+
+  describe('audit', function () {
+    const namespace = 'garden-foo'
+    const project = fixtures.projects.getByNamespace(namespace)
+    const user = fixtures.auth.createUser({ id: project.spec.owner.name, groups: ['group1'] })
+    const admin = fixtures.auth.createUser({ id: 'admin@example.org' })
+
+    it('should record mutating requests with sanitized bodies', async function () {
+      mockRequest.mockImplementationOnce(fixtures.secretbindings.mocks.get())
+      mockRequest.mockImplementationOnce(fixtures.secrets.mocks.patch())
+      mockRequest.mockImplementationOnce(fixtures.auth.mocks.reviewSelfSubjectAccess())
+
+      await agent
+        .put(`/api/namespaces/${namespace}/cloudprovidersecrets/foo-infra3`)
+        .set('cookie', await user.cookie)
+        .send({ data: { key: 'myKey', secret: 'mySecret' } })
+        .expect(200)
+
+      mockRequest.mockImplementationOnce(fixtures.secretbindings.mocks.get())
+
+      await agent
+        .delete(`/api/namespaces/${namespace}/cloudprovidersecrets/trial-infra1`)
+        .set('cookie', await user.cookie)
+        .expect(422)
+
+      mockRequest.mockReset()
+      mockRequest.mockImplementationOnce(fixtures.auth.mocks.reviewSelfSubjectAccess())
+
+      const res = await agent
+        .get('/api/audit')
+        .query({ namespace })
+        .set('cookie', await admin.cookie)
+        .expect('content-type', /json/)
+        .expect(200)
+
+      expect(mockRequest).toBeCalledTimes(1)
+      expect(res.body).toHaveLength(2)
+      expect(res.body).toMatchSnapshot([
+        { timestamp: expect.any(String) },
+        { timestamp: expect.any(String) }
+      ])
+    })
+
+    it('should not record reading requests', async function () {
+      mockRequest.mockImplementationOnce(fixtures.auth.mocks.reviewSelfSubjectAccess())
+
+      await agent
+        .get(`/api/namespaces/${namespace}/resourcequotas`)
+        .set('cookie', await user.cookie)
+        .expect(200)
+
+      expect(audit.query()).toEqual([])
+    })
+
+    it('should not return the audit log to non-admin users', async function () {
+      mockRequest.mockImplementationOnce(fixtures.auth.mocks.reviewSelfSubjectAccess({ allowed: false }))
+
+      const res = await agent
+        .get('/api/audit')
+        .set('cookie', await user.cookie)
+        .expect('content-type', /json/)
+        .expect(403)
+
+      expect(mockRequest).toBeCalledTimes(1)
+      expect(res.body).toMatchSnapshot({
+        details: expect.any(Object)
+      })
+    })
+  })
+})
@@ -0,0 +1,199 @@
+//
+// SPDX-FileCopyrightText: 2023 SAP SE or an SAP affiliate company and Gardener contributors
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+
+'use strict'
+
+const { merge } = require('lodash')
+const createError = require('http-errors')
+const { mockRequest } = require('@gardener-dashboard/request')
+const cache = require('../../lib/cache')
+
+describe('api', function () {
+  let agent
+
+  beforeAll(() => {
+    agent = createAgent()
+  })
+
+  afterAll(() => {
+    return agent.close()
+  })
+
+  beforeEach(() => {
+    mockRequest.mockReset()
+  })
+
+  describe('machineImages', function () {
+    const namespace = 'garden-foo'
+    const user = fixtures.auth.createUser({
+      id: 'foo@example.org'
+    })
+
+    const cloudProfile = merge(fixtures.cloudprofiles.get('infra1-profileName'), {
+      spec: {
+        machineImages: [{
+          name: 'gardenlinux',
+          versions: [
+            { version: '934.6.0' },
+            { version: '934.7.0', classification: 'preview' },
+            { version: '934.5.0', architectures: ['arm64'] },
+            { version: '318.9.0', expirationDate: '2099-01-01T00:00:00Z' },
+            { version: '318.8.0', expirationDate: '2020-01-01T00:00:00Z' }
+          ]
+        }]
+      }
+    })
+
+    function createShoot (name) {
+      const shoot = fixtures.shoots.create({
+        namespace,
+        name,
+        project: 'foo'
+      })
+      shoot.metadata.resourceVersion = '42'
+      shoot.spec.provider.workers = [
+        {
+          name: 'worker-a',
+          machine: { type: 'm5.large', image: { name: 'gardenlinux', version: '318.9.0' } }
+        },
+        {
+          name: 'worker-b',
+          machine: { type: 'm5.large', image: { name: 'gardenlinux', version: '934.6.0' } }
+        },
+        {
+          name: 'worker-c',
+          machine: { type: 'm6g.large', architecture: 'arm64', image: { name: 'gardenlinux', version: '318.8.0' } }
+        }
+      ]
+      return shoot
+    }
+
+    beforeEach(function () {
+      cache.cache.set('cloudprofiles', {
+        list () {
+          return [cloudProfile]
+        }
+      })
+    })
+
+    afterEach(function () {
+      cache.cache.delete('cloudprofiles')
+    })
+
+    it('should return the machine images of all worker pools', async function () {
+      mockRequest.mockImplementationOnce(() => Promise.resolve({ items: [createShoot('fooShoot')] }))
+
+      const res = await agent
+        .get(`/api/namespaces/${namespace}/machineimages`)
+        .set('cookie', await user.cookie)
+        .expect('content-type', /json/)
+        .expect(200)
+
+      expect(mockRequest).toBeCalledTimes(1)
+      expect(res.body.items).toEqual([
+        expect.objectContaining({
+          namespace,
+          projectName: 'foo',
+          shootName: 'fooShoot',
+          workerName: 'worker-a',
+          imageVersion: '318.9.0',
+          expirationDate: '2099-01-01T00:00:00Z',
+          status: 'expiring',
+          latestVersion: '934.6.0',
+          updateAvailable: true,
+          autoUpdate: false
+        }),
+        expect.objectContaining({
+          workerName: 'worker-b',
+          imageVersion: '934.6.0',
+          status: 'supported',
+          latestVersion: '934.6.0',
+          updateAvailable: false
+        }),
+        expect.objectContaining({
+          workerName: 'worker-c',
+          architecture: 'arm64',
+          imageVersion: '318.8.0',
+          status: 'expired',
+          latestVersion: '934.6.0',
+          updateAvailable: true
+        })
+      ])
+    })
+
+    it('should update the machine images of worker pools', async function () {
+      mockRequest.mockImplementationOnce(() => Promise.resolve(createShoot('fooShoot')))
+      mockRequest.mockImplementationOnce((headers, json) => Promise.resolve(json))
+
+      const res = await agent
+        .post(`/api/namespaces/${namespace}/machineimages/_update`)
+        .set('cookie', await user.cookie)
+        .send({
+          workers: [
+            { namespace, shootName: 'fooShoot', workerName: 'worker-a' },
+            { namespace, shootName: 'fooShoot', workerName: 'worker-b' },
+            { namespace, shootName: 'fooShoot', workerName: 'worker-c', version: '934.5.0' },
+            { namespace, shootName: 'fooShoot', workerName: 'worker-d' }
+          ]
+        })
+        .expect('content-type', /json/)
+        .expect(200)
+
+      expect(mockRequest).toBeCalledTimes(2)
+      const [headers, json] = mockRequest.mock.calls[1]
+      expect(headers).toMatchObject({
+        ':method': 'patch',
+        ':path': `/apis/core.gardener.cloud/v1beta1/namespaces/${namespace}/shoots/fooShoot`,
+        'content-type': 'application/merge-patch+json'
+      })
+      expect(json.metadata).toEqual({ resourceVersion: '42' })
+      expect(json.spec.provider.workers.map(worker => worker.machine.image.version)).toEqual(['934.6.0', '934.6.0', '934.5.0'])
+      expect(res.body.items).toEqual([
+        { namespace, shootName: 'fooShoot', workerName: 'worker-a', status: 'Success', message: 'Machine image version updated to 934.6.0' },
+        { namespace, shootName: 'fooShoot', workerName: 'worker-b', status: 'Skipped', message: 'Machine image version 934.6.0 is already up-to-date' },
+        { namespace, shootName: 'fooShoot', workerName: 'worker-c', status: 'Success', message: 'Machine image version updated to 934.5.0' },
+        { namespace, shootName: 'fooShoot', workerName: 'worker-d', status: 'Failure', message: 'Worker pool worker-d not found' }
+      ])
+    })
+
+    it('should not update the machine images if the shoot has been modified in the meantime', async function () {
+      mockRequest.mockImplementationOnce(() => Promise.resolve(createShoot('fooShoot')))
+      mockRequest.mockImplementationOnce(() => Promise.reject(createError(409, 'the object has been modified')))
+
+      const res = await agent
+        .post(`/api/namespaces/${namespace}/machineimages/_update`)
+        .set('cookie', await user.cookie)
+        .send({
+          workers: [
+            { namespace, shootName: 'fooShoot', workerName: 'worker-a' }
+          ]
+        })
+        .expect('content-type', /json/)
+        .expect(200)
+
+      expect(mockRequest).toBeCalledTimes(2)
+      expect(res.body.items).toEqual([
+        { namespace, shootName: 'fooShoot', workerName: 'worker-a', status: 'Failure', message: 'the object has been modified' }
+      ])
+    })
+
+    it('should reject worker pools of other namespaces', async function () {
+      const res = await agent
+        .post(`/api/namespaces/${namespace}/machineimages/_update`)
+        .set('cookie', await user.cookie)
+        .send({
+          workers: [
+            { namespace: 'garden-bar', shootName: 'barShoot', workerName: 'worker-a' }
+          ]
+        })
+        .expect('content-type', /json/)
+        .expect(422)
+
+      expect(mockRequest).not.toBeCalled()
+      expect(res.body.message).toBe('Worker pool barShoot/worker-a does not belong to namespace garden-foo')
+    })
+  })
+})
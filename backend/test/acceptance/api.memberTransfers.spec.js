@@ -0,0 +1,265 @@
+//
+// SPDX-FileCopyrightText: 2023 SAP SE or an SAP affiliate company and Gardener contributors
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+
+'use strict'
+
+const yaml = require('js-yaml')
+const { mockRequest } = require('@gardener-dashboard/request')
+
+describe('api', function () {
+  let agent
+
+  beforeAll(() => {
+    agent = createAgent()
+  })
+
+  afterAll(() => {
+    return agent.close()
+  })
+
+  beforeEach(() => {
+    mockRequest.mockReset()
+  })
+
+  describe('memberTransfers', function () {
+    const namespace = 'garden-foo'
+    const user = fixtures.auth.createUser({
+      id: 'bar@example.org'
+    })
+
+    function mockCreateMemberManager () {
+      mockRequest.mockImplementationOnce(fixtures.projects.mocks.get())
+      mockRequest.mockImplementationOnce(fixtures.serviceaccounts.mocks.list())
+    }
+
+    function getPatchedMembers () {
+      const [headers, json] = mockRequest.mock.calls[mockRequest.mock.calls.length - 1]
+      expect(headers).toMatchObject({
+        ':method': 'patch',
+        ':path': '/apis/core.gardener.cloud/v1beta1/projects/foo'
+      })
+      return json.spec.members
+    }
+
+    describe('export', function () {
+      const members = [
+        { username: 'foo@example.org', roles: ['admin'] },
+        { username: 'bar@example.org', roles: ['admin'] },
+        { username: 'system:serviceaccount:garden-foo:robot', roles: ['viewer'] },
+        { username: 'system:serviceaccount:garden-baz:robot', roles: ['viewer', 'admin'] }
+      ]
+
+      it('should export the members of a project as YAML', async function () {
+        mockCreateMemberManager()
+
+        const res = await agent
+          .get(`/api/namespaces/${namespace}/members/_export`)
+          .set('cookie', await user.cookie)
+          .expect('content-type', /application\/yaml/)
+          .expect(200)
+
+        expect(mockRequest).toBeCalledTimes(2)
+        expect(yaml.load(res.text)).toEqual({
+          apiVersion: 'dashboard.gardener.cloud/v1alpha1',
+          kind: 'MemberExport',
+          project: {
+            name: 'foo',
+            namespace
+          },
+          members
+        })
+      })
+
+      it('should export the members of a project as CSV', async function () {
+        mockCreateMemberManager()
+
+        const res = await agent
+          .get(`/api/namespaces/${namespace}/members/_export?format=csv`)
+          .set('cookie', await user.cookie)
+          .expect('content-type', /text\/csv/)
+          .expect(200)
+
+        expect(res.text).toBe([
+          'username,roles,expirationTimestamp',
+          'foo@example.org,admin,',
+          'bar@example.org,admin,',
+          'system:serviceaccount:garden-foo:robot,viewer,',
+          'system:serviceaccount:garden-baz:robot,viewer admin,',
+          ''
+        ].join('\n'))
+      })
+
+      it('should reject an unsupported format', async function () {
+        mockCreateMemberManager()
+
+        const res = await agent
+          .get(`/api/namespaces/${namespace}/members/_export?format=xml`)
+          .set('cookie', await user.cookie)
+          .expect('content-type', /json/)
+          .expect(422)
+
+        expect(res.body.message).toBe('Format xml is not supported')
+      })
+    })
+
+    describe('import', function () {
+      const content = [
+        'username,roles,expirationTimestamp',
+        'Baz@Example.org,admin viewer,2099-01-01T00:00:00Z',
+        'foo@example.org,viewer,',
+        'system:serviceaccount:garden-foo:robot,viewer,',
+        'system:serviceaccount:garden-foo:robot-new,viewer,'
+      ].join('\n')
+
+      it('should import members from CSV', async function () {
+        mockCreateMemberManager()
+        mockRequest.mockImplementationOnce(fixtures.serviceaccounts.mocks.create())
+        mockRequest.mockImplementationOnce(fixtures.projects.mocks.patch())
+
+        const res = await agent
+          .post(`/api/namespaces/${namespace}/members/_import`)
+          .set('cookie', await user.cookie)
+          .send({ content, format: 'csv' })
+          .expect('content-type', /json/)
+          .expect(200)
+
+        expect(mockRequest).toBeCalledTimes(4)
+        expect(mockRequest.mock.calls[2][0]).toMatchObject({
+          ':method': 'post',
+          ':path': '/api/v1/namespaces/garden-foo/serviceaccounts'
+        })
+        expect(getPatchedMembers()).toEqual(expect.arrayContaining([
+          expect.objectContaining({ name: 'baz@example.org', role: 'admin', roles: ['viewer'] }),
+          expect.objectContaining({ name: 'foo@example.org', role: 'admin', roles: ['viewer'] }),
+          expect.objectContaining({ kind: 'ServiceAccount', name: 'robot-new', namespace, role: 'viewer' })
+        ]))
+        const [, json] = mockRequest.mock.calls[3]
+        expect(JSON.parse(json.metadata.annotations['dashboard.gardener.cloud/member-expirations'])).toEqual({
+          'baz@example.org': '2099-01-01T00:00:00.000Z'
+        })
+        expect(res.body).toEqual({
+          apiVersion: 'v1',
+          kind: 'List',
+          valid: true,
+          dryRun: false,
+          items: [
+            { line: 2, username: 'baz@example.org', roles: ['admin', 'viewer'], expirationTimestamp: '2099-01-01T00:00:00Z', status: 'Added', errors: [] },
+            { line: 3, username: 'foo@example.org', roles: ['viewer'], status: 'Updated', errors: [] },
+            { line: 4, username: 'system:serviceaccount:garden-foo:robot', roles: ['viewer'], status: 'Unchanged', errors: [] },
+            { line: 5, username: 'system:serviceaccount:garden-foo:robot-new', roles: ['viewer'], status: 'Added', errors: [] }
+          ]
+        })
+      })
+
+      it('should only validate members in a dry run', async function () {
+        mockCreateMemberManager()
+
+        const res = await agent
+          .post(`/api/namespaces/${namespace}/members/_import`)
+          .set('cookie', await user.cookie)
+          .send({ content, format: 'csv', dryRun: true })
+          .expect('content-type', /json/)
+          .expect(200)
+
+        expect(mockRequest).toBeCalledTimes(2)
+        expect(res.body.valid).toBe(true)
+        expect(res.body.items.map(({ status }) => status)).toEqual(['Added', 'Updated', 'Unchanged', 'Added'])
+      })
+
+      it('should not import members if a row is invalid', async function () {
+        mockCreateMemberManager()
+
+        const res = await agent
+          .post(`/api/namespaces/${namespace}/members/_import`)
+          .set('cookie', await user.cookie)
+          .send({
+            content: yaml.dump([
+              { username: 'baz@example.org', roles: ['admin'] },
+              { username: 'qux@example.org', roles: ['owner'] },
+              { username: 'baz@example.org', roles: 'viewer', expirationTimestamp: '2020-01-01T00:00:00Z' }
+            ])
+          })
+          .expect('content-type', /json/)
+          .expect(200)
+
+        expect(mockRequest).toBeCalledTimes(2)
+        expect(res.body.valid).toBe(false)
+        expect(res.body.items).toEqual([
+          expect.objectContaining({ line: 1, status: 'Added', errors: [] }),
+          expect.objectContaining({
+            line: 2,
+            status: 'Invalid',
+            errors: [{ path: 'roles', message: 'Role owner cannot be assigned' }]
+          }),
+          expect.objectContaining({
+            line: 3,
+            status: 'Invalid',
+            errors: [
+              { path: 'expirationTimestamp', message: 'Expiration timestamp must be in the future' },
+              { path: 'username', message: 'Member baz@example.org is imported more than once' }
+            ]
+          })
+        ])
+      })
+
+      it('should reject content without column names', async function () {
+        const res = await agent
+          .post(`/api/namespaces/${namespace}/members/_import`)
+          .set('cookie', await user.cookie)
+          .send({ content: 'baz@example.org,admin', format: 'csv' })
+          .expect('content-type', /json/)
+          .expect(422)
+
+        expect(mockRequest).not.toBeCalled()
+        expect(res.body.message).toMatch(/must contain the column names/)
+      })
+
+      it('should copy the members of another project', async function () {
+        const member = fixtures.auth.createUser({
+          id: 'foo@example.org'
+        })
+        mockRequest.mockImplementationOnce(fixtures.projects.mocks.get())
+        mockCreateMemberManager()
+        mockRequest.mockImplementationOnce(fixtures.projects.mocks.patch())
+
+        const res = await agent
+          .post(`/api/namespaces/${namespace}/members/_import`)
+          .set('cookie', await member.cookie)
+          .send({ sourceNamespace: 'garden-bar' })
+          .expect('content-type', /json/)
+          .expect(200)
+
+        expect(mockRequest).toBeCalledTimes(4)
+        expect(mockRequest.mock.calls[0][0]).toMatchObject({
+          ':method': 'get',
+          ':path': '/apis/core.gardener.cloud/v1beta1/projects/bar'
+        })
+        expect(getPatchedMembers()).toContainEqual(expect.objectContaining({
+          name: 'system:serviceaccount:garden-foo:robot',
+          role: 'viewer',
+          roles: ['admin']
+        }))
+        expect(res.body.items).toEqual([
+          { line: 1, username: 'foo@example.org', roles: ['admin'], status: 'Unchanged', errors: [] },
+          { line: 2, username: 'system:serviceaccount:garden-foo:robot', roles: ['viewer', 'admin'], status: 'Updated', errors: [] }
+        ])
+      })
+
+      it('should not copy the members of a project the user cannot read', async function () {
+        mockRequest.mockImplementationOnce(fixtures.projects.mocks.get())
+
+        await agent
+          .post(`/api/namespaces/${namespace}/members/_import`)
+          .set('cookie', await user.cookie)
+          .send({ sourceNamespace: 'garden-bar' })
+          .expect('content-type', /json/)
+          .expect(403)
+
+        expect(mockRequest).toBeCalledTimes(1)
+      })
+    })
+  })
+})
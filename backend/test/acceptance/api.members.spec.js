@@ -165,6 +165,60 @@ describe('api', function () {
       expect(res.body).toMatchSnapshot()
     })
 
+    it('should set the expiration timestamp of a project member', async function () {
+      const name = 'bar@example.org'
+      const expirationTimestamp = '2023-04-01T00:00:00.000Z'
+
+      mockRequest.mockImplementationOnce(fixtures.projects.mocks.get())
+      mockRequest.mockImplementationOnce(fixtures.serviceaccounts.mocks.list())
+      mockRequest.mockImplementationOnce(fixtures.projects.mocks.patch())
+
+      const res = await agent
+        .put(`/api/namespaces/${namespace}/members/${name}`)
+        .set('cookie', await user.cookie)
+        .send({
+          roles: ['viewer'],
+          expirationTimestamp
+        })
+        .expect('content-type', /json/)
+        .expect(200)
+
+      expect(mockRequest).toBeCalledTimes(3)
+      const [headers, json] = mockRequest.mock.calls[2]
+      expect(headers).toMatchObject({
+        ':method': 'patch',
+        ':path': '/apis/core.gardener.cloud/v1beta1/projects/foo'
+      })
+      expect(JSON.parse(json.metadata.annotations['dashboard.gardener.cloud/member-expirations'])).toEqual({
+        [name]: expirationTimestamp
+      })
+      expect(res.body).toContainEqual({
+        username: name,
+        roles: ['viewer'],
+        expirationTimestamp
+      })
+    })
+
+    it('should not set an invalid expiration timestamp', async function () {
+      const name = 'bar@example.org'
+
+      mockRequest.mockImplementationOnce(fixtures.projects.mocks.get())
+      mockRequest.mockImplementationOnce(fixtures.serviceaccounts.mocks.list())
+
+      const res = await agent
+        .put(`/api/namespaces/${namespace}/members/${name}`)
+        .set('cookie', await user.cookie)
+        .send({
+          roles: ['viewer'],
+          expirationTimestamp: 'next week'
+        })
+        .expect('content-type', /json/)
+        .expect(422)
+
+      expect(mockRequest).toBeCalledTimes(2)
+      expect(res.body.message).toBe('Expiration timestamp must be a valid date')
+    })
+
     it('should delete a project member', async function () {
       const name = 'bar@example.org'
 
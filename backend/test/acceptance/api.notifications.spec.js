@@ -0,0 +1,206 @@
+//
+// SPDX-FileCopyrightText: 2023 SAP SE or an SAP affiliate company and Gardener contributors
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+
+'use strict'
+
+const yaml = require('js-yaml')
+const { mockRequest } = require('@gardener-dashboard/request')
+const audit = require('../../lib/audit')
+
+describe('api', function () {
+  let agent
+
+  beforeAll(() => {
+    agent = createAgent()
+  })
+
+  afterAll(() => {
+    return agent.close()
+  })
+
+  beforeEach(() => {
+    mockRequest.mockReset()
+    audit.clear()
+  })
+
+  describe('notifications', function () {
+    const user = fixtures.user.create({ id: 'john.doe@example.org' })
+    const targets = [
+      {
+        name: 'slack',
+        type: 'slack',
+        url: 'https://hooks.slack.com/services/foo',
+        events: ['unhealthy', 'deletionStarted']
+      }
+    ]
+
+    it('should return the notification targets of a project', async function () {
+      mockRequest.mockImplementationOnce(fixtures.secrets.mocks.get())
+
+      const res = await agent
+        .get('/api/namespaces/garden-foo/notifications')
+        .set('cookie', await user.cookie)
+        .expect('content-type', /json/)
+        .expect(200)
+
+      expect(mockRequest).toBeCalledTimes(1)
+      expect(mockRequest.mock.calls).toMatchSnapshot()
+
+      expect(res.body).toMatchSnapshot()
+      expect(res.body[1].smtp).not.toHaveProperty('password')
+    })
+
+    it('should return an empty list if no targets are configured', async function () {
+      mockRequest.mockImplementationOnce(fixtures.secrets.mocks.get())
+
+      const res = await agent
+        .get('/api/namespaces/garden-bar/notifications')
+        .set('cookie', await user.cookie)
+        .expect('content-type', /json/)
+        .expect(200)
+
+      expect(mockRequest).toBeCalledTimes(1)
+      expect(res.body).toEqual([])
+    })
+
+    it('should replace the notification targets of a project', async function () {
+      mockRequest.mockImplementationOnce(fixtures.secrets.mocks.get())
+      mockRequest.mockImplementationOnce(fixtures.secrets.mocks.patch())
+
+      const res = await agent
+        .put('/api/namespaces/garden-foo/notifications')
+        .set('cookie', await user.cookie)
+        .send({ targets })
+        .expect('content-type', /json/)
+        .expect(200)
+
+      expect(mockRequest).toBeCalledTimes(2)
+      expect(mockRequest.mock.calls).toMatchSnapshot()
+
+      expect(res.body).toEqual(targets)
+
+      // the url of a webhook contains its credentials
+      const [entry] = audit.query({ type: 'notifications' })
+      expect(entry.verb).toBe('update')
+      expect(entry.body.targets[0].url).toBe('[REDACTED]')
+    })
+
+    it('should create the notification targets secret', async function () {
+      mockRequest.mockImplementationOnce(fixtures.secrets.mocks.get())
+      mockRequest.mockImplementationOnce(fixtures.secrets.mocks.create())
+
+      const res = await agent
+        .put('/api/namespaces/garden-bar/notifications')
+        .set('cookie', await user.cookie)
+        .send({ targets })
+        .expect('content-type', /json/)
+        .expect(200)
+
+      expect(mockRequest).toBeCalledTimes(2)
+      expect(mockRequest.mock.calls).toMatchSnapshot()
+
+      expect(res.body).toEqual(targets)
+    })
+
+    it('should keep the smtp password if it is not sent', async function () {
+      mockRequest.mockImplementationOnce(fixtures.secrets.mocks.get())
+      mockRequest.mockImplementationOnce(fixtures.secrets.mocks.patch())
+
+      const mailTarget = {
+        name: 'mail',
+        type: 'smtp',
+        smtp: {
+          host: 'smtp.example.org',
+          username: 'gardener',
+          from: 'gardener@example.org',
+          to: ['ops@example.org', 'dev@example.org']
+        },
+        events: ['lastOperationFailed']
+      }
+      const res = await agent
+        .put('/api/namespaces/garden-foo/notifications')
+        .set('cookie', await user.cookie)
+        .send({ targets: [mailTarget] })
+        .expect('content-type', /json/)
+        .expect(200)
+
+      expect(mockRequest).toBeCalledTimes(2)
+      const [, [, { data }]] = mockRequest.mock.calls
+      expect(yaml.load(Buffer.from(data.targets, 'base64').toString())).toEqual([{
+        ...mailTarget,
+        smtp: {
+          ...mailTarget.smtp,
+          password: 'secret'
+        }
+      }])
+
+      expect(res.body).toEqual([mailTarget])
+    })
+
+    it('should reject smtp addresses with line breaks', async function () {
+      const res = await agent
+        .put('/api/namespaces/garden-foo/notifications')
+        .set('cookie', await user.cookie)
+        .send({
+          targets: [{
+            name: 'mail',
+            type: 'smtp',
+            smtp: {
+              host: 'smtp.example.org',
+              from: 'gardener@example.org\r\nBcc: eve@example.org',
+              to: ['ops@example.org']
+            },
+            events: ['unhealthy']
+          }]
+        })
+        .expect('content-type', /json/)
+        .expect(422)
+
+      expect(mockRequest).not.toBeCalled()
+      expect(res.body.message).toBe('Properties targets[0].smtp.from and targets[0].smtp.to must be valid email addresses')
+    })
+
+    it('should reject webhooks to non-public addresses', async function () {
+      const res = await agent
+        .put('/api/namespaces/garden-foo/notifications')
+        .set('cookie', await user.cookie)
+        .send({
+          targets: [{
+            name: 'metadata',
+            type: 'webhook',
+            url: 'http://169.254.169.254/latest/meta-data',
+            events: ['unhealthy']
+          }]
+        })
+        .expect('content-type', /json/)
+        .expect(422)
+
+      expect(mockRequest).not.toBeCalled()
+      expect(res.body.message).toBe('Property targets[0].url is not allowed')
+    })
+
+    it('should reject invalid notification targets', async function () {
+      const res = await agent
+        .put('/api/namespaces/garden-foo/notifications')
+        .set('cookie', await user.cookie)
+        .send({
+          targets: [{
+            name: 'slack',
+            type: 'slack',
+            url: 'not-a-url',
+            events: ['unhealthy']
+          }]
+        })
+        .expect('content-type', /json/)
+        .expect(422)
+
+      expect(mockRequest).not.toBeCalled()
+      expect(res.body).toMatchSnapshot({
+        details: expect.any(Object)
+      })
+    })
+  })
+})
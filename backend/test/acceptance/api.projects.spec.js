@@ -7,6 +7,7 @@
 'use strict'
 
 const { mockRequest } = require('@gardener-dashboard/request')
+const config = require('../../lib/config')
 
 describe('api', function () {
   let agent
@@ -164,6 +165,124 @@ describe('api', function () {
       })
     })
 
+    describe('templates', function () {
+      const template = {
+        name: 'team',
+        description: 'Project of a development team',
+        costObject: '1234567890',
+        labels: {
+          team: 'blue'
+        },
+        members: [
+          { username: 'Ops@example.org', roles: ['viewer'] },
+          { username: 'system:serviceaccount:garden-foo:robot', roles: 'admin' }
+        ],
+        terminalShortcuts: [
+          { title: 'k9s', target: 'shoot', container: { image: 'quay.io/derailed/k9s:latest' } }
+        ],
+        secretBindings: [{
+          name: 'trial-secret',
+          secretRef: { namespace: 'garden-trial', name: 'trial-secret' },
+          provider: { type: 'aws' },
+          quotas: [{ namespace: 'garden-trial', name: 'trial-quota' }]
+        }]
+      }
+
+      beforeAll(() => {
+        config.projectTemplates = [template]
+      })
+
+      afterAll(() => {
+        delete config.projectTemplates
+      })
+
+      it('should return the templates without members and secret references', async function () {
+        const res = await agent
+          .get('/api/projecttemplates')
+          .set('cookie', await user.cookie)
+          .expect('content-type', /json/)
+          .expect(200)
+
+        expect(mockRequest).not.toBeCalled()
+        expect(res.body).toEqual([{
+          name: 'team',
+          description: 'Project of a development team',
+          costObject: '1234567890',
+          labels: {
+            team: 'blue'
+          },
+          membersCount: 2,
+          terminalShortcutsCount: 1,
+          secretBindingsCount: 1
+        }])
+      })
+
+      it('should create a project and record its template', async function () {
+        mockRequest.mockImplementationOnce(fixtures.projects.mocks.create())
+        mockRequest.mockImplementationOnce(fixtures.projects.mocks.patch())
+        mockRequest.mockImplementationOnce(fixtures.projects.mocks.watch({
+          phase: 'Ready'
+        }))
+        mockRequest.mockImplementationOnce(fixtures.secrets.mocks.create())
+
+        const res = await agent
+          .post('/api/namespaces')
+          .set('cookie', await user.cookie)
+          .send({
+            metadata: {
+              name: 'team'
+            },
+            data: {
+              purpose,
+              description
+            },
+            template: 'team'
+          })
+          .expect('content-type', /json/)
+          .expect(200)
+
+        // the template is applied by the projects watch
+        expect(mockRequest).toBeCalledTimes(4)
+        const calls = mockRequest.mock.calls
+        expect(calls[0][1].metadata).toEqual({
+          name: 'team'
+        })
+        expect(calls[1][0]).toMatchObject({ ':method': 'patch', ':path': '/apis/core.gardener.cloud/v1beta1/projects/team' })
+        expect(calls[1][1].metadata.annotations).toEqual({
+          'dashboard.gardener.cloud/project-template': 'team',
+          'dashboard.gardener.cloud/project-template-signature': expect.stringMatching(/^[0-9a-f]{64}$/)
+        })
+        // the terminal shortcuts are created with the client of the user
+        expect(calls[3][0]).toMatchObject({
+          ':method': 'post',
+          ':path': '/api/v1/namespaces/garden-team/secrets',
+          authorization: `Bearer ${await user.bearer}`
+        })
+        expect(calls[3][1].metadata.name).toBe('terminal.shortcuts')
+        expect(res.body.metadata).toMatchObject({
+          name: 'team',
+          namespace: 'garden-team'
+        })
+      })
+
+      it('should not create a project with an unknown template', async function () {
+        const res = await agent
+          .post('/api/namespaces')
+          .set('cookie', await user.cookie)
+          .send({
+            metadata: {
+              name: 'team'
+            },
+            template: 'unknown'
+          })
+          .expect('content-type', /json/)
+          .expect(422)
+
+        expect(mockRequest).not.toBeCalled()
+        expect(res.body.message).toBe('Project template unknown does not exist')
+      })
+    })
+
     it('should update a project', async function () {
       mockRequest.mockImplementationOnce(fixtures.projects.mocks.patch())
 
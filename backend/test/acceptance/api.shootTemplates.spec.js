@@ -0,0 +1,243 @@
+//
+// SPDX-FileCopyrightText: 2023 SAP SE or an SAP affiliate company and Gardener contributors
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+
+'use strict'
+
+const yaml = require('js-yaml')
+const { mockRequest } = require('@gardener-dashboard/request')
+
+function loadTemplates (json) {
+  return yaml.load(json.data.templates)
+}
+
+describe('api', function () {
+  let agent
+
+  beforeAll(() => {
+    agent = createAgent()
+  })
+
+  afterAll(() => {
+    return agent.close()
+  })
+
+  beforeEach(() => {
+    mockRequest.mockReset()
+  })
+
+  describe('shootTemplates', function () {
+    const user = fixtures.user.create({ id: 'john.doe@example.org' })
+    const spec = {
+      cloudProfileName: 'infra1-profileName',
+      region: 'foo-east',
+      secretBindingName: 'foo-infra1',
+      seedName: 'infra1-seed',
+      dns: {
+        domain: 'foo.bar.example.org',
+        providers: [{
+          type: 'foo-dns',
+          secretName: 'foo-dns-secret'
+        }]
+      },
+      provider: {
+        type: 'infra1',
+        infrastructureConfig: {
+          networks: {
+            vpc: { id: 'vpc-123' }
+          }
+        },
+        workers: [{
+          name: 'worker-1',
+          minimum: 3,
+          maximum: 5
+        }]
+      },
+      extensions: [{
+        type: 'shoot-dns-service',
+        providerConfig: {
+          providers: [{ secretName: 'foo-dns-secret' }]
+        }
+      }],
+      maintenance: {
+        timeWindow: {
+          begin: '220000+0100',
+          end: '230000+0100'
+        }
+      }
+    }
+
+    it('should return the shoot templates of a project', async function () {
+      mockRequest.mockImplementationOnce(fixtures.configmaps.mocks.get())
+
+      const res = await agent
+        .get('/api/namespaces/garden-foo/shoottemplates')
+        .set('cookie', await user.cookie)
+        .expect('content-type', /json/)
+        .expect(200)
+
+      expect(mockRequest).toBeCalledTimes(1)
+      expect(mockRequest.mock.calls).toMatchSnapshot()
+
+      expect(res.body).toMatchSnapshot()
+    })
+
+    it('should return an empty list if no templates have been saved', async function () {
+      mockRequest.mockImplementationOnce(fixtures.configmaps.mocks.get())
+
+      const res = await agent
+        .get('/api/namespaces/garden-bar/shoottemplates')
+        .set('cookie', await user.cookie)
+        .expect('content-type', /json/)
+        .expect(200)
+
+      expect(mockRequest).toBeCalledTimes(1)
+      expect(res.body).toEqual([])
+    })
+
+    it('should create the shoot templates config map without cluster specific properties', async function () {
+      mockRequest.mockImplementationOnce(fixtures.configmaps.mocks.get())
+      mockRequest.mockImplementationOnce(fixtures.configmaps.mocks.create())
+
+      const res = await agent
+        .put('/api/namespaces/garden-bar/shoottemplates/production')
+        .set('cookie', await user.cookie)
+        .send({ description: 'Production cluster', spec })
+        .expect('content-type', /json/)
+        .expect(200)
+
+      expect(mockRequest).toBeCalledTimes(2)
+      const [[headers, json]] = mockRequest.mock.calls.slice(1)
+      expect(headers).toMatchObject({
+        ':method': 'post',
+        ':path': '/api/v1/namespaces/garden-bar/configmaps'
+      })
+      expect(json.metadata).toEqual({
+        name: 'shoot.templates',
+        namespace: 'garden-bar',
+        labels: {
+          'dashboard.gardener.cloud/shoot-templates': 'true'
+        }
+      })
+
+      const template = {
+        name: 'production',
+        description: 'Production cluster',
+        spec: {
+          cloudProfileName: 'infra1-profileName',
+          region: 'foo-east',
+          provider: {
+            type: 'infra1',
+            workers: spec.provider.workers
+          },
+          extensions: [{
+            type: 'shoot-dns-service'
+          }],
+          maintenance: spec.maintenance
+        },
+        createdBy: 'john.doe@example.org',
+        creationTimestamp: expect.any(String)
+      }
+      expect(loadTemplates(json)).toEqual([template])
+      expect(res.body).toEqual(template)
+    })
+
+    it('should update an existing shoot template', async function () {
+      mockRequest.mockImplementationOnce(fixtures.configmaps.mocks.get())
+      mockRequest.mockImplementationOnce(fixtures.configmaps.mocks.patch())
+
+      const res = await agent
+        .put('/api/namespaces/garden-foo/shoottemplates/small')
+        .set('cookie', await user.cookie)
+        .send({ spec })
+        .expect('content-type', /json/)
+        .expect(200)
+
+      expect(mockRequest).toBeCalledTimes(2)
+      expect(mockRequest.mock.calls).toMatchSnapshot()
+
+      expect(res.body).toMatchObject({
+        name: 'small',
+        description: 'Small development cluster',
+        createdBy: 'foo@example.org',
+        creationTimestamp: '2023-01-01T00:00:00Z'
+      })
+      expect(res.body.spec.secretBindingName).toBeUndefined()
+    })
+
+    it('should not overwrite shoot templates which have been modified in the meantime', async function () {
+      mockRequest.mockImplementationOnce(fixtures.configmaps.mocks.get())
+      mockRequest.mockImplementationOnce((headers, json) => {
+        return fixtures.configmaps.mocks.patch()(headers, {
+          ...json,
+          metadata: { resourceVersion: '41' }
+        })
+      })
+
+      const res = await agent
+        .put('/api/namespaces/garden-foo/shoottemplates/small')
+        .set('cookie', await user.cookie)
+        .send({ spec })
+        .expect('content-type', /json/)
+        .expect(409)
+
+      expect(mockRequest).toBeCalledTimes(2)
+      const [, json] = mockRequest.mock.calls[1]
+      expect(json.metadata).toEqual({ resourceVersion: '42' })
+      expect(res.body.code).toBe(409)
+    })
+
+    it('should delete a shoot template', async function () {
+      mockRequest.mockImplementationOnce(fixtures.configmaps.mocks.get())
+      mockRequest.mockImplementationOnce(fixtures.configmaps.mocks.patch())
+
+      const res = await agent
+        .delete('/api/namespaces/garden-foo/shoottemplates/small')
+        .set('cookie', await user.cookie)
+        .expect('content-type', /json/)
+        .expect(200)
+
+      expect(mockRequest).toBeCalledTimes(2)
+      const [, json] = mockRequest.mock.calls[1]
+      expect(json.metadata).toEqual({ resourceVersion: '42' })
+      expect(loadTemplates(json)).toEqual([])
+      expect(res.body.name).toBe('small')
+    })
+
+    it('should return not found for an unknown shoot template', async function () {
+      mockRequest.mockImplementationOnce(fixtures.configmaps.mocks.get())
+
+      const res = await agent
+        .delete('/api/namespaces/garden-foo/shoottemplates/unknown')
+        .set('cookie', await user.cookie)
+        .expect('content-type', /json/)
+        .expect(404)
+
+      expect(mockRequest).toBeCalledTimes(1)
+      expect(res.body.message).toBe('Shoot template unknown not found')
+    })
+
+    it('should reject invalid shoot templates', async function () {
+      let res = await agent
+        .put('/api/namespaces/garden-foo/shoottemplates/Invalid_Name')
+        .set('cookie', await user.cookie)
+        .send({ spec })
+        .expect('content-type', /json/)
+        .expect(422)
+
+      expect(res.body.message).toBe('Property name must be a lowercase RFC 1123 label')
+
+      res = await agent
+        .put('/api/namespaces/garden-foo/shoottemplates/empty')
+        .set('cookie', await user.cookie)
+        .send({ spec: { secretBindingName: 'foo-infra1' } })
+        .expect('content-type', /json/)
+        .expect(422)
+
+      expect(res.body.message).toBe('Property spec must be a non-empty object')
+      expect(mockRequest).not.toBeCalled()
+    })
+  })
+})
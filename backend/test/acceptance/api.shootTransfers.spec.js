@@ -0,0 +1,274 @@
+//
+// SPDX-FileCopyrightText: 2023 SAP SE or an SAP affiliate company and Gardener contributors
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+
+'use strict'
+
+const yaml = require('js-yaml')
+const { merge } = require('lodash')
+const { mockRequest } = require('@gardener-dashboard/request')
+const cache = require('../../lib/cache')
+
+describe('api', function () {
+  let agent
+
+  beforeAll(() => {
+    agent = createAgent()
+  })
+
+  afterAll(() => {
+    return agent.close()
+  })
+
+  beforeEach(() => {
+    mockRequest.mockReset()
+  })
+
+  describe('shootTransfers', function () {
+    const namespace = 'garden-foo'
+    const user = fixtures.auth.createUser({
+      id: 'foo@example.org'
+    })
+
+    function mockListCloudProviderSecrets () {
+      mockRequest.mockImplementationOnce(fixtures.auth.mocks.reviewSelfSubjectAccess())
+      mockRequest.mockImplementationOnce(fixtures.secrets.mocks.list())
+      mockRequest.mockImplementationOnce(fixtures.secretbindings.mocks.list())
+    }
+
+    function getExportDocument (shoots) {
+      return yaml.dump({
+        apiVersion: 'dashboard.gardener.cloud/v1alpha1',
+        kind: 'ShootExport',
+        project: {
+          name: 'foo',
+          namespace
+        },
+        shoots
+      })
+    }
+
+    function getExportedShoot (name, spec) {
+      const { spec: { seedName, ...shootSpec } } = fixtures.shoots.create({
+        name,
+        namespace,
+        secretBindingName: 'foo-infra1'
+      })
+      return {
+        metadata: { name },
+        spec: merge(shootSpec, spec)
+      }
+    }
+
+    describe('export', function () {
+      it('should export shoot specs and secret binding references', async function () {
+        mockRequest.mockImplementationOnce(async headers => {
+          const { items } = await fixtures.shoots.mocks.list()(headers)
+          return {
+            items: items.map(item => merge({}, item, {
+              spec: {
+                dns: {
+                  domain: `${item.metadata.name}.example.org`,
+                  providers: [{ type: 'aws-route53', secretName: 'route53' }]
+                },
+                resources: [{ name: 'route53', resourceRef: { kind: 'Secret', name: 'route53' } }]
+              }
+            }))
+          }
+        })
+        mockListCloudProviderSecrets()
+
+        const res = await agent
+          .post(`/api/namespaces/${namespace}/shoots/_export`)
+          .set('cookie', await user.cookie)
+          .send({ names: ['fooShoot', 'barShoot'] })
+          .expect('content-type', /yaml/)
+          .expect(200)
+
+        expect(mockRequest).toBeCalledTimes(4)
+        const document = yaml.load(res.text)
+        expect(document).toMatchObject({
+          apiVersion: 'dashboard.gardener.cloud/v1alpha1',
+          kind: 'ShootExport',
+          metadata: {
+            createdBy: 'foo@example.org'
+          },
+          project: {
+            name: 'foo',
+            namespace
+          }
+        })
+        expect(document.secretBindings).toEqual([{
+          name: 'foo-infra1',
+          cloudProfileName: 'infra1-profileName',
+          cloudProviderKind: 'infra1',
+          secretRef: {
+            namespace,
+            name: 'secret1'
+          }
+        }])
+        expect(document.shoots).toHaveLength(2)
+        const [fooShoot] = document.shoots
+        expect(fooShoot.metadata).toEqual({ name: 'fooShoot' })
+        expect(fooShoot.spec.secretBindingName).toBe('foo-infra1')
+        expect(fooShoot.spec.seedName).toBeUndefined()
+        expect(fooShoot.spec.dns).toBeUndefined()
+        expect(fooShoot.spec.resources).toBeUndefined()
+        expect(fooShoot.status).toBeUndefined()
+      })
+
+      it('should fail to export an unknown shoot', async function () {
+        mockRequest.mockImplementationOnce(fixtures.shoots.mocks.list())
+        mockListCloudProviderSecrets()
+
+        const res = await agent
+          .post(`/api/namespaces/${namespace}/shoots/_export`)
+          .set('cookie', await user.cookie)
+          .send({ names: ['fooShoot', 'unknownShoot'] })
+          .expect('content-type', /json/)
+          .expect(404)
+
+        expect(res.body.message).toBe(`Shoot ${namespace}/unknownShoot not found`)
+      })
+    })
+
+    describe('import', function () {
+      const cloudProfile = merge(fixtures.cloudprofiles.get('infra1-profileName'), {
+        spec: {
+          kubernetes: {
+            versions: [{ version: '1.16.0' }]
+          },
+          regions: [{ name: 'foo-west' }]
+        }
+      })
+
+      beforeEach(function () {
+        cache.cache.set('cloudprofiles', {
+          list () {
+            return [cloudProfile, fixtures.cloudprofiles.get('infra3-profileName')]
+          }
+        })
+      })
+
+      afterEach(function () {
+        cache.cache.delete('cloudprofiles')
+      })
+
+      it('should validate the shoots of an export document without creating them', async function () {
+        mockListCloudProviderSecrets()
+        mockRequest.mockImplementationOnce(fixtures.shoots.mocks.create())
+        mockRequest.mockImplementationOnce(fixtures.shoots.mocks.create())
+
+        const res = await agent
+          .post(`/api/namespaces/${namespace}/shoots/_import`)
+          .set('cookie', await user.cookie)
+          .send({
+            document: getExportDocument([
+              getExportedShoot('first'),
+              getExportedShoot('second')
+            ]),
+            names: {
+              first: 'third'
+            },
+            dryRun: true
+          })
+          .expect('content-type', /json/)
+          .expect(200)
+
+        expect(mockRequest).toBeCalledTimes(5)
+        for (const [headers] of mockRequest.mock.calls.slice(3)) {
+          expect(headers[':path']).toMatch(/\?dryRun=All$/)
+        }
+        expect(res.body).toMatchObject({
+          valid: true,
+          dryRun: true,
+          items: [
+            { sourceName: 'first', name: 'third', status: 'Valid', errors: [] },
+            { sourceName: 'second', name: 'second', status: 'Valid', errors: [] }
+          ]
+        })
+      })
+
+      it('should not create any shoot if one of them is invalid', async function () {
+        mockListCloudProviderSecrets()
+        mockRequest.mockImplementationOnce(fixtures.shoots.mocks.create())
+        mockRequest.mockImplementationOnce(fixtures.shoots.mocks.create())
+
+        const res = await agent
+          .post(`/api/namespaces/${namespace}/shoots/_import`)
+          .set('cookie', await user.cookie)
+          .send({
+            document: getExportDocument([
+              getExportedShoot('first'),
+              getExportedShoot('second', { secretBindingName: 'other-infra1' })
+            ]),
+            secretBindings: {
+              'other-infra1': 'foo-infra3'
+            }
+          })
+          .expect('content-type', /json/)
+          .expect(200)
+
+        expect(mockRequest).toBeCalledTimes(5)
+        expect(res.body.valid).toBe(false)
+        expect(res.body.items).toEqual([
+          { sourceName: 'first', name: 'first', status: 'Valid', errors: [] },
+          {
+            sourceName: 'second',
+            name: 'second',
+            status: 'Invalid',
+            errors: [{
+              path: 'spec.secretBindingName',
+              message: 'Secret binding foo-infra3 cannot be used with cloud profile infra1-profileName'
+            }]
+          }
+        ])
+      })
+
+      it('should create the shoots of an export document', async function () {
+        mockListCloudProviderSecrets()
+        mockRequest.mockImplementationOnce(fixtures.shoots.mocks.create())
+        mockRequest.mockImplementationOnce(fixtures.shoots.mocks.create())
+
+        const res = await agent
+          .post(`/api/namespaces/${namespace}/shoots/_import`)
+          .set('cookie', await user.cookie)
+          .send({
+            document: getExportDocument([getExportedShoot('first')])
+          })
+          .expect('content-type', /json/)
+          .expect(200)
+
+        expect(mockRequest).toBeCalledTimes(5)
+        const [headers, json] = mockRequest.mock.calls[4]
+        expect(headers[':path']).toBe(`/apis/core.gardener.cloud/v1beta1/namespaces/${namespace}/shoots`)
+        expect(json.metadata).toMatchObject({
+          name: 'first',
+          namespace,
+          annotations: {
+            'gardener.cloud/created-by': 'foo@example.org'
+          }
+        })
+        expect(res.body.items).toEqual([
+          { sourceName: 'first', name: 'first', status: 'Created', errors: [] }
+        ])
+      })
+
+      it('should reject documents that are not shoot exports', async function () {
+        const res = await agent
+          .post(`/api/namespaces/${namespace}/shoots/_import`)
+          .set('cookie', await user.cookie)
+          .send({
+            document: 'kind: Shoot'
+          })
+          .expect('content-type', /json/)
+          .expect(422)
+
+        expect(mockRequest).not.toBeCalled()
+        expect(res.body.message).toBe('The document is not a ShootExport document')
+      })
+    })
+  })
+})
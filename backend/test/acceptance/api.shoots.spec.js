@@ -6,9 +6,12 @@
 
 'use strict'
 
+const createError = require('http-errors')
 const { mockRequest } = require('@gardener-dashboard/request')
 const kubeconfig = require('@gardener-dashboard/kube-config')
 const logger = require('../../lib/logger')
+const cache = require('../../lib/cache')
+const { merge } = require('lodash')
 const yaml = require('js-yaml')
 
 describe('api', function () {
@@ -50,6 +53,105 @@ describe('api', function () {
       expect(res.body).toMatchSnapshot()
     })
 
+    describe('paginated', function () {
+      beforeEach(() => {
+        cache.cache.set('shoots', {
+          list () {
+            return fixtures.shoots.list()
+          }
+        })
+      })
+
+      afterEach(() => {
+        cache.cache.delete('shoots')
+      })
+
+      it('should return the first page of sorted shoots', async function () {
+        mockRequest.mockImplementationOnce(fixtures.auth.mocks.reviewSelfSubjectAccess())
+
+        const res = await agent
+          .get(`/api/namespaces/${namespace}/shoots`)
+          .query({ sortBy: 'createdBy', sortDesc: true, limit: 2 })
+          .set('cookie', await user.cookie)
+          .expect('content-type', /json/)
+          .expect(200)
+
+        expect(mockRequest).toBeCalledTimes(1)
+        expect(mockRequest.mock.calls).toMatchSnapshot()
+
+        expect(res.body.metadata).toEqual({
+          remainingItemCount: 1,
+          continue: expect.any(String)
+        })
+        expect(res.body.items.map(item => item.metadata.name)).toEqual(['dummyShoot', 'fooShoot'])
+      })
+
+      it('should continue with the next page of sorted shoots', async function () {
+        mockRequest.mockImplementation(fixtures.auth.mocks.reviewSelfSubjectAccess())
+
+        const { body: { metadata } } = await agent
+          .get(`/api/namespaces/${namespace}/shoots`)
+          .query({ sortBy: 'createdBy', sortDesc: true, limit: 2 })
+          .set('cookie', await user.cookie)
+          .expect(200)
+
+        const res = await agent
+          .get(`/api/namespaces/${namespace}/shoots`)
+          .query({ sortBy: 'createdBy', sortDesc: true, limit: 2, continue: metadata.continue })
+          .set('cookie', await user.cookie)
+          .expect('content-type', /json/)
+          .expect(200)
+
+        expect(mockRequest).toBeCalledTimes(2)
+
+        expect(res.body.metadata).toEqual({})
+        expect(res.body.items.map(item => item.metadata.name)).toEqual(['barShoot'])
+      })
+
+      it('should return shoots matching the search', async function () {
+        mockRequest.mockImplementationOnce(fixtures.auth.mocks.reviewSelfSubjectAccess())
+
+        const res = await agent
+          .get(`/api/namespaces/${namespace}/shoots`)
+          .query({ search: 'fooPurpose -"dummyShoot"', limit: 10 })
+          .set('cookie', await user.cookie)
+          .expect('content-type', /json/)
+          .expect(200)
+
+        expect(mockRequest).toBeCalledTimes(1)
+
+        expect(res.body.items.map(item => item.metadata.name)).toEqual(['fooShoot'])
+      })
+
+      it('should reject an unsupported sort column', async function () {
+        const res = await agent
+          .get(`/api/namespaces/${namespace}/shoots`)
+          .query({ sortBy: 'readiness' })
+          .set('cookie', await user.cookie)
+          .expect('content-type', /json/)
+          .expect(422)
+
+        expect(mockRequest).not.toBeCalled()
+
+        expect(res.body).toMatchSnapshot({
+          details: expect.any(Object)
+        })
+      })
+
+      it('should not return shoots of a forbidden namespace', async function () {
+        mockRequest.mockImplementationOnce(fixtures.auth.mocks.reviewSelfSubjectAccess({ allowed: false }))
+
+        await agent
+          .get('/api/namespaces/garden/shoots')
+          .query({ limit: 10 })
+          .set('cookie', await user.cookie)
+          .expect('content-type', /json/)
+          .expect(403)
+
+        expect(mockRequest).toBeCalledTimes(1)
+      })
+    })
+
     it('should create a shoot', async function () {
       const { metadata, spec } = fixtures.shoots.create({
         name: 'newShoot',
@@ -430,5 +532,373 @@ describe('api', function () {
 
       expect(res.body).toMatchSnapshot()
     })
+
+    it('should hibernate shoots in bulk', async function () {
+      mockRequest.mockImplementationOnce(fixtures.shoots.mocks.list())
+      mockRequest.mockImplementationOnce(fixtures.shoots.mocks.patch())
+      mockRequest.mockImplementationOnce(fixtures.shoots.mocks.patch())
+
+      const res = await agent
+        .post(`/api/namespaces/${namespace}/shoots/_bulk`)
+        .set('cookie', await user.cookie)
+        .send({
+          operation: 'hibernate',
+          names: ['fooShoot', 'barShoot', 'unknownShoot']
+        })
+        .expect('content-type', /json/)
+        .expect(200)
+
+      expect(mockRequest).toBeCalledTimes(3)
+      expect(mockRequest.mock.calls).toMatchSnapshot()
+
+      expect(res.body).toMatchSnapshot()
+    })
+
+    it('should skip patch version updates of shoots in bulk', async function () {
+      mockRequest.mockImplementationOnce(fixtures.shoots.mocks.list())
+
+      const res = await agent
+        .post(`/api/namespaces/${namespace}/shoots/_bulk`)
+        .set('cookie', await user.cookie)
+        .send({
+          operation: 'updatePatchVersion',
+          labelSelector: 'foo=bar'
+        })
+        .expect('content-type', /json/)
+        .expect(200)
+
+      expect(mockRequest).toBeCalledTimes(1)
+      expect(mockRequest.mock.calls).toMatchSnapshot()
+
+      expect(res.body).toMatchSnapshot()
+    })
+
+    it('should update shoots to planned versions in bulk', async function () {
+      mockRequest.mockImplementationOnce(fixtures.shoots.mocks.list())
+      mockRequest.mockImplementationOnce(fixtures.shoots.mocks.patch())
+
+      const res = await agent
+        .post(`/api/namespaces/${namespace}/shoots/_bulk`)
+        .set('cookie', await user.cookie)
+        .send({
+          operation: 'updateVersion',
+          names: ['fooShoot', 'barShoot'],
+          versions: {
+            fooShoot: '1.17.1',
+            barShoot: '1.16.0'
+          }
+        })
+        .expect('content-type', /json/)
+        .expect(200)
+
+      expect(mockRequest).toBeCalledTimes(2)
+      const [headers, json] = mockRequest.mock.calls[1]
+      expect(headers[':path']).toBe(`/apis/core.gardener.cloud/v1beta1/namespaces/${namespace}/shoots/fooShoot`)
+      expect(json).toEqual([{
+        op: 'replace',
+        path: '/spec/kubernetes/version',
+        value: '1.17.1'
+      }])
+
+      expect(res.body.items).toEqual([
+        {
+          namespace,
+          name: 'fooShoot',
+          status: 'Success',
+          code: 200,
+          message: 'Kubernetes version updated to 1.17.1'
+        },
+        {
+          namespace,
+          name: 'barShoot',
+          status: 'Skipped',
+          code: 200,
+          message: 'Kubernetes version 1.16.0 is already up-to-date'
+        }
+      ])
+    })
+
+    it('should reject an unknown bulk operation', async function () {
+      const res = await agent
+        .post(`/api/namespaces/${namespace}/shoots/_bulk`)
+        .set('cookie', await user.cookie)
+        .send({
+          operation: 'destroy',
+          names: ['fooShoot']
+        })
+        .expect('content-type', /json/)
+        .expect(422)
+
+      expect(mockRequest).not.toBeCalled()
+
+      expect(res.body).toMatchSnapshot({
+        details: expect.any(Object)
+      })
+    })
+
+    it('should return the spec history of a shoot', async function () {
+      const shootHistory = cache.getShootHistory()
+      const shoot = fixtures.shoots.get(namespace, name)
+      shootHistory.addRevision(merge({}, shoot, {
+        metadata: { generation: 1 },
+        spec: { kubernetes: { version: '1.8.2' } }
+      }))
+      shootHistory.addRevision(merge({}, shoot, {
+        metadata: {
+          generation: 2,
+          managedFields: [{
+            manager: 'gardener-dashboard',
+            operation: 'Update',
+            time: '2023-03-01T10:00:00Z',
+            fieldsV1: { 'f:spec': { 'f:kubernetes': {} } }
+          }]
+        },
+        spec: { kubernetes: { version: '1.8.5' } }
+      }))
+
+      mockRequest.mockImplementationOnce(fixtures.shoots.mocks.get())
+
+      const res = await agent
+        .get(`/api/namespaces/${namespace}/shoots/${name}/history`)
+        .set('cookie', await user.cookie)
+        .expect('content-type', /json/)
+        .expect(200)
+
+      shootHistory.clear()
+
+      expect(mockRequest).toBeCalledTimes(1)
+      expect(mockRequest.mock.calls).toMatchSnapshot()
+
+      expect(res.body.items).toHaveLength(2)
+      expect(res.body.items[0]).toMatchObject({
+        generation: 2,
+        manager: 'gardener-dashboard',
+        timestamp: '2023-03-01T10:00:00Z',
+        patch: [{
+          op: 'replace',
+          path: '/kubernetes/version',
+          value: '1.8.5',
+          oldValue: '1.8.2'
+        }]
+      })
+      expect(res.body.items[1]).toMatchObject({
+        generation: 1,
+        patch: []
+      })
+    })
+    describe('validate', function () {
+      const cloudProfile = {
+        metadata: {
+          name: 'infra1-profileName'
+        },
+        spec: {
+          type: 'infra1',
+          kubernetes: {
+            versions: [
+              { version: '1.16.0' },
+              { version: '1.15.0', expirationDate: '2020-01-01T00:00:00Z' }
+            ]
+          },
+          machineTypes: [
+            { name: 'small', usable: true, storage: { minSize: '20Gi' } },
+            { name: 'legacy', usable: false }
+          ],
+          volumeTypes: [
+            { name: 'standard', minSize: '10Gi' }
+          ],
+          machineImages: [
+            { name: 'gardenlinux', versions: [{ version: '1.0.0' }] }
+          ],
+          regions: [{
+            name: 'foo-west',
+            zones: [
+              { name: 'foo-west-1' },
+              { name: 'foo-west-2', unavailableMachineTypes: ['small'] }
+            ]
+          }]
+        }
+      }
+
+      function getWorker (worker) {
+        return merge({
+          name: 'worker-1',
+          minimum: 1,
+          maximum: 2,
+          machine: {
+            type: 'small',
+            image: { name: 'gardenlinux', version: '1.0.0' }
+          },
+          volume: {
+            type: 'standard',
+            size: '50Gi'
+          },
+          zones: ['foo-west-1']
+        }, worker)
+      }
+
+      beforeEach(function () {
+        cache.cache.set('cloudprofiles', {
+          list () {
+            return [cloudProfile]
+          }
+        })
+      })
+
+      afterEach(function () {
+        cache.cache.delete('cloudprofiles')
+      })
+
+      it('should validate a new shoot with a dry-run request', async function () {
+        const { metadata, spec } = fixtures.shoots.create({
+          name: 'newShoot',
+          namespace,
+          project: 'foo'
+        })
+        spec.provider.workers = [getWorker()]
+
+        mockRequest.mockImplementationOnce(fixtures.shoots.mocks.create())
+
+        const res = await agent
+          .post(`/api/namespaces/${namespace}/shoots/_validate`)
+          .set('cookie', await user.cookie)
+          .send({ metadata, spec })
+          .expect('content-type', /json/)
+          .expect(200)
+
+        expect(mockRequest).toBeCalledTimes(1)
+        const [[headers, json]] = mockRequest.mock.calls
+        expect(headers).toMatchObject({
+          ':method': 'post',
+          ':path': `/apis/core.gardener.cloud/v1beta1/namespaces/${namespace}/shoots?dryRun=All`
+        })
+        expect(json.metadata.annotations['gardener.cloud/created-by']).toBe('foo@example.org')
+        expect(res.body).toEqual({
+          valid: true,
+          errors: []
+        })
+        expect(logger.info).not.toBeCalled()
+      })
+
+      it('should return cloud profile and api server errors with their paths', async function () {
+        const { metadata, spec } = fixtures.shoots.create({
+          name: 'newShoot',
+          namespace,
+          project: 'foo',
+          kubernetesVersion: '1.15.0'
+        })
+        spec.provider.workers = [getWorker({
+          machine: { type: 'legacy' },
+          volume: { size: '5Gi' },
+          zones: ['foo-west-1', 'foo-west-3']
+        })]
+
+        mockRequest.mockRejectedValueOnce(createError(422, 'Shoot.core.gardener.cloud "newShoot" is invalid', {
+          body: {
+            kind: 'Status',
+            reason: 'Invalid',
+            message: 'Shoot.core.gardener.cloud "newShoot" is invalid',
+            details: {
+              causes: [{
+                reason: 'FieldValueInvalid',
+                field: 'metadata.name',
+                message: 'Invalid value: "newShoot": a lowercase RFC 1123 label must consist of lower case alphanumeric characters'
+              }]
+            }
+          }
+        }))
+
+        const res = await agent
+          .post(`/api/namespaces/${namespace}/shoots/_validate`)
+          .set('cookie', await user.cookie)
+          .send({ metadata, spec })
+          .expect('content-type', /json/)
+          .expect(200)
+
+        expect(mockRequest).toBeCalledTimes(1)
+        expect(res.body.valid).toBe(false)
+        expect(res.body.errors).toEqual([
+          {
+            path: 'spec.kubernetes.version',
+            message: 'Kubernetes version 1.15.0 has expired',
+            source: 'cloudprofile'
+          },
+          {
+            path: 'spec.provider.workers[0].machine.type',
+            message: 'Machine type legacy is not usable',
+            source: 'cloudprofile'
+          },
+          {
+            path: 'spec.provider.workers[0].volume.size',
+            message: 'Volume size must be at least 10Gi',
+            source: 'cloudprofile'
+          },
+          {
+            path: 'spec.provider.workers[0].zones[1]',
+            message: 'Zone foo-west-3 is not available in region foo-west',
+            source: 'cloudprofile'
+          },
+          {
+            path: 'metadata.name',
+            message: 'Invalid value: "newShoot": a lowercase RFC 1123 label must consist of lower case alphanumeric characters',
+            source: 'apiserver'
+          }
+        ])
+      })
+
+      it('should only check changed values of an existing shoot', async function () {
+        const { metadata, spec } = fixtures.shoots.get(namespace, name)
+        spec.kubernetes.version = '1.15.0'
+        spec.provider.workers = [getWorker({
+          zones: ['foo-west-2']
+        })]
+
+        mockRequest.mockImplementationOnce(fixtures.shoots.mocks.get())
+        mockRequest.mockImplementationOnce(fixtures.shoots.mocks.put())
+
+        const res = await agent
+          .post(`/api/namespaces/${namespace}/shoots/${name}/_validate`)
+          .set('cookie', await user.cookie)
+          .send({ metadata, spec })
+          .expect('content-type', /json/)
+          .expect(200)
+
+        expect(mockRequest).toBeCalledTimes(2)
+        const [, [headers]] = mockRequest.mock.calls
+        expect(headers).toMatchObject({
+          ':method': 'put',
+          ':path': `/apis/core.gardener.cloud/v1beta1/namespaces/${namespace}/shoots/${name}?dryRun=All`
+        })
+        expect(res.body.errors).toEqual([
+          {
+            path: 'spec.kubernetes.version',
+            message: 'Kubernetes version 1.15.0 has expired',
+            source: 'cloudprofile'
+          },
+          {
+            path: 'spec.provider.workers[0].zones[0]',
+            message: 'Machine type small is not available in zone foo-west-2',
+            source: 'cloudprofile'
+          }
+        ])
+      })
+
+      it('should fail if the user is not allowed to create shoots', async function () {
+        const { metadata, spec } = fixtures.shoots.create({
+          name: 'newShoot',
+          namespace: 'garden-bar'
+        })
+
+        mockRequest.mockRejectedValueOnce(createError(403, 'shoots.core.gardener.cloud is forbidden: User "foo@example.org" cannot create resource "shoots" in API group "core.gardener.cloud" in the namespace "garden-bar"'))
+
+        await agent
+          .post('/api/namespaces/garden-bar/shoots/_validate')
+          .set('cookie', await user.cookie)
+          .send({ metadata, spec })
+          .expect('content-type', /json/)
+          .expect(403)
+
+        expect(mockRequest).toBeCalledTimes(1)
+      })
+    })
   })
 })
@@ -6,9 +6,17 @@
 
 'use strict'
 
+const fs = require('fs/promises')
+const os = require('os')
+const pathModule = require('path')
 const { padStart } = require('lodash')
 const { mockRequest } = require('@gardener-dashboard/request')
 const { converter } = require('../../lib/services/terminals')
+const sharing = require('../../lib/services/terminals/sharing')
+const recordings = require('../../lib/services/terminals/recordings')
+const cache = require('../../lib/cache')
+const config = require('../../lib/config')
+const audit = require('../../lib/audit')
 
 function getTerminalName (target, identifier) {
   return [
@@ -43,6 +51,17 @@ describe('api', function () {
       makeSanitizedHtmlStub = jest.spyOn(converter, 'makeSanitizedHtml').mockImplementation(text => text)
     })
 
+    function invoke (method, params, { cookie, allowed = true, mocks = [] } = {}) {
+      mockRequest.mockImplementationOnce(fixtures.auth.mocks.reviewSelfSubjectAccess({ allowed }))
+      for (const mock of mocks) {
+        mockRequest.mockImplementationOnce(mock)
+      }
+      return agent
+        .post('/api/terminals')
+        .set('cookie', cookie)
+        .send({ method, params })
+    }
+
     describe('shortcuts', function () {
       it('should list the project terminal shortcuts', async function () {
         mockRequest.mockImplementationOnce(fixtures.auth.mocks.reviewSelfSubjectAccess())
@@ -559,5 +578,413 @@ describe('api', function () {
         expect(res.body).toMatchSnapshot()
       })
     })
+
+    describe('recordings', function () {
+      const user = fixtures.auth.createUser({ id: 'foo@example.org' })
+      const shootName = 'fooShoot'
+      const terminal = {
+        name: getTerminalName('shoot', '3'),
+        namespace
+      }
+      const coordinate = {
+        name: shootName,
+        namespace,
+        target: 'shoot'
+      }
+      const id = '7d4ba7d4-7a8b-4e60-90b0-4c3a3a3e2a55'
+      const header = {
+        version: 2,
+        width: 120,
+        height: 40,
+        timestamp: 1680350400,
+        title: 'shoot - fooShoot',
+        env: {
+          TERM: 'xterm-256color'
+        }
+      }
+      const events = [
+        [0.5, 'o', '$ '],
+        [1.25, 'r', '100x30']
+      ]
+
+      let path
+
+      function invoke (method, params, { cookie, allowed = true, mocks = [] } = {}) {
+        mockRequest.mockImplementationOnce(fixtures.auth.mocks.reviewSelfSubjectAccess({ allowed }))
+        for (const mock of mocks) {
+          mockRequest.mockImplementationOnce(mock)
+        }
+        return agent
+          .post('/api/terminals')
+          .set('cookie', cookie)
+          .send({ method, params })
+      }
+
+      beforeAll(async () => {
+        path = await fs.mkdtemp(pathModule.join(os.tmpdir(), 'recordings-'))
+        config.terminal.recording = {
+          enabled: true,
+          enforcedPurposes: ['fooPurpose'],
+          store: {
+            type: 'file',
+            path
+          }
+        }
+        const store = recordings.getStore()
+        const metadata = {
+          id,
+          ...coordinate,
+          terminal,
+          createdBy: 'admin@example.org',
+          creationTimestamp: '2023-04-01T12:00:00.000Z',
+          duration: 1.25
+        }
+        await store.create(metadata, header)
+        await store.append(metadata, events)
+      })
+
+      afterAll(async () => {
+        delete config.terminal.recording
+        for (const filename of await fs.readdir(path)) {
+          await fs.unlink(pathModule.join(path, filename))
+        }
+        await fs.rmdir(path)
+      })
+
+      it('should return the recording policy of a terminal session', async function () {
+        mockRequest.mockImplementationOnce(fixtures.auth.mocks.reviewSelfSubjectAccess())
+        mockRequest.mockImplementationOnce(fixtures.terminals.mocks.list())
+        mockRequest.mockImplementationOnce(fixtures.shoots.mocks.get())
+        mockRequest.mockImplementationOnce(fixtures.secrets.mocks.get())
+        mockRequest.mockImplementationOnce(fixtures.terminals.mocks.patch())
+
+        const res = await agent
+          .post('/api/terminals')
+          .set('cookie', await admin.cookie)
+          .send({
+            method: 'create',
+            params: {
+              identifier: '3',
+              coordinate
+            }
+          })
+          .expect('content-type', /json/)
+          .expect(200)
+
+        expect(res.body.recording).toEqual({ enforced: true })
+      })
+
+      it('should not return the token of the terminal service account if recording is enabled', async function () {
+        const res = await invoke('fetch', terminal, { cookie: await admin.cookie, mocks: [fixtures.terminals.mocks.watch()] })
+          .expect('content-type', /json/)
+          .expect(200)
+
+        // the backend attaches to the terminal container, otherwise the recording could be bypassed
+        expect(mockRequest).toBeCalledTimes(2)
+        expect(res.body.hostCluster).toEqual({
+          pod: {
+            name: expect.any(String),
+            container: 'terminal'
+          }
+        })
+      })
+
+      it('should not accept recordings from the browser', async function () {
+        const res = await invoke('appendRecording', { id, events }, { cookie: await admin.cookie })
+          .expect('content-type', /json/)
+          .expect(422)
+
+        expect(res.body.message).toBe('appendRecording not allowed for terminals')
+      })
+
+      it('should list and replay the recordings of a cluster', async function () {
+        const cookie = await admin.cookie
+
+        let res = await invoke('listRecordings', { coordinate }, { cookie })
+          .expect('content-type', /json/)
+          .expect(200)
+
+        expect(res.body).toHaveLength(1)
+        expect(res.body[0]).toMatchObject({ id, ...coordinate, duration: 1.25 })
+
+        res = await invoke('fetchRecording', { id }, { cookie })
+          .expect('content-type', /json/)
+          .expect(200)
+
+        const lines = res.body.data.trim().split('\n').map(line => JSON.parse(line))
+        expect(lines).toEqual([header, ...events])
+      })
+
+      it('should only allow the owner to access a recording', async function () {
+        const cookie = await user.cookie
+
+        let res = await invoke('fetchRecording', { id }, { cookie, allowed: false })
+          .expect('content-type', /json/)
+          .expect(403)
+
+        res = await invoke('listRecordings', { coordinate }, { cookie, allowed: false })
+          .expect('content-type', /json/)
+          .expect(200)
+
+        expect(res.body).toEqual([])
+      })
+    })
+
+    describe('sharing', function () {
+      const user = fixtures.auth.createUser({ id: 'foo@example.org' })
+      const terminal = {
+        name: getTerminalName('shoot', '3'),
+        namespace
+      }
+      const coordinate = {
+        name: 'fooShoot',
+        namespace,
+        target: 'shoot'
+      }
+
+      beforeEach(() => {
+        config.terminal.sharing = {
+          enabled: true
+        }
+        cache.cache.set('shoots', {
+          list () {
+            return fixtures.shoots.list()
+          }
+        })
+      })
+
+      afterEach(() => {
+        delete config.terminal.sharing
+        cache.cache.delete('shoots')
+      })
+
+      it('should share a terminal session and manage its observers', async function () {
+        const cookie = await admin.cookie
+        audit.clear()
+
+        const mocks = [fixtures.terminals.mocks.get()]
+        let res = await invoke('startSharing', { ...terminal, coordinate }, { cookie, mocks })
+          .expect('content-type', /json/)
+          .expect(200)
+
+        const { id } = res.body
+        expect(res.body).toEqual({
+          id: expect.stringMatching(/^[0-9a-f-]{36}$/),
+          terminal,
+          coordinate,
+          owner: 'admin@example.org',
+          creationTimestamp: expect.any(String),
+          observers: []
+        })
+
+        res = await invoke('startSharing', { ...terminal, coordinate }, { cookie, mocks })
+          .expect(200)
+
+        expect(res.body.id).toBe(id)
+
+        res = await invoke('fetchShare', { id }, {
+          cookie: await user.cookie,
+          mocks: [fixtures.auth.mocks.reviewSelfSubjectAccess()]
+        })
+          .expect('content-type', /json/)
+          .expect(200)
+
+        expect(res.body.owner).toBe('admin@example.org')
+
+        res = await invoke('updateShareObserver', { id, username: 'foo@example.org', allowInput: true }, { cookie })
+          .expect('content-type', /json/)
+          .expect(404)
+
+        expect(res.body.message).toBe(`foo@example.org is not observing the shared terminal session with id ${id}`)
+
+        sharing.addObserver(sharing.find(id), 'foo@example.org')
+        res = await invoke('updateShareObserver', { id, username: 'foo@example.org', allowInput: true }, { cookie })
+          .expect('content-type', /json/)
+          .expect(200)
+
+        expect(res.body.observers).toEqual([
+          { username: 'foo@example.org', allowInput: true }
+        ])
+
+        res = await invoke('stopSharing', { id }, { cookie: await user.cookie, allowed: false })
+          .expect('content-type', /json/)
+          .expect(403)
+
+        expect(res.body.message).toBe(`You are not the owner of the shared terminal session with id ${id}`)
+
+        res = await invoke('stopSharing', { id }, { cookie })
+          .expect('content-type', /json/)
+          .expect(200)
+
+        res = await invoke('fetchShare', { id }, { cookie })
+          .expect('content-type', /json/)
+          .expect(404)
+
+        expect(res.body.message).toBe(`Shared terminal session with id ${id} not found`)
+
+        // granting input access to an observer is audited
+        expect(audit.query({ verb: 'updateShareObserver' })).toEqual([
+          expect.objectContaining({
+            resource: { type: 'terminals', name: id, subresource: 'sharing' },
+            body: { method: 'updateShareObserver', params: { id, username: 'foo@example.org', allowInput: true } },
+            outcome: expect.objectContaining({ code: 200 })
+          }),
+          expect.objectContaining({
+            outcome: expect.objectContaining({ code: 404 })
+          })
+        ])
+        expect(audit.query({ type: 'terminals' }).map(({ verb }) => verb)).toEqual([
+          'stopSharing',
+          'stopSharing',
+          'updateShareObserver',
+          'updateShareObserver',
+          'startSharing',
+          'startSharing'
+        ])
+      })
+
+      it('should take the coordinate of a shared session from the terminal', async function () {
+        const mocks = [fixtures.terminals.mocks.get()]
+        const res = await invoke('startSharing', {
+          ...terminal,
+          coordinate: { namespace: 'garden-bar', name: 'barShoot', target: 'shoot' }
+        }, { cookie: await admin.cookie, mocks })
+          .expect('content-type', /json/)
+          .expect(200)
+
+        expect(res.body.coordinate).toEqual(coordinate)
+
+        sharing.remove(sharing.find(res.body.id))
+      })
+
+      it('should not allow users without terminal access to observe', async function () {
+        const mocks = [fixtures.terminals.mocks.get()]
+        let res = await invoke('startSharing', { ...terminal, coordinate }, { cookie: await admin.cookie, mocks })
+          .expect(200)
+
+        const { id } = res.body
+        res = await invoke('fetchShare', { id }, {
+          cookie: await user.cookie,
+          mocks: [fixtures.auth.mocks.reviewSelfSubjectAccess({ allowed: false })]
+        })
+          .expect('content-type', /json/)
+          .expect(403)
+
+        expect(res.body.message).toBe(`You are not allowed to observe the shared terminal session with id ${id}`)
+
+        sharing.remove(sharing.find(id))
+      })
+
+      it('should not share sessions of other users', async function () {
+        const mocks = [fixtures.terminals.mocks.get()]
+        const res = await invoke('startSharing', { ...terminal, coordinate }, { cookie: await user.cookie, allowed: false, mocks })
+          .expect('content-type', /json/)
+          .expect(403)
+
+        expect(res.body.message).toBe(`You are not allowed to share terminal session with name ${terminal.name}`)
+      })
+
+      it('should not share sessions if sharing is not enabled', async function () {
+        delete config.terminal.sharing
+        const res = await invoke('startSharing', { ...terminal, coordinate }, { cookie: await admin.cookie })
+          .expect('content-type', /json/)
+          .expect(422)
+
+        expect(res.body.message).toBe('Terminal session sharing is not enabled')
+      })
+    })
+
+    describe('management', function () {
+      const user = fixtures.auth.createUser({ id: 'foo@example.org' })
+
+      beforeEach(() => {
+        cache.cache.set('shoots', {
+          list () {
+            return fixtures.shoots.list()
+          }
+        })
+      })
+
+      afterEach(() => {
+        cache.cache.delete('shoots')
+      })
+
+      it('should list the terminal sessions of all users', async function () {
+        const res = await invoke('listAll', {}, {
+          cookie: await admin.cookie,
+          mocks: [fixtures.terminals.mocks.listAllNamespaces()]
+        })
+          .expect('content-type', /json/)
+          .expect(200)
+
+        expect(mockRequest).toBeCalledTimes(2)
+        expect(mockRequest.mock.calls[1][0][':path']).toBe('/apis/dashboard.gardener.cloud/v1alpha1/terminals')
+        expect(res.body).toHaveLength(3)
+        const [garden, cp, shoot] = res.body
+        expect(garden).toMatchObject({
+          metadata: {
+            name: getTerminalName('garden', '1'),
+            namespace,
+            identifier: '1',
+            creationTimestamp: '2023-01-01T00:00:00Z'
+          },
+          target: 'garden',
+          createdBy: 'admin@example.org',
+          host: {
+            namespace: 'term-host-1',
+            podName: 'term-1',
+            image: 'fooImage:0.1.2',
+            privileged: false
+          }
+        })
+        expect(garden.shoot).toBeUndefined()
+        expect(cp).toMatchObject({
+          target: 'cp',
+          shoot: { namespace, name: 'fooShoot' },
+          lastHeartbeatTimestamp: '2023-01-01T00:00:00Z'
+        })
+        expect(shoot).toMatchObject({
+          target: 'shoot',
+          preferredHost: 'shoot',
+          shoot: { namespace, name: 'fooShoot' }
+        })
+      })
+
+      it('should terminate the terminal session of another user', async function () {
+        const name = getTerminalName('shoot', '3')
+        const res = await invoke('terminate', { namespace, name }, {
+          cookie: await admin.cookie,
+          mocks: [
+            fixtures.terminals.mocks.get(),
+            fixtures.terminals.mocks.delete()
+          ]
+        })
+          .expect('content-type', /json/)
+          .expect(200)
+
+        expect(mockRequest).toBeCalledTimes(3)
+        expect(mockRequest.mock.calls[2][0]).toMatchObject({
+          ':method': 'delete',
+          ':path': `/apis/dashboard.gardener.cloud/v1alpha1/namespaces/${namespace}/terminals/${name}`
+        })
+        expect(res.body).toEqual({ namespace, name })
+      })
+
+      it('should not allow non-admins to manage terminal sessions', async function () {
+        const cookie = await user.cookie
+        let res = await invoke('listAll', {}, { cookie })
+          .expect('content-type', /json/)
+          .expect(403)
+
+        expect(res.body.message).toBe('Terminal management is only allowed for administrators')
+
+        res = await invoke('terminate', { namespace, name: getTerminalName('shoot', '3') }, { cookie })
+          .expect('content-type', /json/)
+          .expect(403)
+
+        expect(res.body.message).toBe('Terminal management is only allowed for administrators')
+        expect(mockRequest).toBeCalledTimes(2)
+      })
+    })
   })
 })
@@ -9,6 +9,8 @@
 const { mockRequest } = require('@gardener-dashboard/request')
 const { mockListIssues, mockListComments } = require('@octokit/rest')
 const tickets = require('../../lib/services/tickets')
+const cache = require('../../lib/cache')
+const { octokit } = require('../../lib/github')
 
 describe('api', function () {
   let agent
@@ -92,5 +94,99 @@ describe('api', function () {
 
       expect(res.body).toMatchSnapshot()
     })
+
+    describe('create', function () {
+      const namespace = 'garden-foo'
+      const name = 'foo-shoot'
+      const shoot = fixtures.shoots.create({ namespace, name, project: 'foo' })
+      shoot.status.lastErrors = [{
+        description: 'Node *1* is not ready',
+        codes: ['ERR_INFRA_UNAVAILABLE']
+      }]
+
+      it('should create a ticket for a cluster', async function () {
+        mockRequest.mockResolvedValueOnce(shoot)
+        octokit.issues.create.mockImplementationOnce(({ title, body }) => Promise.resolve({
+          data: {
+            ...fixtures.github.createIssue(5, 'foo', { name }),
+            title,
+            body
+          }
+        }))
+
+        const res = await agent
+          .post(`/api/namespaces/${namespace}/tickets`)
+          .set('cookie', await user.cookie)
+          .send({ name, title: 'Nodes are not ready', description: 'Please have a look' })
+          .expect('content-type', /json/)
+          .expect(200)
+
+        expect(mockRequest).toBeCalledTimes(1)
+        expect(octokit.issues.create).toBeCalledTimes(1)
+        const [{ owner, repo, title, body, labels }] = octokit.issues.create.mock.calls[0]
+        expect(`${owner}/${repo}`).toBe(fixtures.github.repo)
+        expect(title).toBe('[foo/foo-shoot] Nodes are not ready')
+        expect(body).toMatch(/^Please have a look\n/)
+        expect(body).toMatch('| foo-shoot | foo | infra1-seed |')
+        expect(body).toMatch('- `ERR_INFRA_UNAVAILABLE` Node \\*1\\* is not ready')
+        expect(body).toMatch(/_Created by foo@example\.org via the Gardener Dashboard_$/)
+        expect(labels).toEqual([])
+
+        expect(res.body.metadata).toMatchObject({ number: 5, projectName: 'foo', name })
+        expect(res.body.data.ticketTitle).toBe('Nodes are not ready')
+        expect(cache.getTicketCache().getIssue(5)).toEqual(res.body)
+      })
+
+      it('should not create a ticket without title', async function () {
+        await agent
+          .post(`/api/namespaces/${namespace}/tickets`)
+          .set('cookie', await user.cookie)
+          .send({ name })
+          .expect(422)
+
+        expect(mockRequest).not.toBeCalled()
+        expect(octokit.issues.create).not.toBeCalled()
+      })
+
+      it('should add a comment to a ticket of a cluster', async function () {
+        const issue = tickets.fromIssue(fixtures.github.createIssue(5, 'foo', { name }))
+        cache.getTicketCache().addOrUpdateIssue({ issue })
+        mockRequest.mockResolvedValueOnce(shoot)
+        octokit.issues.createComment.mockImplementationOnce(({ body }) => Promise.resolve({
+          data: {
+            ...fixtures.github.createComment(3, 5),
+            body
+          }
+        }))
+
+        const res = await agent
+          .post(`/api/namespaces/${namespace}/tickets/${name}/comments`)
+          .set('cookie', await user.cookie)
+          .send({ number: 5, body: 'Nodes are ready again' })
+          .expect('content-type', /json/)
+          .expect(200)
+
+        expect(mockRequest).toBeCalledTimes(1)
+        expect(octokit.issues.createComment).toBeCalledTimes(1)
+        const [{ issue_number: number, body }] = octokit.issues.createComment.mock.calls[0]
+        expect(number).toBe(5)
+        expect(body).toBe('Nodes are ready again\n\n_Commented by foo@example.org via the Gardener Dashboard_')
+
+        expect(res.body.metadata).toMatchObject({ id: 3, number: 5, projectName: 'foo', name })
+        expect(cache.getTicketCache().getCommentsForIssue({ issueNumber: 5 })).toEqual([res.body])
+      })
+
+      it('should not add a comment to a ticket of another cluster', async function () {
+        mockRequest.mockResolvedValueOnce(shoot)
+
+        await agent
+          .post(`/api/namespaces/${namespace}/tickets/${name}/comments`)
+          .set('cookie', await user.cookie)
+          .send({ number: 1, body: 'Wrong cluster' })
+          .expect(404)
+
+        expect(octokit.issues.createComment).not.toBeCalled()
+      })
+    })
   })
 })
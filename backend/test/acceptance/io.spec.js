@@ -11,6 +11,7 @@ const { Store } = require('@gardener-dashboard/kube-client')
 const { mockListIssues, mockListComments } = require('@octokit/rest')
 const pEvent = require('p-event')
 const tickets = require('../../lib/services/tickets')
+const sharing = require('../../lib/services/terminals/sharing')
 const cache = require('../../lib/cache')
 const io = require('../../lib/io')
 
@@ -47,6 +48,20 @@ function emit (socket, eventName, ...args) {
   })
 }
 
+function nextEvent (socket, eventName) {
+  return new Promise(resolve => {
+    const listener = data => {
+      clearTimeout(timeoutId)
+      resolve(data)
+    }
+    const timeoutId = setTimeout(() => {
+      socket.off(eventName, listener)
+      resolve()
+    }, 50)
+    socket.once(eventName, listener)
+  })
+}
+
 function subscribe (socket, ...args) {
   return emit(socket, 'subscribe', ...args)
 }
@@ -212,6 +227,101 @@ describe('api', function () {
         }))
       })
 
+      it('should subscribe projects', async function () {
+        mockRequest.mockImplementationOnce(fixtures.auth.mocks.reviewSelfSubjectAccess())
+
+        await subscribe(socket, 'projects')
+
+        expect(mockRequest).toBeCalledTimes(1)
+        expect(getRooms(socket, nsp)).toEqual(new Set([
+          socket.id,
+          'projects'
+        ]))
+
+        await unsubscribe(socket, 'projects')
+        expect(getRooms(socket, nsp)).toEqual(new Set([
+          socket.id
+        ]))
+      })
+
+      it('should subscribe seeds', async function () {
+        mockRequest.mockImplementationOnce(fixtures.auth.mocks.reviewSelfSubjectAccess())
+
+        await subscribe(socket, 'seeds')
+
+        expect(mockRequest).toBeCalledTimes(1)
+        expect(mockRequest.mock.calls).toMatchSnapshot()
+
+        expect(getRooms(socket, nsp)).toEqual(new Set([
+          socket.id,
+          'seeds'
+        ]))
+      })
+
+      it('should fail to subscribe seeds', async function () {
+        mockRequest.mockImplementationOnce(fixtures.auth.mocks.reviewSelfSubjectAccess({ allowed: false }))
+
+        await expect(subscribe(socket, 'seeds')).rejects.toEqual(expect.objectContaining({
+          name: 'ForbiddenError',
+          statusCode: 403,
+          message: 'Insufficient authorization for seed subscription'
+        }))
+      })
+
+      it('should subscribe secrets of a namespace', async function () {
+        mockRequest.mockImplementationOnce(fixtures.auth.mocks.reviewSelfSubjectAccess())
+
+        await subscribe(socket, 'secrets', { namespace: 'garden-foo' })
+
+        expect(mockRequest).toBeCalledTimes(1)
+        expect(mockRequest.mock.calls).toMatchSnapshot()
+
+        expect(getRooms(socket, nsp)).toEqual(new Set([
+          socket.id,
+          'secrets;garden-foo'
+        ]))
+
+        args = [
+          socket,
+          nsp.to('secrets;garden-foo'),
+          'secrets',
+          { namespace: 'garden-foo', name: 'secret1' }
+        ]
+        await expect(publishEvent(...args)).resolves.toEqual(args[3])
+      })
+
+      it('should subscribe members of a namespace', async function () {
+        mockRequest.mockImplementationOnce(fixtures.auth.mocks.reviewSelfSubjectAccess())
+
+        await subscribe(socket, 'members', { namespace: 'garden-foo' })
+
+        expect(mockRequest).toBeCalledTimes(1)
+        expect(mockRequest.mock.calls).toMatchSnapshot()
+
+        expect(getRooms(socket, nsp)).toEqual(new Set([
+          socket.id,
+          'members;garden-foo'
+        ]))
+
+        mockRequest.mockImplementationOnce(fixtures.auth.mocks.reviewSelfSubjectAccess())
+
+        await subscribe(socket, 'members', { namespace: 'garden-bar' })
+        expect(getRooms(socket, nsp)).toEqual(new Set([
+          socket.id,
+          'members;garden-bar'
+        ]))
+      })
+
+      it('should fail to subscribe members of a namespace', async function () {
+        mockRequest.mockImplementationOnce(fixtures.auth.mocks.reviewSelfSubjectAccess({ allowed: false }))
+
+        await expect(subscribe(socket, 'members', { namespace: 'garden-foo' })).rejects.toEqual(expect.objectContaining({
+          name: 'ForbiddenError',
+          statusCode: 403,
+          message: 'Insufficient authorization for member subscription'
+        }))
+      })
+
       it('should reject an invalid subscription', async function () {
         await expect(subscribe(socket, 'baz')).rejects.toEqual(expect.objectContaining({
           name: 'TypeError',
@@ -295,6 +405,132 @@ describe('api', function () {
           'shoots:unhealthy:admin'
         ]))
       })
+
+      it('should subscribe projects', async function () {
+        mockRequest.mockImplementationOnce(fixtures.auth.mocks.reviewSelfSubjectAccess())
+
+        await subscribe(socket, 'projects')
+
+        expect(mockRequest).toBeCalledTimes(1)
+        expect(getRooms(socket, nsp)).toEqual(new Set([
+          socket.id,
+          'projects:admin'
+        ]))
+      })
+    })
+
+    describe('when a terminal session is shared', () => {
+      const owner = fixtures.auth.createUser({
+        id: 'foo@example.org'
+      })
+      const observer = fixtures.auth.createUser({
+        id: 'bar@example.org'
+      })
+      let share
+      let observerSocket
+
+      beforeEach(async () => {
+        share = sharing.create({
+          terminal: { namespace: 'garden-foo', name: 'term-shoot-00001' },
+          coordinate: { namespace: 'garden-foo', name: 'fooShoot', target: 'shoot' },
+          owner: 'foo@example.org'
+        })
+        socket = await agent.connect({
+          cookie: await owner.cookie
+        })
+        observerSocket = await agent.connect({
+          cookie: await observer.cookie
+        })
+        mockRequest.mockImplementationOnce(fixtures.auth.mocks.reviewSelfSubjectAccess())
+        await subscribe(socket, 'terminals', { id: share.id })
+      })
+
+      afterEach(() => {
+        observerSocket.destroy()
+        sharing.remove(share)
+      })
+
+      it('should relay the terminal output to observers', async function () {
+        expect(getRooms(socket, nsp)).toEqual(new Set([
+          socket.id,
+          `terminals:owner;${share.id}`
+        ]))
+
+        socket.emit('terminal-output', { id: share.id, data: '$ ' })
+        await expect(nextEvent(observerSocket, 'terminal-output')).resolves.toBeUndefined()
+
+        mockRequest.mockImplementationOnce(fixtures.auth.mocks.reviewSelfSubjectAccess())
+        mockRequest.mockImplementationOnce(fixtures.auth.mocks.reviewSelfSubjectAccess())
+        const output = nextEvent(observerSocket, 'terminal-output')
+        const shareEvent = nextEvent(socket, 'terminal-share')
+        await subscribe(observerSocket, 'terminals', { id: share.id })
+
+        expect(mockRequest).toBeCalledTimes(3)
+        expect(getRooms(observerSocket, nsp)).toEqual(new Set([
+          observerSocket.id,
+          `terminals;${share.id}`
+        ]))
+        await expect(output).resolves.toEqual({ id: share.id, data: '$ ' })
+        await expect(shareEvent).resolves.toEqual({
+          type: 'MODIFIED',
+          object: expect.objectContaining({
+            id: share.id,
+            observers: [{ username: 'bar@example.org', allowInput: false }]
+          })
+        })
+
+        const resize = nextEvent(observerSocket, 'terminal-resize')
+        socket.emit('terminal-resize', { id: share.id, cols: 100, rows: 30 })
+        await expect(resize).resolves.toEqual({ id: share.id, cols: 100, rows: 30 })
+      })
+
+      it('should only relay the input of observers allowed to send input', async function () {
+        mockRequest.mockImplementationOnce(fixtures.auth.mocks.reviewSelfSubjectAccess())
+        mockRequest.mockImplementationOnce(fixtures.auth.mocks.reviewSelfSubjectAccess())
+        await subscribe(observerSocket, 'terminals', { id: share.id })
+
+        observerSocket.emit('terminal-input', { id: share.id, data: 'ls\r' })
+        await expect(nextEvent(socket, 'terminal-input')).resolves.toBeUndefined()
+
+        sharing.setAllowInput(share, 'bar@example.org', true)
+        const input = nextEvent(socket, 'terminal-input')
+        observerSocket.emit('terminal-input', { id: share.id, data: 'ls\r' })
+        await expect(input).resolves.toEqual({ id: share.id, data: 'ls\r', username: 'bar@example.org' })
+      })
+
+      it('should remove observers when they unsubscribe', async function () {
+        mockRequest.mockImplementationOnce(fixtures.auth.mocks.reviewSelfSubjectAccess())
+        mockRequest.mockImplementationOnce(fixtures.auth.mocks.reviewSelfSubjectAccess())
+        await subscribe(observerSocket, 'terminals', { id: share.id })
+        expect(sharing.hasObserver(share, 'bar@example.org')).toBe(true)
+
+        await unsubscribe(observerSocket, 'terminals')
+        expect(sharing.hasObserver(share, 'bar@example.org')).toBe(false)
+      })
+
+      it('should fail to observe without terminal access', async function () {
+        mockRequest.mockImplementationOnce(fixtures.auth.mocks.reviewSelfSubjectAccess())
+        mockRequest.mockImplementationOnce(fixtures.auth.mocks.reviewSelfSubjectAccess({ allowed: false }))
+
+        await expect(subscribe(observerSocket, 'terminals', { id: share.id })).rejects.toEqual(expect.objectContaining({
+          name: 'ForbiddenError',
+          statusCode: 403
+        }))
+        expect(sharing.hasObserver(share, 'bar@example.org')).toBe(false)
+      })
+
+      it('should notify owner and observers when sharing is stopped', async function () {
+        mockRequest.mockImplementationOnce(fixtures.auth.mocks.reviewSelfSubjectAccess())
+        mockRequest.mockImplementationOnce(fixtures.auth.mocks.reviewSelfSubjectAccess())
+        await subscribe(observerSocket, 'terminals', { id: share.id })
+
+        const shareEvent = nextEvent(observerSocket, 'terminal-share')
+        sharing.remove(share)
+        await expect(shareEvent).resolves.toEqual(expect.objectContaining({ type: 'DELETED' }))
+        expect(getRooms(observerSocket, nsp)).toEqual(new Set([
+          observerSocket.id
+        ]))
+      })
     })
   })
 
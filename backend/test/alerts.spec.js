@@ -0,0 +1,154 @@
+//
+// SPDX-FileCopyrightText: 2023 SAP SE or an SAP affiliate company and Gardener contributors
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+
+'use strict'
+
+const { evaluateRules, createAlertEvaluator } = require('../lib/alerts')
+const createShootAlerts = require('../lib/cache/alerts')
+const { alertRules } = require('../lib/services')
+const cache = require('../lib/cache')
+const logger = require('../lib/logger')
+
+function createShoot ({ conditions = [], lastOperation = {}, workers = [] } = {}) {
+  return {
+    metadata: {
+      namespace: 'garden-foo',
+      name: 'bar',
+      uid: 1
+    },
+    spec: {
+      provider: {
+        workers
+      }
+    },
+    status: {
+      conditions,
+      lastOperation: {
+        type: 'Reconcile',
+        state: 'Succeeded',
+        lastUpdateTime: '2023-03-01T10:00:00Z',
+        ...lastOperation
+      }
+    }
+  }
+}
+
+describe('alerts', function () {
+  const now = new Date('2023-03-01T10:30:00Z').getTime()
+
+  describe('#evaluateRules', function () {
+    const conditionRule = {
+      name: 'apiserver-unavailable',
+      type: 'condition',
+      severity: 'error',
+      conditionType: 'APIServerAvailable',
+      status: 'False',
+      duration: '10m'
+    }
+
+    it('should alert if a condition has the status for the duration', function () {
+      const shoot = createShoot({
+        conditions: [{ type: 'APIServerAvailable', status: 'False', lastTransitionTime: '2023-03-01T10:15:00Z' }]
+      })
+      expect(evaluateRules([conditionRule], shoot, { now })).toEqual([{
+        rule: 'apiserver-unavailable',
+        severity: 'error',
+        since: '2023-03-01T10:15:00Z',
+        message: 'Condition APIServerAvailable has status False for more than 10m'
+      }])
+    })
+
+    it('should not alert before the duration has elapsed', function () {
+      const shoot = createShoot({
+        conditions: [{ type: 'APIServerAvailable', status: 'False', lastTransitionTime: '2023-03-01T10:25:00Z' }]
+      })
+      expect(evaluateRules([conditionRule], shoot, { now })).toEqual([])
+      expect(evaluateRules([conditionRule], createShoot(), { now })).toEqual([])
+    })
+  })
+
+  describe('#createAlertEvaluator', function () {
+    const rule = { name: 'operation-failed', type: 'lastOperationFailed', severity: 'warning', count: 2 }
+
+    let shootAlerts
+    let evaluator
+
+    beforeEach(function () {
+      jest.spyOn(alertRules, 'getRulesForNamespace').mockReturnValue([rule])
+      shootAlerts = createShootAlerts()
+      evaluator = createAlertEvaluator({ shootAlerts })
+    })
+
+    afterEach(function () {
+      jest.restoreAllMocks()
+    })
+
+    it('should alert if the last operation failed several times in a row', function () {
+      const failed = createShoot({ lastOperation: { state: 'Failed' } })
+      expect(evaluator.evaluate(failed, now)).toBeUndefined()
+      // the same failed operation is only counted once
+      expect(evaluator.evaluate(failed, now)).toBeUndefined()
+      expect(evaluator.evaluate(createShoot({ lastOperation: { state: 'Processing' } }), now)).toBeUndefined()
+      const failedAgain = createShoot({ lastOperation: { state: 'Failed', lastUpdateTime: '2023-03-01T10:20:00Z' } })
+      const alerts = [{
+        rule: 'operation-failed',
+        severity: 'warning',
+        since: '2023-03-01T10:20:00Z',
+        message: 'Last operation Reconcile failed 2 times in a row'
+      }]
+      expect(evaluator.evaluate(failedAgain, now)).toEqual(alerts)
+      expect(shootAlerts.getAlerts(1)).toEqual(alerts)
+      // unchanged alerts are not returned
+      expect(evaluator.evaluate(failedAgain, now)).toBeUndefined()
+      expect(evaluator.evaluate(createShoot(), now)).toEqual([])
+      expect(shootAlerts.getAlerts(1)).toEqual([])
+    })
+
+    it('should reset the state of deleted shoots', function () {
+      evaluator.evaluate(createShoot({ lastOperation: { state: 'Failed' } }), now)
+      evaluator.delete(1)
+      const failedAgain = createShoot({ lastOperation: { state: 'Failed', lastUpdateTime: '2023-03-01T10:20:00Z' } })
+      expect(evaluator.evaluate(failedAgain, now)).toBeUndefined()
+      expect(shootAlerts.getAlerts(1)).toEqual([])
+    })
+  })
+  describe('#getRulesForNamespace', function () {
+    function createProject (resourceVersion, rules) {
+      return {
+        metadata: {
+          name: 'foo',
+          resourceVersion,
+          annotations: {
+            'dashboard.gardener.cloud/alert-rules': rules
+          }
+        },
+        spec: {
+          namespace: 'garden-foo'
+        }
+      }
+    }
+
+    afterEach(function () {
+      jest.restoreAllMocks()
+    })
+
+    it('should parse the rules of a project once per resource version', function () {
+      const getProjectsStub = jest.spyOn(cache, 'getProjects').mockReturnValue([createProject('1', '[{')])
+      expect(alertRules.getRulesForNamespace('garden-foo')).toEqual([])
+      expect(alertRules.getRulesForNamespace('garden-foo')).toEqual([])
+      expect(logger.error).toBeCalledTimes(1)
+
+      const rules = [{ name: 'operation-failed', type: 'lastOperationFailed', severity: 'warning', count: 2 }]
+      getProjectsStub.mockReturnValue([createProject('2', JSON.stringify(rules))])
+      expect(alertRules.getRulesForNamespace('garden-foo')).toEqual(rules)
+      expect(alertRules.getRulesForNamespace('garden-foo')).toEqual(rules)
+      expect(logger.error).toBeCalledTimes(1)
+
+      getProjectsStub.mockReturnValue([])
+      expect(alertRules.getRulesForNamespace('garden-foo')).toEqual([])
+    })
+  })
+})
@@ -0,0 +1,116 @@
+//
+// SPDX-FileCopyrightText: 2023 SAP SE or an SAP affiliate company and Gardener contributors
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+
+'use strict'
+
+const EventEmitter = require('events')
+const { WebSocket } = require('ws')
+const { proxy } = require('../lib/attach')
+
+function createSocket () {
+  const socket = new EventEmitter()
+  socket.readyState = WebSocket.OPEN
+  socket.send = jest.fn()
+  socket.close = jest.fn(code => {
+    socket.readyState = WebSocket.CLOSED
+    socket.emit('close', code)
+  })
+  return socket
+}
+
+function frame (channel, data) {
+  return Buffer.concat([Buffer.from([channel]), Buffer.from(data)])
+}
+
+describe('attach', function () {
+  let downstream
+  let upstream
+  let recorder
+
+  beforeEach(function () {
+    downstream = createSocket()
+    upstream = createSocket()
+    recorder = Object.assign(new EventEmitter(), {
+      metadata: { id: 'a', enforced: true },
+      output: jest.fn(),
+      resize: jest.fn(),
+      stop: jest.fn()
+    })
+  })
+
+  it('should relay the frames and record the output', function () {
+    proxy(downstream, upstream, { recorder })
+
+    const input = frame(0, 'ls\r')
+    downstream.emit('message', input)
+    expect(upstream.send.mock.calls).toEqual([[input]])
+
+    const output = frame(1, 'foo')
+    upstream.emit('message', output)
+    expect(downstream.send.mock.calls).toEqual([[output]])
+    expect(recorder.output.mock.calls).toEqual([['foo']])
+  })
+
+  it('should record the size of the terminal', function () {
+    proxy(downstream, upstream, { recorder })
+
+    downstream.emit('message', frame(4, JSON.stringify({ Width: 1, Height: 1 })))
+    downstream.emit('message', frame(4, JSON.stringify({ Width: 120, Height: 40 })))
+    expect(upstream.send).toBeCalledTimes(2)
+    expect(recorder.resize.mock.calls).toEqual([[{ cols: 120, rows: 40 }]])
+  })
+
+  it('should decode characters which are split across frames', function () {
+    proxy(downstream, upstream, { recorder })
+
+    const data = Buffer.from('ä')
+    upstream.emit('message', frame(1, data.subarray(0, 1)))
+    upstream.emit('message', frame(1, data.subarray(1)))
+    expect(recorder.output.mock.calls).toEqual([[''], ['ä']])
+  })
+
+  it('should only relay input and resize frames of the browser', function () {
+    proxy(downstream, upstream, { recorder })
+
+    downstream.emit('message', frame(1, 'forged output'))
+    downstream.emit('message', frame(3, '{}'))
+    expect(upstream.send).not.toBeCalled()
+    expect(recorder.output).not.toBeCalled()
+  })
+
+  it('should close the browser connection and stop recording if the container connection is closed', function () {
+    proxy(downstream, upstream, { recorder })
+
+    upstream.close(1006)
+    expect(downstream.close.mock.calls).toEqual([[1011, undefined]])
+    expect(recorder.stop).toBeCalledTimes(1)
+  })
+
+  it('should close the session if an enforced recording has been truncated', function () {
+    proxy(downstream, upstream, { recorder })
+
+    recorder.emit('truncated')
+    expect(upstream.close.mock.calls).toEqual([[1000, undefined]])
+    expect(downstream.close.mock.calls).toEqual([[1011, 'Terminal recording exceeded its maximum size']])
+    expect(recorder.stop).toBeCalledTimes(1)
+  })
+
+  it('should not close the session if an optional recording has been truncated', function () {
+    recorder.metadata.enforced = false
+    proxy(downstream, upstream, { recorder })
+
+    recorder.emit('truncated')
+    expect(upstream.close).not.toBeCalled()
+    expect(downstream.close).not.toBeCalled()
+  })
+
+  it('should close the container connection if the browser connection is closed', function () {
+    proxy(downstream, upstream)
+
+    downstream.close(1000)
+    expect(upstream.close.mock.calls).toEqual([[1000, undefined]])
+  })
+})
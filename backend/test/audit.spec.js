@@ -0,0 +1,189 @@
+//
+// SPDX-FileCopyrightText: 2023 SAP SE or an SAP affiliate company and Gardener contributors
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+
+'use strict'
+
+const EventEmitter = require('events')
+const audit = require('../lib/audit')
+const { toEvent, createSink } = require('../lib/audit/sinks')
+
+function createRequest ({ method = 'POST', path = '/', params = {}, body = {}, user = { id: 'foo@example.org', groups: ['bar'] } } = {}) {
+  return {
+    method,
+    path,
+    originalUrl: '/api/namespaces/garden-foo/shoots' + path,
+    params,
+    body,
+    user
+  }
+}
+
+function createResponse (statusCode = 200) {
+  const res = new EventEmitter()
+  res.statusCode = statusCode
+  res.locals = {}
+  return res
+}
+
+describe('audit', function () {
+  beforeEach(function () {
+    audit.clear()
+  })
+
+  describe('#sanitize', function () {
+    it('should redact sensitive values', function () {
+      expect(audit.sanitize({
+        metadata: { name: 'foo' },
+        data: { key: 'value' },
+        spec: {
+          kubernetes: { enableStaticTokenKubeconfig: false },
+          credentials: [{ password: 'secret' }],
+          webhookSecret: 'secret',
+          secretBindingName: 'foo'
+        }
+      })).toEqual({
+        metadata: { name: 'foo' },
+        data: '[REDACTED]',
+        spec: {
+          kubernetes: { enableStaticTokenKubeconfig: false },
+          credentials: '[REDACTED]',
+          webhookSecret: '[REDACTED]',
+          secretBindingName: 'foo'
+        }
+      })
+    })
+  })
+
+  describe('#auditRequest', function () {
+    const middleware = audit.auditRequest('shoots')
+
+    it('should record mutating requests when the response has finished', function () {
+      const req = createRequest({
+        method: 'PUT',
+        path: '/bar/spec/hibernation/enabled',
+        params: { namespace: 'garden-foo' },
+        body: { enabled: true }
+      })
+      const res = createResponse(200)
+      const next = jest.fn()
+      middleware(req, res, next)
+      expect(next).toBeCalledTimes(1)
+      expect(audit.query()).toHaveLength(0)
+      req.body.enabled = false
+      res.emit('finish')
+      expect(audit.query()).toEqual([{
+        timestamp: expect.any(String),
+        user: { id: 'foo@example.org', groups: ['bar'] },
+        verb: 'update',
+        method: 'PUT',
+        path: '/api/namespaces/garden-foo/shoots/bar/spec/hibernation/enabled',
+        resource: {
+          type: 'shoots',
+          namespace: 'garden-foo',
+          name: 'bar',
+          subresource: 'spec/hibernation/enabled'
+        },
+        body: { enabled: true },
+        outcome: { status: 'Success', code: 200, reason: 'OK' }
+      }])
+    })
+
+    it('should take the name of created resources from the body', function () {
+      const res = createResponse(409)
+      res.locals.error = { message: 'Already exists' }
+      middleware(createRequest({ params: { namespace: 'garden-foo' }, body: { metadata: { name: 'bar' } } }), res, jest.fn())
+      res.emit('finish')
+      const [entry] = audit.query()
+      expect(entry.verb).toBe('create')
+      expect(entry.resource).toEqual({ type: 'shoots', namespace: 'garden-foo', name: 'bar' })
+      expect(entry.outcome).toEqual({ status: 'Failure', code: 409, reason: 'Conflict', message: 'Already exists' })
+    })
+
+    it('should use the method of resource method calls as verb', function () {
+      const res = createResponse()
+      audit.auditRequest('members')(createRequest({ path: '/robot', params: { namespace: 'garden-foo' }, body: { method: 'resetServiceAccount' } }), res, jest.fn())
+      res.emit('finish')
+      expect(audit.query()[0].verb).toBe('resetServiceAccount')
+    })
+
+    it('should redact properties matching the sensitive key pattern of the route', function () {
+      const res = createResponse()
+      const body = { targets: [{ name: 'slack', url: 'https://hooks.slack.com/services/foo' }] }
+      audit.auditRequest('notifications', { sensitiveKeyPattern: /^url$/ })(createRequest({ method: 'PUT', body }), res, jest.fn())
+      res.emit('finish')
+      expect(audit.query()[0].body).toEqual({ targets: [{ name: 'slack', url: '[REDACTED]' }] })
+    })
+
+    it('should not record safe or skipped requests', function () {
+      const res = createResponse()
+      middleware(createRequest({ method: 'GET' }), res, jest.fn())
+      audit.auditRequest('terminals', { skip: () => true })(createRequest(), res, jest.fn())
+      res.emit('finish')
+      expect(audit.query()).toHaveLength(0)
+    })
+  })
+
+  describe('#query', function () {
+    beforeEach(function () {
+      for (const [id, namespace, status] of [['a', 'garden-foo', 'Success'], ['b', 'garden-bar', 'Failure'], ['c', 'garden-foo', 'Failure']]) {
+        audit.record({
+          user: { id },
+          verb: 'delete',
+          resource: { type: 'shoots', namespace },
+          outcome: { status }
+        })
+      }
+    })
+
+    it('should return the most recent entries first', function () {
+      expect(audit.query().map(({ user }) => user.id)).toEqual(['c', 'b', 'a'])
+      expect(audit.query({ limit: 1 }).map(({ user }) => user.id)).toEqual(['c'])
+    })
+
+    it('should filter entries', function () {
+      expect(audit.query({ namespace: 'garden-foo' }).map(({ user }) => user.id)).toEqual(['c', 'a'])
+      expect(audit.query({ status: 'Failure', namespace: 'garden-foo' }).map(({ user }) => user.id)).toEqual(['c'])
+      expect(audit.query({ user: 'B' }).map(({ user }) => user.id)).toEqual(['b'])
+      expect(audit.query({ type: 'members' })).toEqual([])
+    })
+  })
+
+  describe('sinks', function () {
+    it('should convert an entry to a kubernetes event', function () {
+      const event = toEvent({
+        timestamp: '2023-01-01T00:00:00.000Z',
+        user: { id: 'foo@example.org' },
+        verb: 'delete',
+        resource: { type: 'shoots', namespace: 'garden-foo', name: 'bar' },
+        outcome: { status: 'Failure', code: 403, reason: 'Forbidden' }
+      }, { namespace: 'garden' })
+      expect(event).toMatchObject({
+        metadata: { generateName: 'gardener-dashboard-audit.', namespace: 'garden-foo' },
+        involvedObject: { kind: 'Shoot', namespace: 'garden-foo', name: 'bar' },
+        type: 'Warning',
+        reason: 'DashboardAudit',
+        action: 'delete',
+        message: 'User foo@example.org performed delete on shoots/bar: 403 Forbidden',
+        count: 1
+      })
+    })
+
+    it('should write json lines to stdout', function () {
+      const writeSpy = jest.spyOn(process.stdout, 'write').mockImplementation(() => true)
+      try {
+        createSink({ type: 'stdout' }).write({ verb: 'delete' })
+        expect(writeSpy).toBeCalledWith('{"verb":"delete"}\n')
+      } finally {
+        writeSpy.mockRestore()
+      }
+    })
+
+    it('should reject unknown sink types', function () {
+      expect(() => createSink({ type: 'foo' })).toThrow(TypeError)
+      expect(() => createSink({ type: 'file' })).toThrow(TypeError)
+    })
+  })
+})
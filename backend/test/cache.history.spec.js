@@ -0,0 +1,103 @@
+//
+// SPDX-FileCopyrightText: 2023 SAP SE or an SAP affiliate company and Gardener contributors
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+
+'use strict'
+
+const createShootHistory = require('../lib/cache/history')
+
+function createShoot ({ generation, spec, managedFields }) {
+  return {
+    metadata: {
+      namespace: 'foo',
+      name: 'bar',
+      uid: 1,
+      generation,
+      managedFields
+    },
+    spec
+  }
+}
+
+describe('cache', function () {
+  describe('history', function () {
+    let history
+
+    beforeEach(function () {
+      history = createShootHistory({ maxRevisions: 3 })
+    })
+
+    it('should record spec revisions with the patch to the previous revision', function () {
+      history.addRevision(createShoot({
+        generation: 1,
+        spec: { purpose: 'evaluation', hibernation: { enabled: false } }
+      }))
+      history.addRevision(createShoot({
+        generation: 2,
+        spec: { purpose: 'production', region: 'eu-1' },
+        managedFields: [
+          {
+            manager: 'gardenlet',
+            operation: 'Update',
+            time: '2023-03-01T09:00:00Z',
+            fieldsV1: { 'f:status': {} }
+          },
+          {
+            manager: 'kubectl',
+            operation: 'Update',
+            time: '2023-03-01T08:00:00Z',
+            fieldsV1: { 'f:spec': {} }
+          },
+          {
+            manager: 'gardener-dashboard',
+            operation: 'Update',
+            time: '2023-03-01T10:00:00Z',
+            fieldsV1: { 'f:spec': {} }
+          }
+        ]
+      }))
+      const [first, second] = history.getRevisions(1)
+      expect(first.patch).toEqual([])
+      expect(second).toMatchObject({
+        generation: 2,
+        manager: 'gardener-dashboard',
+        operation: 'Update',
+        timestamp: '2023-03-01T10:00:00Z'
+      })
+      expect(second.patch).toEqual([
+        { op: 'replace', path: '/purpose', value: 'production', oldValue: 'evaluation' },
+        { op: 'remove', path: '/hibernation', oldValue: { enabled: false } },
+        { op: 'add', path: '/region', value: 'eu-1' }
+      ])
+    })
+
+    it('should ignore updates without a new generation', function () {
+      const shoot = createShoot({ generation: 1, spec: { purpose: 'evaluation' } })
+      history.addRevision(shoot)
+      history.addRevision(shoot, shoot)
+      expect(history.getRevisions(1)).toHaveLength(1)
+    })
+
+    it('should use the old object if there is no previous revision', function () {
+      const oldShoot = createShoot({ generation: 1, spec: { purpose: 'evaluation' } })
+      const shoot = createShoot({ generation: 2, spec: { purpose: 'production' } })
+      history.addRevision(shoot, oldShoot)
+      expect(history.getRevisions(1)[0].patch).toEqual([
+        { op: 'replace', path: '/purpose', value: 'production', oldValue: 'evaluation' }
+      ])
+    })
+
+    it('should keep a bounded number of revisions', function () {
+      for (let generation = 1; generation <= 5; generation++) {
+        history.addRevision(createShoot({ generation, spec: { generation } }))
+      }
+      const revisions = history.getRevisions(1)
+      expect(revisions).toHaveLength(3)
+      expect(revisions.map(revision => revision.generation)).toEqual([3, 4, 5])
+      history.deleteRevisions(1)
+      expect(history.getRevisions(1)).toEqual([])
+    })
+  })
+})
@@ -0,0 +1,124 @@
+//
+// SPDX-FileCopyrightText: 2023 SAP SE or an SAP affiliate company and Gardener contributors
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+
+'use strict'
+
+const cache = require('../lib/cache')
+const { getShootSummaries } = require('../lib/fleet')
+
+describe('fleet', function () {
+  const projects = [
+    { metadata: { name: 'foo' }, spec: { namespace: 'garden-foo' } }
+  ]
+  const cloudProfiles = [{
+    metadata: { name: 'infra1' },
+    spec: {
+      kubernetes: {
+        versions: [
+          { version: '1.25.4' },
+          { version: '1.24.8', expirationDate: '2023-06-30T23:59:59Z' }
+        ]
+      },
+      machineImages: [{
+        name: 'gardenlinux',
+        versions: [
+          { version: '934.7.0' },
+          { version: '576.12.0', expirationDate: '2023-04-30T23:59:59Z' }
+        ]
+      }]
+    }
+  }]
+  const shoots = [{
+    metadata: {
+      namespace: 'garden-foo',
+      name: 'healthy',
+      labels: { 'shoot.gardener.cloud/status': 'healthy' }
+    },
+    spec: {
+      cloudProfileName: 'infra1',
+      seedName: 'soil',
+      kubernetes: { version: '1.25.4' },
+      provider: {
+        workers: [{ machine: { image: { name: 'gardenlinux', version: '934.7.0' } } }]
+      }
+    },
+    status: {
+      lastOperation: { type: 'Reconcile', state: 'Succeeded' }
+    }
+  }, {
+    metadata: {
+      namespace: 'garden-foo',
+      name: 'outdated',
+      labels: { 'shoot.gardener.cloud/status': 'unhealthy' }
+    },
+    spec: {
+      cloudProfileName: 'infra1',
+      seedName: 'soil',
+      hibernation: { enabled: true },
+      kubernetes: { version: '1.24.8' },
+      provider: {
+        workers: [
+          { machine: { image: { name: 'gardenlinux', version: '934.7.0' } } },
+          { machine: { image: { name: 'gardenlinux', version: '576.12.0' } } }
+        ]
+      }
+    },
+    status: {
+      lastOperation: { type: 'Reconcile', state: 'Failed' }
+    }
+  }, {
+    metadata: {
+      namespace: 'garden-bar',
+      name: 'new'
+    },
+    spec: {
+      cloudProfileName: 'unknown'
+    }
+  }]
+
+  beforeEach(() => {
+    jest.spyOn(cache, 'getProjects').mockReturnValue(projects)
+    jest.spyOn(cache, 'getCloudProfiles').mockReturnValue(cloudProfiles)
+    jest.spyOn(cache, 'getShoots').mockReturnValue(shoots)
+  })
+
+  it('should summarize the shoots of the cache', function () {
+    expect(getShootSummaries()).toEqual([{
+      project: 'foo',
+      seed: 'soil',
+      status: 'healthy',
+      hasIssues: false,
+      hibernated: false,
+      lastOperationFailed: false,
+      lastOperationType: 'Reconcile',
+      kubernetesVersion: '1.25.4',
+      kubernetesVersionExpiring: false,
+      machineImageExpiring: false
+    }, {
+      project: 'foo',
+      seed: 'soil',
+      status: 'unhealthy',
+      hasIssues: true,
+      hibernated: true,
+      lastOperationFailed: true,
+      lastOperationType: 'Reconcile',
+      kubernetesVersion: '1.24.8',
+      kubernetesVersionExpiring: true,
+      machineImageExpiring: true
+    }, {
+      project: '',
+      seed: undefined,
+      status: undefined,
+      hasIssues: false,
+      hibernated: false,
+      lastOperationFailed: false,
+      lastOperationType: undefined,
+      kubernetesVersion: undefined,
+      kubernetesVersionExpiring: false,
+      machineImageExpiring: false
+    }])
+  })
+})
@@ -11,9 +11,9 @@ const createError = require('http-errors')
 const { dashboardClient } = require('@gardener-dashboard/kube-client')
 const logger = require('../lib/logger')
 const config = require('../lib/config')
-const handleGithubEvent = require('../lib/github/webhook/handler')
-const verify = require('../lib/github/webhook/verify')
-const SyncManager = require('../lib/github/SyncManager')
+const handleGithubEvent = require('../lib/tickets/webhook/handler')
+const verify = require('../lib/github/verify')
+const SyncManager = require('../lib/tickets/SyncManager')
 
 const actualNextTick = jest.requireActual('process').nextTick
 
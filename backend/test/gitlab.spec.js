@@ -0,0 +1,298 @@
+//
+// SPDX-FileCopyrightText: 2023 SAP SE or an SAP affiliate company and Gardener contributors
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+
+'use strict'
+
+/* eslint-disable camelcase */
+
+const http = require('http')
+const { AssertionError } = require('assert')
+const createError = require('http-errors')
+
+function createIssue (iid, { state = 'opened', user_notes_count = 0 } = {}) {
+  return {
+    id: 1000 + iid,
+    iid,
+    title: `[foo/bar${iid}] Issue ${iid}`,
+    description: `This is bug #${iid}`,
+    state,
+    created_at: '2023-01-02T15:04:05.000Z',
+    updated_at: '2023-01-02T15:04:05.000Z',
+    web_url: `https://gitlab.example.org/gardener/ticket-dev/-/issues/${iid}`,
+    user_notes_count,
+    author: {
+      username: 'johndoe',
+      avatar_url: 'https://gitlab.example.org/uploads/johndoe.png'
+    },
+    labels: [{
+      id: 42,
+      name: 'bug',
+      color: '#d73a4a'
+    }]
+  }
+}
+
+function createNote (id, { system = false } = {}) {
+  return {
+    id,
+    body: system ? 'changed the description' : `This is comment ${id}`,
+    system,
+    created_at: '2023-01-02T15:05:05.000Z',
+    updated_at: '2023-01-02T15:05:05.000Z',
+    author: {
+      username: 'janedoe',
+      avatar_url: 'https://gitlab.example.org/uploads/janedoe.png'
+    }
+  }
+}
+
+describe('gitlab', () => {
+  const token = 'gitlab-token'
+  const webhookSecret = 'gitlab-webhook-secret'
+  const basePath = '/api/v4/projects/gardener%2Fticket-dev'
+  const issues = [
+    createIssue(1),
+    createIssue(2, { user_notes_count: 1 }),
+    createIssue(3)
+  ]
+  const notes = [
+    createNote(1),
+    createNote(2, { system: true })
+  ]
+
+  let server
+  let requests
+  let config
+  let provider
+  let verify
+  let handleEvent
+  let dashboardClient
+
+  function send (res, statusCode, data, headers = {}) {
+    res.writeHead(statusCode, { 'content-type': 'application/json', ...headers })
+    res.end(data === undefined ? undefined : JSON.stringify(data))
+  }
+
+  function handleRequest (req, body) {
+    const url = new URL(req.url, 'http://localhost')
+    const { pathname, searchParams } = url
+    if (pathname === `${basePath}/issues` && req.method === 'POST') {
+      return [201, { ...createIssue(4), title: body.title, description: body.description }]
+    }
+    if (pathname === `${basePath}/issues`) {
+      // serve two pages to verify that pagination is followed
+      const page = parseInt(searchParams.get('page'), 10)
+      return page === 1
+        ? [200, issues.slice(0, 2), { 'x-next-page': '2' }]
+        : [200, issues.slice(2), { 'x-next-page': '' }]
+    }
+    if (pathname === `${basePath}/issues/2` && req.method === 'GET') {
+      return [200, issues[1]]
+    }
+    if (pathname === `${basePath}/issues/2` && req.method === 'PUT') {
+      return [200, { ...issues[1], state: 'closed' }]
+    }
+    if (pathname === `${basePath}/issues/2/notes` && req.method === 'GET') {
+      return [200, notes]
+    }
+    if (pathname === `${basePath}/issues/2/notes` && req.method === 'POST') {
+      return [201, { ...createNote(3), body: body.body }]
+    }
+    return [404, { message: '404 Not found' }]
+  }
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      const chunks = []
+      req.on('data', chunk => chunks.push(chunk))
+      req.on('end', () => {
+        const text = Buffer.concat(chunks).toString()
+        const body = text ? JSON.parse(text) : undefined
+        requests.push({ method: req.method, url: req.url, headers: req.headers, body })
+        if (req.headers['private-token'] !== token) {
+          return send(res, 401, { message: '401 Unauthorized' })
+        }
+        send(res, ...handleRequest(req, body))
+      })
+    })
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+    const { port } = server.address()
+
+    jest.isolateModules(() => {
+      config = require('../lib/config')
+      config.gitLab = {
+        apiUrl: `http://127.0.0.1:${port}/api/v4/`,
+        projectId: 'gardener/ticket-dev',
+        webhookSecret,
+        authentication: {
+          token
+        }
+      }
+      provider = require('../lib/tickets/providers/gitlab')
+      verify = require('../lib/gitlab/verify')
+      handleEvent = require('../lib/tickets/webhook/handler')
+      dashboardClient = require('@gardener-dashboard/kube-client').dashboardClient
+    })
+  })
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve))
+  })
+
+  beforeEach(() => {
+    requests = []
+  })
+
+  describe('provider', () => {
+    it('should search open issues of all pages', async () => {
+      const items = await provider.searchIssues({ state: 'open', title: '[foo/bar1]' })
+      expect(requests).toHaveLength(2)
+      const { searchParams } = new URL(requests[0].url, 'http://localhost')
+      expect(Object.fromEntries(searchParams)).toEqual({
+        with_labels_details: 'true',
+        state: 'opened',
+        search: '[foo/bar1]',
+        in: 'title',
+        page: '1',
+        per_page: '100'
+      })
+      expect(requests[1].url).toMatch(/[?&]page=2(&|$)/)
+      expect(items).toHaveLength(3)
+      expect(items[1]).toEqual({
+        id: 1002,
+        number: 2,
+        title: '[foo/bar2] Issue 2',
+        body: 'This is bug #2',
+        state: 'open',
+        created_at: '2023-01-02T15:04:05.000Z',
+        updated_at: '2023-01-02T15:04:05.000Z',
+        html_url: 'https://gitlab.example.org/gardener/ticket-dev/-/issues/2',
+        comments: 1,
+        user: {
+          login: 'johndoe',
+          avatar_url: 'https://gitlab.example.org/uploads/johndoe.png'
+        },
+        labels: [{
+          id: 42,
+          name: 'bug',
+          color: 'd73a4a'
+        }]
+      })
+    })
+
+    it('should get an issue', async () => {
+      const issue = await provider.getIssue({ number: 2 })
+      expect(issue.number).toBe(2)
+      expect(requests[0].headers['private-token']).toBe(token)
+    })
+
+    it('should get the comments of an issue without system notes', async () => {
+      const comments = await provider.getComments({ number: 2 })
+      expect(comments).toEqual([{
+        id: 1,
+        body: 'This is comment 1',
+        created_at: '2023-01-02T15:05:05.000Z',
+        updated_at: '2023-01-02T15:05:05.000Z',
+        html_url: 'https://gitlab.example.org/gardener/ticket-dev/-/issues/2#note_1',
+        user: {
+          login: 'janedoe',
+          avatar_url: 'https://gitlab.example.org/uploads/janedoe.png'
+        }
+      }])
+    })
+
+    it('should create an issue', async () => {
+      const issue = await provider.createIssue({ title: '[foo/bar4] Issue 4', body: 'foo', labels: ['bug', 'urgent'] })
+      expect(requests[0]).toMatchObject({
+        method: 'POST',
+        url: `${basePath}/issues`,
+        body: { title: '[foo/bar4] Issue 4', description: 'foo', labels: 'bug,urgent' }
+      })
+      expect(issue).toMatchObject({ number: 4, title: '[foo/bar4] Issue 4', body: 'foo', state: 'open' })
+    })
+
+    it('should close an issue', async () => {
+      await provider.closeIssue({ number: 2 })
+      expect(requests).toHaveLength(1)
+      expect(requests[0]).toMatchObject({
+        method: 'PUT',
+        url: `${basePath}/issues/2`,
+        body: { state_event: 'close' }
+      })
+    })
+
+    it('should create a comment', async () => {
+      const comment = await provider.createComment({ number: 2 }, 'foo')
+      expect(requests).toContainEqual(expect.objectContaining({
+        method: 'POST',
+        url: `${basePath}/issues/2/notes`,
+        body: { body: 'foo' }
+      }))
+      expect(comment).toMatchObject({
+        id: 3,
+        body: 'foo',
+        html_url: 'https://gitlab.example.org/gardener/ticket-dev/-/issues/2#note_3'
+      })
+    })
+
+    it('should reject with the status of a failed request', async () => {
+      await expect(provider.getIssue({ number: 4 })).rejects.toMatchObject({ statusCode: 404 })
+    })
+  })
+
+  describe('verify', () => {
+    const res = {}
+    const body = 'foo'
+
+    it('should succeed if the tokens match', () => {
+      const req = { headers: { 'x-gitlab-token': webhookSecret } }
+      expect(() => verify(req, res, body)).not.toThrow()
+    })
+
+    it('should fail in case of an invalid token', () => {
+      const req = { headers: { 'x-gitlab-token': 'invalid' } }
+      expect(() => verify(req, res, body)).toThrow(createError(403, 'Tokens didn\'t match!'))
+    })
+
+    it('should fail if the token is missing', () => {
+      const req = { headers: {} }
+      expect(() => verify(req, res, body)).toThrow(createError(403, 'Header \'x-gitlab-token\' not provided'))
+    })
+
+    it('should fail with an assertion error if webhookSecret is not configured', () => {
+      const gitLabConfig = config.gitLab
+      config.gitLab = {}
+      try {
+        const req = { headers: { 'x-gitlab-token': webhookSecret } }
+        expect(() => verify(req, res, body)).toThrow(new AssertionError({
+          message: 'Property \'gitLab.webhookSecret\' not configured on dashboard backend'
+        }))
+      } finally {
+        config.gitLab = gitLabConfig
+      }
+    })
+  })
+
+  describe('webhook handler', () => {
+    let mergePatchStub
+
+    beforeEach(() => {
+      mergePatchStub = jest.spyOn(dashboardClient['coordination.k8s.io'].leases, 'mergePatch')
+      mergePatchStub.mockResolvedValue({})
+    })
+
+    it('should update the lease object for a note event', async () => {
+      await handleEvent('Note Hook')
+      expect(mergePatchStub).toBeCalledTimes(1)
+      expect(mergePatchStub.mock.calls[0][1]).toBe('gardener-dashboard-github-webhook')
+    })
+
+    it('should throw an error in case of an unsupported event', async () => {
+      await expect(handleEvent('Push Hook')).rejects.toThrow(createError(422, 'GitLab event \'Push Hook\' is not supported by this webhook endpoint'))
+      expect(mergePatchStub).not.toBeCalled()
+    })
+  })
+})
@@ -7,16 +7,22 @@
 'use strict'
 
 const { createDashboardClient } = require('@gardener-dashboard/kube-client')
+const { monitorShoots } = require('@gardener-dashboard/monitor')
 
 const cache = require('../lib/cache')
 
 jest.mock('../lib/io')
+jest.mock('../lib/attach')
 jest.mock('../lib/watches')
+jest.mock('../lib/leaderElection')
 
 const io = require('../lib/io')
+const attach = require('../lib/attach')
 const watches = require('../lib/watches')
+const leaderElector = require('../lib/leaderElection')
 
 const createHooks = require('../lib/hooks')
+const { getShootSummaries } = require('../lib/fleet')
 
 describe('hooks', () => {
   describe('LifecycleHooks', () => {
@@ -42,6 +48,7 @@ describe('hooks', () => {
         ['core.gardener.cloud', 'seeds'],
         ['core.gardener.cloud', 'controllerregistrations'],
         ['core.gardener.cloud', 'quotas'],
+        ['core.gardener.cloud', 'secretbindings'],
         ['core.gardener.cloud', 'shoots'],
         ['core', 'resourcequotas'],
         ['coordination.k8s.io', 'leases']
@@ -104,6 +111,24 @@ describe('hooks', () => {
             store: {
               untilHasSynced: Promise.resolve('shoots')
             }
+          },
+          projects: {
+            run: jest.fn(),
+            store: {
+              untilHasSynced: Promise.resolve('projects')
+            }
+          },
+          seeds: {
+            run: jest.fn(),
+            store: {
+              untilHasSynced: Promise.resolve('seeds')
+            }
+          },
+          secretbindings: {
+            run: jest.fn(),
+            store: {
+              untilHasSynced: Promise.resolve('secretbindings')
+            }
           }
         }
         hooks.constructor.createInformers = mockCreateInformers = jest.fn(() => informers)
@@ -113,7 +138,7 @@ describe('hooks', () => {
       })
 
       it('should create and run informers, create io instance and initialize cache and watches', async function () {
-        await expect(hooks.beforeListen(server)).resolves.toEqual(['leases', 'shoots'])
+        await expect(hooks.beforeListen(server)).resolves.toEqual(['leases', 'shoots', 'projects', 'seeds', 'secretbindings'])
 
         expect(mockCreateInformers).toBeCalledTimes(1)
         expect(mockCreateInformers.mock.calls[0]).toHaveLength(1)
@@ -129,16 +154,27 @@ describe('hooks', () => {
         expect(cache.initialize.mock.calls[0]).toHaveLength(1)
         expect(cache.initialize.mock.calls[0][0]).toBe(informers)
 
+        expect(leaderElector.run).toBeCalledTimes(1)
+        expect(leaderElector.run.mock.calls[0]).toEqual([hooks.ac.signal])
+
         expect(io).toBeCalledTimes(1)
         expect(io.mock.calls[0]).toEqual([server, cache])
 
+        expect(attach).toBeCalledTimes(1)
+        expect(attach.mock.calls[0]).toEqual([server])
+
         for (const [key, watch] of Object.entries(watches)) {
           expect(watch).toBeCalledTimes(1)
-          expect(watch.mock.calls[0]).toHaveLength(key === 'leases' ? 3 : 2)
+          expect(watch.mock.calls[0]).toHaveLength(['leases', 'shoots', 'projects'].includes(key) ? 3 : 2)
           expect(watch.mock.calls[0][0]).toBe(ioInstance)
           expect(watch.mock.calls[0][1]).toBe(informers[key])
         }
         expect(watches.leases.mock.calls[0][2].signal).toBeInstanceOf(AbortSignal)
+        expect(watches.shoots.mock.calls[0][2].signal).toBeInstanceOf(AbortSignal)
+        expect(watches.projects.mock.calls[0][2].signal).toBeInstanceOf(AbortSignal)
+
+        expect(monitorShoots).toBeCalledTimes(1)
+        expect(monitorShoots.mock.calls[0]).toEqual([getShootSummaries])
       })
     })
   })
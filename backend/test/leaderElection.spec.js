@@ -0,0 +1,165 @@
+//
+// SPDX-FileCopyrightText: 2023 SAP SE or an SAP affiliate company and Gardener contributors
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+
+'use strict'
+
+const createError = require('http-errors')
+const logger = require('../lib/logger')
+const { LeaderElector } = require('../lib/leaderElection')
+
+describe('leaderElection', function () {
+  const now = new Date('2023-04-01T12:00:00Z').getTime()
+  const renewTime = offset => new Date(now + offset).toISOString().replace(/Z$/, '000Z')
+
+  let lease
+  let client
+  let leaderElector
+
+  beforeEach(function () {
+    lease = {
+      metadata: {
+        name: 'gardener-dashboard-leader',
+        namespace: 'garden',
+        resourceVersion: '42'
+      },
+      spec: {
+        holderIdentity: '',
+        renewTime: '1970-01-01T00:00:00.000000Z'
+      }
+    }
+    client = {
+      'coordination.k8s.io': {
+        leases: {
+          get: jest.fn().mockImplementation(() => Promise.resolve(lease)),
+          create: jest.fn().mockImplementation((namespace, body) => Promise.resolve(body)),
+          update: jest.fn().mockImplementation((namespace, name, body) => Promise.resolve(body))
+        }
+      }
+    }
+    leaderElector = new LeaderElector({
+      client,
+      namespace: 'garden',
+      identity: 'dashboard-1'
+    })
+  })
+
+  it('should acquire a lease without holder', async function () {
+    const started = jest.fn()
+    leaderElector.on('started', started)
+    await leaderElector.renew(now)
+
+    expect(client['coordination.k8s.io'].leases.update).toBeCalledTimes(1)
+    expect(client['coordination.k8s.io'].leases.update.mock.calls[0]).toEqual(['garden', 'gardener-dashboard-leader', {
+      metadata: lease.metadata,
+      spec: {
+        holderIdentity: 'dashboard-1',
+        leaseDurationSeconds: 30,
+        acquireTime: renewTime(0),
+        renewTime: renewTime(0),
+        leaseTransitions: 1
+      }
+    }])
+    expect(leaderElector.isLeader(now)).toBe(true)
+    expect(leaderElector.isLeader(now + 20_000)).toBe(false)
+    expect(started).toBeCalledTimes(1)
+  })
+
+  it('should create the lease if it does not exist', async function () {
+    client['coordination.k8s.io'].leases.get.mockRejectedValue(createError(404, 'Not Found'))
+    await leaderElector.renew(now)
+
+    expect(client['coordination.k8s.io'].leases.update).not.toBeCalled()
+    expect(client['coordination.k8s.io'].leases.create).toBeCalledTimes(1)
+    expect(client['coordination.k8s.io'].leases.create.mock.calls[0]).toEqual(['garden', {
+      metadata: {
+        name: 'gardener-dashboard-leader',
+        namespace: 'garden'
+      },
+      spec: {
+        holderIdentity: 'dashboard-1',
+        leaseDurationSeconds: 30,
+        acquireTime: renewTime(0),
+        renewTime: renewTime(0),
+        leaseTransitions: 0
+      }
+    }])
+    expect(leaderElector.isLeader(now)).toBe(true)
+  })
+
+  it('should not lead if another replica has created the lease in the meantime', async function () {
+    jest.spyOn(logger, 'error')
+    client['coordination.k8s.io'].leases.get.mockRejectedValue(createError(404, 'Not Found'))
+    client['coordination.k8s.io'].leases.create.mockRejectedValue(createError(409, 'Conflict'))
+    await leaderElector.renew(now)
+
+    expect(leaderElector.isLeader(now)).toBe(false)
+    expect(logger.error).not.toBeCalled()
+  })
+
+  it('should renew its own lease', async function () {
+    lease.spec = {
+      holderIdentity: 'dashboard-1',
+      leaseDurationSeconds: 30,
+      acquireTime: renewTime(-60_000),
+      renewTime: renewTime(-5_000),
+      leaseTransitions: 3
+    }
+    await leaderElector.renew(now)
+
+    const [, , { spec }] = client['coordination.k8s.io'].leases.update.mock.calls[0]
+    expect(spec).toEqual({
+      ...lease.spec,
+      renewTime: renewTime(0)
+    })
+    expect(leaderElector.isLeader(now)).toBe(true)
+  })
+
+  it('should not acquire a lease held by another replica', async function () {
+    lease.spec = {
+      holderIdentity: 'dashboard-2',
+      leaseDurationSeconds: 30,
+      renewTime: renewTime(-10_000)
+    }
+    await leaderElector.renew(now)
+
+    expect(client['coordination.k8s.io'].leases.update).not.toBeCalled()
+    expect(leaderElector.isLeader(now)).toBe(false)
+  })
+
+  it('should take over an expired lease of another replica', async function () {
+    lease.spec = {
+      holderIdentity: 'dashboard-2',
+      leaseDurationSeconds: 30,
+      renewTime: renewTime(-30_000),
+      leaseTransitions: 1
+    }
+    await leaderElector.renew(now)
+
+    const [, , { spec }] = client['coordination.k8s.io'].leases.update.mock.calls[0]
+    expect(spec).toMatchObject({
+      holderIdentity: 'dashboard-1',
+      leaseTransitions: 2
+    })
+    expect(leaderElector.isLeader(now)).toBe(true)
+  })
+
+  it('should stop leading if the lease could not be renewed', async function () {
+    const stopped = jest.fn()
+    leaderElector.on('stopped', stopped)
+    await leaderElector.renew(now)
+    expect(leaderElector.isLeader(now)).toBe(true)
+
+    jest.spyOn(logger, 'error')
+    client['coordination.k8s.io'].leases.update.mockRejectedValue(createError(409, 'Conflict'))
+    await leaderElector.renew(now + 5_000)
+    expect(leaderElector.isLeader(now + 5_000)).toBe(true)
+    await leaderElector.renew(now + 20_000)
+    expect(leaderElector.isLeader(now + 20_000)).toBe(false)
+    expect(stopped).toBeCalledTimes(1)
+    // a conflict means that another replica has updated the lease
+    expect(logger.error).not.toBeCalled()
+  })
+})
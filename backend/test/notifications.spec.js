@@ -0,0 +1,272 @@
+//
+// SPDX-FileCopyrightText: 2023 SAP SE or an SAP affiliate company and Gardener contributors
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+
+'use strict'
+
+const { getTransitions, createNotification } = require('../lib/notifications')
+const DeliveryQueue = require('../lib/notifications/DeliveryQueue')
+const net = require('net')
+const config = require('../lib/config')
+const { isAllowedHost, lookup } = require('../lib/notifications/hosts')
+const { createMessage, sendMail } = require('../lib/notifications/smtp')
+
+function createShoot ({ status = 'healthy', lastOperationState = 'Succeeded', deletionTimestamp, rotation } = {}) {
+  const shoot = {
+    metadata: {
+      namespace: 'garden-foo',
+      name: 'bar',
+      uid: 1,
+      labels: {
+        'shoot.gardener.cloud/status': status
+      }
+    },
+    status: {
+      lastOperation: {
+        type: 'Reconcile',
+        state: lastOperationState,
+        description: 'Something went wrong'
+      }
+    }
+  }
+  if (deletionTimestamp) {
+    shoot.metadata.deletionTimestamp = deletionTimestamp
+  }
+  if (rotation) {
+    shoot.status.credentials = { rotation }
+  }
+  return shoot
+}
+
+async function flushPromises () {
+  for (let i = 0; i < 10; i++) {
+    await Promise.resolve()
+  }
+}
+
+async function advanceTimersByTime (ms) {
+  await flushPromises()
+  jest.advanceTimersByTime(ms)
+  await flushPromises()
+}
+
+describe('notifications', function () {
+  describe('#getTransitions', function () {
+    it('should not return transitions for added shoots', function () {
+      expect(getTransitions(createShoot({ status: 'unhealthy' }))).toEqual([])
+    })
+
+    it('should detect health transitions', function () {
+      const healthy = createShoot()
+      const unhealthy = createShoot({ status: 'unhealthy' })
+      expect(getTransitions(unhealthy, healthy)).toEqual(['unhealthy'])
+      expect(getTransitions(healthy, unhealthy)).toEqual(['recovered'])
+      expect(getTransitions(unhealthy, unhealthy)).toEqual([])
+    })
+
+    it('should detect failed last operations', function () {
+      const failed = createShoot({ lastOperationState: 'Failed' })
+      expect(getTransitions(failed, createShoot({ lastOperationState: 'Processing' }))).toEqual(['lastOperationFailed'])
+      expect(getTransitions(failed, failed)).toEqual([])
+    })
+
+    it('should detect the start of a deletion', function () {
+      const deleting = createShoot({ deletionTimestamp: '2023-01-01T00:00:00Z' })
+      expect(getTransitions(deleting, createShoot())).toEqual(['deletionStarted'])
+      expect(getTransitions(deleting, deleting)).toEqual([])
+    })
+
+    it('should detect pending credential rotations', function () {
+      const preparing = createShoot({ rotation: { certificateAuthorities: { phase: 'Preparing' } } })
+      const prepared = createShoot({ rotation: { certificateAuthorities: { phase: 'Prepared' } } })
+      expect(getTransitions(prepared, preparing)).toEqual(['credentialRotationPending'])
+      expect(getTransitions(prepared, prepared)).toEqual([])
+    })
+  })
+
+  describe('#createNotification', function () {
+    it('should create a notification with a link to the shoot', function () {
+      const notification = createNotification('lastOperationFailed', createShoot({ lastOperationState: 'Failed' }))
+      expect(notification).toMatchObject({
+        type: 'lastOperationFailed',
+        summary: 'Cluster bar of project foo last operation failed',
+        description: 'Cluster bar of project foo last operation failed: Something went wrong',
+        link: 'http://localhost:8080/namespace/garden-foo/shoots/bar',
+        shoot: {
+          namespace: 'garden-foo',
+          name: 'bar',
+          projectName: 'foo'
+        }
+      })
+    })
+  })
+
+  describe('DeliveryQueue', function () {
+    beforeEach(function () {
+      jest.useFakeTimers()
+    })
+
+    afterEach(function () {
+      jest.useRealTimers()
+    })
+
+    it('should limit the number of concurrent deliveries', async function () {
+      const resolves = []
+      const deliver = jest.fn(() => new Promise(resolve => resolves.push(resolve)))
+      const queue = new DeliveryQueue(deliver, { concurrency: 2 })
+      queue.push('a')
+      queue.push('b')
+      queue.push('c')
+      expect(deliver).toBeCalledTimes(2)
+      expect(queue.active).toBe(2)
+      expect(queue.size).toBe(1)
+      resolves.shift()()
+      await flushPromises()
+      expect(deliver).toBeCalledTimes(3)
+      expect(deliver).lastCalledWith('c', 1)
+    })
+
+    it('should retry failed deliveries with exponential backoff', async function () {
+      const deliver = jest.fn().mockRejectedValue(new Error('failed'))
+      const queue = new DeliveryQueue(deliver, { maxAttempts: 3, retryDelay: 1000 })
+      queue.push('a')
+      await advanceTimersByTime(999)
+      expect(deliver).toBeCalledTimes(1)
+      await advanceTimersByTime(1)
+      expect(deliver).toBeCalledTimes(2)
+      expect(deliver).lastCalledWith('a', 2)
+      await advanceTimersByTime(2000)
+      expect(deliver).toBeCalledTimes(3)
+      await advanceTimersByTime(10000)
+      expect(deliver).toBeCalledTimes(3)
+    })
+
+    it('should discard jobs if the queue is full', async function () {
+      const deliver = jest.fn().mockRejectedValue(new Error('failed'))
+      const queue = new DeliveryQueue(deliver, { concurrency: 1, retryDelay: 1000, maxSize: 2 })
+      queue.push('a')
+      queue.push('b')
+      await advanceTimersByTime(0)
+      // both jobs wait for a retry
+      queue.push('c')
+      expect(queue.size).toBe(0)
+      await advanceTimersByTime(10000)
+      expect(deliver.mock.calls.map(([job]) => job)).not.toContain('c')
+    })
+
+    it('should discard pending retries when aborted', async function () {
+      const abortController = new AbortController()
+      const deliver = jest.fn().mockRejectedValue(new Error('failed'))
+      const queue = new DeliveryQueue(deliver, { retryDelay: 1000, signal: abortController.signal })
+      queue.push('a')
+      await advanceTimersByTime(0)
+      abortController.abort()
+      await advanceTimersByTime(10000)
+      expect(deliver).toBeCalledTimes(1)
+      queue.push('b')
+      expect(deliver).toBeCalledTimes(1)
+    })
+  })
+
+  describe('smtp', function () {
+    it('should create a message with dot stuffing', function () {
+      const message = createMessage({
+        from: 'gardener@example.org',
+        to: ['a@example.org', 'b@example.org'],
+        subject: 'Cluster bar recovered',
+        text: 'foo\n.bar\n'
+      })
+      expect(message).toMatch(/^From: gardener@example.org\r\nTo: a@example.org, b@example.org\r\nSubject: Cluster bar recovered\r\n/)
+      expect(message).toMatch(/\r\n\r\nfoo\r\n\.\.bar\r\n\r\n\.$/)
+    })
+
+    it('should reject addresses with line breaks', function () {
+      expect(() => createMessage({
+        from: 'gardener@example.org',
+        to: ['a@example.org>\r\nRCPT TO:<b@example.org'],
+        subject: 'Cluster bar recovered',
+        text: 'foo'
+      })).toThrow('Invalid email address')
+    })
+
+    describe('#sendMail', function () {
+      let server
+      let commands
+
+      beforeEach(async function () {
+        commands = []
+        server = net.createServer(socket => {
+          socket.setEncoding('utf8')
+          socket.write('220 localhost ESMTP\r\n')
+          socket.on('data', chunk => {
+            for (const line of chunk.split('\r\n').filter(Boolean)) {
+              commands.push(line)
+              if (line.startsWith('EHLO')) {
+                socket.write('250-localhost\r\n250 AUTH PLAIN\r\n')
+              } else if (line === 'QUIT') {
+                socket.end('221 Bye\r\n')
+              } else {
+                socket.write('250 OK\r\n')
+              }
+            }
+          })
+        })
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+        config.notifications = { allowedHosts: ['127.0.0.1'] }
+      })
+
+      afterEach(async function () {
+        delete config.notifications
+        await new Promise(resolve => server.close(resolve))
+      })
+
+      it('should not send credentials if the server does not support TLS', async function () {
+        const { port } = server.address()
+        await expect(sendMail({
+          host: '127.0.0.1',
+          port,
+          username: 'foo',
+          password: 'secret'
+        }, {
+          from: 'gardener@example.org',
+          to: ['a@example.org'],
+          subject: 'Cluster bar recovered',
+          text: 'foo'
+        })).rejects.toThrow('does not support TLS')
+        expect(commands).toHaveLength(1)
+        expect(commands[0]).toMatch(/^EHLO /)
+      })
+    })
+  })
+
+  describe('hosts', function () {
+    afterEach(function () {
+      delete config.notifications
+    })
+
+    it('should only allow public addresses', function () {
+      expect(isAllowedHost('hooks.example.org')).toBe(true)
+      expect(isAllowedHost('203.0.113.1')).toBe(true)
+      expect(isAllowedHost('10.0.0.1')).toBe(false)
+      expect(isAllowedHost('169.254.169.254')).toBe(false)
+      expect(isAllowedHost('[::1]')).toBe(false)
+      expect(isAllowedHost('[::ffff:127.0.0.1]')).toBe(false)
+    })
+
+    it('should only allow the configured hosts', function () {
+      config.notifications = { allowedHosts: ['hooks.example.org', '*.example.com'] }
+      expect(isAllowedHost('hooks.example.org')).toBe(true)
+      expect(isAllowedHost('smtp.example.com')).toBe(true)
+      expect(isAllowedHost('example.com')).toBe(false)
+      expect(isAllowedHost('hooks.example.net')).toBe(false)
+    })
+
+    it('should refuse host names which resolve to non-public addresses', async function () {
+      await expect(new Promise((resolve, reject) => {
+        lookup('localhost', {}, (err, address) => err ? reject(err) : resolve(address))
+      })).rejects.toThrow('resolves to the non-public address')
+    })
+  })
+})
@@ -10,8 +10,11 @@ const _ = require('lodash')
 const { parseKubeconfig } = require('@gardener-dashboard/kube-config')
 const { UnprocessableEntity, NotFound } = require('http-errors')
 const createError = require('http-errors')
+const { dashboardClient } = require('@gardener-dashboard/kube-client')
+const members = require('../lib/services/members')
 const MemberManager = require('../lib/services/members/MemberManager')
 const SubjectList = require('../lib/services/members/SubjectList')
+const { parseMembers, dumpMembers } = require('../lib/services/members/transfer')
 
 describe('services', function () {
   describe('members', function () {
@@ -216,6 +219,11 @@ describe('services', function () {
           return Promise.resolve(_.set(body, 'metadata.creationTimestamp', 'bar-time'))
         })
       }
+      client['rbac.authorization.k8s.io'] = {
+        rolebindings: {
+          create: jest.fn().mockImplementation((namespace, body) => Promise.resolve(body))
+        }
+      }
     })
 
     describe('SubjectList', function () {
@@ -237,6 +245,33 @@ describe('services', function () {
       })
     })
 
+    describe('transfer', function () {
+      const members = [
+        { username: 'foo@bar.com', roles: ['admin', 'viewer'], expirationTimestamp: '2023-04-01T00:00:00.000Z' },
+        { username: 'system:serviceaccount:garden-foo:robot', roles: ['viewer'] }
+      ]
+
+      it('should parse quoted CSV values and role separators', function () {
+        const content = [
+          'Username, Roles, Expiration Timestamp',
+          '"foo@bar.com","admin;viewer",2023-04-01T00:00:00Z',
+          '',
+          'system:serviceaccount:garden-foo:robot,viewer'
+        ].join('\r\n')
+        expect(parseMembers(content, 'csv')).toEqual([
+          { line: 2, username: 'foo@bar.com', roles: ['admin', 'viewer'], expirationTimestamp: '2023-04-01T00:00:00Z' },
+          { line: 4, username: 'system:serviceaccount:garden-foo:robot', roles: ['viewer'], expirationTimestamp: undefined }
+        ])
+      })
+
+      it('should parse the members of an export document', function () {
+        for (const format of ['csv', 'yaml']) {
+          const rows = parseMembers(dumpMembers(members, { format }), format)
+          expect(_.map(rows, row => _.omitBy(_.omit(row, ['line']), _.isUndefined))).toEqual(members)
+        }
+      })
+    })
+
     describe('MemberManager', function () {
       let memberManager
 
@@ -338,6 +373,27 @@ describe('services', function () {
           expect(newMemberListItem.subject.role).toBe('sa-role')
           expect(newMemberListItem.roles).toEqual(roles)
         })
+        it('should add a user with an expiration timestamp to project', async function () {
+          const name = 'newuser@bar.com'
+          const roles = ['viewer']
+          const expirationTimestamp = '2023-04-01T00:00:00.000Z'
+
+          const members = await memberManager.create(name, { roles, expirationTimestamp })
+
+          expect(members).toContainEqual({ username: name, roles, expirationTimestamp })
+          const mergePatch = client['core.gardener.cloud'].projects.mergePatch
+          expect(mergePatch).toBeCalledTimes(1)
+          const [projectName, body] = mergePatch.mock.calls[0]
+          expect(projectName).toBe('foo')
+          expect(JSON.parse(body.metadata.annotations['dashboard.gardener.cloud/member-expirations'])).toEqual({
+            [name]: expirationTimestamp
+          })
+        })
+
+        it('should throw an error for an invalid expiration timestamp', async function () {
+          const name = 'newuser@bar.com'
+          await expect(memberManager.create(name, { roles: ['viewer'], expirationTimestamp: 'tomorrow' })).rejects.toThrow(UnprocessableEntity)
+        })
       })
 
       describe('#update', function () {
@@ -433,6 +489,260 @@ describe('services', function () {
         })
       })
 
+      describe('#deleteExpired', function () {
+        const expirations = {
+          'foo@bar.com': '2023-03-01T00:00:00.000Z',
+          'mutiple@bar.com': '2023-05-01T00:00:00.000Z'
+        }
+
+        beforeEach(function () {
+          const projectWithExpirations = _.set(_.cloneDeep(project), ['metadata', 'annotations'], {
+            'dashboard.gardener.cloud/member-expirations': JSON.stringify(expirations)
+          })
+          memberManager = new MemberManager(client, undefined, projectWithExpirations, [])
+        })
+
+        it('should return the expiration timestamps of the members', function () {
+          const members = memberManager.list()
+          expect(_.find(members, ['username', 'foo@bar.com']).expirationTimestamp).toBe('2023-03-01T00:00:00.000Z')
+          expect(_.find(members, ['username', 'mutiple@bar.com']).expirationTimestamp).toBe('2023-05-01T00:00:00.000Z')
+        })
+
+        it('should remove expired members', async function () {
+          const now = new Date('2023-04-01T00:00:00Z').getTime()
+          await expect(memberManager.deleteExpired(now)).resolves.toEqual(['foo@bar.com'])
+          expect(memberManager.subjectList.has('foo@bar.com')).toBe(false)
+
+          const mergePatch = client['core.gardener.cloud'].projects.mergePatch
+          expect(mergePatch).toBeCalledTimes(1)
+          const [, { metadata, spec }] = mergePatch.mock.calls[0]
+          expect(_.map(spec.members, 'name')).not.toContain('foo@bar.com')
+          expect(JSON.parse(metadata.annotations['dashboard.gardener.cloud/member-expirations'])).toEqual({
+            'mutiple@bar.com': '2023-05-01T00:00:00.000Z'
+          })
+        })
+
+        it('should not patch the project if no member has expired', async function () {
+          const now = new Date('2023-02-01T00:00:00Z').getTime()
+          await expect(memberManager.deleteExpired(now)).resolves.toEqual([])
+          expect(client['core.gardener.cloud'].projects.mergePatch).not.toBeCalled()
+        })
+
+        it('should keep the expiration timestamp if it is not part of the update', async function () {
+          await memberManager.update('foo@bar.com', { roles: ['admin', 'viewer'] })
+
+          const [, { metadata }] = client['core.gardener.cloud'].projects.mergePatch.mock.calls[0]
+          expect(_.get(metadata, ['annotations', 'dashboard.gardener.cloud/member-expirations'])).toBeUndefined()
+          expect(_.find(memberManager.list(), ['username', 'foo@bar.com']).expirationTimestamp).toBe('2023-03-01T00:00:00.000Z')
+        })
+
+        it('should remove the expiration timestamp if it is null', async function () {
+          await memberManager.update('foo@bar.com', { roles: ['admin', 'viewer'], expirationTimestamp: null })
+
+          const [, { metadata }] = client['core.gardener.cloud'].projects.mergePatch.mock.calls[0]
+          expect(JSON.parse(metadata.annotations['dashboard.gardener.cloud/member-expirations'])).toEqual({
+            'mutiple@bar.com': '2023-05-01T00:00:00.000Z'
+          })
+        })
+
+        it('should patch the project with the resourceVersion it has been read with', async function () {
+          const projectWithExpirations = _.merge(_.cloneDeep(project), {
+            metadata: {
+              resourceVersion: '42',
+              annotations: {
+                'dashboard.gardener.cloud/member-expirations': JSON.stringify(expirations)
+              }
+            }
+          })
+          memberManager = new MemberManager(client, undefined, projectWithExpirations, [])
+          const now = new Date('2023-04-01T00:00:00Z').getTime()
+          await memberManager.deleteExpired(now)
+
+          const [, { metadata }] = client['core.gardener.cloud'].projects.mergePatch.mock.calls[0]
+          expect(metadata.resourceVersion).toBe('42')
+        })
+
+        it('should delete expired service accounts of the project namespace', async function () {
+          const projectWithExpirations = _.set(_.cloneDeep(project), ['metadata', 'annotations'], {
+            'dashboard.gardener.cloud/member-expirations': JSON.stringify({
+              'system:serviceaccount:garden-foo:robot-sa': '2023-03-01T00:00:00.000Z',
+              'system:serviceaccount:garden-foreign:robot-foreign-namespace': '2023-03-01T00:00:00.000Z'
+            })
+          })
+          memberManager = new MemberManager(client, undefined, projectWithExpirations, serviceAccounts)
+          const now = new Date('2023-04-01T00:00:00Z').getTime()
+          await expect(memberManager.deleteExpired(now)).resolves.toEqual([
+            'system:serviceaccount:garden-foo:robot-sa',
+            'system:serviceaccount:garden-foreign:robot-foreign-namespace'
+          ])
+          expect(client.core.serviceaccounts.delete).toBeCalledTimes(1)
+          expect(client.core.serviceaccounts.delete.mock.calls[0]).toEqual(['garden-foo', 'robot-sa'])
+          expect(memberManager.subjectList.has('system:serviceaccount:garden-foo:robot-sa')).toBe(false)
+          expect(memberManager.subjectList.has('system:serviceaccount:garden-foreign:robot-foreign-namespace')).toBe(false)
+        })
+
+        describe('#removeExpiredMembers', function () {
+          const now = new Date('2023-04-01T00:00:00Z').getTime()
+          const currentProject = _.merge(_.cloneDeep(project), {
+            metadata: {
+              resourceVersion: '43',
+              annotations: {
+                'dashboard.gardener.cloud/member-expirations': JSON.stringify(expirations)
+              }
+            }
+          })
+
+          afterEach(function () {
+            jest.restoreAllMocks()
+          })
+
+          it('should read the project again before removing the expired members', async function () {
+            const { projects } = dashboardClient['core.gardener.cloud']
+            jest.spyOn(projects, 'get').mockResolvedValue(currentProject)
+            jest.spyOn(projects, 'mergePatch')
+              .mockRejectedValueOnce(createError(409, 'Conflict'))
+              .mockResolvedValueOnce(currentProject)
+
+            await expect(members.removeExpiredMembers(project, now)).resolves.toEqual(['foo@bar.com'])
+            expect(projects.get).toBeCalledTimes(2)
+            expect(projects.get.mock.calls[0]).toEqual(['foo'])
+            expect(projects.mergePatch).toBeCalledTimes(2)
+            const [name, { metadata }] = projects.mergePatch.mock.calls[1]
+            expect(name).toBe('foo')
+            expect(metadata.resourceVersion).toBe('43')
+          })
+
+          it('should give up after the maximum number of conflicts', async function () {
+            const { projects } = dashboardClient['core.gardener.cloud']
+            jest.spyOn(projects, 'get').mockResolvedValue(currentProject)
+            jest.spyOn(projects, 'mergePatch').mockRejectedValue(createError(409, 'Conflict'))
+
+            await expect(members.removeExpiredMembers(project, now, { maxAttempts: 2 })).rejects.toThrow('Conflict')
+            expect(projects.mergePatch).toBeCalledTimes(2)
+          })
+        })
+      })
+
+      describe('#rotateDue', function () {
+        const rotations = {
+          'system:serviceaccount:garden-foo:robot-sa': 30,
+          'system:serviceaccount:garden-foo:robot-user': 30
+        }
+
+        beforeEach(function () {
+          const projectWithRotations = _.set(_.cloneDeep(project), ['metadata', 'annotations'], {
+            'dashboard.gardener.cloud/serviceaccount-rotations': JSON.stringify(rotations)
+          })
+          const rotatedServiceAccounts = _.map(serviceAccounts, serviceAccount => {
+            switch (serviceAccount.metadata.name) {
+              case 'robot-sa':
+                return _.set(_.cloneDeep(serviceAccount), ['metadata', 'creationTimestamp'], '2023-01-01T00:00:00Z')
+              case 'robot-user':
+                return _.set(_.cloneDeep(serviceAccount), ['metadata', 'creationTimestamp'], '2023-03-15T00:00:00Z')
+              default:
+                return serviceAccount
+            }
+          })
+          memberManager = new MemberManager(client, undefined, projectWithRotations, rotatedServiceAccounts)
+        })
+
+        it('should return the rotation periods of the service accounts', function () {
+          const members = memberManager.list()
+          expect(_.find(members, ['username', 'system:serviceaccount:garden-foo:robot-sa']).rotationPeriodDays).toBe(30)
+          expect(_.find(members, ['username', 'foo@bar.com']).rotationPeriodDays).toBeUndefined()
+        })
+
+        it('should reset the service accounts whose rotation period has passed', async function () {
+          const now = new Date('2023-04-01T00:00:00Z').getTime()
+          await expect(memberManager.rotateDue(now)).resolves.toEqual(['system:serviceaccount:garden-foo:robot-sa'])
+          expect(client.core.serviceaccounts.delete).toBeCalledTimes(1)
+          expect(client.core.serviceaccounts.delete.mock.calls[0]).toEqual(['garden-foo', 'robot-sa'])
+          expect(client.core.serviceaccounts.create).toBeCalledTimes(1)
+          const item = memberManager.subjectList.get('system:serviceaccount:garden-foo:robot-sa')
+          expect(item.member).toMatchObject({
+            createdBy: 'foo',
+            creationTimestamp: 'now',
+            rotationPeriodDays: 30
+          })
+          expect(client['core.gardener.cloud'].projects.mergePatch).not.toBeCalled()
+        })
+
+        it('should store the rotation period of a service account', async function () {
+          const name = 'system:serviceaccount:garden-foo:robot-nomember'
+          await memberManager.update(name, { roles: ['viewer'], rotationPeriodDays: '7' })
+
+          const mergePatch = client['core.gardener.cloud'].projects.mergePatch
+          expect(mergePatch).toBeCalledTimes(1)
+          const [, { metadata }] = mergePatch.mock.calls[0]
+          expect(JSON.parse(metadata.annotations['dashboard.gardener.cloud/serviceaccount-rotations'])).toEqual({
+            ...rotations,
+            [name]: 7
+          })
+        })
+
+        it('should grant the dashboard access to the service accounts of the project namespace', async function () {
+          const name = 'system:serviceaccount:garden-foo:robot-nomember'
+          await memberManager.update(name, { roles: ['viewer'], rotationPeriodDays: 7 })
+
+          const create = client['rbac.authorization.k8s.io'].rolebindings.create
+          expect(create).toBeCalledTimes(1)
+          expect(create.mock.calls[0]).toEqual(['garden-foo', {
+            metadata: {
+              name: 'gardener.cloud:system:dashboard-project-serviceaccounts',
+              namespace: 'garden-foo'
+            },
+            roleRef: {
+              apiGroup: 'rbac.authorization.k8s.io',
+              kind: 'ClusterRole',
+              name: 'gardener.cloud:system:dashboard-project-serviceaccounts'
+            },
+            subjects: [{
+              apiGroup: 'rbac.authorization.k8s.io',
+              kind: 'User',
+              name: 'system:serviceaccount:garden:gardener-dashboard'
+            }]
+          }])
+        })
+
+        it('should not fail if the dashboard has already been granted access', async function () {
+          client['rbac.authorization.k8s.io'].rolebindings.create.mockRejectedValue(createError(409))
+          const name = 'system:serviceaccount:garden-foo:robot-nomember'
+          await memberManager.update(name, { roles: ['viewer'], rotationPeriodDays: 7 })
+          expect(client['core.gardener.cloud'].projects.mergePatch).toBeCalledTimes(1)
+        })
+
+        it('should not grant access for service accounts without expiration timestamp and rotation period', async function () {
+          await memberManager.update('system:serviceaccount:garden-foo:robot-multiple', { roles: ['viewer'] })
+          expect(client['rbac.authorization.k8s.io'].rolebindings.create).not.toBeCalled()
+        })
+
+        it('should keep the rotation period if it is not part of the update', async function () {
+          const name = 'system:serviceaccount:garden-foo:robot-sa'
+          await memberManager.update(name, { roles: ['viewer'] })
+
+          const [, { metadata }] = client['core.gardener.cloud'].projects.mergePatch.mock.calls[0]
+          expect(_.get(metadata, ['annotations', 'dashboard.gardener.cloud/serviceaccount-rotations'])).toBeUndefined()
+          expect(_.find(memberManager.list(), ['username', name]).rotationPeriodDays).toBe(30)
+        })
+
+        it('should remove the rotation period if it is null', async function () {
+          const name = 'system:serviceaccount:garden-foo:robot-sa'
+          await memberManager.update(name, { roles: ['viewer'], rotationPeriodDays: null })
+
+          const [, { metadata }] = client['core.gardener.cloud'].projects.mergePatch.mock.calls[0]
+          expect(JSON.parse(metadata.annotations['dashboard.gardener.cloud/serviceaccount-rotations'])).toEqual({
+            'system:serviceaccount:garden-foo:robot-user': 30
+          })
+        })
+
+        it('should throw an error for an invalid rotation period', async function () {
+          const name = 'system:serviceaccount:garden-foo:robot-sa'
+          await expect(memberManager.update(name, { roles: ['viewer'], rotationPeriodDays: 1.5 })).rejects.toThrow(UnprocessableEntity)
+          await expect(memberManager.update('foo@bar.com', { roles: ['viewer'], rotationPeriodDays: 30 })).rejects.toThrow(UnprocessableEntity)
+          await expect(memberManager.update('system:serviceaccount:garden-foreign:robot-foreign-namespace', { roles: ['viewer'], rotationPeriodDays: 30 })).rejects.toThrow(UnprocessableEntity)
+        })
+      })
+
       describe('#deleteServiceAccount', function () {
         it('should delete a serviceaccount', async function () {
           const id = 'system:serviceaccount:garden-foo:robot-sa'
@@ -0,0 +1,242 @@
+//
+// SPDX-FileCopyrightText: 2023 SAP SE or an SAP affiliate company and Gardener contributors
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+
+'use strict'
+
+const { createHmac } = require('crypto')
+const yaml = require('js-yaml')
+const createError = require('http-errors')
+const { mockRequest } = require('@gardener-dashboard/request')
+const config = require('../lib/config')
+const projectTemplates = require('../lib/services/projectTemplates')
+
+describe('services', function () {
+  describe('projectTemplates', function () {
+    const template = {
+      name: 'team',
+      description: 'Project of a development team',
+      costObject: '1234567890',
+      labels: {
+        team: 'blue'
+      },
+      members: [
+        { username: 'Ops@example.org', roles: ['viewer'] },
+        { username: 'system:serviceaccount:garden-foo:robot', roles: 'admin' }
+      ],
+      terminalShortcuts: [
+        { title: 'k9s', target: 'shoot', container: { image: 'quay.io/derailed/k9s:latest' } }
+      ],
+      secretBindings: [{
+        name: 'trial-secret',
+        secretRef: { namespace: 'garden-trial', name: 'trial-secret' },
+        provider: { type: 'aws' },
+        quotas: [{ namespace: 'garden-trial', name: 'trial-quota' }]
+      }]
+    }
+
+    let project
+
+    const sign = (uid, templateName) => createHmac('sha256', config.sessionSecret)
+      .update(`${uid}:${templateName}`)
+      .digest('hex')
+
+    beforeAll(() => {
+      config.projectTemplates = [template]
+    })
+
+    afterAll(() => {
+      delete config.projectTemplates
+    })
+
+    beforeEach(() => {
+      fixtures.resetAll()
+      mockRequest.mockReset()
+      project = fixtures.projects.get('foo')
+      project.metadata.annotations = {
+        'dashboard.gardener.cloud/project-template': 'team',
+        'dashboard.gardener.cloud/project-template-signature': sign(project.metadata.uid, 'team')
+      }
+      fixtures.projects.items.push(project)
+    })
+
+    it('should only be pending for ready projects with a template annotation', function () {
+      expect(projectTemplates.isPending(project)).toBe(true)
+      expect(projectTemplates.isPending({ ...project, status: { phase: 'Initial' } })).toBe(false)
+      expect(projectTemplates.isPending({ ...project, metadata: { name: 'foo' } })).toBe(false)
+    })
+
+    it('should ignore template annotations which have not been recorded by the dashboard', function () {
+      const withAnnotations = annotations => ({
+        ...project,
+        metadata: { ...project.metadata, annotations }
+      })
+      expect(projectTemplates.isPending(withAnnotations({
+        'dashboard.gardener.cloud/project-template': 'team'
+      }))).toBe(false)
+      expect(projectTemplates.isPending(withAnnotations({
+        'dashboard.gardener.cloud/project-template': 'other',
+        'dashboard.gardener.cloud/project-template-signature': sign(project.metadata.uid, 'team')
+      }))).toBe(false)
+      // copied from another project
+      expect(projectTemplates.isPending(withAnnotations({
+        'dashboard.gardener.cloud/project-template': 'team',
+        'dashboard.gardener.cloud/project-template-signature': sign(2, 'team')
+      }))).toBe(false)
+    })
+
+    it('should record the template of a project', async function () {
+      mockRequest.mockImplementationOnce(fixtures.projects.mocks.patch())
+      project.metadata.annotations = {}
+
+      await projectTemplates.assign(project, 'team')
+
+      expect(mockRequest).toBeCalledTimes(1)
+      expect(mockRequest.mock.calls[0]).toEqual([
+        expect.objectContaining({ ':method': 'patch', ':path': '/apis/core.gardener.cloud/v1beta1/projects/foo' }),
+        {
+          metadata: {
+            annotations: {
+              'dashboard.gardener.cloud/project-template': 'team',
+              'dashboard.gardener.cloud/project-template-signature': sign(project.metadata.uid, 'team')
+            }
+          }
+        }
+      ])
+    })
+
+    it('should create the terminal shortcuts with the client of the creator', async function () {
+      const client = {
+        core: {
+          secrets: {
+            create: jest.fn().mockResolvedValue()
+          }
+        }
+      }
+      await projectTemplates.createTerminalShortcuts(client, project, template)
+
+      expect(mockRequest).not.toBeCalled()
+      expect(client.core.secrets.create).toBeCalledTimes(1)
+      const [namespace, secret] = client.core.secrets.create.mock.calls[0]
+      expect(namespace).toBe('garden-foo')
+      expect(secret.metadata.name).toBe('terminal.shortcuts')
+      expect(yaml.load(Buffer.from(secret.data.shortcuts, 'base64').toString('utf8'))).toEqual(template.terminalShortcuts)
+    })
+
+    it('should ignore terminal shortcuts which already exist', async function () {
+      const client = {
+        core: {
+          secrets: {
+            create: jest.fn().mockRejectedValue(createError(409, 'Secret already exists'))
+          }
+        }
+      }
+      await expect(projectTemplates.createTerminalShortcuts(client, project, template)).resolves.toBeUndefined()
+    })
+
+    it('should apply the template and remove the template annotations', async function () {
+      mockRequest.mockImplementationOnce(fixtures.projects.mocks.patch())
+      mockRequest.mockImplementationOnce(fixtures.projects.mocks.patch())
+      mockRequest.mockImplementationOnce(fixtures.secretbindings.mocks.create())
+      mockRequest.mockImplementationOnce(fixtures.projects.mocks.patch())
+
+      await projectTemplates.apply(project)
+
+      expect(mockRequest).toBeCalledTimes(4)
+      const calls = mockRequest.mock.calls
+      expect(calls[0]).toEqual([
+        expect.objectContaining({ ':method': 'patch', ':path': '/apis/core.gardener.cloud/v1beta1/projects/foo' }),
+        {
+          metadata: {
+            labels: { team: 'blue' },
+            annotations: { 'billing.gardener.cloud/costObject': '1234567890' }
+          }
+        }
+      ])
+      expect(calls[1][0]).toMatchObject({ ':method': 'patch', ':path': '/apis/core.gardener.cloud/v1beta1/projects/foo' })
+      expect(calls[1][1].spec.members).toEqual(expect.arrayContaining([
+        expect.objectContaining({ kind: 'User', name: 'ops@example.org', role: 'viewer' }),
+        // the service account is already a member of the project
+        expect.objectContaining({ kind: 'User', name: 'system:serviceaccount:garden-foo:robot', role: 'viewer', roles: ['admin'] })
+      ]))
+      // the terminal shortcuts are created by the creator of the project
+      expect(calls[2]).toEqual([
+        expect.objectContaining({ ':method': 'post', ':path': '/apis/core.gardener.cloud/v1beta1/namespaces/garden-foo/secretbindings' }),
+        {
+          apiVersion: 'core.gardener.cloud/v1beta1',
+          kind: 'SecretBinding',
+          metadata: { name: 'trial-secret', namespace: 'garden-foo' },
+          secretRef: { namespace: 'garden-trial', name: 'trial-secret' },
+          provider: { type: 'aws' },
+          quotas: [{ namespace: 'garden-trial', name: 'trial-quota' }]
+        }
+      ])
+      expect(calls[3][1]).toEqual({
+        metadata: {
+          annotations: {
+            'dashboard.gardener.cloud/project-template': null,
+            'dashboard.gardener.cloud/project-template-signature': null
+          }
+        }
+      })
+    })
+
+    it('should not overwrite the cost object of the project', async function () {
+      project.metadata.annotations['billing.gardener.cloud/costObject'] = '0987654321'
+      mockRequest.mockImplementationOnce(fixtures.projects.mocks.patch())
+      mockRequest.mockImplementationOnce(fixtures.projects.mocks.patch())
+      mockRequest.mockImplementationOnce(fixtures.secretbindings.mocks.create())
+
+      await projectTemplates.apply(project)
+
+      expect(mockRequest.mock.calls[0][1]).toEqual({
+        metadata: {
+          labels: { team: 'blue' }
+        }
+      })
+    })
+
+    it('should ignore resources created by a previous attempt', async function () {
+      mockRequest.mockImplementationOnce(fixtures.projects.mocks.patch())
+      mockRequest.mockImplementationOnce(fixtures.projects.mocks.patch())
+      mockRequest.mockImplementationOnce(() => Promise.reject(createError(409, 'SecretBinding already exists')))
+      mockRequest.mockImplementationOnce(fixtures.projects.mocks.patch())
+
+      await projectTemplates.apply(project)
+
+      expect(mockRequest).toBeCalledTimes(4)
+      expect(mockRequest.mock.calls[3][1].metadata.annotations).toEqual({
+        'dashboard.gardener.cloud/project-template': null,
+        'dashboard.gardener.cloud/project-template-signature': null
+      })
+    })
+
+    it('should keep the template annotations if the template could not be applied completely', async function () {
+      mockRequest.mockImplementationOnce(fixtures.projects.mocks.patch())
+      mockRequest.mockImplementationOnce(fixtures.projects.mocks.patch())
+      mockRequest.mockImplementationOnce(() => Promise.reject(createError(403, 'Forbidden')))
+
+      await expect(projectTemplates.apply(project)).rejects.toThrow('Template team could not be applied completely to project foo (secret bindings: Forbidden)')
+      expect(mockRequest).toBeCalledTimes(3)
+    })
+
+    it('should remove the annotations of a template which does not exist', async function () {
+      project.metadata.annotations['dashboard.gardener.cloud/project-template'] = 'unknown'
+      mockRequest.mockImplementationOnce(fixtures.projects.mocks.patch())
+
+      await projectTemplates.apply(project)
+
+      expect(mockRequest).toBeCalledTimes(1)
+      expect(mockRequest.mock.calls[0][1]).toEqual({
+        metadata: {
+          annotations: {
+            'dashboard.gardener.cloud/project-template': null,
+            'dashboard.gardener.cloud/project-template-signature': null
+          }
+        }
+      })
+    })
+  })
+})
@@ -0,0 +1,115 @@
+//
+// SPDX-FileCopyrightText: 2023 SAP SE or an SAP affiliate company and Gardener contributors
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+
+'use strict'
+
+const createError = require('http-errors')
+const { parseQuantity, validateAgainstCloudProfile, fromDryRunError } = require('../lib/services/shootValidation')
+
+describe('services', function () {
+  describe('shootValidation', function () {
+    const cloudProfiles = [{
+      metadata: {
+        name: 'foo'
+      },
+      spec: {
+        kubernetes: {
+          versions: [{ version: '1.25.0' }]
+        },
+        machineTypes: [{ name: 'large' }],
+        machineImages: [{ name: 'gardenlinux', versions: [{ version: '1.0.0', expirationDate: '2022-01-01T00:00:00Z' }] }],
+        regions: [{ name: 'eu', zones: [{ name: 'eu-1' }] }]
+      }
+    }]
+
+    it('should parse resource quantities', function () {
+      expect(parseQuantity('20Gi')).toBe(20 * 2 ** 30)
+      expect(parseQuantity('1.5G')).toBe(1.5e9)
+      expect(parseQuantity(1024)).toBe(1024)
+      expect(parseQuantity('foo')).toBeNaN()
+    })
+
+    it('should report an unknown cloud profile or region', function () {
+      expect(validateAgainstCloudProfile({ spec: { cloudProfileName: 'bar' } }, cloudProfiles)).toEqual([
+        { path: 'spec.cloudProfileName', message: 'Cloud profile bar does not exist', source: 'cloudprofile' }
+      ])
+      expect(validateAgainstCloudProfile({ spec: { cloudProfileName: 'foo', region: 'us' } }, cloudProfiles)).toEqual([
+        { path: 'spec.region', message: 'Region us is not offered by cloud profile foo', source: 'cloudprofile' }
+      ])
+    })
+
+    it('should report expired machine images and invalid worker ranges', function () {
+      const shoot = {
+        spec: {
+          cloudProfileName: 'foo',
+          region: 'eu',
+          kubernetes: { version: '1.25.0' },
+          provider: {
+            workers: [{
+              name: 'worker',
+              minimum: 3,
+              maximum: 2,
+              machine: { type: 'large', image: { name: 'gardenlinux', version: '1.0.0' } }
+            }]
+          }
+        }
+      }
+      expect(validateAgainstCloudProfile(shoot, cloudProfiles)).toEqual([
+        { path: 'spec.provider.workers[0].machine.image.version', message: 'Version 1.0.0 of machine image gardenlinux has expired', source: 'cloudprofile' },
+        { path: 'spec.provider.workers[0].maximum', message: 'Maximum must not be lower than minimum', source: 'cloudprofile' }
+      ])
+      expect(validateAgainstCloudProfile(shoot, cloudProfiles, { oldShoot: shoot })).toHaveLength(1)
+    })
+
+    it('should not report unchanged offerings which have been removed from the cloud profile', function () {
+      const oldShoot = {
+        spec: {
+          cloudProfileName: 'foo',
+          region: 'eu',
+          provider: {
+            workers: [{
+              name: 'worker',
+              machine: { type: 'small' },
+              volume: { type: 'ssd', size: '20Gi' },
+              zones: ['eu-2']
+            }]
+          }
+        }
+      }
+      const shoot = {
+        spec: {
+          ...oldShoot.spec,
+          provider: {
+            workers: [{
+              ...oldShoot.spec.provider.workers[0],
+              maximum: 3,
+              volume: { type: 'ssd', size: '30Gi' }
+            }]
+          }
+        }
+      }
+      expect(validateAgainstCloudProfile(shoot, cloudProfiles, { oldShoot })).toEqual([])
+      shoot.spec.provider.workers[0].zones = ['eu-2', 'eu-3']
+      shoot.spec.provider.workers[0].machine = { type: 'medium' }
+      expect(validateAgainstCloudProfile(shoot, cloudProfiles, { oldShoot })).toEqual([
+        { path: 'spec.provider.workers[0].machine.type', message: 'Machine type medium is not offered by cloud profile foo', source: 'cloudprofile' },
+        { path: 'spec.provider.workers[0].zones[0]', message: 'Zone eu-2 is not available in region eu', source: 'cloudprofile' },
+        { path: 'spec.provider.workers[0].zones[1]', message: 'Zone eu-3 is not available in region eu', source: 'cloudprofile' }
+      ])
+    })
+
+    it('should map admission errors and rethrow authorization errors', function () {
+      const denied = createError(403, 'admission webhook denied the request')
+      expect(fromDryRunError(denied)).toEqual([
+        { message: 'admission webhook denied the request', source: 'apiserver' }
+      ])
+      const forbidden = createError(403, 'User "foo" cannot create resource "shoots"')
+      expect(() => fromDryRunError(forbidden)).toThrow(forbidden)
+      const unavailable = createError(503)
+      expect(() => fromDryRunError(unavailable)).toThrow(unavailable)
+    })
+  })
+})
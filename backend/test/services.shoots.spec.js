@@ -8,7 +8,8 @@
 
 const {
   getDashboardUrlPath,
-  getGardenClusterIdentity
+  getGardenClusterIdentity,
+  getLatestPatchVersion
 } = require('../lib/services/shoots')
 const config = require('../lib/config')
 const { mockRequest } = require('@gardener-dashboard/request')
@@ -77,5 +78,23 @@ describe('services', function () {
         expect(reqStub).not.toHaveBeenCalled()
       })
     })
+
+    describe('#getLatestPatchVersion', function () {
+      const createShoot = version => ({
+        spec: {
+          cloudProfileName: 'infra1-profileName',
+          kubernetes: { version }
+        }
+      })
+
+      it('should return the latest patch version of the same minor version', function () {
+        expect(getLatestPatchVersion(createShoot('1.8.2'))).toBe('1.8.5')
+      })
+
+      it('should not return a version if the shoot is already on the latest patch version', function () {
+        expect(getLatestPatchVersion(createShoot('1.8.5'))).toBeUndefined()
+        expect(getLatestPatchVersion(createShoot('1.10.0'))).toBeUndefined()
+      })
+    })
   })
 })
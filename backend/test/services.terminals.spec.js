@@ -6,10 +6,14 @@
 
 'use strict'
 
+const crypto = require('crypto')
+const fs = require('fs/promises')
+const os = require('os')
+const pathModule = require('path')
 const _ = require('lodash')
 const yaml = require('js-yaml')
 const assert = require('assert').strict
-const { Forbidden } = require('http-errors')
+const { Forbidden, NotFound } = require('http-errors')
 const config = require('../lib/config')
 const { cache } = require('../lib/cache')
 const { encodeBase64 } = require('../lib/utils')
@@ -31,6 +35,9 @@ const {
 
 const { AssertionError } = assert
 
+const recordings = require('../lib/services/terminals/recordings')
+const sharing = require('../lib/services/terminals/sharing')
+
 const nextTick = () => new Promise(process.nextTick)
 
 describe('services', function () {
@@ -441,5 +448,245 @@ describe('services', function () {
         })
       })
     })
+
+    describe('recordings', function () {
+      const header = { version: 2, width: 80, height: 24 }
+      const events = [[0.1, 'o', 'foo'], [0.2, 'o', 'bar']]
+
+      describe('#getRecordingPolicy', function () {
+        it('should not return a policy if recording is disabled', function () {
+          expect(recordings.getRecordingPolicy()).toBeUndefined()
+        })
+
+        it('should enforce recording for the configured purposes', function () {
+          terminalStub.mockReturnValue({
+            ...terminalConfig,
+            recording: { enabled: true, enforcedPurposes: ['production'] }
+          })
+          expect(recordings.getRecordingPolicy({ spec: { purpose: 'production' } })).toEqual({ enforced: true })
+          expect(recordings.getRecordingPolicy({ spec: { purpose: 'evaluation' } })).toEqual({ enforced: false })
+          expect(recordings.getRecordingPolicy()).toEqual({ enforced: false })
+        })
+      })
+
+      describe('#secret', function () {
+        let secrets
+        let client
+
+        beforeEach(function () {
+          secrets = new Map()
+          client = {
+            core: {
+              secrets: {
+                create: jest.fn().mockImplementation((namespace, body) => {
+                  secrets.set(body.metadata.name, _.cloneDeep(body))
+                  return Promise.resolve(body)
+                }),
+                get: jest.fn().mockImplementation((namespace, name) => {
+                  return secrets.has(name)
+                    ? Promise.resolve(_.cloneDeep(secrets.get(name)))
+                    : Promise.reject(new NotFound())
+                }),
+                update: jest.fn().mockImplementation((namespace, name, body) => {
+                  secrets.set(name, _.cloneDeep(body))
+                  return Promise.resolve(body)
+                }),
+                listMetadata: jest.fn().mockImplementation(() => {
+                  return Promise.resolve({ items: _.map([...secrets.values()], ({ metadata }) => ({ metadata })) })
+                }),
+                delete: jest.fn().mockImplementation((namespace, name) => {
+                  return secrets.delete(name)
+                    ? Promise.resolve()
+                    : Promise.reject(new NotFound())
+                })
+              }
+            }
+          }
+        })
+
+        it('should store compressed recordings in secrets', async function () {
+          const store = recordings.secret({ client })
+          await store.create({ id: 'a', duration: 0 }, header)
+          await store.append({ id: 'a', duration: 0.2 }, events)
+          expect(client.core.secrets.create.mock.calls[0][0]).toBe('gardener-dashboard-terminal-recordings')
+          expect(client.core.secrets.create.mock.calls[0][1].metadata).toEqual({
+            name: 'terminal-recording-a',
+            namespace: 'gardener-dashboard-terminal-recordings',
+            labels: {
+              'dashboard.gardener.cloud/terminal-recording': 'true'
+            },
+            annotations: {
+              'dashboard.gardener.cloud/terminal-recording-metadata': JSON.stringify({ id: 'a', duration: 0 })
+            }
+          })
+          expect(await store.getMetadata('a')).toEqual({ id: 'a', duration: 0.2 })
+          expect(await store.getMetadata('b')).toBeUndefined()
+          expect(await store.list()).toEqual([{ id: 'a', duration: 0.2 }])
+          expect(client.core.secrets.listMetadata.mock.calls[0]).toEqual(['gardener-dashboard-terminal-recordings', { labelSelector: 'dashboard.gardener.cloud/terminal-recording=true' }])
+          const { data } = await store.read('a')
+          expect(data.trim().split('\n').map(line => JSON.parse(line))).toEqual([header, ...events])
+          await store.remove('a')
+          await store.remove('a')
+          expect(await store.list()).toEqual([])
+        })
+
+        it('should truncate recordings which exceed the maximum size', async function () {
+          const store = recordings.secret({ client, namespace: 'garden', maxBytes: 100 })
+          await store.create({ id: 'a', duration: 0 }, header)
+          const metadata = { id: 'a', duration: 1 }
+          await store.append(metadata, [[1, 'o', crypto.randomBytes(200).toString('hex')]])
+          expect(metadata.truncated).toBe(true)
+          const { data } = await store.read('a')
+          expect(data.trim().split('\n').map(line => JSON.parse(line))).toEqual([header])
+        })
+      })
+
+      describe('#Recorder', function () {
+        let store
+
+        beforeEach(function () {
+          jest.useFakeTimers()
+          store = {
+            create: jest.fn().mockResolvedValue(),
+            append: jest.fn().mockResolvedValue()
+          }
+        })
+
+        afterEach(function () {
+          jest.useRealTimers()
+        })
+
+        it('should buffer and append the events of a terminal session', async function () {
+          const now = Date.now()
+          const recorder = new recordings.Recorder({ id: 'a', duration: 0 }, header, { store, flushInterval: 10_000 })
+          jest.setSystemTime(now + 200)
+          recorder.output('prompt')
+          await recorder.start()
+          expect(store.create.mock.calls[0]).toEqual([{ id: 'a', duration: 0 }, header])
+          jest.setSystemTime(now + 500)
+          recorder.output('foo')
+          jest.setSystemTime(now + 1000)
+          recorder.resize({ cols: 100, rows: 30 })
+          jest.advanceTimersByTime(10_000)
+          await recorder.flushing
+          expect(store.append).toBeCalledTimes(1)
+          expect(store.append.mock.calls[0]).toEqual([
+            { id: 'a', duration: 1 },
+            [[0.2, 'o', 'prompt'], [0.5, 'o', 'foo'], [1, 'r', '100x30']]
+          ])
+          await recorder.stop()
+          expect(store.append).toBeCalledTimes(1)
+          recorder.output('ignored')
+          expect(recorder.events).toEqual([])
+        })
+
+        it('should append the events if the recorder is stopped before it has been started', async function () {
+          let resolve
+          store.create.mockReturnValue(new Promise(_resolve => { resolve = _resolve }))
+          const recorder = new recordings.Recorder({ id: 'a', duration: 0 }, header, { store, flushInterval: 10_000 })
+          recorder.output('foo')
+          const starting = recorder.start()
+          await recorder.stop()
+          expect(store.append).not.toBeCalled()
+          resolve()
+          await starting
+          expect(store.append).toBeCalledTimes(1)
+          expect(store.append.mock.calls[0][1]).toEqual([[0, 'o', 'foo']])
+          expect(recorder.intervalId).toBeUndefined()
+        })
+
+        it('should emit an event if the recording has been truncated', async function () {
+          store.append.mockImplementation(metadata => {
+            metadata.truncated = true
+            return Promise.resolve()
+          })
+          const recorder = new recordings.Recorder({ id: 'a', duration: 0 }, header, { store, flushInterval: 10_000 })
+          const onTruncated = jest.fn()
+          recorder.on('truncated', onTruncated)
+          await recorder.start()
+          recorder.output('foo')
+          await recorder.flush()
+          expect(onTruncated).toBeCalledTimes(1)
+          expect(recorder.isRecording).toBe(false)
+          await recorder.stop()
+        })
+      })
+
+      describe('#removeExpired', function () {
+        it('should remove the recordings which exceed the retention period', async function () {
+          const store = {
+            list: jest.fn().mockResolvedValue([
+              { id: 'a', creationTimestamp: '2023-01-01T00:00:00.000Z' },
+              { id: 'b', creationTimestamp: '2023-03-01T00:00:00.000Z' }
+            ]),
+            remove: jest.fn().mockResolvedValue()
+          }
+          terminalStub.mockReturnValue({
+            ...terminalConfig,
+            recording: { enabled: true, retentionDays: 30 }
+          })
+          const now = new Date('2023-03-15T00:00:00.000Z').getTime()
+          expect(await recordings.removeExpired({ now, store })).toEqual(['a'])
+          expect(store.remove.mock.calls).toEqual([['a']])
+        })
+      })
+
+      describe('#file', function () {
+        let path
+
+        beforeEach(async function () {
+          path = await fs.mkdtemp(pathModule.join(os.tmpdir(), 'recordings-'))
+        })
+
+        afterEach(async function () {
+          for (const filename of await fs.readdir(path)) {
+            await fs.unlink(pathModule.join(path, filename))
+          }
+          await fs.rmdir(path)
+        })
+
+        it('should store recordings in asciicast files', async function () {
+          const store = recordings.file({ path })
+          expect(await store.list()).toEqual([])
+          await store.create({ id: 'a', duration: 0 }, header)
+          await store.append({ id: 'a', duration: 0.2 }, events)
+          expect(await store.getMetadata('a')).toEqual({ id: 'a', duration: 0.2 })
+          expect(await store.getMetadata('b')).toBeUndefined()
+          expect(await store.list()).toEqual([{ id: 'a', duration: 0.2 }])
+          const { data } = await store.read('a')
+          expect(data).toBe(await fs.readFile(pathModule.join(path, 'a.cast'), 'utf8'))
+          expect(data.trim().split('\n').map(line => JSON.parse(line))).toEqual([header, ...events])
+          await store.remove('a')
+          await store.remove('a')
+          expect(await store.list()).toEqual([])
+        })
+
+        it('should require a path', function () {
+          expect(() => recordings.createStore({ type: 'file' })).toThrow(TypeError)
+          expect(() => recordings.createStore({ type: 'unknown' })).toThrow(TypeError)
+        })
+      })
+    })
+
+    describe('sharing', function () {
+      const terminal = { namespace: 'garden-foo', name: 'term-foo' }
+
+      it('should remove shares of terminal sessions without heartbeat', function () {
+        const now = Date.now()
+        const share = sharing.create({ terminal, coordinate: {}, owner: 'foo@example.org' })
+        const deleted = jest.fn()
+        sharing.events.on('event', deleted)
+        try {
+          sharing.heartbeat(terminal, now + 200_000)
+          sharing.removeExpired(300_000, now + 400_000)
+          expect(sharing.find(share.id)).toBe(share)
+          sharing.removeExpired(300_000, now + 500_000)
+          expect(sharing.find(share.id)).toBeUndefined()
+          expect(deleted.mock.calls).toEqual([[expect.objectContaining({ type: 'DELETED' })]])
+        } finally {
+          sharing.events.off('event', deleted)
+        }
+      })
+    })
   })
 })
@@ -47,7 +47,7 @@ describe('services', function () {
     beforeEach(function () {
       ticketCache.issues = cloneDeep(issues)
       jest.spyOn(cache, 'getTicketCache').mockReturnValue(ticketCache)
-      createCommentStub = jest.spyOn(github, 'createComment').mockReturnValue()
+      createCommentStub = jest.spyOn(github, 'createComment').mockResolvedValue({ data: {} })
       closeIssueStub = jest.spyOn(github, 'closeIssue').mockReturnValue()
       getIssueStub = jest.spyOn(github, 'getIssue').mockImplementation(({ number }) => {
         return Promise.resolve({
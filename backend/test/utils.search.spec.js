@@ -0,0 +1,62 @@
+//
+// SPDX-FileCopyrightText: 2023 SAP SE or an SAP affiliate company and Gardener contributors
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+
+'use strict'
+
+const { parseSearch, parseLabelSelector } = require('../lib/utils/search')
+
+describe('utils', function () {
+  describe('search', function () {
+    describe('#parseSearch', function () {
+      it('should parse included, excluded and exact terms', function () {
+        const { terms } = parseSearch('foo -bar "John ""JD"" Doe" -"baz"')
+        expect(terms).toEqual([
+          { value: 'foo', exact: false, exclude: false },
+          { value: 'bar', exact: false, exclude: true },
+          { value: 'John "JD" Doe', exact: true, exclude: false },
+          { value: 'baz', exact: true, exclude: true }
+        ])
+      })
+
+      it('should match values', function () {
+        const values = ['my-shoot', 'aws eu-west-1', 'John Doe']
+        expect(parseSearch('shoot eu-west').matches(values)).toBe(true)
+        expect(parseSearch('shoot -aws').matches(values)).toBe(false)
+        expect(parseSearch('"John"').matches(values)).toBe(false)
+        expect(parseSearch('"John Doe"').matches(values)).toBe(true)
+        expect(parseSearch().matches(values)).toBe(true)
+      })
+    })
+
+    describe('#parseLabelSelector', function () {
+      const item = {
+        metadata: {
+          labels: {
+            'shoot.gardener.cloud/status': 'unhealthy',
+            purpose: 'evaluation'
+          }
+        }
+      }
+
+      it('should match equality based requirements', function () {
+        expect(parseLabelSelector('shoot.gardener.cloud/status!=healthy')(item)).toBe(true)
+        expect(parseLabelSelector('shoot.gardener.cloud/status=healthy')(item)).toBe(false)
+        expect(parseLabelSelector('purpose==evaluation,shoot.gardener.cloud/status')(item)).toBe(true)
+        expect(parseLabelSelector('!purpose')(item)).toBe(false)
+        expect(parseLabelSelector('')(item)).toBe(true)
+      })
+
+      it('should match set based requirements', function () {
+        expect(parseLabelSelector('purpose in (evaluation, development)')(item)).toBe(true)
+        expect(parseLabelSelector('purpose notin (evaluation,development),foo')(item)).toBe(false)
+      })
+
+      it('should reject invalid requirements', function () {
+        expect(() => parseLabelSelector('foo bar')).toThrow('Invalid label selector requirement "foo bar"')
+      })
+    })
+  })
+})
@@ -8,8 +8,9 @@
 
 const fixtures = require('../__fixtures__')
 
-jest.mock('../lib/github/SyncManager')
+jest.mock('../lib/tickets/SyncManager')
 
+const { createHmac } = require('crypto')
 const EventEmitter = require('events')
 const pLimit = require('p-limit')
 const _ = require('lodash')
@@ -18,7 +19,12 @@ const config = require('../lib/config')
 const watches = require('../lib/watches')
 const cache = require('../lib/cache')
 const tickets = require('../lib/services/tickets')
-const SyncManager = require('../lib/github/SyncManager')
+const alertRules = require('../lib/services/alertRules')
+const members = require('../lib/services/members')
+const notifications = require('../lib/services/notifications')
+const projectTemplates = require('../lib/services/projectTemplates')
+const leaderElector = require('../lib/leaderElection')
+const SyncManager = require('../lib/tickets/SyncManager')
 
 const rooms = new Map()
 
@@ -204,6 +210,55 @@ describe('watches', function () {
       expect(logger.error).toBeCalledTimes(1)
       expect(deleteTicketsStub).toBeCalledTimes(2)
     })
+
+    it('should only send notifications on the leading replica', async function () {
+      const getTargetsStub = jest.spyOn(notifications, 'getTargetsForNamespace').mockResolvedValue([])
+      const isLeaderSpy = jest.spyOn(leaderElector, 'isLeader').mockReturnValue(false)
+
+      watches.shoots(io, informer)
+
+      informer.emit('update', foobarUnhealthy, foobar)
+      expect(getTargetsStub).not.toBeCalled()
+
+      isLeaderSpy.mockReturnValue(true)
+      informer.emit('update', foobar, foobarUnhealthy)
+      expect(getTargetsStub).toBeCalledTimes(1)
+      expect(getTargetsStub.mock.calls).toEqual([['foo']])
+    })
+
+    it('should emit the alerts of shoots', async function () {
+      jest.spyOn(alertRules, 'getRulesForNamespace').mockReturnValue([
+        { name: 'apiserver-unavailable', type: 'condition', severity: 'error', conditionType: 'APIServerAvailable', status: 'False' }
+      ])
+      const foobarUnavailable = _
+        .chain(foobar)
+        .cloneDeep()
+        .set('status.conditions', [{ type: 'APIServerAvailable', status: 'False', lastTransitionTime: '2023-03-01T10:00:00Z' }])
+        .value()
+      const alerts = [{
+        rule: 'apiserver-unavailable',
+        severity: 'error',
+        since: '2023-03-01T10:00:00Z',
+        message: 'Condition APIServerAvailable has status False'
+      }]
+
+      watches.shoots(io, informer)
+
+      informer.emit('add', foobar)
+      informer.emit('update', foobarUnavailable)
+      informer.emit('update', foobarUnavailable)
+      informer.emit('update', foobar)
+      informer.emit('delete', foobar)
+
+      expect(cache.getShootAlerts().getAlerts(foobar.metadata.uid)).toEqual([])
+      const fooRoom = rooms.get('shoots;foo')
+      expect(_.filter(fooRoom.emit.mock.calls, ['0', 'alerts'])).toEqual([
+        ['alerts', { namespace: 'foo', name: 'bar', uid: 4, alerts }],
+        ['alerts', { namespace: 'foo', name: 'bar', uid: 4, alerts: [] }]
+      ])
+      const fooIssuesRoom = rooms.get('shoots:unhealthy;foo')
+      expect(fooIssuesRoom.emit).toBeCalledTimes(2)
+    })
   })
 
   describe('leases', function () {
@@ -377,4 +432,315 @@ describe('watches', function () {
       }
     })
   })
+
+  describe('projects', function () {
+    const createProject = (name, members = []) => ({
+      metadata: { name },
+      spec: { namespace: `garden-${name}`, members },
+      status: { phase: 'Ready' }
+    })
+    // a project whose template has been recorded by the dashboard when it created the project
+    const createTemplateProject = (name, members = []) => _.set(createProject(name, members), 'metadata', {
+      name,
+      uid: `${name}-uid`,
+      annotations: {
+        'dashboard.gardener.cloud/project-template': 'team',
+        'dashboard.gardener.cloud/project-template-signature': createHmac('sha256', config.sessionSecret)
+          .update(`${name}-uid:team`)
+          .digest('hex')
+      }
+    })
+    const fooMember = { kind: 'User', name: 'foo@example.org', role: 'admin' }
+    const barMember = { kind: 'User', name: 'bar@example.org', role: 'viewer' }
+
+    let sockets
+
+    const createSocket = id => ({
+      data: { user: { id } },
+      emit: jest.fn()
+    })
+
+    beforeEach(() => {
+      sockets = {
+        'projects:admin': [createSocket('admin@example.org')],
+        projects: [createSocket('foo@example.org')]
+      }
+      nsp.in = jest.fn(room => ({
+        fetchSockets: () => Promise.resolve(sockets[room])
+      }))
+    })
+
+    afterEach(() => {
+      delete nsp.in
+      jest.restoreAllMocks()
+    })
+
+    it('should emit project events to the sockets of the members', async function () {
+      watches.projects(io, informer)
+
+      const [adminSocket] = sockets['projects:admin']
+      const [fooSocket] = sockets.projects
+      const project = createProject('foo', [fooMember])
+      const updatedProject = createProject('foo', [barMember])
+
+      informer.emit('add', project)
+      await new Promise(resolve => setImmediate(resolve))
+      informer.emit('update', updatedProject, project)
+      await new Promise(resolve => setImmediate(resolve))
+      informer.emit('delete', updatedProject)
+      await new Promise(resolve => setImmediate(resolve))
+
+      expect(_.map(adminSocket.emit.mock.calls, '1.type')).toEqual(['ADDED', 'MODIFIED', 'DELETED'])
+      expect(adminSocket.emit.mock.calls[0]).toEqual(['projects', {
+        type: 'ADDED',
+        object: expect.objectContaining({
+          metadata: expect.objectContaining({ name: 'foo', namespace: 'garden-foo' })
+        })
+      }])
+      // user foo is no longer member after the update
+      expect(_.map(fooSocket.emit.mock.calls, '1.type')).toEqual(['ADDED', 'DELETED'])
+    })
+
+    it('should emit member events for modified projects', function () {
+      watches.projects(io, informer)
+
+      const project = createProject('foo', [fooMember])
+      const updatedProject = createProject('foo', [{ ...fooMember, roles: ['uam'] }, barMember])
+
+      informer.emit('update', updatedProject, project)
+      informer.emit('update', project, updatedProject)
+
+      expect(nsp.to.mock.calls).toEqual([
+        ['members;garden-foo'],
+        ['members;garden-foo'],
+        ['members;garden-foo'],
+        ['members;garden-foo']
+      ])
+      expect(rooms.get('members;garden-foo').emit.mock.calls).toEqual([
+        ['members', { type: 'MODIFIED', namespace: 'garden-foo', object: { username: 'foo@example.org', roles: ['admin', 'uam'] } }],
+        ['members', { type: 'ADDED', namespace: 'garden-foo', object: { username: 'bar@example.org', roles: ['viewer'] } }],
+        ['members', { type: 'MODIFIED', namespace: 'garden-foo', object: { username: 'foo@example.org', roles: ['admin'] } }],
+        ['members', { type: 'DELETED', namespace: 'garden-foo', object: { username: 'bar@example.org', roles: ['viewer'] } }]
+      ])
+    })
+    it('should periodically remove expired members', async function () {
+      jest.useFakeTimers()
+      jest.spyOn(leaderElector, 'isLeader').mockReturnValue(true)
+      const removeExpiredMembersSpy = jest.spyOn(members, 'removeExpiredMembers').mockResolvedValue(['foo@example.org'])
+      const ac = new AbortController()
+      const project = _.set(createProject('foo', [fooMember]), 'metadata.annotations', {
+        'dashboard.gardener.cloud/member-expirations': JSON.stringify({ 'foo@example.org': '2023-03-01T00:00:00.000Z' })
+      })
+      informer.store = {
+        list: () => [project, createProject('bar', [barMember])]
+      }
+      try {
+        watches.projects(io, informer, { signal: ac.signal })
+        jest.advanceTimersByTime(60_000)
+        expect(removeExpiredMembersSpy).toBeCalledTimes(1)
+        expect(removeExpiredMembersSpy.mock.calls[0][0]).toBe(project)
+        ac.abort()
+        jest.advanceTimersByTime(60_000)
+        expect(removeExpiredMembersSpy).toBeCalledTimes(1)
+      } finally {
+        removeExpiredMembersSpy.mockRestore()
+        jest.useRealTimers()
+      }
+    })
+
+    it('should only remove expired members on the leading replica', async function () {
+      jest.useFakeTimers()
+      jest.spyOn(leaderElector, 'isLeader').mockReturnValue(false)
+      const removeExpiredMembersSpy = jest.spyOn(members, 'removeExpiredMembers').mockResolvedValue([])
+      const ac = new AbortController()
+      const project = _.set(createProject('foo', [fooMember]), 'metadata.annotations', {
+        'dashboard.gardener.cloud/member-expirations': JSON.stringify({ 'foo@example.org': '2023-03-01T00:00:00.000Z' })
+      })
+      informer.store = {
+        list: () => [project]
+      }
+      try {
+        watches.projects(io, informer, { signal: ac.signal })
+        jest.advanceTimersByTime(60_000)
+        expect(removeExpiredMembersSpy).not.toBeCalled()
+      } finally {
+        ac.abort()
+        removeExpiredMembersSpy.mockRestore()
+        jest.useRealTimers()
+      }
+    })
+
+    it('should periodically rotate service accounts', async function () {
+      jest.useFakeTimers()
+      jest.spyOn(leaderElector, 'isLeader').mockReturnValue(true)
+      const rotateServiceAccountsSpy = jest.spyOn(members, 'rotateServiceAccounts').mockResolvedValue(['system:serviceaccount:garden-foo:robot'])
+      const ac = new AbortController()
+      const project = _.set(createProject('foo', [fooMember]), 'metadata.annotations', {
+        'dashboard.gardener.cloud/serviceaccount-rotations': JSON.stringify({ 'system:serviceaccount:garden-foo:robot': 30 })
+      })
+      informer.store = {
+        list: () => [project, createProject('bar', [barMember])]
+      }
+      try {
+        watches.projects(io, informer, { signal: ac.signal })
+        jest.advanceTimersByTime(60_000)
+        expect(rotateServiceAccountsSpy).not.toBeCalled()
+        jest.advanceTimersByTime(3_540_000)
+        expect(rotateServiceAccountsSpy).toBeCalledTimes(1)
+        expect(rotateServiceAccountsSpy.mock.calls[0][0]).toBe(project)
+        ac.abort()
+        jest.advanceTimersByTime(3_600_000)
+        expect(rotateServiceAccountsSpy).toBeCalledTimes(1)
+      } finally {
+        rotateServiceAccountsSpy.mockRestore()
+        jest.useRealTimers()
+      }
+    })
+
+    it('should rotate service accounts when the replica starts leading', async function () {
+      const isLeaderSpy = jest.spyOn(leaderElector, 'isLeader').mockReturnValue(false)
+      const rotateServiceAccountsSpy = jest.spyOn(members, 'rotateServiceAccounts').mockResolvedValue([])
+      const ac = new AbortController()
+      const project = _.set(createProject('foo', [fooMember]), 'metadata.annotations', {
+        'dashboard.gardener.cloud/serviceaccount-rotations': JSON.stringify({ 'system:serviceaccount:garden-foo:robot': 30 })
+      })
+      informer.store = {
+        list: () => [project]
+      }
+      // remove the listeners of the project watches of the previous tests
+      leaderElector.removeAllListeners('started')
+      try {
+        watches.projects(io, informer, { signal: ac.signal })
+        leaderElector.emit('started')
+        await new Promise(resolve => setImmediate(resolve))
+        expect(rotateServiceAccountsSpy).not.toBeCalled()
+
+        isLeaderSpy.mockReturnValue(true)
+        leaderElector.emit('started')
+        await new Promise(resolve => setImmediate(resolve))
+        expect(rotateServiceAccountsSpy).toBeCalledTimes(1)
+
+        ac.abort()
+        leaderElector.emit('started')
+        await new Promise(resolve => setImmediate(resolve))
+        expect(rotateServiceAccountsSpy).toBeCalledTimes(1)
+      } finally {
+        ac.abort()
+      }
+    })
+
+    it('should apply project templates on the leading replica', async function () {
+      const isLeaderSpy = jest.spyOn(leaderElector, 'isLeader').mockReturnValue(false)
+      const applySpy = jest.spyOn(projectTemplates, 'apply').mockResolvedValue()
+      const project = createTemplateProject('foo', [fooMember])
+      watches.projects(io, informer)
+
+      informer.emit('add', project)
+      await new Promise(resolve => setImmediate(resolve))
+      expect(applySpy).not.toBeCalled()
+
+      isLeaderSpy.mockReturnValue(true)
+      informer.emit('update', createProject('bar', [barMember]), createProject('bar'))
+      informer.emit('update', _.set(_.cloneDeep(project), 'status.phase', 'Initial'), project)
+      await new Promise(resolve => setImmediate(resolve))
+      expect(applySpy).not.toBeCalled()
+
+      informer.emit('update', project, project)
+      informer.emit('update', project, project)
+      await new Promise(resolve => setImmediate(resolve))
+      // the template is applied once at a time
+      expect(applySpy).toBeCalledTimes(1)
+      expect(applySpy.mock.calls[0][0]).toBe(project)
+    })
+
+    it('should not apply project templates which have not been recorded by the dashboard', async function () {
+      jest.spyOn(leaderElector, 'isLeader').mockReturnValue(true)
+      const applySpy = jest.spyOn(projectTemplates, 'apply').mockResolvedValue()
+      const project = _.set(createProject('foo', [fooMember]), 'metadata.annotations', {
+        'dashboard.gardener.cloud/project-template': 'team'
+      })
+      watches.projects(io, informer)
+
+      informer.emit('update', project, createProject('foo', [fooMember]))
+      await new Promise(resolve => setImmediate(resolve))
+      expect(applySpy).not.toBeCalled()
+    })
+
+    it('should periodically apply project templates which could not be applied completely', async function () {
+      jest.useFakeTimers()
+      jest.spyOn(leaderElector, 'isLeader').mockReturnValue(true)
+      jest.spyOn(logger, 'error')
+      const applySpy = jest.spyOn(projectTemplates, 'apply')
+        .mockRejectedValueOnce(new Error('Template team could not be applied completely to project foo'))
+        .mockResolvedValue()
+      const ac = new AbortController()
+      const project = createTemplateProject('foo', [fooMember])
+      informer.store = {
+        list: () => [project]
+      }
+      try {
+        // timers are faked, therefore pending promise callbacks are run by awaiting resolved promises
+        const flushPromises = async () => {
+          for (let i = 0; i < 10; i++) {
+            await Promise.resolve()
+          }
+        }
+        watches.projects(io, informer, { signal: ac.signal })
+        informer.emit('add', project)
+        await flushPromises()
+        expect(applySpy).toBeCalledTimes(1)
+        jest.advanceTimersByTime(60_000)
+        await flushPromises()
+        expect(applySpy).toBeCalledTimes(2)
+        expect(logger.error).toBeCalledWith('Failed to apply project template: %s', 'Template team could not be applied completely to project foo')
+      } finally {
+        ac.abort()
+        jest.useRealTimers()
+      }
+    })
+  })
+
+  describe('seeds', function () {
+    it('should watch seeds', function () {
+      watches.seeds(io, informer)
+
+      const seed = { metadata: { name: 'soil' }, spec: { provider: { type: 'infra1', region: 'region1' } } }
+      informer.emit('add', seed)
+      informer.emit('update', seed)
+      informer.emit('delete', seed)
+
+      expect(nsp.to.mock.calls).toEqual([['seeds'], ['seeds'], ['seeds']])
+      const room = rooms.get('seeds')
+      expect(_.map(room.emit.mock.calls, '1.type')).toEqual(['ADDED', 'MODIFIED', 'DELETED'])
+      expect(room.emit.mock.calls[0]).toEqual(['seeds', {
+        type: 'ADDED',
+        object: expect.objectContaining({
+          metadata: { name: 'soil', unreachable: false },
+          data: expect.objectContaining({ type: 'infra1', region: 'region1' })
+        })
+      }])
+    })
+  })
+
+  describe('secretbindings', function () {
+    it('should watch secret bindings without emitting secret data', function () {
+      watches.secretbindings(io, informer)
+
+      const secretBinding = {
+        metadata: { namespace: 'garden-foo', name: 'secret1', labels: { foo: 'bar' } },
+        secretRef: { namespace: 'garden-foo', name: 'secret1' }
+      }
+      informer.emit('add', secretBinding)
+      informer.emit('update', secretBinding)
+      informer.emit('delete', secretBinding)
+
+      expect(nsp.to.mock.calls).toEqual([['secrets;garden-foo'], ['secrets;garden-foo'], ['secrets;garden-foo']])
+      const object = { metadata: { namespace: 'garden-foo', name: 'secret1' } }
+      expect(rooms.get('secrets;garden-foo').emit.mock.calls).toEqual([
+        ['secrets', { type: 'ADDED', object }],
+        ['secrets', { type: 'MODIFIED', object }],
+        ['secrets', { type: 'DELETED', object }]
+      ])
+    })
+  })
 })
@@ -0,0 +1,31 @@
+//
+// SPDX-FileCopyrightText: 2023 SAP SE or an SAP affiliate company and Gardener contributors
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+
+'use strict'
+
+const { helm } = fixtures
+
+const renderTemplates = helm.renderDashboardApplicationTemplates
+
+describe('gardener-dashboard', function () {
+  describe('clusterrole-project-serviceaccounts', function () {
+    let templates
+
+    beforeEach(() => {
+      templates = [
+        'clusterrole-project-serviceaccounts'
+      ]
+    })
+
+    it('should render the template with default values', async function () {
+      const values = {}
+      const documents = await renderTemplates(templates, values)
+      expect(documents).toHaveLength(1)
+      const [clusterRole] = documents
+      expect(clusterRole).toMatchSnapshot()
+    })
+  })
+})
@@ -0,0 +1,96 @@
+//
+// SPDX-FileCopyrightText: 2023 SAP SE or an SAP affiliate company and Gardener contributors
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+
+'use strict'
+
+const { helm } = fixtures
+
+const renderTemplates = helm.renderDashboardApplicationTemplates
+
+describe('gardener-dashboard', function () {
+  describe('terminal recordings', function () {
+    let templates
+
+    beforeEach(() => {
+      templates = [
+        'namespace-terminal-recordings',
+        'role-terminal-recordings',
+        'rolebinding-terminal-recordings'
+      ]
+    })
+
+    it('should not render the templates with default values', async function () {
+      const values = {}
+      const documents = await renderTemplates(templates, values)
+      expect(documents).toEqual([null, null, null])
+    })
+
+    it('should not render the templates if recordings are stored in files', async function () {
+      const values = {
+        global: {
+          terminal: {
+            recording: {
+              enabled: true,
+              store: {
+                type: 'file',
+                path: '/var/lib/dashboard/recordings'
+              }
+            }
+          }
+        }
+      }
+      const documents = await renderTemplates(templates, values)
+      expect(documents).toEqual([null, null, null])
+    })
+
+    it('should only grant access to secrets of the recordings namespace', async function () {
+      const values = {
+        global: {
+          terminal: {
+            recording: {
+              enabled: true
+            }
+          }
+        }
+      }
+      const documents = await renderTemplates(templates, values)
+      expect(documents).toHaveLength(3)
+      const [namespace, role, roleBinding] = documents
+      expect(namespace.metadata.name).toBe('gardener-dashboard-terminal-recordings')
+      expect(role.metadata.namespace).toBe('gardener-dashboard-terminal-recordings')
+      expect(role.rules).toEqual([{
+        apiGroups: [''],
+        resources: ['secrets'],
+        verbs: ['get', 'list', 'create', 'update', 'delete']
+      }])
+      expect(roleBinding.metadata.namespace).toBe('gardener-dashboard-terminal-recordings')
+      expect(roleBinding.roleRef.name).toBe(role.metadata.name)
+      expect(roleBinding.subjects).toEqual([{
+        kind: 'ServiceAccount',
+        name: 'gardener-dashboard',
+        namespace: 'garden'
+      }])
+    })
+
+    it('should render the templates for a custom recordings namespace', async function () {
+      const values = {
+        global: {
+          terminal: {
+            recording: {
+              enabled: true,
+              store: {
+                type: 'secret',
+                namespace: 'recordings'
+              }
+            }
+          }
+        }
+      }
+      const documents = await renderTemplates(templates, values)
+      expect(documents.map(({ metadata }) => metadata.namespace || metadata.name)).toEqual(['recordings', 'recordings', 'recordings'])
+    })
+  })
+})
@@ -421,6 +421,88 @@ describe('gardener-dashboard', function () {
         const config = yaml.load(configMap.data['config.yaml'])
         expect(pick(config, ['terminal'])).toMatchSnapshot()
       })
+
+      it('should render the template with recording', async function () {
+        const recording = {
+          enabled: true,
+          enforcedPurposes: ['production'],
+          store: {
+            type: 'file',
+            path: '/var/lib/dashboard/recordings'
+          }
+        }
+        const values = {
+          global: {
+            terminal: {
+              container: {
+                image: 'chart-test:0.1.0'
+              },
+              gardenTerminalHost: {
+                seedRef: 'my-seed'
+              },
+              garden: {
+                operatorCredentials: {
+                  serviceAccountRef: {
+                    name: 'robot',
+                    namespace: 'garden'
+                  }
+                }
+              },
+              recording
+            }
+          }
+        }
+        const documents = await renderTemplates(templates, values)
+        expect(documents).toHaveLength(1)
+        const [configMap] = documents
+        const config = yaml.load(configMap.data['config.yaml'])
+        expect(config.terminal.recording).toEqual(recording)
+      })
+
+      describe('when sharing is enabled', function () {
+        let values
+
+        beforeEach(() => {
+          values = {
+            global: {
+              terminal: {
+                container: {
+                  image: 'chart-test:0.1.0'
+                },
+                gardenTerminalHost: {
+                  seedRef: 'my-seed'
+                },
+                garden: {
+                  operatorCredentials: {
+                    serviceAccountRef: {
+                      name: 'robot',
+                      namespace: 'garden'
+                    }
+                  }
+                },
+                sharing: {
+                  enabled: true
+                }
+              }
+            }
+          }
+        })
+
+        it('should render the template with sharing', async function () {
+          const documents = await renderTemplates(templates, values)
+          expect(documents).toHaveLength(1)
+          const [configMap] = documents
+          const config = yaml.load(configMap.data['config.yaml'])
+          expect(config.terminal.sharing).toEqual({ enabled: true })
+        })
+
+        it('should fail to render the template with more than one replica', async function () {
+          values.global.dashboard = {
+            replicaCount: 2
+          }
+          await expect(renderTemplates(templates, values)).rejects.toThrow(/requires a single dashboard replica/)
+        })
+      })
     })
 
     describe('themes', function () {
@@ -547,6 +629,31 @@ describe('gardener-dashboard', function () {
       })
     })
 
+    describe('dashboardUserName', function () {
+      it('should render the username of the dashboard service account', async function () {
+        const documents = await renderTemplates(templates, {})
+        const [configMap] = documents
+        const config = yaml.load(configMap.data['config.yaml'])
+        expect(config.dashboardUserName).toBe('system:serviceaccount:garden:gardener-dashboard')
+      })
+
+      it('should render the username of the dashboard in a virtual garden', async function () {
+        const dashboardUserName = 'system:serviceaccount:garden:gardener-dashboard-virtual'
+        const values = {
+          global: {
+            virtualGarden: {
+              enabled: true,
+              dashboardUserName
+            }
+          }
+        }
+        const documents = await renderTemplates(templates, values)
+        const [configMap] = documents
+        const config = yaml.load(configMap.data['config.yaml'])
+        expect(config.dashboardUserName).toBe(dashboardUserName)
+      })
+    })
+
     describe('resourceQuotaHelp', function () {
       it('should render the template with resourceQuotaHelp markdown', async function () {
         const values = {
@@ -640,5 +747,121 @@ describe('gardener-dashboard', function () {
         expect(config.frontend.shootAdminKubeconfig.enabled).toBe(true)
       })
     })
+
+    describe('costs', function () {
+      it('should render the template', async function () {
+        const costs = {
+          currency: 'EUR',
+          catalog: {
+            aws: {
+              default: {
+                machineTypes: {
+                  'm5.large': 0.096
+                },
+                volumeTypes: {
+                  gp2: 0.1
+                }
+              },
+              'eu-central-1': {
+                machineTypes: {
+                  'm5.large': 0.115
+                }
+              }
+            }
+          }
+        }
+        const values = {
+          global: {
+            dashboard: {
+              frontendConfig: {
+                costs
+              }
+            }
+          }
+        }
+
+        const documents = await renderTemplates(templates, values)
+        expect(documents).toHaveLength(1)
+        const [configMap] = documents
+        const config = yaml.load(configMap.data['config.yaml'])
+        expect(config.frontend.costs).toEqual(costs)
+      })
+    })
+
+    describe('shootTemplates', function () {
+      it('should render the template', async function () {
+        const shootTemplates = [{
+          name: 'small',
+          description: 'Small development cluster',
+          spec: {
+            purpose: 'development',
+            provider: {
+              type: 'aws',
+              workers: [{
+                name: 'worker-1',
+                minimum: 1,
+                maximum: 2
+              }]
+            }
+          }
+        }]
+        const values = {
+          global: {
+            dashboard: {
+              frontendConfig: {
+                shootTemplates
+              }
+            }
+          }
+        }
+
+        const documents = await renderTemplates(templates, values)
+        expect(documents).toHaveLength(1)
+        const [configMap] = documents
+        const config = yaml.load(configMap.data['config.yaml'])
+        expect(config.frontend.shootTemplates).toEqual(shootTemplates)
+      })
+    })
+
+    describe('projectTemplates', function () {
+      it('should render the template', async function () {
+        const projectTemplates = [{
+          name: 'team',
+          description: 'Project of a development team',
+          costObject: '1234567890',
+          labels: {
+            team: 'blue'
+          },
+          members: [{
+            username: 'ops@example.org',
+            roles: ['viewer']
+          }],
+          secretBindings: [{
+            name: 'trial-secret',
+            secretRef: {
+              namespace: 'garden-trial',
+              name: 'trial-secret'
+            },
+            provider: {
+              type: 'aws'
+            }
+          }]
+        }]
+        const values = {
+          global: {
+            dashboard: {
+              projectTemplates
+            }
+          }
+        }
+
+        const documents = await renderTemplates(templates, values)
+        expect(documents).toHaveLength(1)
+        const [configMap] = documents
+        const config = yaml.load(configMap.data['config.yaml'])
+        expect(config.projectTemplates).toEqual(projectTemplates)
+        expect(config.frontend.projectTemplates).toBeUndefined()
+      })
+    })
   })
 })
@@ -9,6 +9,14 @@ import fetchMock from 'jest-fetch-mock'
 
 Vue.use(Vuetify)
 Object.defineProperty(Vue, 'vuetify', { value: new Vuetify() })
+Object.defineProperty(Vue, 'logger', {
+  value: {
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  }
+})
 
 fetchMock.enableMocks()
 
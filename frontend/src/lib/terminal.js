@@ -11,13 +11,24 @@ import intersection from 'lodash/intersection'
 import keys from 'lodash/keys'
 import includes from 'lodash/includes'
 import pick from 'lodash/pick'
+import compact from 'lodash/compact'
+import map from 'lodash/map'
+import split from 'lodash/split'
 import pTimeout from 'p-timeout'
+import { io } from 'socket.io-client'
+import { Terminal } from 'xterm'
+import { FitAddon } from 'xterm-addon-fit'
+import { WebLinksAddon } from 'xterm-addon-web-links'
 
 import {
   createTerminal,
   fetchTerminalSession,
   deleteTerminal,
-  heartbeat
+  heartbeat,
+  startTerminalSharing,
+  stopTerminalSharing,
+  updateTerminalShareObserver,
+  fetchTerminalShare
 } from '@/utils/api'
 import { K8sAttachAddon, WsReadyStateEnum } from '@/lib/xterm-addon-k8s-attach'
 import { encodeBase64Url } from '@/utils'
@@ -29,6 +40,172 @@ const WsCloseEventEnum = {
 const RETRY_TIMEOUT_SECONDS = 3
 const MAX_TRIES = 60 / RETRY_TIMEOUT_SECONDS
 
+export function createXterm (container, { addons = [] } = {}) {
+  const term = new Terminal()
+  const fitAddon = new FitAddon()
+
+  term.open(container)
+  for (const addon of addons) {
+    term.loadAddon(addon) // must be called after open, otherwise the terminal.textarea is not initialized
+  }
+  term.loadAddon(fitAddon)
+  term.loadAddon(new WebLinksAddon())
+
+  return { term, fitAddon }
+}
+
+export function parseAsciicast (data) {
+  const [header, ...events] = map(compact(split(data, '\n')), line => JSON.parse(line))
+  return { header, events }
+}
+
+/*
+  Shared terminal sessions are relayed via a dedicated socket connection to the backend.
+  The backend disconnects the socket when the token has to be refreshed.
+*/
+function createShareSocket (vm) {
+  const socket = io({
+    path: '/api/events',
+    transports: ['websocket'],
+    autoConnect: false
+  })
+  const connect = async () => {
+    try {
+      await vm.$auth.ensureValidToken()
+    } finally {
+      socket.connect()
+    }
+  }
+  socket.on('disconnect', reason => {
+    if (reason === 'io server disconnect') {
+      connect()
+    }
+  })
+  connect()
+  return socket
+}
+
+function subscribeShare (socket, id) {
+  return new Promise((resolve, reject) => {
+    socket.emit('subscribe', 'terminals', { id }, ({ statusCode, message }) => {
+      if (statusCode === 200) {
+        resolve()
+      } else {
+        reject(new Error(message))
+      }
+    })
+  })
+}
+
+/*
+  Shares a terminal session with other project members. The output of the terminal session is relayed
+  to the observers, the input of observers is only accepted if the owner has granted it.
+*/
+export class TerminalShare {
+  #socket
+
+  constructor (session) {
+    this.session = session
+    this.metadata = undefined
+    this.observers = []
+  }
+
+  get isShared () {
+    return !!this.metadata
+  }
+
+  get url () {
+    if (!this.isShared) {
+      return
+    }
+    const { $router, $route } = this.session.vm
+    const { href } = $router.resolve({
+      name: $route.name,
+      params: $route.params,
+      query: { share: this.metadata.id }
+    })
+    return new URL(href, window.location.origin).toString()
+  }
+
+  async start () {
+    if (this.isShared) {
+      return
+    }
+    const { data } = await startTerminalSharing({ ...this.session.terminalCoordinates })
+    this.metadata = data
+    this.observers = data.observers
+
+    const { id } = data
+    const socket = this.#socket = createShareSocket(this.session.vm)
+    socket.on('connect', async () => {
+      try {
+        await subscribeShare(socket, id)
+        this.resize(this.session.vm.term)
+      } catch (err) {
+        console.error('failed to subscribe shared terminal session', err)
+      }
+    })
+    socket.on('terminal-input', event => {
+      if (event.id === id) {
+        this.session.input(event.data)
+      }
+    })
+    socket.on('terminal-share', ({ type, object }) => {
+      if (object.id !== id) {
+        return
+      }
+      if (type === 'DELETED') {
+        this.reset()
+      } else {
+        this.observers = object.observers
+      }
+    })
+  }
+
+  output (data) {
+    this._emit('terminal-output', { data })
+  }
+
+  resize ({ cols, rows }) {
+    this._emit('terminal-resize', { cols, rows })
+  }
+
+  async setAllowInput (username, allowInput) {
+    const { data } = await updateTerminalShareObserver({
+      id: this.metadata.id,
+      username,
+      allowInput
+    })
+    this.observers = data.observers
+  }
+
+  async stop () {
+    if (!this.isShared) {
+      return
+    }
+    try {
+      await stopTerminalSharing({ id: this.metadata.id })
+    } finally {
+      this.reset()
+    }
+  }
+
+  reset () {
+    if (this.#socket) {
+      this.#socket.disconnect()
+      this.#socket = undefined
+    }
+    this.metadata = undefined
+    this.observers = []
+  }
+
+  _emit (eventName, payload) {
+    if (this.isShared && this.#socket && this.#socket.connected) {
+      this.#socket.emit(eventName, { id: this.metadata.id, ...payload })
+    }
+  }
+}
+
 export class TerminalSession {
   constructor (vm) {
     this.vm = vm
@@ -37,9 +214,14 @@ export class TerminalSession {
     this.metadata = undefined
     this.hostCluster = undefined
     this.imageHelpText = undefined
+    this.recording = undefined
+    this.recordingRequested = false
+    this.share = new TerminalShare(this)
+    this.attachAddon = undefined
 
     this.setInitialState()
     this.close = () => {}
+    this.reconnect = () => {}
   }
 
   setInitialState () {
@@ -60,10 +242,11 @@ export class TerminalSession {
 
   async open () {
     this.connectionState = TerminalSession.CREATING
-    const { metadata, hostCluster, imageHelpText } = await this.createTerminal()
+    const { metadata, hostCluster, imageHelpText, recording } = await this.createTerminal()
     this.metadata = pick(metadata, ['name', 'namespace'])
     this.hostCluster = pick(hostCluster, ['kubeApiServer', 'namespace', 'pod'])
     this.imageHelpText = imageHelpText
+    this.recording = recording
 
     this.connectionState = TerminalSession.FETCHING
     const { hostCluster: { pod, token } } = await this.fetchTerminalSession()
@@ -104,6 +287,7 @@ export class TerminalSession {
   }
 
   async deleteTerminal () {
+    await this.stopSharing()
     const { data } = await deleteTerminal({ ...this.terminalCoordinates })
 
     this.metadata = undefined
@@ -119,6 +303,57 @@ export class TerminalSession {
     return !!this.metadata
   }
 
+  get isRecordingEnforced () {
+    return get(this.recording, 'enforced', false)
+  }
+
+  // sessions are attached by the backend if recording is enabled, see `attachTerminal`
+  get isAttachedByBackend () {
+    return !!this.recording
+  }
+
+  get isRecording () {
+    return this.isAttachedByBackend &&
+      this.connectionState === TerminalSession.CONNECTED &&
+      (this.isRecordingEnforced || this.recordingRequested)
+  }
+
+  // the backend records the session, therefore the terminal is attached again to start or stop recording
+  startRecording () {
+    this.recordingRequested = true
+    this.reconnect()
+  }
+
+  stopRecording () {
+    if (this.recordingRequested && !this.isRecordingEnforced) {
+      this.recordingRequested = false
+      this.reconnect()
+    }
+  }
+
+  async startSharing () {
+    try {
+      await this.share.start()
+    } catch (err) {
+      console.error('failed to share terminal session', err)
+      this.vm.showErrorSnackbarBottom(get(err, 'response.data.message', 'Could not share the terminal session'))
+    }
+  }
+
+  async stopSharing () {
+    try {
+      await this.share.stop()
+    } catch (err) {
+      console.error('failed to stop sharing terminal session', err)
+    }
+  }
+
+  input (data) {
+    if (this.attachAddon && this.connectionState === TerminalSession.CONNECTED) {
+      this.attachAddon.input(data)
+    }
+  }
+
   get terminalCoordinates () {
     const coordinates = pick(this.vm.data, ['name', 'namespace', 'target'])
     if (this.metadata) {
@@ -136,7 +371,12 @@ export class TerminalSession {
 
     try {
       this.connectionState = TerminalSession.CONNECTING
-      await this.waitUntilPodIsRunning(60)
+      if (this.isAttachedByBackend) {
+        // the backend waits until the pod is running
+        this.vm.spinner.text = 'Connecting to Pod'
+      } else {
+        await this.waitUntilPodIsRunning(60)
+      }
       if (this.cancelConnect) {
         return
       }
@@ -151,9 +391,19 @@ export class TerminalSession {
     }
 
     // See https://github.com/kubernetes/kubernetes/blob/master/staging/src/k8s.io/apimachinery/pkg/util/remotecommand/constants.go
-    const protocols = addBearerToken(['v4.channel.k8s.io'], this.hostCluster.token)
-    const ws = new WebSocket(attachUri(this.hostCluster), protocols)
-    const attachAddon = new K8sAttachAddon(ws, { bidirectional: true })
+    let ws
+    if (this.isAttachedByBackend) {
+      const { cols, rows } = this.vm.term
+      const record = this.isRecordingEnforced || this.recordingRequested
+      ws = new WebSocket(backendAttachUri({ ...this.metadata, cols, rows, record }), ['v4.channel.k8s.io'])
+    } else {
+      const protocols = addBearerToken(['v4.channel.k8s.io'], this.hostCluster.token)
+      ws = new WebSocket(attachUri(this.hostCluster), protocols)
+    }
+    const attachAddon = this.attachAddon = new K8sAttachAddon(ws, {
+      bidirectional: true,
+      listeners: [this.share]
+    })
     this.vm.term.loadAddon(attachAddon)
     let reconnectTimeoutId
     let heartbeatIntervalId
@@ -220,6 +470,12 @@ export class TerminalSession {
       attachAddon.dispose()
 
       this.close = () => {}
+      this.reconnect = () => {}
+    }
+    this.reconnect = () => {
+      ws.onclose = null
+      this.close()
+      this.attachTerminal()
     }
   }
 
@@ -265,6 +521,103 @@ Object.assign(TerminalSession, {
   CONNECTED: 4
 })
 
+/*
+  Observes a terminal session shared by another user. Observers have no access to the terminal pod,
+  the output and the input are relayed by the backend.
+*/
+export class TerminalObserverSession {
+  constructor (vm) {
+    this.vm = vm
+    this.cancelConnect = false
+    this.metadata = undefined
+    this.allowInput = false
+    this.imageHelpText = undefined
+    this.recording = undefined
+    this.container = {}
+    this.connectionState = TerminalSession.DISCONNECTED
+    this.detailedConnectionStateText = undefined
+    this.close = () => {}
+  }
+
+  get isObserver () {
+    return true
+  }
+
+  get isCreated () {
+    return false
+  }
+
+  get owner () {
+    return get(this.metadata, 'owner')
+  }
+
+  setDisconnectedState () {
+    this.connectionState = TerminalSession.DISCONNECTED
+    this.allowInput = false
+  }
+
+  async open () {
+    this.connectionState = TerminalSession.FETCHING
+    const { data } = await fetchTerminalShare({ id: this.vm.data.shareId })
+    this.metadata = data
+    if (this.cancelConnect) {
+      return
+    }
+
+    const { id } = data
+    this.connectionState = TerminalSession.CONNECTING
+    const term = this.vm.term
+    const socket = createShareSocket(this.vm)
+    socket.on('connect', async () => {
+      try {
+        await subscribeShare(socket, id)
+        this.vm.spinner.stop()
+        term.reset()
+        this.connectionState = TerminalSession.CONNECTED
+      } catch (err) {
+        this.vm.showSnackbarTop('Could not observe the shared terminal session', err.message)
+        this.close()
+        this.setDisconnectedState()
+      }
+    })
+    socket.on('terminal-output', event => {
+      if (event.id === id) {
+        term.write(event.data)
+      }
+    })
+    socket.on('terminal-resize', event => {
+      if (event.id === id) {
+        term.resize(event.cols, event.rows)
+      }
+    })
+    socket.on('terminal-share', ({ type, object }) => {
+      if (object.id !== id) {
+        return
+      }
+      if (type === 'DELETED') {
+        this.vm.showSnackbarTop('The terminal session is no longer shared')
+        this.close()
+        this.setDisconnectedState()
+        return
+      }
+      this.metadata = object
+      this.allowInput = get(find(object.observers, ['username', this.vm.userId]), 'allowInput', false)
+    })
+    const onDataDisposable = term.onData(data => {
+      if (this.allowInput) {
+        socket.emit('terminal-input', { id, data })
+      }
+    })
+
+    this.close = () => {
+      onDataDisposable.dispose()
+      socket.disconnect()
+
+      this.close = () => {}
+    }
+  }
+}
+
 function addBearerToken (protocols, bearer) {
   protocols.unshift(`base64url.bearer.authorization.k8s.io.${encodeBase64Url(bearer)}`)
   return protocols
@@ -279,6 +632,12 @@ function attachUri ({ namespace, kubeApiServer, pod: { name, container } }) {
   return `wss://${kubeApiServer}/api/v1/namespaces/${namespace}/pods/${name}/attach?container=${container}&stdin=true&stdout=true&tty=true`
 }
 
+function backendAttachUri ({ namespace, name, cols, rows, record }) {
+  const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:'
+  const searchParams = new URLSearchParams({ namespace, name, cols, rows, record })
+  return `${protocol}//${window.location.host}/api/terminals/attach?${searchParams}`
+}
+
 function watchPodUri ({ namespace, kubeApiServer, pod: { name } }) {
   kubeApiServer = encodeURIComponent(kubeApiServer)
   namespace = encodeURIComponent(namespace)
@@ -28,6 +28,8 @@ export class K8sAttachAddon {
     // always set binary type to arraybuffer, we do not handle blobs
     this._socket.binaryType = 'arraybuffer'
     this._bidirectional = options.bidirectional || false
+    // listeners (e.g. recorder or share) are notified about the output and the size of the terminal
+    this._listeners = options.listeners || []
     this._disposables = []
 
     this._pingIntervalSeconds = options.pingIntervalSeconds || 30
@@ -55,6 +57,9 @@ export class K8sAttachAddon {
     terminal.onResize(size => {
       this._sendResize(terminal, size)
       terminal.scrollToBottom()
+      for (const listener of this._listeners) {
+        listener.resize(size)
+      }
     })
 
     this.pingIntervalId = setInterval(() => {
@@ -86,6 +91,9 @@ export class K8sAttachAddon {
           case ChannelEnum.STD_OUT:
           case ChannelEnum.STD_ERR:
             terminal.write(data)
+            for (const listener of this._listeners) {
+              listener.output(data)
+            }
             break
           case ChannelEnum.ERR:
             try {
@@ -107,6 +115,10 @@ export class K8sAttachAddon {
     }
   }
 
+  input (data) {
+    this._sendData(data)
+  }
+
   _sendResize ({ cols: Width, rows: Height }) {
     this._sendDataOnChannel(ChannelEnum.RESIZE, JSON.stringify({ Width, Height }))
   }
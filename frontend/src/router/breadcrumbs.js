@@ -39,6 +39,22 @@ export function settingsBreadcrumbs () {
   ]
 }
 
+export function terminalSessionsBreadcrumbs () {
+  return [
+    {
+      text: 'Terminal Sessions'
+    }
+  ]
+}
+
+export function accessReviewBreadcrumbs () {
+  return [
+    {
+      text: 'Access Review'
+    }
+  ]
+}
+
 export function membersBreadcrumbs () {
   return [
     {
@@ -47,6 +63,22 @@ export function membersBreadcrumbs () {
   ]
 }
 
+export function notificationsBreadcrumbs () {
+  return [
+    {
+      text: 'Notifications'
+    }
+  ]
+}
+
+export function alertRulesBreadcrumbs () {
+  return [
+    {
+      text: 'Alert Rules'
+    }
+  ]
+}
+
 export function administrationBreadcrumbs () {
   return [
     {
@@ -87,6 +119,22 @@ export function shootListBreadcrumbs () {
   ]
 }
 
+export function upgradePlannerBreadcrumbs () {
+  return [
+    {
+      text: 'Upgrade Planner'
+    }
+  ]
+}
+
+export function machineImagesBreadcrumbs () {
+  return [
+    {
+      text: 'Machine Images'
+    }
+  ]
+}
+
 export function secretsBreadcrumbs () {
   return [
     {
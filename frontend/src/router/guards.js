@@ -110,7 +110,9 @@ function ensureDataLoaded (store, localStorage, logger) {
 
           const namespaceChanged = from.params.namespace !== to.params.namespace
           const toNewShoot = from.name !== 'NewShoot' && from.name !== 'NewShootEditor'
-          if (namespaceChanged || toNewShoot) {
+          if (to.query.clone && toNewShoot) {
+            await store.dispatch('cloneNewShootResource', to.query)
+          } else if (namespaceChanged || toNewShoot) {
             await store.dispatch('resetNewShootResource')
           }
           break
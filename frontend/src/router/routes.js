@@ -14,7 +14,11 @@ import {
   newProjectBreadcrumbs,
   accountBreadcrumbs,
   settingsBreadcrumbs,
+  terminalSessionsBreadcrumbs,
+  accessReviewBreadcrumbs,
   shootListBreadcrumbs,
+  upgradePlannerBreadcrumbs,
+  machineImagesBreadcrumbs,
   shootItemBreadcrumbs,
   shootItemTerminalBreadcrumbs,
   secretItemBreadcrumbs,
@@ -23,6 +27,8 @@ import {
   newShootEditorBreadcrumbs,
   administrationBreadcrumbs,
   membersBreadcrumbs,
+  notificationsBreadcrumbs,
+  alertRulesBreadcrumbs,
   terminalBreadcrumbs,
   notFoundBreadcrumbs
 } from './breadcrumbs'
@@ -47,11 +53,18 @@ const Members = () => import('@/views/Members')
 const Home = () => import('@/views/Home')
 const Secrets = () => import('@/views/Secrets')
 const Administration = () => import('@/views/Administration')
+const Notifications = () => import('@/views/Notifications')
+const AlertRules = () => import('@/views/AlertRules')
+const TerminalSessions = () => import('@/views/TerminalSessions')
+const AccessReview = () => import('@/views/AccessReview')
+const UpgradePlanner = () => import('@/views/UpgradePlanner')
+const MachineImages = () => import('@/views/MachineImages')
 
 const NewShoot = () => import('@/views/NewShoot')
 const ShootList = () => import('@/views/ShootList')
 const ShootItem = () => import('@/views/ShootItem')
 const ShootItemTerminal = () => import('@/views/ShootItemTerminal')
+const ShootItemHistory = () => import('@/views/ShootItemHistory')
 
 const PlaceholderComponent = {
   render (createElement) {
@@ -73,6 +86,8 @@ function defaultHierarchy (context, path) {
     homeRoute(context, ''),
     accountRoute(context, 'account'),
     settingsRoute(context, 'settings'),
+    terminalSessionsRoute(context, 'terminals'),
+    accessReviewRoute(context, 'accessreview'),
     projectsRoute(context, 'namespace'),
     newProjectRoute(context, 'namespace/+'),
     projectHierarchy(context, 'namespace/:namespace'),
@@ -101,9 +116,13 @@ function projectHierarchy (context, path) {
     children: [
       { path: '', redirect: 'shoots' },
       shootListHierarchy(context, 'shoots'),
+      upgradePlannerRoute(context, 'upgrades'),
+      machineImagesRoute(context, 'machineimages'),
       secretListRoute(context, 'secrets'),
       secretItemRoute(context, 'secrets/:name'),
       membersRoute(context, 'members'),
+      notificationsRoute(context, 'notifications'),
+      alertRulesRoute(context, 'alertrules'),
       administrationRoute(context, 'administration'),
       { path: 'term', redirect: 'term/garden' },
       gardenTerminalRoute(context, 'term/garden'),
@@ -140,6 +159,7 @@ function shootItemHierarchy (context, path) {
     children: [
       shootItemRoute(context, ''),
       shootItemEditorRoute(context, 'yaml'),
+      shootItemHistoryRoute(context, 'history'),
       shootItemHibernationRoute(context, 'hibernation'),
       shootItemTerminalRoute(context, 'term'),
       {
@@ -293,6 +313,58 @@ function settingsRoute ({ state, getters }, path) {
   }
 }
 
+function terminalSessionsRoute ({ state, getters }, path) {
+  return {
+    path,
+    name: 'TerminalSessions',
+    component: TerminalSessions,
+    meta: {
+      namespaced: false,
+      projectScope: false,
+      breadcrumbs: terminalSessionsBreadcrumbs
+    },
+    beforeEnter (to, from, next) {
+      if (!getters.isTerminalEnabled || !getters.isAdmin) {
+        return next('/')
+      }
+      const namespace = state.namespace || getters.defaultNamespace
+      if (!to.query.namespace && namespace) {
+        return next({
+          name: 'TerminalSessions',
+          query: { namespace, ...to.query }
+        })
+      }
+      next()
+    }
+  }
+}
+
+function accessReviewRoute ({ state, getters }, path) {
+  return {
+    path,
+    name: 'AccessReview',
+    component: AccessReview,
+    meta: {
+      namespaced: false,
+      projectScope: false,
+      breadcrumbs: accessReviewBreadcrumbs
+    },
+    beforeEnter (to, from, next) {
+      if (!getters.isAdmin) {
+        return next('/')
+      }
+      const namespace = state.namespace || getters.defaultNamespace
+      if (!to.query.namespace && namespace) {
+        return next({
+          name: 'AccessReview',
+          query: { namespace, ...to.query }
+        })
+      }
+      next()
+    }
+  }
+}
+
 function shootListRoute (context, path) {
   return {
     path,
@@ -309,6 +381,38 @@ function shootListRoute (context, path) {
   }
 }
 
+function upgradePlannerRoute (context, path) {
+  return {
+    path,
+    name: 'UpgradePlanner',
+    component: UpgradePlanner,
+    meta: {
+      menu: {
+        title: 'Upgrade Planner',
+        icon: 'mdi-update'
+      },
+      projectScope: false,
+      breadcrumbs: upgradePlannerBreadcrumbs
+    }
+  }
+}
+
+function machineImagesRoute (context, path) {
+  return {
+    path,
+    name: 'MachineImages',
+    component: MachineImages,
+    meta: {
+      menu: {
+        title: 'Machine Images',
+        icon: 'mdi-disc'
+      },
+      projectScope: false,
+      breadcrumbs: machineImagesBreadcrumbs
+    }
+  }
+}
+
 function newShootRoute (context, path) {
   return {
     path,
@@ -357,6 +461,18 @@ function shootItemEditorRoute (context, path) {
   }
 }
 
+function shootItemHistoryRoute (context, path) {
+  return {
+    path,
+    name: 'ShootItemHistory',
+    component: ShootItemHistory,
+    meta: {
+      breadcrumbs: shootItemBreadcrumbs,
+      tabs: shootItemTabs
+    }
+  }
+}
+
 function shootItemHibernationRoute (context, path) {
   return {
     path,
@@ -431,6 +547,56 @@ function membersRoute (context, path) {
   }
 }
 
+function notificationsRoute ({ getters }, path) {
+  return {
+    path,
+    name: 'Notifications',
+    component: Notifications,
+    meta: {
+      menu: {
+        title: 'Notifications',
+        icon: 'mdi-bell-outline',
+        get hidden () {
+          return !(getters.isNotificationsEnabled && getters.canGetSecrets)
+        }
+      },
+      breadcrumbs: notificationsBreadcrumbs
+    },
+    beforeEnter (to, from, next) {
+      if (getters.isNotificationsEnabled) {
+        next()
+      } else {
+        next('/')
+      }
+    }
+  }
+}
+
+function alertRulesRoute ({ getters }, path) {
+  return {
+    path,
+    name: 'AlertRules',
+    component: AlertRules,
+    meta: {
+      menu: {
+        title: 'Alert Rules',
+        icon: 'mdi-bell-ring-outline',
+        get hidden () {
+          return !getters.isAlertRulesEnabled
+        }
+      },
+      breadcrumbs: alertRulesBreadcrumbs
+    },
+    beforeEnter (to, from, next) {
+      if (getters.isAlertRulesEnabled) {
+        next()
+      } else {
+        next('/')
+      }
+    }
+  }
+}
+
 function administrationRoute (context, path) {
   return {
     path,
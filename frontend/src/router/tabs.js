@@ -33,6 +33,16 @@ export function shootItemTabs ({ params }) {
           params
         }
       }
+    },
+    {
+      key: 'shootHistory',
+      title: 'History',
+      get to () {
+        return {
+          name: 'ShootItemHistory',
+          params
+        }
+      }
     }
   ]
 }
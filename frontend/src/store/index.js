@@ -27,6 +27,7 @@ import {
 } from '@/utils'
 import { v4 as uuidv4 } from '@/utils/uuid'
 import { hash } from '@/utils/crypto'
+import { getPrices } from '@/utils/costs'
 import {
   getSubjectRules,
   getKubeconfigData,
@@ -471,6 +472,17 @@ const getters = {
       return getters.machineTypesOrVolumeTypesByCloudProfileNameAndRegion({ type: 'volumeTypes', cloudProfileName, region })
     }
   },
+  isCostEstimationEnabled (state, getters) {
+    return !isEmpty(get(state, 'cfg.costs.catalog'))
+  },
+  costCurrency (state) {
+    return get(state, 'cfg.costs.currency', 'USD')
+  },
+  pricesByCloudProfileNameAndRegion (state) {
+    return ({ cloudProfileName, region }) => {
+      return getPrices(get(state, 'cfg.costs.catalog'), { cloudProfileName, region })
+    }
+  },
   machineImagesByCloudProfileName (state, getters) {
     return (cloudProfileName) => {
       const cloudProfile = getters.cloudProfileByName(cloudProfileName)
@@ -1025,12 +1037,24 @@ const getters = {
   isTerminalEnabled (state, getters) {
     return get(state, 'cfg.features.terminalEnabled', false)
   },
+  isTerminalRecordingEnabled (state, getters) {
+    return getters.isTerminalEnabled && get(state, 'cfg.features.terminalRecordingEnabled', false)
+  },
+  isTerminalSharingEnabled (state, getters) {
+    return getters.isTerminalEnabled && get(state, 'cfg.features.terminalSharingEnabled', false)
+  },
   isTerminalShortcutsFeatureEnabled (state, getters) {
     return !isEmpty(getters.terminalShortcutsByTargetsFilter()) || getters.isProjectTerminalShortcutsEnabled
   },
   isProjectTerminalShortcutsEnabled (state, getters) {
     return get(state, 'cfg.features.projectTerminalShortcutsEnabled', false)
   },
+  isNotificationsEnabled (state, getters) {
+    return get(state, 'cfg.features.notificationsEnabled', false)
+  },
+  isAlertRulesEnabled (state, getters) {
+    return get(state, 'cfg.features.alertRulesEnabled', false)
+  },
   canCreateTerminals (state) {
     return canI(state.subjectRules, 'create', 'dashboard.gardener.cloud', 'terminals')
   },
@@ -1335,6 +1359,9 @@ const getters = {
   nodesCIDR (state) {
     return get(state, 'cfg.defaultNodesCIDR', '10.250.0.0/16')
   },
+  memberRoleDescriptors (state) {
+    return get(state, 'cfg.memberRoles', [])
+  },
   resourceQuotaHelpText (state) {
     return get(state, 'cfg.resourceQuotaHelp.text')
   },
@@ -1364,27 +1391,40 @@ const actions = {
       dispatch('setError', err)
     }
   },
-  async fetchSeeds ({ dispatch }) {
+  async fetchSeeds ({ dispatch, commit }) {
     try {
       await dispatch('seeds/getAll')
+      commit('socket/SUBSCRIBE', { key: 'seeds' })
     } catch (err) {
       dispatch('setError', err)
     }
   },
-  fetchProjects ({ dispatch }) {
+  fetchProjects ({ dispatch, commit }) {
     return dispatch('projects/getAll')
+      .then(items => {
+        commit('socket/SUBSCRIBE', { key: 'projects' })
+        return items
+      })
       .catch(err => {
         dispatch('setError', err)
       })
   },
-  fetchMembers ({ dispatch, commit }) {
+  fetchMembers ({ dispatch, commit, state }) {
     return dispatch('members/getAll')
+      .then(items => {
+        commit('socket/SUBSCRIBE', { key: 'members', options: { namespace: state.namespace } })
+        return items
+      })
       .catch(err => {
         dispatch('setError', err)
       })
   },
-  fetchcloudProviderSecrets ({ dispatch, commit }) {
+  fetchcloudProviderSecrets ({ dispatch, commit, state }) {
     return dispatch('cloudProviderSecrets/getAll')
+      .then(items => {
+        commit('socket/SUBSCRIBE', { key: 'secrets', options: { namespace: state.namespace } })
+        return items
+      })
       .catch(err => {
         dispatch('setError', err)
       })
@@ -1421,6 +1461,9 @@ const actions = {
   resetNewShootResource ({ dispatch }) {
     return dispatch('shoots/resetNewShootResource')
   },
+  cloneNewShootResource ({ dispatch }, options) {
+    return dispatch('shoots/cloneNewShootResource', options)
+  },
   createProject ({ dispatch, commit }, data) {
     return dispatch('projects/create', data)
       .then(res => {
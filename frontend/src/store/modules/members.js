@@ -4,6 +4,9 @@
 // SPDX-License-Identifier: Apache-2.0
 //
 
+import findIndex from 'lodash/findIndex'
+import filter from 'lodash/filter'
+import assign from 'lodash/assign'
 import { getMembers, addMember, updateMember, deleteMember, resetServiceAccount } from '@/utils/api'
 
 // initial state
@@ -32,9 +35,9 @@ const actions = {
     const res = await addMember({ namespace, data })
     commit('RECEIVE', res.data)
   },
-  async update ({ commit, rootState }, { name, roles, description }) {
+  async update ({ commit, rootState }, { name, roles, description, expirationTimestamp, rotationPeriodDays }) {
     const namespace = rootState.namespace
-    const res = await updateMember({ namespace, name, data: { roles, description } })
+    const res = await updateMember({ namespace, name, data: { roles, description, expirationTimestamp, rotationPeriodDays } })
     commit('RECEIVE', res.data)
   },
   async delete ({ commit, rootState }, name) {
@@ -56,6 +59,25 @@ const mutations = {
   },
   CLEAR (state) {
     state.all = []
+  },
+  HANDLE_EVENT (state, { type, object }) {
+    const username = object.username
+    switch (type) {
+      case 'ADDED':
+      case 'MODIFIED': {
+        // member events only contain username, roles, expiration timestamp and rotation period, other properties are kept
+        const index = findIndex(state.all, ['username', username])
+        if (index !== -1) {
+          state.all.splice(index, 1, assign({}, state.all[index], { expirationTimestamp: undefined, rotationPeriodDays: undefined }, object))
+        } else {
+          state.all.push(object)
+        }
+        break
+      }
+      case 'DELETED':
+        state.all = filter(state.all, item => item.username !== username)
+        break
+    }
   }
 }
 
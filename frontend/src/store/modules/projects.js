@@ -6,6 +6,7 @@
 
 import findIndex from 'lodash/findIndex'
 import assign from 'lodash/assign'
+import filter from 'lodash/filter'
 import { getProjects, createProject, patchProject, updateProject, deleteProject } from '@/utils/api'
 
 // initial state
@@ -28,8 +29,8 @@ const actions = {
     commit('RECEIVE', list)
     return state.all
   },
-  async create ({ commit }, { metadata, data }) {
-    const res = await createProject({ data: { metadata, data } })
+  async create ({ commit }, { metadata, data, template }) {
+    const res = await createProject({ data: { metadata, data, template } })
     commit('ITEM_PUT', res.data)
     return res.data
   },
@@ -52,19 +53,34 @@ const actions = {
   }
 }
 
+function putItem (state, newItem) {
+  const predicate = item => item.metadata.name === newItem.metadata.name
+  const index = findIndex(state.all, predicate)
+  if (index !== -1) {
+    const item = state.all[index]
+    state.all.splice(index, 1, assign({}, item, newItem))
+  } else {
+    state.all.push(newItem)
+  }
+}
+
 // mutations
 const mutations = {
   RECEIVE (state, items) {
     state.all = items
   },
   ITEM_PUT (state, newItem) {
-    const predicate = item => item.metadata.name === newItem.metadata.name
-    const index = findIndex(state.all, predicate)
-    if (index !== -1) {
-      const item = state.all[index]
-      state.all.splice(index, 1, assign({}, item, newItem))
-    } else {
-      state.all.push(newItem)
+    putItem(state, newItem)
+  },
+  HANDLE_EVENT (state, { type, object }) {
+    switch (type) {
+      case 'ADDED':
+      case 'MODIFIED':
+        putItem(state, object)
+        break
+      case 'DELETED':
+        state.all = filter(state.all, item => item.metadata.name !== object.metadata.name)
+        break
     }
   }
 }
@@ -6,6 +6,8 @@
 
 import { getSeeds } from '@/utils/api'
 import find from 'lodash/find'
+import findIndex from 'lodash/findIndex'
+import filter from 'lodash/filter'
 
 // initial state
 const state = {
@@ -35,6 +37,24 @@ const actions = {
 const mutations = {
   RECEIVE (state, items) {
     state.all = items
+  },
+  HANDLE_EVENT (state, { type, object }) {
+    const name = object.metadata.name
+    switch (type) {
+      case 'ADDED':
+      case 'MODIFIED': {
+        const index = findIndex(state.all, ['metadata.name', name])
+        if (index !== -1) {
+          state.all.splice(index, 1, object)
+        } else {
+          state.all.push(object)
+        }
+        break
+      }
+      case 'DELETED':
+        state.all = filter(state.all, item => item.metadata.name !== name)
+        break
+    }
   }
 }
 
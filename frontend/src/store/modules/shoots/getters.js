@@ -27,6 +27,7 @@ import {
 } from '@/utils'
 import { findItem, parseSearch, constants, getCondition } from './helper'
 import { isUserError, errorCodesFromArray } from '@/utils/errorCodes'
+import { estimateShootCost } from '@/utils/costs'
 
 export function getRawVal (rootGetters, item, column) {
   const metadata = item.metadata
@@ -63,6 +64,13 @@ export function getRawVal (rootGetters, item, column) {
       return getIssueSince(item.status) || 0
     case 'technicalId':
       return item.status?.technicalID
+    case 'cost': {
+      const prices = rootGetters.pricesByCloudProfileNameAndRegion({
+        cloudProfileName: get(spec, 'cloudProfileName'),
+        region: get(spec, 'region')
+      })
+      return estimateShootCost(get(spec, 'provider.workers'), prices)
+    }
     default: {
       if (startsWith(column, 'Z_')) {
         const path = get(rootGetters.shootCustomFields, [column, 'path'])
@@ -131,6 +139,9 @@ export function getSortVal (rootGetters, item, sortBy) {
         name: metadata.name
       })
     }
+    case 'cost':
+      // shoots without an estimation are sorted before the cheapest ones
+      return get(value, 'maximum', -1)
     default:
       return toLower(value)
   }
@@ -309,5 +320,8 @@ export default {
     return (type) => {
       return get(rootState.cfg, ['knownConditions', type], getCondition(type))
     }
+  },
+  alertsByUid (state) {
+    return uid => get(state.alerts, uid, [])
   }
 }
@@ -21,6 +21,11 @@ import isEmpty from 'lodash/isEmpty'
 import cloneDeep from 'lodash/cloneDeep'
 import find from 'lodash/find'
 import difference from 'lodash/difference'
+import isEqual from 'lodash/isEqual'
+import take from 'lodash/take'
+import uniq from 'lodash/uniq'
+import flatMap from 'lodash/flatMap'
+import unset from 'lodash/unset'
 import getters from './getters'
 import { keyForShoot, findItem, constants, putItem, deleteItem } from './helper'
 import {
@@ -29,10 +34,11 @@ import {
   getIssues,
   getIssuesAndComments,
   getShootInfo,
+  getAlerts,
   createShoot,
   deleteShoot
 } from '@/utils/api'
-import { getSpecTemplate, getDefaultZonesNetworkConfiguration, getControlPlaneZone } from '@/utils/createShoot'
+import { getSpecTemplate, getDefaultZonesNetworkConfiguration, getControlPlaneZone, cloneShootResource } from '@/utils/createShoot'
 import { isNotFound } from '@/utils/error'
 import {
   isReconciliationDeactivated,
@@ -54,6 +60,7 @@ const uriPattern = /^([^:/?#]+:)?(\/\/[^/?#]*)?([^?#]*)(\?[^#]*)?(#.*)?/
 const state = {
   shoots: {},
   staleShoots: {}, // shoots will be moved here when they are removed in case focus mode is active
+  alerts: {}, // alerts of the configured alert rules by shoot uid
   sortedUidsAtFreeze: [],
   filteredShoots: [], // TODO fill
   selection: undefined,
@@ -65,7 +72,13 @@ const state = {
   subscriptionState: constants.CLOSED,
   subscriptionError: null,
   sortBy: undefined,
-  sortDesc: undefined
+  sortDesc: undefined,
+  serverSide: false,
+  serverItemsLength: 0,
+  shootCounts: {},
+  pageQuery: undefined,
+  pageTokens: [],
+  pageRequest: undefined
 }
 
 function clearAll ({ commit }) {
@@ -90,7 +103,7 @@ const actions = {
     commit('SET_SUBSCRIPTION', { namespace, name })
     return dispatch('synchronize')
   },
-  synchronize ({ commit, dispatch, getters, rootState, rootGetters }) {
+  synchronize ({ commit, dispatch, getters, state, rootState, rootGetters }) {
     const fetchShoot = async options => {
       const [
         { data: shoot },
@@ -107,14 +120,25 @@ const actions = {
 
     const fetchShoots = async options => {
       const { namespace } = options
+      const threshold = get(rootState.cfg, 'shootList.serverSideThreshold', 1000)
+      // a limit is only sent if a previous request has shown that the list exceeds the threshold
+      const limit = get(state.shootCounts, namespace, 0) > threshold
+        ? threshold
+        : undefined
       const [
-        { data: { items } },
+        { data: { metadata = {}, items } },
         { data: { issues = [] } }
       ] = await Promise.all([
-        getShoots(options),
+        getShoots({ ...options, limit }),
         getIssues({ namespace })
       ])
       logger.debug('Fetched shoots and tickets in namespace %s', options.namespace)
+      const count = items.length + (metadata.remainingItemCount || 0)
+      commit('SET_SHOOT_COUNT', { namespace, count })
+      // the result set is too large to be handled on the client side
+      commit('SET_SERVER_SIDE', count > threshold
+        ? { serverItemsLength: count }
+        : false)
       return { shoots: items, issues, comments: [] }
     }
 
@@ -134,9 +158,15 @@ const actions = {
           ? fetchShoot(options)
           : fetchShoots(options)
         const { shoots, issues, comments } = await promise
-        commit('RECEIVE', { rootState, rootGetters, shoots })
+        if (state.serverSide && state.pageRequest) {
+          await dispatch('fetchPage', state.pageRequest)
+        } else {
+          commit('RECEIVE', { rootState, rootGetters, shoots })
+        }
         commit('tickets/RECEIVE_ISSUES', issues, { root: true })
         commit('tickets/RECEIVE_COMMENTS', comments, { root: true })
+        // fetch alerts in the background (do not await the promise)
+        dispatch('fetchAlerts', options)
         commit('SUBSCRIBE', options)
       } catch (err) {
         const message = get(err, 'response.data.message', err.message)
@@ -152,6 +182,51 @@ const actions = {
       return fetchData(options)
     }
   },
+  /**
+   * Fetch a single page of the shoot list from the server. Only used if the
+   * result set is too large to be filtered, sorted and paginated on the client side.
+   */
+  async fetchPage ({ commit, state, getters, rootState, rootGetters }, { search, sortBy, sortDesc, page = 1, itemsPerPage }) {
+    const options = getters.subscription
+    if (!state.serverSide || !options) {
+      return
+    }
+    commit('SET_PAGE_REQUEST', { search, sortBy, sortDesc, page, itemsPerPage })
+    const query = {
+      search,
+      sortBy,
+      sortDesc,
+      limit: itemsPerPage
+    }
+    if (!isEqual(query, state.pageQuery)) {
+      commit('RESET_PAGES', query)
+    }
+    // continue with the nearest page for which the continue token is known
+    let index = Math.min(page, state.pageTokens.length) - 1
+    let data
+    do {
+      ({ data } = await getShoots({ ...options, ...query, continue: state.pageTokens[index] }))
+      index++
+      if (data.metadata.continue) {
+        commit('SET_PAGE_TOKEN', { index, token: data.metadata.continue })
+      }
+    } while (index < page && data.metadata.continue)
+    const serverItemsLength = (index - 1) * itemsPerPage + data.items.length + (data.metadata.remainingItemCount || 0)
+    commit('SET_SERVER_SIDE', { serverItemsLength })
+    commit('RECEIVE', { rootState, rootGetters, shoots: data.items })
+    return index
+  },
+  async fetchAlerts ({ commit, rootGetters }, { namespace }) {
+    if (!rootGetters.isAlertRulesEnabled) {
+      return
+    }
+    try {
+      const { data: { items } } = await getAlerts({ namespace })
+      commit('RECEIVE_ALERTS', items)
+    } catch (err) {
+      logger.error('Failed to fetch alerts:', err.message)
+    }
+  },
   create ({ dispatch, commit, rootState }, data) {
     const namespace = data.metadata.namespace || rootState.namespace
     return createShoot({ namespace, data })
@@ -258,11 +333,7 @@ const actions = {
     if (!isEmpty(loadBalancerProviderName)) {
       set(shootResource, 'spec.provider.controlPlaneConfig.loadBalancerProvider', loadBalancerProviderName)
     }
-    const secretDomain = get(secret, 'data.domainName')
-    const floatingPoolName = head(rootGetters.floatingPoolNamesByCloudProfileNameAndRegionAndDomain({ cloudProfileName, region, secretDomain }))
-    if (!isEmpty(floatingPoolName)) {
-      set(shootResource, 'spec.provider.infrastructureConfig.floatingPoolName', floatingPoolName)
-    }
+    setInfrastructureConfigDefaults(shootResource, { cloudProfileName, region, secret }, rootGetters)
 
     const allLoadBalancerClassNames = rootGetters.loadBalancerClassNamesByCloudProfileName(cloudProfileName)
     if (!isEmpty(allLoadBalancerClassNames)) {
@@ -275,27 +346,6 @@ const actions = {
       set(shootResource, 'spec.provider.controlPlaneConfig.loadBalancerClasses', loadBalancerClasses)
     }
 
-    const partitionIDs = rootGetters.partitionIDsByCloudProfileNameAndRegion({ cloudProfileName, region })
-    const partitionID = head(partitionIDs)
-    if (!isEmpty(partitionID)) {
-      set(shootResource, 'spec.provider.infrastructureConfig.partitionID', partitionID)
-    }
-    const firewallImages = rootGetters.firewallImagesByCloudProfileName(cloudProfileName)
-    const firewallImage = head(firewallImages)
-    if (!isEmpty(firewallImage)) {
-      set(shootResource, 'spec.provider.infrastructureConfig.firewall.image', firewallImage)
-    }
-    const firewallSizes = map(rootGetters.firewallSizesByCloudProfileNameAndRegion({ cloudProfileName, region }), 'name')
-    const firewallSize = head(firewallSizes)
-    if (!isEmpty(firewallSize)) {
-      set(shootResource, 'spec.provider.infrastructureConfig.firewall.size', firewallImage)
-    }
-    const allFirewallNetworks = rootGetters.firewallNetworksByCloudProfileNameAndPartitionId({ cloudProfileName, partitionID })
-    const firewallNetworks = find(allFirewallNetworks, { key: 'internet' })
-    if (!isEmpty(firewallNetworks)) {
-      set(shootResource, 'spec.provider.infrastructureConfig.firewall.networks', firewallNetworks)
-    }
-
     const name = shortRandomString(10)
     set(shootResource, 'metadata.name', name)
 
@@ -355,6 +405,56 @@ const actions = {
     commit('RESET_NEW_SHOOT_RESOURCE', shootResource)
     return state.newShootResource
   },
+  async cloneNewShootResource ({ commit, state, rootState, rootGetters }, { clone, name, secretBindingName, region }) {
+    const [sourceNamespace, sourceName] = clone.split('/')
+    const { data: sourceShootResource } = await getShoot({ namespace: sourceNamespace, name: sourceName })
+    const { cloudProfileName, provider: { type: infrastructureKind } = {} } = sourceShootResource.spec
+
+    // the secret binding of the original cluster can only be reused within the same project
+    const secrets = rootGetters.infrastructureSecretsByCloudProfileName(cloudProfileName)
+    if (!secretBindingName && sourceNamespace === rootState.namespace) {
+      secretBindingName = sourceShootResource.spec.secretBindingName
+    }
+    if (!find(secrets, ['metadata.name', secretBindingName])) {
+      secretBindingName = get(head(secrets), 'metadata.name')
+    }
+    const sourceRegion = sourceShootResource.spec.region
+    const shootResource = cloneShootResource(sourceShootResource, {
+      name: name || shortRandomString(10),
+      namespace: rootState.namespace,
+      secretBindingName,
+      region: region || sourceRegion
+    })
+
+    // the infrastructure config of the original cluster references its infrastructure (e.g. the id of the vpc),
+    // therefore it is replaced by the defaults for the region of the new cluster
+    const secret = find(secrets, ['metadata.name', secretBindingName])
+    setInfrastructureConfigDefaults(shootResource, { cloudProfileName, region: shootResource.spec.region, secret }, rootGetters)
+    const allZones = rootGetters.zonesByCloudProfileNameAndRegion({ cloudProfileName, region: shootResource.spec.region })
+    const workers = get(shootResource, 'spec.provider.workers', [])
+    if (shootResource.spec.region !== sourceRegion) {
+      // zones of the original region are not available in the new region
+      for (const worker of workers) {
+        worker.zones = allZones.length
+          ? take(allZones, Math.max(get(worker, 'zones.length', 0), 1))
+          : undefined
+      }
+      const controlPlaneZone = getControlPlaneZone(workers, infrastructureKind)
+      if (controlPlaneZone) {
+        set(shootResource, 'spec.provider.controlPlaneConfig.zone', controlPlaneZone)
+      } else {
+        unset(shootResource, 'spec.provider.controlPlaneConfig.zone')
+      }
+    }
+    const nodesCIDR = get(shootResource, 'spec.networking.nodes', rootGetters.nodesCIDR)
+    const zonesNetworkConfiguration = getDefaultZonesNetworkConfiguration(uniq(flatMap(workers, 'zones')), infrastructureKind, allZones.length, nodesCIDR)
+    if (zonesNetworkConfiguration) {
+      set(shootResource, 'spec.provider.infrastructureConfig.networks.zones', zonesNetworkConfiguration)
+    }
+
+    commit('RESET_NEW_SHOOT_RESOURCE', shootResource)
+    return state.newShootResource
+  },
   setFocusMode ({ commit, getters }, value) {
     let sortedUids
     if (value) {
@@ -365,6 +465,36 @@ const actions = {
   }
 }
 
+// region specific defaults of the infrastructure config, which are also used for clones of other clusters
+function setInfrastructureConfigDefaults (shootResource, { cloudProfileName, region, secret }, rootGetters) {
+  const secretDomain = get(secret, 'data.domainName')
+  const floatingPoolName = head(rootGetters.floatingPoolNamesByCloudProfileNameAndRegionAndDomain({ cloudProfileName, region, secretDomain }))
+  if (!isEmpty(floatingPoolName)) {
+    set(shootResource, 'spec.provider.infrastructureConfig.floatingPoolName', floatingPoolName)
+  }
+
+  const partitionIDs = rootGetters.partitionIDsByCloudProfileNameAndRegion({ cloudProfileName, region })
+  const partitionID = head(partitionIDs)
+  if (!isEmpty(partitionID)) {
+    set(shootResource, 'spec.provider.infrastructureConfig.partitionID', partitionID)
+  }
+  const firewallImages = rootGetters.firewallImagesByCloudProfileName(cloudProfileName)
+  const firewallImage = head(firewallImages)
+  if (!isEmpty(firewallImage)) {
+    set(shootResource, 'spec.provider.infrastructureConfig.firewall.image', firewallImage)
+  }
+  const firewallSizes = map(rootGetters.firewallSizesByCloudProfileNameAndRegion({ cloudProfileName, region }), 'name')
+  const firewallSize = head(firewallSizes)
+  if (!isEmpty(firewallSize)) {
+    set(shootResource, 'spec.provider.infrastructureConfig.firewall.size', firewallImage)
+  }
+  const allFirewallNetworks = rootGetters.firewallNetworksByCloudProfileNameAndPartitionId({ cloudProfileName, partitionID })
+  const firewallNetworks = find(allFirewallNetworks, { key: 'internet' })
+  if (!isEmpty(firewallNetworks)) {
+    set(shootResource, 'spec.provider.infrastructureConfig.firewall.networks', firewallNetworks)
+  }
+}
+
 function onlyAllShootsWithIssues (state, rootState) {
   return rootState.namespace === '_all' && get(state.shootListFilters, 'onlyShootsWithIssues', true)
 }
@@ -484,6 +614,10 @@ const mutations = {
     switch (event.type) {
       case 'ADDED':
       case 'MODIFIED':
+        // Only the current page is kept in the store if the shoot list is paginated on the server side
+        if (state.serverSide && !findItem(state)(event.object.metadata)) {
+          break
+        }
         // Do not add healthy shoots when onlyShootsWithIssues=true, this can happen when toggeling flag
         if (notOnlyShootsWithIssues || shootHasIssue(event.object)) {
           putItem(state, event.object)
@@ -501,9 +635,54 @@ const mutations = {
       state.filteredShoots = getFilteredItems(state, rootState, rootGetters)
     }
   },
+  RECEIVE_ALERTS (state, items) {
+    const alerts = {}
+    for (const item of items) {
+      alerts[item.uid] = item.alerts
+    }
+    state.alerts = alerts
+  },
+  HANDLE_ALERTS_EVENT (state, { uid, alerts }) {
+    if (isEmpty(alerts)) {
+      Vue.delete(state.alerts, uid)
+    } else {
+      Vue.set(state.alerts, uid, alerts)
+    }
+  },
   CLEAR_ALL (state) {
     state.shoots = {}
     state.staleShoots = {}
+    state.alerts = {}
+    state.serverSide = false
+    state.serverItemsLength = 0
+    state.pageQuery = undefined
+    state.pageTokens = []
+    state.pageRequest = undefined
+  },
+  SET_SERVER_SIDE (state, value) {
+    if (value) {
+      state.serverSide = true
+      state.serverItemsLength = value.serverItemsLength
+    } else {
+      state.serverSide = false
+      state.serverItemsLength = 0
+      state.pageQuery = undefined
+      state.pageTokens = []
+      state.pageRequest = undefined
+    }
+  },
+  SET_SHOOT_COUNT (state, { namespace, count }) {
+    Vue.set(state.shootCounts, namespace, count)
+  },
+  SET_PAGE_REQUEST (state, value) {
+    state.pageRequest = value
+  },
+  RESET_PAGES (state, query) {
+    state.pageQuery = query
+    state.pageTokens = [undefined]
+  },
+  SET_PAGE_TOKEN (state, { index, token }) {
+    Vue.set(state.pageTokens, index, token)
   },
   CLEAR_FREEZED_STALE_SHOOTS (state) {
     state.staleShoots = {}
@@ -4,6 +4,8 @@
 // SPDX-License-Identifier: Apache-2.0
 //
 
+import Vue from 'vue'
+
 // initial state
 const state = {
   readyState: 'closed',
@@ -18,7 +20,9 @@ const state = {
     factor: 2,
     jitter: 0.5,
     attempts: 0
-  }
+  },
+  // subscriptions other than shoots, keyed by subscription type
+  subscriptions: {}
 }
 
 // getters
@@ -91,6 +95,12 @@ const mutations = {
   },
   CONNECT () {
     // only used to trigger `socket.connect()`
+  },
+  SUBSCRIBE (state, { key, options = {} }) {
+    Vue.set(state.subscriptions, key, options)
+  },
+  UNSUBSCRIBE (state, key) {
+    Vue.delete(state.subscriptions, key)
   }
 }
 
@@ -75,6 +75,12 @@ const actions = {
   clearComments ({ commit, state }) {
     commit('CLEAR_COMMENTS')
     return state.comments
+  },
+  addIssue ({ commit }, issue) {
+    commit('HANDLE_ISSUES_EVENT', { type: 'ADDED', object: issue })
+  },
+  addComment ({ commit }, comment) {
+    commit('HANDLE_COMMENTS_EVENT', { type: 'ADDED', object: comment })
   }
 }
 
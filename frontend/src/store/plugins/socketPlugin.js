@@ -162,6 +162,12 @@ function createSocket (store, userManager, logger) {
     }
   })
 
+  socket.on('alerts', event => {
+    if (store.getters.currentNamespaces.includes(event.namespace)) {
+      store.commit('shoots/HANDLE_ALERTS_EVENT', event)
+    }
+  })
+
   socket.on('issues', event => {
     store.commit('tickets/HANDLE_ISSUES_EVENT', event)
   })
@@ -170,6 +176,32 @@ function createSocket (store, userManager, logger) {
     store.commit('tickets/HANDLE_COMMENTS_EVENT', event)
   })
 
+  socket.on('projects', event => {
+    store.commit('projects/HANDLE_EVENT', event)
+  })
+
+  socket.on('seeds', event => {
+    store.commit('seeds/HANDLE_EVENT', event)
+  })
+
+  socket.on('secrets', event => {
+    if (event.object.metadata.namespace !== store.state.namespace) {
+      return
+    }
+    // secret events do not contain the secret data
+    if (event.type === 'DELETED') {
+      store.commit('cloudProviderSecrets/ITEM_DELETED', event.object)
+    } else {
+      store.dispatch('cloudProviderSecrets/getAll')
+    }
+  })
+
+  socket.on('members', event => {
+    if (event.namespace === store.state.namespace) {
+      store.commit('members/HANDLE_EVENT', event)
+    }
+  })
+
   return socket
 }
 
@@ -215,6 +247,37 @@ export default function createPlugin (userManager, logger) {
       })
     }
 
+    // subscriptions other than shoots are kept in the socket module and renewed on every connect
+    const emitSubscribeResource = (key, options) => {
+      if (socket.connected) {
+        socket.emit('subscribe', key, options, ({ statusCode, message }) => {
+          if (statusCode === 200) {
+            logger.debug('subscribed %s', key)
+          } else {
+            logger.error('failed to subscribe %s: %s', key, message)
+          }
+        })
+      }
+    }
+
+    const emitUnsubscribeResource = key => {
+      if (socket.connected) {
+        socket.emit('unsubscribe', key, ({ statusCode, message }) => {
+          if (statusCode === 200) {
+            logger.debug('unsubscribed %s', key)
+          } else {
+            logger.error('failed to unsubscribe %s: %s', key, message)
+          }
+        })
+      }
+    }
+
+    socket.on('connect', () => {
+      for (const [key, options] of Object.entries(store.state.socket.subscriptions)) {
+        emitSubscribeResource(key, options)
+      }
+    })
+
     store.subscribe((mutation) => {
       switch (mutation.type) {
         case 'SET_USER': {
@@ -229,6 +292,15 @@ export default function createPlugin (userManager, logger) {
           emitUnsubscribe()
           break
         }
+        case 'socket/SUBSCRIBE': {
+          const { key, options = {} } = mutation.payload
+          emitSubscribeResource(key, options)
+          break
+        }
+        case 'socket/UNSUBSCRIBE': {
+          emitUnsubscribeResource(mutation.payload)
+          break
+        }
         case 'socket/CONNECT': {
           if (!socket.connected) {
             socket.connect()
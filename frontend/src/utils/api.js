@@ -82,14 +82,30 @@ export function getIssuesAndComments ({ namespace, name }) {
   return getResource(`/api/namespaces/${namespace}/tickets/${name}`)
 }
 
+export function createIssue ({ namespace, data }) {
+  namespace = encodeURIComponent(namespace)
+  return createResource(`/api/namespaces/${namespace}/tickets`, data)
+}
+
+export function createIssueComment ({ namespace, name, data }) {
+  namespace = encodeURIComponent(namespace)
+  name = encodeURIComponent(name)
+  return createResource(`/api/namespaces/${namespace}/tickets/${name}/comments`, data)
+}
+
 /* Shoot Clusters */
 
-export function getShoots ({ namespace, labelSelector }) {
-  const search = labelSelector
-    ? '?' + new URLSearchParams({ labelSelector }).toString()
-    : ''
+export function getShoots ({ namespace, labelSelector, search, sortBy, sortDesc, limit, continue: continueToken }) {
+  const params = new URLSearchParams()
+  const query = { labelSelector, search, sortBy, sortDesc, limit, continue: continueToken }
+  for (const [key, value] of Object.entries(query)) {
+    if (value !== undefined && value !== null && value !== '') {
+      params.append(key, value)
+    }
+  }
+  const queryString = params.toString()
   namespace = encodeURIComponent(namespace)
-  return getResource(`/api/namespaces/${namespace}/shoots` + search)
+  return getResource(`/api/namespaces/${namespace}/shoots` + (queryString ? '?' + queryString : ''))
 }
 
 export function getShoot ({ namespace, name }) {
@@ -103,6 +119,31 @@ export function createShoot ({ namespace, data }) {
   return createResource(`/api/namespaces/${namespace}/shoots`, data)
 }
 
+export function bulkShootOperation ({ namespace, data }) {
+  namespace = encodeURIComponent(namespace)
+  return callResourceMethod(`/api/namespaces/${namespace}/shoots/_bulk`, data)
+}
+
+export function exportShoots ({ namespace, data }) {
+  namespace = encodeURIComponent(namespace)
+  return callResourceMethod(`/api/namespaces/${namespace}/shoots/_export`, data)
+}
+
+export function importShoots ({ namespace, data }) {
+  namespace = encodeURIComponent(namespace)
+  return callResourceMethod(`/api/namespaces/${namespace}/shoots/_import`, data)
+}
+
+export function getMachineImageReport ({ namespace }) {
+  namespace = encodeURIComponent(namespace)
+  return getResource(`/api/namespaces/${namespace}/machineimages`)
+}
+
+export function updateMachineImages ({ namespace, data }) {
+  namespace = encodeURIComponent(namespace)
+  return callResourceMethod(`/api/namespaces/${namespace}/machineimages/_update`, data)
+}
+
 export function deleteShoot ({ namespace, name }) {
   namespace = encodeURIComponent(namespace)
   name = encodeURIComponent(name)
@@ -115,6 +156,15 @@ export function replaceShoot ({ namespace, name, data }) {
   return updateResource(`/api/namespaces/${namespace}/shoots/${name}`, data)
 }
 
+export function validateShoot ({ namespace, name, data }) {
+  namespace = encodeURIComponent(namespace)
+  if (name) {
+    name = encodeURIComponent(name)
+    return callResourceMethod(`/api/namespaces/${namespace}/shoots/${name}/_validate`, data)
+  }
+  return callResourceMethod(`/api/namespaces/${namespace}/shoots/_validate`, data)
+}
+
 export function addShootAnnotation ({ namespace, name, data }) {
   namespace = encodeURIComponent(namespace)
   name = encodeURIComponent(name)
@@ -127,6 +177,12 @@ export function getShootInfo ({ namespace, name }) {
   return getResource(`/api/namespaces/${namespace}/shoots/${name}/info`)
 }
 
+export function getShootHistory ({ namespace, name }) {
+  namespace = encodeURIComponent(namespace)
+  name = encodeURIComponent(name)
+  return getResource(`/api/namespaces/${namespace}/shoots/${name}/history`)
+}
+
 export function updateShootVersion ({ namespace, name, data }) {
   namespace = encodeURIComponent(namespace)
   name = encodeURIComponent(name)
@@ -279,6 +335,17 @@ export function resetServiceAccount ({ namespace, name }) {
   })
 }
 
+export function exportMembers ({ namespace, format }) {
+  namespace = encodeURIComponent(namespace)
+  format = encodeURIComponent(format)
+  return getResource(`/api/namespaces/${namespace}/members/_export?format=${format}`)
+}
+
+export function importMembers ({ namespace, data }) {
+  namespace = encodeURIComponent(namespace)
+  return callResourceMethod(`/api/namespaces/${namespace}/members/_import`, data)
+}
+
 /* User */
 export function createTokenReview (data) {
   return createResource('/auth', data)
@@ -338,6 +405,14 @@ export function deleteTerminal ({ namespace, name, target, body = {} }) {
   return invokeTerminalMethod('remove', body)
 }
 
+export function listAllTerminalSessions () {
+  return invokeTerminalMethod('listAll', {})
+}
+
+export function terminateTerminalSession ({ namespace, name }) {
+  return invokeTerminalMethod('terminate', { namespace, name })
+}
+
 export function heartbeat ({ namespace, name, target, body = {} }) {
   body.coordinate = {
     name,
@@ -356,6 +431,39 @@ export function terminalConfig ({ namespace, name, target, body = {} }) {
   return invokeTerminalMethod('config', body)
 }
 
+export function listTerminalRecordings ({ namespace, name, body = {} }) {
+  body.coordinate = {
+    name,
+    namespace
+  }
+  return invokeTerminalMethod('listRecordings', body)
+}
+
+export function fetchTerminalRecording ({ id }) {
+  return invokeTerminalMethod('fetchRecording', { id })
+}
+
+export function startTerminalSharing ({ namespace, name, target, body = {} }) {
+  body.coordinate = {
+    name,
+    namespace,
+    target
+  }
+  return invokeTerminalMethod('startSharing', body)
+}
+
+export function stopTerminalSharing ({ id }) {
+  return invokeTerminalMethod('stopSharing', { id })
+}
+
+export function updateTerminalShareObserver ({ id, username, allowInput }) {
+  return invokeTerminalMethod('updateShareObserver', { id, username, allowInput })
+}
+
+export function fetchTerminalShare ({ id }) {
+  return invokeTerminalMethod('fetchShare', { id })
+}
+
 function invokeTerminalMethod (method, body) {
   return callResourceMethod('/api/terminals', {
     method,
@@ -382,6 +490,80 @@ export function getResourceQuotas ({ namespace }) {
   return getResource(`/api/namespaces/${namespace}/resourcequotas`)
 }
 
+/* Audit */
+
+export function getAuditEntries ({ namespace, user, limit }) {
+  const params = new URLSearchParams()
+  const query = { namespace, user, limit }
+  for (const [key, value] of Object.entries(query)) {
+    if (value !== undefined && value !== null && value !== '') {
+      params.append(key, value)
+    }
+  }
+  const queryString = params.toString()
+  return getResource('/api/audit' + (queryString ? '?' + queryString : ''))
+}
+
+/* Access Review */
+
+export function getAccessReview () {
+  return getResource('/api/accessreview')
+}
+
+/* Project Templates */
+
+export function getProjectTemplates () {
+  return getResource('/api/projecttemplates')
+}
+
+/* Notifications */
+
+export function getNotificationTargets ({ namespace }) {
+  namespace = encodeURIComponent(namespace)
+  return getResource(`/api/namespaces/${namespace}/notifications`)
+}
+
+export function updateNotificationTargets ({ namespace, data }) {
+  namespace = encodeURIComponent(namespace)
+  return updateResource(`/api/namespaces/${namespace}/notifications`, data)
+}
+
+/* Alert Rules */
+
+export function getAlertRules ({ namespace }) {
+  namespace = encodeURIComponent(namespace)
+  return getResource(`/api/namespaces/${namespace}/alertrules`)
+}
+
+export function updateAlertRules ({ namespace, data }) {
+  namespace = encodeURIComponent(namespace)
+  return updateResource(`/api/namespaces/${namespace}/alertrules`, data)
+}
+
+export function getAlerts ({ namespace }) {
+  namespace = encodeURIComponent(namespace)
+  return getResource(`/api/namespaces/${namespace}/alerts`)
+}
+
+/* Shoot Templates */
+
+export function getShootTemplates ({ namespace }) {
+  namespace = encodeURIComponent(namespace)
+  return getResource(`/api/namespaces/${namespace}/shoottemplates`)
+}
+
+export function updateShootTemplate ({ namespace, name, data }) {
+  namespace = encodeURIComponent(namespace)
+  name = encodeURIComponent(name)
+  return updateResource(`/api/namespaces/${namespace}/shoottemplates/${name}`, data)
+}
+
+export function deleteShootTemplate ({ namespace, name }) {
+  namespace = encodeURIComponent(namespace)
+  name = encodeURIComponent(name)
+  return deleteResource(`/api/namespaces/${namespace}/shoottemplates/${name}`)
+}
+
 export default {
   getConfiguration,
   getLoginConfiguration,
@@ -391,13 +573,17 @@ export default {
   deleteCloudProviderSecret,
   getIssues,
   getIssuesAndComments,
+  createIssue,
+  createIssueComment,
   getShoots,
   getShoot,
   createShoot,
+  bulkShootOperation,
   deleteShoot,
   replaceShoot,
   addShootAnnotation,
   getShootInfo,
+  getShootHistory,
   updateShootVersion,
   updateShootEnableStaticTokenKubeconfig,
   updateShootMaintenance,
@@ -421,6 +607,8 @@ export default {
   updateMember,
   getMember,
   deleteMember,
+  exportMembers,
+  importMembers,
   createTokenReview,
   getSubjectRules,
   getToken,
@@ -430,9 +618,28 @@ export default {
   fetchTerminalSession,
   listTerminalSessions,
   deleteTerminal,
+  listAllTerminalSessions,
+  terminateTerminalSession,
   heartbeat,
   terminalConfig,
+  listTerminalRecordings,
+  fetchTerminalRecording,
+  startTerminalSharing,
+  stopTerminalSharing,
+  updateTerminalShareObserver,
+  fetchTerminalShare,
   listProjectTerminalShortcuts,
   getGardenerExtensions,
-  updateShootControlPlaneHighAvailability
+  updateShootControlPlaneHighAvailability,
+  getNotificationTargets,
+  updateNotificationTargets,
+  getAlertRules,
+  updateAlertRules,
+  getAlerts,
+  getShootTemplates,
+  updateShootTemplate,
+  deleteShootTemplate,
+  getAuditEntries,
+  getAccessReview,
+  getProjectTemplates
 }
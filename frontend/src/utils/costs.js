@@ -0,0 +1,112 @@
+//
+// SPDX-FileCopyrightText: 2023 SAP SE or an SAP affiliate company and Gardener contributors
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+
+import get from 'lodash/get'
+import isEmpty from 'lodash/isEmpty'
+import isFinite from 'lodash/isFinite'
+import reduce from 'lodash/reduce'
+import { parseSize } from '@/utils'
+
+export const HOURS_PER_MONTH = 730
+
+/*
+  The price catalog is provided by the operator in the `costs` section of the frontend config:
+
+  catalog:
+    <cloudProfileName>:
+      default:                 # optional, fallback for all regions
+        machineTypes:
+          <machineType>: <price per hour>
+        volumeTypes:
+          <volumeType>: <price per GiB and month>
+      <region>: ...            # overrides the default prices
+*/
+export function getPrices (catalog, { cloudProfileName, region } = {}) {
+  const cloudProfilePrices = get(catalog, [cloudProfileName])
+  if (isEmpty(cloudProfilePrices)) {
+    return
+  }
+  const defaultPrices = get(cloudProfilePrices, ['default'], {})
+  const regionPrices = get(cloudProfilePrices, [region], {})
+  return {
+    machineTypes: {
+      ...defaultPrices.machineTypes,
+      ...regionPrices.machineTypes
+    },
+    volumeTypes: {
+      ...defaultPrices.volumeTypes,
+      ...regionPrices.volumeTypes
+    }
+  }
+}
+
+function getMachinePrice (worker, prices) {
+  const price = get(prices, ['machineTypes', get(worker, 'machine.type')])
+  if (!isFinite(price)) {
+    return
+  }
+  return price * HOURS_PER_MONTH
+}
+
+function getVolumePrice (worker, prices) {
+  const volume = get(worker, 'volume')
+  if (!volume) {
+    return 0
+  }
+  const price = get(prices, ['volumeTypes', volume.type])
+  if (!isFinite(price)) {
+    return 0
+  }
+  return price * Number(parseSize(volume.size))
+}
+
+/*
+  Returns the estimated monthly cost of a worker group for the minimum and maximum number of nodes.
+  Volumes without a price are not taken into account, machines without a price make the
+  estimation impossible and `undefined` is returned.
+*/
+export function estimateWorkerCost (worker, prices) {
+  const machinePrice = getMachinePrice(worker, prices)
+  if (machinePrice === undefined) {
+    return
+  }
+  const nodePrice = machinePrice + getVolumePrice(worker, prices)
+  return {
+    minimum: nodePrice * (Number(get(worker, 'minimum')) || 0),
+    maximum: nodePrice * (Number(get(worker, 'maximum')) || 0)
+  }
+}
+
+export function estimateShootCost (workers, prices) {
+  if (isEmpty(workers)) {
+    return
+  }
+  return reduce(workers, (total, worker) => {
+    const cost = estimateWorkerCost(worker, prices)
+    if (!total || !cost) {
+      return
+    }
+    return {
+      minimum: total.minimum + cost.minimum,
+      maximum: total.maximum + cost.maximum
+    }
+  }, { minimum: 0, maximum: 0 })
+}
+
+export function formatCost (value, currency = 'USD') {
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency,
+    maximumFractionDigits: 0
+  }).format(value)
+}
+
+export function formatCostRange ({ minimum, maximum } = {}, currency) {
+  if (minimum === maximum) {
+    return formatCost(maximum, currency)
+  }
+  return `${formatCost(minimum, currency)} - ${formatCost(maximum, currency)}`
+}
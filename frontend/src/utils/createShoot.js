@@ -5,6 +5,7 @@
 //
 
 import { Netmask } from 'netmask'
+import { isUserMetadataKey } from '@gardener-dashboard/shoot-utils'
 import map from 'lodash/map'
 import flatMap from 'lodash/flatMap'
 import uniq from 'lodash/uniq'
@@ -17,6 +18,14 @@ import filter from 'lodash/filter'
 import range from 'lodash/range'
 import pick from 'lodash/pick'
 import values from 'lodash/values'
+import omit from 'lodash/omit'
+import cloneDeep from 'lodash/cloneDeep'
+import mergeWith from 'lodash/mergeWith'
+import isArray from 'lodash/isArray'
+import pickBy from 'lodash/pickBy'
+import isEmpty from 'lodash/isEmpty'
+import get from 'lodash/get'
+import unset from 'lodash/unset'
 
 export function getSpecTemplate (infrastructureKind, defaultWorkerCIDR) {
   switch (infrastructureKind) {
@@ -344,3 +353,52 @@ export function getWorkerProviderConfig (infrastructureKind) {
     }
   }
 }
+
+// shoot spec properties that reference secrets or are specific to a single cluster
+const shootTemplateOmittedPaths = [
+  'secretBindingName',
+  'seedName',
+  'dns',
+  'resources'
+]
+
+export function applyShootTemplateSpec (spec, templateSpec) {
+  return mergeWith(cloneDeep(spec), omit(cloneDeep(templateSpec), shootTemplateOmittedPaths), (objValue, srcValue) => {
+    // lists like worker pools or hibernation schedules are taken from the template as a whole
+    if (isArray(srcValue)) {
+      return srcValue
+    }
+  })
+}
+
+export function cloneShootResource (shootResource, { name, namespace, secretBindingName, region }) {
+  const { apiVersion, kind, metadata = {}, spec = {} } = cloneDeep(shootResource)
+  const clonedSpec = omit(spec, ['seedName', 'dns.domain'])
+  if (namespace !== metadata.namespace) {
+    // dns providers and resources reference secrets of the original project
+    delete clonedSpec.dns
+    delete clonedSpec.resources
+  } else if (isEmpty(clonedSpec.dns)) {
+    delete clonedSpec.dns
+  }
+  // the infrastructure config references the infrastructure of the original cluster (e.g. the id of the vpc)
+  const infrastructureConfig = get(getProviderTemplate(get(spec, 'provider.type'), get(spec, 'networking.nodes')), 'infrastructureConfig')
+  if (infrastructureConfig) {
+    clonedSpec.provider.infrastructureConfig = infrastructureConfig
+  } else {
+    unset(clonedSpec, 'provider.infrastructureConfig')
+  }
+  clonedSpec.secretBindingName = secretBindingName
+  clonedSpec.region = region
+  return {
+    apiVersion,
+    kind,
+    metadata: {
+      name,
+      namespace,
+      labels: pickBy(metadata.labels, (value, key) => isUserMetadataKey(key)),
+      annotations: pickBy(metadata.annotations, (value, key) => isUserMetadataKey(key))
+    },
+    spec: clonedSpec
+  }
+}
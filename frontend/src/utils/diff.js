@@ -0,0 +1,53 @@
+//
+// SPDX-FileCopyrightText: 2023 SAP SE or an SAP affiliate company and Gardener contributors
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+
+function splitLines (text = '') {
+  const lines = text.split('\n')
+  if (lines[lines.length - 1] === '') {
+    lines.pop()
+  }
+  return lines
+}
+
+/**
+ * Computes a line based diff of two texts using the longest common subsequence.
+ * Each returned line has a type `unchanged`, `removed` or `added`.
+ */
+export function diffLines (oldText, newText) {
+  const a = splitLines(oldText)
+  const b = splitLines(newText)
+  const m = a.length
+  const n = b.length
+  const lcs = Array.from({ length: m + 1 }, () => new Uint32Array(n + 1))
+  for (let i = m - 1; i >= 0; i--) {
+    for (let j = n - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j]
+        ? lcs[i + 1][j + 1] + 1
+        : Math.max(lcs[i + 1][j], lcs[i][j + 1])
+    }
+  }
+  const lines = []
+  let i = 0
+  let j = 0
+  while (i < m && j < n) {
+    if (a[i] === b[j]) {
+      lines.push({ type: 'unchanged', text: a[i] })
+      i++
+      j++
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      lines.push({ type: 'removed', text: a[i++] })
+    } else {
+      lines.push({ type: 'added', text: b[j++] })
+    }
+  }
+  while (i < m) {
+    lines.push({ type: 'removed', text: a[i++] })
+  }
+  while (j < n) {
+    lines.push({ type: 'added', text: b[j++] })
+  }
+  return lines
+}
@@ -540,28 +540,37 @@ export function isZonedCluster ({ cloudProviderKind, shootSpec, isNewCluster })
   }
 }
 
-export const MEMBER_ROLE_DESCRIPTORS = [
+export const NOTIFICATION_EVENT_DESCRIPTORS = [
   {
-    name: 'admin',
-    displayName: 'Admin'
+    name: 'unhealthy',
+    displayName: 'Cluster becomes unhealthy'
   },
   {
-    name: 'viewer',
-    displayName: 'Viewer'
+    name: 'recovered',
+    displayName: 'Cluster recovers'
   },
   {
-    name: 'uam',
-    displayName: 'UAM'
+    name: 'lastOperationFailed',
+    displayName: 'Last operation failed'
   },
   {
-    name: 'serviceaccountmanager',
-    displayName: 'Service Account Manager'
+    name: 'deletionStarted',
+    displayName: 'Deletion started'
   },
   {
-    name: 'owner',
-    displayName: 'Owner',
-    notEditable: true,
-    tooltip: 'You can change the project owner on the administration page'
+    name: 'credentialRotationPending',
+    displayName: 'Credential rotation pending'
+  }
+]
+
+export const ALERT_RULE_TYPE_DESCRIPTORS = [
+  {
+    name: 'condition',
+    displayName: 'Condition has a status for a duration'
+  },
+  {
+    name: 'lastOperationFailed',
+    displayName: 'Last operation failed several times in a row'
   }
 ]
 
@@ -613,8 +622,8 @@ export const availableKubernetesUpdatesCache = new Map()
 
 export const UNKNOWN_EXPIRED_TIMESTAMP = '1970-01-01T00:00:00Z'
 
-export function sortedRoleDisplayNames (roleNames) {
-  const displayNames = filter(MEMBER_ROLE_DESCRIPTORS, role => includes(roleNames, role.name))
+export function sortedRoleDisplayNames (roleNames, roleDescriptors) {
+  const displayNames = filter(roleDescriptors, role => includes(roleNames, role.name))
   return sortBy(displayNames, 'displayName')
 }
 
@@ -0,0 +1,114 @@
+//
+// SPDX-FileCopyrightText: 2023 SAP SE or an SAP affiliate company and Gardener contributors
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+
+import get from 'lodash/get'
+import last from 'lodash/last'
+import toPath from 'lodash/toPath'
+import trim from 'lodash/trim'
+
+const keyRegex = /^("[^"]*"|'[^']*'|[^\s#'"-][^:#]*?|-[^\s:#][^:#]*?)\s*:(?:\s+(.*))?$/
+const itemRegex = /^-(?:\s+(.*))?$/
+
+function unquote (key) {
+  return trim(key, '\'"')
+}
+
+/*
+  Returns the property paths of a YAML document and the (zero based) lines where they are defined.
+  This is a line based scanner for the block style YAML produced by the editor, flow style values are not
+  traversed.
+*/
+export function getPathLines (content) {
+  const pathLines = new Map()
+  const stack = [{ indent: -1, path: [] }]
+  const counters = new Map()
+  let blockScalarIndent
+
+  const nextIndex = path => {
+    const key = path.join('.')
+    const index = counters.has(key) ? counters.get(key) + 1 : 0
+    counters.set(key, index)
+    return index
+  }
+
+  const lines = String(content).split('\n')
+  lines.forEach((line, lineNo) => {
+    const [, spaces, text] = /^(\s*)(.*?)\s*$/.exec(line)
+    let indent = spaces.length
+    if (blockScalarIndent !== undefined) {
+      if (!text || indent > blockScalarIndent) {
+        return
+      }
+      blockScalarIndent = undefined
+    }
+    if (!text || text.startsWith('#') || text === '---') {
+      return
+    }
+    let rest = text
+    while (rest) {
+      const itemMatch = itemRegex.exec(rest)
+      if (itemMatch) {
+        while (last(stack).indent > indent || (last(stack).indent === indent && last(stack).item)) {
+          stack.pop()
+        }
+        const parentPath = last(stack).path
+        const path = [...parentPath, String(nextIndex(parentPath))]
+        pathLines.set(path.join('.'), lineNo)
+        stack.push({ indent, path, item: true })
+        rest = itemMatch[1]
+        indent = spaces.length + text.length - get(rest, 'length', 0)
+        continue
+      }
+      const keyMatch = keyRegex.exec(rest)
+      if (keyMatch) {
+        while (last(stack).indent >= indent) {
+          stack.pop()
+        }
+        const path = [...last(stack).path, unquote(keyMatch[1])]
+        const key = path.join('.')
+        if (!pathLines.has(key)) {
+          pathLines.set(key, lineNo)
+        }
+        counters.delete(key)
+        stack.push({ indent, path })
+        if (/^[|>]/.test(get(keyMatch, 2, ''))) {
+          blockScalarIndent = indent
+        }
+      }
+      break
+    }
+  })
+  return pathLines
+}
+
+/*
+  Returns the line of a property path like `spec.provider.workers[0].zones[1]`. If the property itself is not
+  part of the document, the line of the closest parent property is returned.
+*/
+export function getLineOfPath (content, path, pathLines = getPathLines(content)) {
+  const segments = toPath(path)
+  while (segments.length) {
+    const key = segments.join('.')
+    if (pathLines.has(key)) {
+      return pathLines.get(key)
+    }
+    segments.pop()
+  }
+  return -1
+}
+
+export function getValidationErrorMessage (errors) {
+  const count = errors.length
+  return count === 1
+    ? 'The cluster specification contains 1 error'
+    : `The cluster specification contains ${count} errors`
+}
+
+export function getDetailedValidationErrorMessage (errors) {
+  return errors
+    .map(({ path, message }) => path ? `${path}: ${message}` : message)
+    .join('; ')
+}
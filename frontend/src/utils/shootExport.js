@@ -0,0 +1,42 @@
+//
+// SPDX-FileCopyrightText: 2023 SAP SE or an SAP affiliate company and Gardener contributors
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+
+import yaml from 'js-yaml'
+import get from 'lodash/get'
+import map from 'lodash/map'
+import uniqBy from 'lodash/uniqBy'
+import find from 'lodash/find'
+import isArray from 'lodash/isArray'
+
+export const shootExportKind = 'ShootExport'
+
+export function parseShootExport (content) {
+  let document
+  try {
+    document = yaml.load(content)
+  } catch (err) {
+    throw new Error(`The document is not valid YAML: ${err.message}`)
+  }
+  if (get(document, 'kind') !== shootExportKind || !isArray(document.shoots)) {
+    throw new Error(`The document is not a ${shootExportKind} document`)
+  }
+  return document
+}
+
+/*
+  Returns the secret bindings referenced by the shoots of an export document. The cloud profile of a
+  secret binding is taken from the shoots if the secret binding is not listed in the document.
+*/
+export function getReferencedSecretBindings (document) {
+  const secretBindings = get(document, 'secretBindings', [])
+  return uniqBy(map(document.shoots, ({ spec = {} }) => {
+    const secretBinding = find(secretBindings, ['name', spec.secretBindingName])
+    return {
+      name: spec.secretBindingName,
+      cloudProfileName: get(secretBinding, 'cloudProfileName', spec.cloudProfileName)
+    }
+  }), 'name')
+}
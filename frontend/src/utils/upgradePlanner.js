@@ -0,0 +1,168 @@
+//
+// SPDX-FileCopyrightText: 2023 SAP SE or an SAP affiliate company and Gardener contributors
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+
+import semver from 'semver'
+import get from 'lodash/get'
+import find from 'lodash/find'
+import filter from 'lodash/filter'
+import map from 'lodash/map'
+import groupBy from 'lodash/groupBy'
+import indexOf from 'lodash/indexOf'
+import uniq from 'lodash/uniq'
+import compact from 'lodash/compact'
+import some from 'lodash/some'
+import { isStatusProgressing } from '@/utils'
+
+// shoots with a less critical purpose are upgraded first
+export const stagePurposes = ['evaluation', 'development', 'testing', 'production', 'infrastructure']
+
+export const versionStatusColors = {
+  unknown: 'error',
+  expired: 'error',
+  expiring: 'warning',
+  deprecated: 'warning',
+  preview: 'info',
+  supported: 'success'
+}
+
+// sort order of the version status, the most critical first
+export const versionStatusSeverities = {
+  unknown: 0,
+  expired: 1,
+  expiring: 2,
+  deprecated: 3,
+  preview: 4,
+  supported: 5
+}
+
+/*
+  Returns the status of the kubernetes version of a shoot. The versions are
+  the decorated versions of the cloud profile (see the kubernetesVersions getter).
+*/
+export function getVersionStatus (version, versions) {
+  const item = find(versions, ['version', version])
+  if (!item) {
+    return 'unknown'
+  }
+  if (item.isExpired) {
+    return 'expired'
+  }
+  if (item.expirationDate) {
+    return 'expiring'
+  }
+  if (item.isDeprecated) {
+    return 'deprecated'
+  }
+  if (item.isPreview) {
+    return 'preview'
+  }
+  return 'supported'
+}
+
+export function getUpgradeTargets (version, versions) {
+  if (!semver.valid(version)) {
+    return {}
+  }
+  const candidates = filter(versions, item => {
+    return semver.valid(item.version) &&
+      !item.isExpired &&
+      !item.isPreview &&
+      semver.gt(item.version, version) &&
+      semver.major(item.version) === semver.major(version)
+  })
+  const latest = items => get(map(items, 'version').sort(semver.rcompare), 0)
+  return {
+    patch: latest(filter(candidates, ({ version: candidate }) => semver.minor(candidate) === semver.minor(version))),
+    // a minor upgrade must not skip a minor version
+    minor: latest(filter(candidates, ({ version: candidate }) => semver.minor(candidate) === semver.minor(version) + 1))
+  }
+}
+
+/*
+  Plans the upgrades of the given shoots. The upgrade type is either `patch` or `minor`.
+  Shoots without a target version of the upgrade type keep their version.
+*/
+export function planUpgrades (shoots, { getVersions, type = 'patch' }) {
+  return map(shoots, ({ metadata, spec = {} }) => {
+    const cloudProfileName = spec.cloudProfileName
+    const version = get(spec, 'kubernetes.version')
+    const versions = getVersions(cloudProfileName)
+    const item = find(versions, ['version', version])
+    const targets = getUpgradeTargets(version, versions)
+    return {
+      namespace: metadata.namespace,
+      name: metadata.name,
+      purpose: spec.purpose,
+      cloudProfileName,
+      version,
+      status: getVersionStatus(version, versions),
+      expirationDate: get(item, 'expirationDate'),
+      targets,
+      target: targets[type],
+      progressing: isStatusProgressing(metadata)
+    }
+  })
+}
+
+export function groupByVersion (items) {
+  const groups = map(groupBy(items, ({ cloudProfileName, version }) => `${cloudProfileName}/${version}`), items => {
+    const [{ cloudProfileName, version, status, expirationDate }] = items
+    return {
+      key: `${cloudProfileName}/${version}`,
+      cloudProfileName,
+      version,
+      status,
+      expirationDate,
+      targets: uniq(compact(map(items, 'target'))),
+      items
+    }
+  })
+  // the most critical versions first
+  return groups.sort((a, b) => {
+    return versionStatusSeverities[a.status] - versionStatusSeverities[b.status] ||
+      a.cloudProfileName.localeCompare(b.cloudProfileName) ||
+      compareVersions(a.version, b.version)
+  })
+}
+
+function compareVersions (a, b) {
+  if (semver.valid(a) && semver.valid(b)) {
+    return semver.compare(a, b)
+  }
+  return String(a).localeCompare(String(b))
+}
+
+function stageIndex (purpose) {
+  const index = indexOf(stagePurposes, purpose)
+  return index === -1 ? stagePurposes.length : index
+}
+
+/*
+  Returns the upgrade stages ordered by purpose. A stage can only be started if all upgrades of
+  the previous stages have been applied, i.e. no shoot of a previous stage has a target version
+  or is still progressing.
+*/
+export function getStages (items) {
+  const groups = groupBy(filter(items, 'target'), ({ purpose }) => stageIndex(purpose))
+  const progressingGroups = groupBy(filter(items, 'progressing'), ({ purpose }) => stageIndex(purpose))
+  const stages = []
+  let blocked = false
+  for (let index = 0; index <= stagePurposes.length; index++) {
+    const stageItems = groups[index] || []
+    const progressing = some(progressingGroups[index])
+    if (stageItems.length) {
+      stages.push({
+        purpose: stagePurposes[index] || 'other',
+        items: stageItems,
+        blocked
+      })
+    }
+    if (stageItems.length || progressing) {
+      blocked = true
+    }
+  }
+  return stages
+}
@@ -0,0 +1,77 @@
+//
+// SPDX-FileCopyrightText: 2023 SAP SE or an SAP affiliate company and Gardener contributors
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+
+// Libraries
+import Vuetify from 'vuetify'
+import Vuelidate from 'vuelidate'
+
+// Components
+import CreateTicketDialog from '@/components/dialogs/CreateTicketDialog'
+
+// Utilities
+import { createLocalVue, shallowMount } from '@vue/test-utils'
+
+describe('CreateTicketDialog.vue', () => {
+  const localVue = createLocalVue()
+  localVue.use(Vuetify)
+  localVue.use(Vuelidate)
+
+  let vuetify
+
+  const shallowMountDialog = async () => {
+    const wrapper = shallowMount(CreateTicketDialog, {
+      localVue,
+      vuetify,
+      propsData: {
+        value: false,
+        namespace: 'garden-foo',
+        name: 'bar',
+        projectName: 'foo'
+      }
+    })
+    await wrapper.setProps({ value: true })
+    return wrapper
+  }
+
+  beforeEach(() => {
+    vuetify = new Vuetify()
+    fetch.resetMocks()
+  })
+
+  it('should require a title', async () => {
+    const wrapper = await shallowMountDialog()
+    const vm = wrapper.vm
+    expect(vm.titlePrefix).toBe('[foo/bar]')
+    expect(vm.valid).toBe(false)
+    await vm.submit()
+    expect(fetch).not.toBeCalled()
+  })
+
+  it('should create a ticket and emit it', async () => {
+    const issue = { metadata: { number: 1, projectName: 'foo', name: 'bar' } }
+    fetch.mockResponseOnce(JSON.stringify(issue), {
+      headers: {
+        'content-type': 'application/json; charset=UTF-8'
+      }
+    })
+    const wrapper = await shallowMountDialog()
+    const vm = wrapper.vm
+    vm.internalTitle = 'Nodes are not ready'
+    vm.internalDescription = 'Please have a look'
+    await vm.submit()
+
+    const [req] = fetch.mock.calls[0]
+    expect(req.url).toBe('/api/namespaces/garden-foo/tickets')
+    expect(req.method).toBe('POST')
+    expect(await req.json()).toEqual({
+      name: 'bar',
+      title: 'Nodes are not ready',
+      description: 'Please have a look'
+    })
+    expect(wrapper.emitted().created[0][0]).toEqual(issue)
+    expect(wrapper.emitted().input[0][0]).toBe(false)
+  })
+})
@@ -0,0 +1,102 @@
+//
+// SPDX-FileCopyrightText: 2023 SAP SE or an SAP affiliate company and Gardener contributors
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+
+// Libraries
+import Vuetify from 'vuetify'
+import Vuelidate from 'vuelidate'
+
+// Components
+import NotificationTargetDialog from '@/components/dialogs/NotificationTargetDialog'
+
+// Utilities
+import { createLocalVue, shallowMount } from '@vue/test-utils'
+
+describe('NotificationTargetDialog.vue', () => {
+  const localVue = createLocalVue()
+  localVue.use(Vuetify)
+  localVue.use(Vuelidate)
+
+  let vuetify
+
+  const shallowMountDialog = async propsData => {
+    const wrapper = shallowMount(NotificationTargetDialog, {
+      localVue,
+      vuetify,
+      propsData: {
+        value: false,
+        targetNames: ['existing'],
+        ...propsData
+      }
+    })
+    await wrapper.setProps({ value: true })
+    return wrapper
+  }
+
+  beforeEach(() => {
+    vuetify = new Vuetify()
+  })
+
+  it('should emit a webhook target', async () => {
+    const wrapper = await shallowMountDialog()
+    const vm = wrapper.vm
+    expect(vm.valid).toBe(false)
+    vm.internalName = 'hook'
+    vm.internalUrl = 'https://example.org/hook'
+    vm.internalEvents = ['unhealthy']
+    expect(vm.valid).toBe(true)
+    vm.submit()
+    expect(wrapper.emitted().submit[0][0]).toEqual({
+      name: 'hook',
+      type: 'webhook',
+      url: 'https://example.org/hook',
+      events: ['unhealthy']
+    })
+  })
+
+  it('should require unique names', async () => {
+    const wrapper = await shallowMountDialog()
+    const vm = wrapper.vm
+    vm.internalName = 'existing'
+    vm.internalUrl = 'https://example.org/hook'
+    vm.internalEvents = ['unhealthy']
+    vm.$v.$touch()
+    expect(vm.valid).toBe(false)
+    expect(vm.getErrorMessages('internalName')).toEqual(['A target with this name already exists'])
+  })
+
+  it('should require smtp settings and omit credentials without username', async () => {
+    const wrapper = await shallowMountDialog({
+      target: {
+        name: 'mail',
+        type: 'smtp',
+        smtp: {
+          host: 'smtp.example.org',
+          from: 'gardener@example.org',
+          to: []
+        },
+        events: ['recovered']
+      }
+    })
+    const vm = wrapper.vm
+    expect(vm.isUpdateDialog).toBe(true)
+    expect(vm.valid).toBe(false)
+    vm.internalSmtp.to = ['ops@example.org']
+    vm.internalSmtp.password = 'secret'
+    expect(vm.valid).toBe(true)
+    vm.submit()
+    expect(wrapper.emitted().submit[0][0]).toEqual({
+      name: 'mail',
+      type: 'smtp',
+      smtp: {
+        host: 'smtp.example.org',
+        port: 587,
+        from: 'gardener@example.org',
+        to: ['ops@example.org']
+      },
+      events: ['recovered']
+    })
+  })
+})
@@ -135,4 +135,21 @@ describe('condition.vue', () => {
     expect(secondCondition.shortName).toBe('A')
     expect(thirdCondition.shortName).toBe('C')
   })
+
+  it('should return the alerts of the shoot', () => {
+    const alerts = [{ rule: 'apiserver-unavailable', severity: 'error', message: 'Condition APIServerAvailable has status False' }]
+    store.commit('shoots/HANDLE_ALERTS_EVENT', { namespace: 'foo', name: 'bar', uid: 'foo-bar', alerts })
+    const wrapper = shallowMount(StatusTags, {
+      localVue,
+      vuetify,
+      store,
+      computed: {
+        shootMetadata () {
+          return { namespace: 'foo', name: 'bar', uid: 'foo-bar' }
+        }
+      }
+    })
+    expect(wrapper.vm.alerts).toEqual(alerts)
+    expect(wrapper.vm.alertColor(alerts[0])).toBe('error')
+  })
 })
@@ -0,0 +1,173 @@
+//
+// SPDX-FileCopyrightText: 2023 SAP SE or an SAP affiliate company and Gardener contributors
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+
+import { TerminalSession, TerminalShare, parseAsciicast } from '@/lib/terminal'
+import {
+  startTerminalSharing,
+  stopTerminalSharing
+} from '@/utils/api'
+import { mockSocket, receive } from 'socket.io-client'
+
+jest.mock('@/utils/api')
+jest.mock('socket.io-client', () => {
+  const EventEmitter = jest.requireActual('eventemitter3')
+  const mockSocket = new EventEmitter()
+  Object.assign(mockSocket, {
+    connected: false,
+    connect: jest.fn(() => {
+      mockSocket.connected = true
+      receive('connect')
+    }),
+    disconnect: jest.fn(() => {
+      mockSocket.connected = false
+    }),
+    emit: jest.fn((eventName, ...args) => {
+      const done = args.pop()
+      if (eventName === 'subscribe') {
+        done({ statusCode: 200 })
+      }
+    })
+  })
+  const receive = (eventName, ...args) => EventEmitter.prototype.emit.call(mockSocket, eventName, ...args)
+  return {
+    __esModule: true,
+    io: jest.fn(() => mockSocket),
+    mockSocket,
+    receive
+  }
+})
+
+describe('lib', () => {
+  describe('terminal', () => {
+    describe('#parseAsciicast', () => {
+      it('should parse the header and the events', () => {
+        const data = [
+          '{"version":2,"width":80,"height":24}',
+          '[0.5,"o","$ "]',
+          '[1,"r","100x30"]',
+          ''
+        ].join('\n')
+        expect(parseAsciicast(data)).toEqual({
+          header: { version: 2, width: 80, height: 24 },
+          events: [
+            [0.5, 'o', '$ '],
+            [1, 'r', '100x30']
+          ]
+        })
+      })
+    })
+
+    describe('TerminalSession', () => {
+      let session
+
+      beforeEach(() => {
+        session = new TerminalSession({})
+        session.reconnect = jest.fn()
+      })
+
+      it('should only be attached by the backend if recording is enabled', () => {
+        expect(session.isAttachedByBackend).toBe(false)
+        session.recording = { enforced: false }
+        expect(session.isAttachedByBackend).toBe(true)
+      })
+
+      it('should attach the terminal again to start and stop recording', () => {
+        session.recording = { enforced: false }
+        session.connectionState = TerminalSession.CONNECTED
+        expect(session.isRecording).toBe(false)
+
+        session.startRecording()
+        expect(session.recordingRequested).toBe(true)
+        expect(session.reconnect).toBeCalledTimes(1)
+        expect(session.isRecording).toBe(true)
+
+        session.stopRecording()
+        expect(session.recordingRequested).toBe(false)
+        expect(session.reconnect).toBeCalledTimes(2)
+        expect(session.isRecording).toBe(false)
+      })
+
+      it('should not stop an enforced recording', () => {
+        session.recording = { enforced: true }
+        session.connectionState = TerminalSession.CONNECTED
+        expect(session.isRecording).toBe(true)
+
+        session.stopRecording()
+        expect(session.reconnect).not.toBeCalled()
+        expect(session.isRecording).toBe(true)
+      })
+    })
+
+    describe('TerminalShare', () => {
+      const id = 'e5a9dd7a-0a4b-4f8a-8b9c-6c4b2a1f3d21'
+      const session = {
+        vm: {
+          term: { cols: 80, rows: 24 },
+          $auth: {
+            ensureValidToken: jest.fn().mockResolvedValue()
+          }
+        },
+        terminalCoordinates: {
+          name: 'fooShoot',
+          namespace: 'garden-foo',
+          target: 'shoot'
+        },
+        input: jest.fn()
+      }
+      let share
+
+      beforeEach(() => {
+        mockSocket.removeAllListeners()
+        mockSocket.connected = false
+        startTerminalSharing.mockResolvedValue({ data: { id, observers: [] } })
+        stopTerminalSharing.mockResolvedValue({ data: { id } })
+        share = new TerminalShare(session)
+      })
+
+      afterEach(() => {
+        jest.clearAllMocks()
+      })
+
+      it('should not relay the output while not shared', () => {
+        share.output('foo')
+        expect(share.isShared).toBe(false)
+        expect(mockSocket.emit).not.toBeCalled()
+      })
+
+      it('should relay output and input of a shared terminal session', async () => {
+        await share.start()
+        await new Promise(resolve => setTimeout(resolve))
+        expect(share.isShared).toBe(true)
+        expect(startTerminalSharing).toBeCalledWith(session.terminalCoordinates)
+        expect(mockSocket.emit).toBeCalledWith('subscribe', 'terminals', { id }, expect.any(Function))
+        expect(mockSocket.emit).toBeCalledWith('terminal-resize', { id, cols: 80, rows: 24 })
+
+        share.output('$ ')
+        expect(mockSocket.emit).toBeCalledWith('terminal-output', { id, data: '$ ' })
+
+        receive('terminal-input', { id, data: 'ls\r', username: 'bar@example.org' })
+        expect(session.input).toBeCalledWith('ls\r')
+
+        const observers = [{ username: 'bar@example.org', allowInput: true }]
+        receive('terminal-share', { type: 'MODIFIED', object: { id, observers } })
+        expect(share.observers).toEqual(observers)
+
+        await share.stop()
+        expect(stopTerminalSharing).toBeCalledWith({ id })
+        expect(mockSocket.disconnect).toBeCalled()
+        expect(share.isShared).toBe(false)
+        expect(share.observers).toEqual([])
+      })
+
+      it('should reset the share when sharing has been stopped', async () => {
+        await share.start()
+        receive('terminal-share', { type: 'DELETED', object: { id, observers: [] } })
+        expect(share.isShared).toBe(false)
+        expect(mockSocket.disconnect).toBeCalled()
+      })
+    })
+  })
+})
@@ -0,0 +1,63 @@
+//
+// SPDX-FileCopyrightText: 2023 SAP SE or an SAP affiliate company and Gardener contributors
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+
+import members from '@/store/modules/members'
+
+describe('store.members.mutations', () => {
+  describe('HANDLE_EVENT', () => {
+    let state
+
+    beforeEach(() => {
+      state = {
+        all: [
+          { username: 'foo@example.org', roles: ['admin'] },
+          { username: 'system:serviceaccount:garden-foo:robot', roles: ['viewer'], createdBy: 'foo@example.org' }
+        ]
+      }
+    })
+
+    it('should add a member', () => {
+      const object = { username: 'bar@example.org', roles: ['viewer'] }
+      members.mutations.HANDLE_EVENT(state, { type: 'ADDED', object })
+      expect(state.all).toHaveLength(3)
+      expect(state.all[2]).toEqual(object)
+    })
+
+    it('should modify a member and keep additional properties', () => {
+      const object = { username: 'system:serviceaccount:garden-foo:robot', roles: ['admin'] }
+      members.mutations.HANDLE_EVENT(state, { type: 'MODIFIED', object })
+      expect(state.all[1]).toEqual({
+        username: 'system:serviceaccount:garden-foo:robot',
+        roles: ['admin'],
+        createdBy: 'foo@example.org'
+      })
+    })
+
+    it('should remove the expiration timestamp of a member', () => {
+      state.all[0].expirationTimestamp = '2023-04-01T00:00:00.000Z'
+      const object = { username: 'foo@example.org', roles: ['admin'] }
+      members.mutations.HANDLE_EVENT(state, { type: 'MODIFIED', object })
+      expect(state.all[0].expirationTimestamp).toBeUndefined()
+    })
+
+    it('should update the rotation period of a service account', () => {
+      state.all[1].rotationPeriodDays = 30
+      const username = 'system:serviceaccount:garden-foo:robot'
+      members.mutations.HANDLE_EVENT(state, { type: 'MODIFIED', object: { username, roles: ['viewer'], rotationPeriodDays: 7 } })
+      expect(state.all[1]).toMatchObject({ createdBy: 'foo@example.org', rotationPeriodDays: 7 })
+      members.mutations.HANDLE_EVENT(state, { type: 'MODIFIED', object: { username, roles: ['viewer'] } })
+      expect(state.all[1].rotationPeriodDays).toBeUndefined()
+    })
+
+    it('should delete a member', () => {
+      const object = { username: 'foo@example.org', roles: ['admin'] }
+      members.mutations.HANDLE_EVENT(state, { type: 'DELETED', object })
+      expect(state.all).toEqual([
+        expect.objectContaining({ username: 'system:serviceaccount:garden-foo:robot' })
+      ])
+    })
+  })
+})
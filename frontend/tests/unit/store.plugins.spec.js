@@ -42,12 +42,23 @@ describe('store', () => {
       debug: jest.fn()
     }
     const store = {
+      state: {
+        namespace: 'garden-foo',
+        socket: {
+          subscriptions: {}
+        }
+      },
       commit: jest.fn(),
+      dispatch: jest.fn(),
       subscribe: jest.fn()
     }
 
     beforeEach(() => {
+      store.commit.mockClear()
+      store.dispatch.mockClear()
+      mockSocket.removeAllListeners()
       mockSocket.connected = false
+      store.state.socket.subscriptions = {}
       createPlugin(userManager, logger)(store)
     })
 
@@ -90,5 +101,64 @@ describe('store', () => {
       expect(mockSocket.connected).toBe(false)
       expect(mockSocket.disconnect).toBeCalledTimes(2)
     })
+
+    it('should handle mutations "socket/SUBSCRIBE" and "socket/UNSUBSCRIBE"', () => {
+      const [handler] = store.subscribe.mock.calls[0]
+      const emit = jest.spyOn(mockSocket, 'emit').mockImplementation(() => {})
+      handler({ type: 'socket/SUBSCRIBE', payload: { key: 'seeds' } })
+      expect(emit).not.toBeCalled()
+      mockSocket.connected = true
+      handler({ type: 'socket/SUBSCRIBE', payload: { key: 'members', options: { namespace: 'garden-foo' } } })
+      handler({ type: 'socket/UNSUBSCRIBE', payload: 'members' })
+      expect(emit.mock.calls).toEqual([
+        ['subscribe', 'members', { namespace: 'garden-foo' }, expect.any(Function)],
+        ['unsubscribe', 'members', expect.any(Function)]
+      ])
+      emit.mockRestore()
+    })
+
+    it('should renew subscriptions on connect', () => {
+      store.state.socket.subscriptions = {
+        projects: {},
+        secrets: { namespace: 'garden-foo' }
+      }
+      const emit = jest.spyOn(mockSocket, 'emit')
+      mockSocket.connected = true
+      mockSocket.emit('connect')
+      expect(emit.mock.calls).toEqual([
+        ['connect'],
+        ['subscribe', 'projects', {}, expect.any(Function)],
+        ['subscribe', 'secrets', { namespace: 'garden-foo' }, expect.any(Function)]
+      ])
+      emit.mockRestore()
+    })
+
+    it('should handle resource events', () => {
+      const projectEvent = { type: 'ADDED', object: { metadata: { name: 'foo' } } }
+      mockSocket.emit('projects', projectEvent)
+      const seedEvent = { type: 'DELETED', object: { metadata: { name: 'soil' } } }
+      mockSocket.emit('seeds', seedEvent)
+      const memberEvent = { type: 'MODIFIED', namespace: 'garden-foo', object: { username: 'foo@example.org', roles: ['admin'] } }
+      mockSocket.emit('members', memberEvent)
+      mockSocket.emit('members', { ...memberEvent, namespace: 'garden-bar' })
+      expect(store.commit.mock.calls).toEqual([
+        ['projects/HANDLE_EVENT', projectEvent],
+        ['seeds/HANDLE_EVENT', seedEvent],
+        ['members/HANDLE_EVENT', memberEvent]
+      ])
+    })
+
+    it('should handle secret events', () => {
+      const object = { metadata: { namespace: 'garden-foo', name: 'secret1' } }
+      mockSocket.emit('secrets', { type: 'MODIFIED', object })
+      mockSocket.emit('secrets', { type: 'DELETED', object })
+      mockSocket.emit('secrets', { type: 'DELETED', object: { metadata: { namespace: 'garden-bar', name: 'secret1' } } })
+      expect(store.dispatch.mock.calls).toEqual([
+        ['cloudProviderSecrets/getAll']
+      ])
+      expect(store.commit.mock.calls).toEqual([
+        ['cloudProviderSecrets/ITEM_DELETED', object]
+      ])
+    })
   })
 })
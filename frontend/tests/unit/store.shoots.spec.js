@@ -12,11 +12,14 @@ import getters from '@/store/modules/shoots/getters'
 import shootModule from '@/store/modules/shoots'
 
 import { parseSearch, deleteItem, putItem, keyForShoot } from '@/store/modules/shoots/helper'
+import { getShoots, getShoot, getAlerts, getIssues } from '@/utils/api'
 
 import assign from 'lodash/assign'
 import fromPairs from 'lodash/fromPairs'
 import map from 'lodash/map'
 
+jest.mock('@/utils/api')
+
 describe('store.shoots', () => {
   let shootItems
   const rootGetters = {
@@ -25,7 +28,12 @@ describe('store.shoots', () => {
         path: 'metadata.namespace'
       }
     },
-    shootCustomFieldList: undefined
+    shootCustomFieldList: undefined,
+    pricesByCloudProfileNameAndRegion ({ region }) {
+      if (region === 'region1') {
+        return { machineTypes: { small: 0.1 } }
+      }
+    }
   }
   let state
   let sortItems
@@ -246,6 +254,19 @@ describe('store.shoots', () => {
       expect(sortedShoots[2].metadata.name).toBe('shoot2')
     })
 
+    it('should sort shoots by estimated cost', () => {
+      shootItems[0].spec.provider.workers = [{ machine: { type: 'small' }, minimum: 1, maximum: 3 }]
+      shootItems[1].spec.provider.workers = [{ machine: { type: 'small' }, minimum: 1, maximum: 1 }]
+      shootItems[2].spec.provider.workers = [{ machine: { type: 'small' }, minimum: 1, maximum: 5 }]
+      const sortBy = ['cost']
+      const sortDesc = [false]
+      const sortedShoots = sortItems(shootItems, sortBy, sortDesc)
+
+      expect(sortedShoots[0].metadata.name).toBe('shoot3')
+      expect(sortedShoots[1].metadata.name).toBe('shoot1')
+      expect(sortedShoots[2].metadata.name).toBe('shoot2')
+    })
+
     it('should mark no longer existing shoots as stale when shoot list is freezed', () => {
       deleteItem(shootModule.state, shootModule.state.filteredShoots[0])
       shootModule.state.filteredShoots = Object.values(shootModule.state.shoots)
@@ -320,6 +341,234 @@ describe('store.shoots', () => {
       expect(Object.values(shootModule.state.shoots).length).toBe(2)
       expect(Object.values(shootModule.state.shoots)).toContain(shoots[0], shoots[1])
     })
+
+    it('should only update shoots of the current page if paginated on the server side', () => {
+      const shoot = Object.values(shootModule.state.shoots)[0]
+      const newShoot = {
+        metadata: {
+          name: 'shoot4',
+          namespace: 'foo',
+          uid: 'shoot4'
+        }
+      }
+      shootModule.mutations.SET_SERVER_SIDE(shootModule.state, { serverItemsLength: 42 })
+      shootModule.mutations.HANDLE_EVENT(shootModule.state, { rootState: {}, rootGetters: {}, event: { type: 'ADDED', object: newShoot } })
+      expect(shootModule.state.shoots[keyForShoot(newShoot.metadata)]).toBeUndefined()
+
+      const modifiedShoot = { ...shoot, metadata: { ...shoot.metadata, resourceVersion: '2' } }
+      shootModule.mutations.HANDLE_EVENT(shootModule.state, { rootState: {}, rootGetters: {}, event: { type: 'MODIFIED', object: modifiedShoot } })
+      expect(shootModule.state.shoots[keyForShoot(shoot.metadata)].metadata.resourceVersion).toBe('2')
+
+      shootModule.mutations.SET_SERVER_SIDE(shootModule.state, false)
+      shootModule.mutations.HANDLE_EVENT(shootModule.state, { rootState: {}, rootGetters: {}, event: { type: 'ADDED', object: newShoot } })
+      expect(shootModule.state.shoots[keyForShoot(newShoot.metadata)]).toBe(newShoot)
+    })
+
+    it('should receive and update the alerts of shoots', () => {
+      const alerts = [{ rule: 'apiserver-unavailable', severity: 'error', message: 'Condition APIServerAvailable has status False' }]
+      shootModule.mutations.RECEIVE_ALERTS(shootModule.state, [
+        { namespace: 'foo', name: 'shoot1', uid: 'shoot1', alerts }
+      ])
+      const alertsByUid = getters.alertsByUid(shootModule.state)
+      expect(alertsByUid('shoot1')).toEqual(alerts)
+      expect(alertsByUid('shoot2')).toEqual([])
+
+      shootModule.mutations.HANDLE_ALERTS_EVENT(shootModule.state, { namespace: 'foo', name: 'shoot2', uid: 'shoot2', alerts })
+      expect(alertsByUid('shoot2')).toEqual(alerts)
+      shootModule.mutations.HANDLE_ALERTS_EVENT(shootModule.state, { namespace: 'foo', name: 'shoot1', uid: 'shoot1', alerts: [] })
+      expect(alertsByUid('shoot1')).toEqual([])
+      expect(Object.keys(shootModule.state.alerts)).toEqual(['shoot2'])
+
+      shootModule.mutations.CLEAR_ALL(shootModule.state)
+      expect(shootModule.state.alerts).toEqual({})
+    })
+  })
+
+  describe('actions', () => {
+    const commit = (type, payload) => shootModule.mutations[type](shootModule.state, payload)
+    const subscription = { namespace: 'foo' }
+
+    function createPage (names, { continueToken, remainingItemCount } = {}) {
+      const metadata = {}
+      if (continueToken) {
+        metadata.continue = continueToken
+        metadata.remainingItemCount = remainingItemCount
+      }
+      return {
+        data: {
+          metadata,
+          items: map(names, name => ({ metadata: { name, namespace: 'foo', uid: name } }))
+        }
+      }
+    }
+
+    beforeEach(() => {
+      getShoots.mockReset()
+      commit('SET_SERVER_SIDE', { serverItemsLength: 5 })
+    })
+
+    afterEach(() => {
+      commit('SET_SERVER_SIDE', false)
+    })
+
+    it('should fetch pages using continue tokens', async () => {
+      const fetchPage = page => shootModule.actions.fetchPage({
+        commit,
+        state: shootModule.state,
+        getters: { subscription },
+        rootState: {},
+        rootGetters: {}
+      }, { sortBy: 'name', sortDesc: false, page, itemsPerPage: 2 })
+
+      getShoots
+        .mockResolvedValueOnce(createPage(['a', 'b'], { continueToken: 'token1', remainingItemCount: 3 }))
+        .mockResolvedValueOnce(createPage(['c', 'd'], { continueToken: 'token2', remainingItemCount: 1 }))
+      await fetchPage(2)
+      expect(getShoots).toBeCalledTimes(2)
+      expect(getShoots.mock.calls[0]).toEqual([{ namespace: 'foo', search: undefined, sortBy: 'name', sortDesc: false, limit: 2, continue: undefined }])
+      expect(getShoots.mock.calls[1][0]).toMatchObject({ continue: 'token1' })
+      expect(Object.keys(shootModule.state.shoots)).toEqual(['c_foo', 'd_foo'])
+      expect(shootModule.state.serverItemsLength).toBe(5)
+
+      getShoots.mockResolvedValueOnce(createPage(['e']))
+      await fetchPage(3)
+      expect(getShoots).toBeCalledTimes(3)
+      expect(getShoots.mock.calls[2][0]).toMatchObject({ continue: 'token2' })
+      expect(Object.keys(shootModule.state.shoots)).toEqual(['e_foo'])
+      expect(shootModule.state.serverItemsLength).toBe(5)
+    })
+
+    it('should only send a limit if the shoot list is known to exceed the threshold', async () => {
+      commit('SET_SERVER_SIDE', false)
+      getIssues.mockResolvedValue({ data: { issues: [] } })
+      const synchronize = () => shootModule.actions.synchronize({
+        // mutations of other modules are not relevant here
+        commit: (type, payload) => shootModule.mutations[type] && commit(type, payload),
+        dispatch: jest.fn(),
+        getters: { subscription },
+        state: shootModule.state,
+        rootState: { cfg: { shootList: { serverSideThreshold: 2 } } },
+        rootGetters: {}
+      })
+
+      getShoots.mockResolvedValueOnce(createPage(['a', 'b']))
+      await synchronize()
+      expect(getShoots.mock.calls[0][0].limit).toBeUndefined()
+      expect(shootModule.state.serverSide).toBe(false)
+
+      getShoots.mockResolvedValueOnce(createPage(['a', 'b', 'c']))
+      await synchronize()
+      expect(getShoots.mock.calls[1][0].limit).toBeUndefined()
+      expect(shootModule.state.serverSide).toBe(true)
+      expect(shootModule.state.serverItemsLength).toBe(3)
+
+      getShoots.mockResolvedValueOnce(createPage(['a', 'b'], { continueToken: 'token1', remainingItemCount: 1 }))
+      await synchronize()
+      expect(getShoots.mock.calls[2][0].limit).toBe(2)
+      expect(shootModule.state.serverItemsLength).toBe(3)
+    })
+
+    it('should only fetch alerts if alert rules are enabled', async () => {
+      const items = [{ namespace: 'foo', name: 'a', uid: 'a', alerts: [{ rule: 'too-many-nodes', severity: 'warning' }] }]
+      getAlerts.mockResolvedValueOnce({ data: { items } })
+      await shootModule.actions.fetchAlerts({ commit, rootGetters: { isAlertRulesEnabled: false } }, subscription)
+      expect(getAlerts).not.toBeCalled()
+      await shootModule.actions.fetchAlerts({ commit, rootGetters: { isAlertRulesEnabled: true } }, subscription)
+      expect(getAlerts).toBeCalledWith({ namespace: 'foo' })
+      expect(shootModule.state.alerts).toEqual({ a: items[0].alerts })
+    })
+
+    describe('#cloneNewShootResource', () => {
+      const sourceShoot = {
+        apiVersion: 'core.gardener.cloud/v1beta1',
+        kind: 'Shoot',
+        metadata: {
+          name: 'source',
+          namespace: 'garden-foo',
+          uid: '1'
+        },
+        spec: {
+          cloudProfileName: 'aws',
+          secretBindingName: 'foo-secret',
+          region: 'eu-west-1',
+          seedName: 'aws-eu-west-1',
+          networking: {
+            nodes: '10.250.0.0/16'
+          },
+          provider: {
+            type: 'aws',
+            infrastructureConfig: {
+              apiVersion: 'aws.provider.extensions.gardener.cloud/v1alpha1',
+              kind: 'InfrastructureConfig',
+              networks: {
+                vpc: {
+                  id: 'vpc-123456'
+                },
+                zones: [{ name: 'eu-west-1a', workers: '10.250.0.0/19' }]
+              }
+            },
+            workers: [
+              { name: 'worker-a', zones: ['eu-west-1a'] }
+            ]
+          }
+        },
+        status: {
+          technicalID: 'shoot--foo--source'
+        }
+      }
+
+      function cloneNewShootResource (rootState, options) {
+        return shootModule.actions.cloneNewShootResource({
+          commit,
+          state: shootModule.state,
+          rootState,
+          rootGetters: {
+            infrastructureSecretsByCloudProfileName: () => [
+              { metadata: { name: 'bar-secret' } },
+              { metadata: { name: 'foo-secret' } }
+            ],
+            zonesByCloudProfileNameAndRegion: () => ['us-east-1a', 'us-east-1b'],
+            floatingPoolNamesByCloudProfileNameAndRegionAndDomain: () => [],
+            partitionIDsByCloudProfileNameAndRegion: () => [],
+            firewallImagesByCloudProfileName: () => [],
+            firewallSizesByCloudProfileNameAndRegion: () => [],
+            firewallNetworksByCloudProfileNameAndPartitionId: () => []
+          }
+        }, options)
+      }
+
+      beforeEach(() => {
+        getShoot.mockReset()
+        getShoot.mockResolvedValue({ data: sourceShoot })
+      })
+
+      it('should clone a shoot within the same project', async () => {
+        const shootResource = await cloneNewShootResource({ namespace: 'garden-foo' }, { clone: 'garden-foo/source', name: 'target' })
+        expect(getShoot).toBeCalledWith({ namespace: 'garden-foo', name: 'source' })
+        expect(shootResource.metadata).toEqual({ name: 'target', namespace: 'garden-foo', labels: {}, annotations: {} })
+        expect(shootResource.status).toBeUndefined()
+        expect(shootResource.spec.seedName).toBeUndefined()
+        expect(shootResource.spec.secretBindingName).toBe('foo-secret')
+        expect(shootResource.spec.provider.workers).toEqual(sourceShoot.spec.provider.workers)
+        // the id of the vpc of the original cluster must not be reused
+        expect(shootResource.spec.provider.infrastructureConfig.networks.vpc).toEqual({ cidr: '10.250.0.0/16' })
+        expect(shootResource.spec.provider.infrastructureConfig.networks.zones).toEqual([
+          expect.objectContaining({ name: 'eu-west-1a' })
+        ])
+        expect(shootModule.state.initialNewShootResource).toEqual(shootResource)
+      })
+
+      it('should select a secret and zones of the target project and region', async () => {
+        const shootResource = await cloneNewShootResource({ namespace: 'garden-bar' }, { clone: 'garden-foo/source', name: 'target', region: 'us-east-1' })
+        expect(shootResource.metadata.namespace).toBe('garden-bar')
+        expect(shootResource.spec.secretBindingName).toBe('bar-secret')
+        expect(shootResource.spec.region).toBe('us-east-1')
+        expect(shootResource.spec.provider.workers[0].zones).toEqual(['us-east-1a'])
+        expect(shootResource.spec.provider.infrastructureConfig.networks.zones).toEqual([
+          expect.objectContaining({ name: 'us-east-1a' })
+        ])
+      })
+    })
   })
 })
 
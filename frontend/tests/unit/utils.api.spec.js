@@ -4,7 +4,7 @@
 // SPDX-License-Identifier: Apache-2.0
 //
 
-import { getConfiguration } from '@/utils/api'
+import { getConfiguration, getAuditEntries } from '@/utils/api'
 
 describe('utils', () => {
   describe('api', () => {
@@ -27,5 +27,18 @@ describe('utils', () => {
         expect(res.data).toEqual(data)
       })
     })
+
+    describe('#getAuditEntries', () => {
+      it('should only send defined query parameters', async () => {
+        fetch.mockResponseOnce(JSON.stringify([]), {
+          headers: {
+            'content-type': 'application/json; charset=UTF-8'
+          }
+        })
+        const res = await getAuditEntries({ namespace: 'garden-foo', user: '', limit: 100 })
+        expect(res.data).toEqual([])
+        expect(fetch.mock.calls[0][0].url).toBe('/api/audit?namespace=garden-foo&limit=100')
+      })
+    })
   })
 })
@@ -0,0 +1,133 @@
+//
+// SPDX-FileCopyrightText: 2023 SAP SE or an SAP affiliate company and Gardener contributors
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+
+import {
+  HOURS_PER_MONTH,
+  getPrices,
+  estimateWorkerCost,
+  estimateShootCost,
+  formatCost,
+  formatCostRange
+} from '@/utils/costs'
+
+describe('utils', () => {
+  describe('costs', () => {
+    const catalog = {
+      aws: {
+        default: {
+          machineTypes: {
+            'm5.large': 0.1,
+            'm5.xlarge': 0.2
+          },
+          volumeTypes: {
+            gp2: 0.1
+          }
+        },
+        'eu-central-1': {
+          machineTypes: {
+            'm5.large': 0.2
+          }
+        }
+      }
+    }
+
+    describe('#getPrices', () => {
+      it('should merge the region prices with the default prices', () => {
+        expect(getPrices(catalog, { cloudProfileName: 'aws', region: 'eu-central-1' })).toEqual({
+          machineTypes: {
+            'm5.large': 0.2,
+            'm5.xlarge': 0.2
+          },
+          volumeTypes: {
+            gp2: 0.1
+          }
+        })
+      })
+
+      it('should return the default prices for an unknown region', () => {
+        expect(getPrices(catalog, { cloudProfileName: 'aws', region: 'us-east-1' })).toEqual(catalog.aws.default)
+      })
+
+      it('should return nothing for an unknown cloud profile', () => {
+        expect(getPrices(catalog, { cloudProfileName: 'gcp', region: 'europe-west1' })).toBeUndefined()
+        expect(getPrices(undefined, { cloudProfileName: 'aws' })).toBeUndefined()
+      })
+    })
+
+    describe('#estimateWorkerCost', () => {
+      const prices = getPrices(catalog, { cloudProfileName: 'aws', region: 'us-east-1' })
+
+      it('should estimate the cost for the autoscaler range', () => {
+        const worker = {
+          machine: { type: 'm5.large' },
+          volume: { type: 'gp2', size: '50Gi' },
+          minimum: 1,
+          maximum: 3
+        }
+        const nodePrice = 0.1 * HOURS_PER_MONTH + 0.1 * 50
+        expect(estimateWorkerCost(worker, prices)).toEqual({
+          minimum: nodePrice,
+          maximum: 3 * nodePrice
+        })
+      })
+
+      it('should ignore volumes without price', () => {
+        const worker = {
+          machine: { type: 'm5.large' },
+          volume: { type: 'io1', size: '50Gi' },
+          minimum: 2,
+          maximum: 2
+        }
+        expect(estimateWorkerCost(worker, prices)).toEqual({
+          minimum: 2 * 0.1 * HOURS_PER_MONTH,
+          maximum: 2 * 0.1 * HOURS_PER_MONTH
+        })
+      })
+
+      it('should not estimate the cost of machines without price', () => {
+        const worker = {
+          machine: { type: 'c5.large' },
+          minimum: 1,
+          maximum: 2
+        }
+        expect(estimateWorkerCost(worker, prices)).toBeUndefined()
+        expect(estimateWorkerCost(worker, undefined)).toBeUndefined()
+      })
+    })
+
+    describe('#estimateShootCost', () => {
+      const prices = getPrices(catalog, { cloudProfileName: 'aws' })
+
+      it('should sum up the costs of all worker groups', () => {
+        const workers = [
+          { machine: { type: 'm5.large' }, minimum: 1, maximum: 2 },
+          { machine: { type: 'm5.xlarge' }, minimum: 0, maximum: 1 }
+        ]
+        expect(estimateShootCost(workers, prices)).toEqual({
+          minimum: 0.1 * HOURS_PER_MONTH,
+          maximum: (2 * 0.1 + 0.2) * HOURS_PER_MONTH
+        })
+      })
+
+      it('should not estimate the cost if a worker group has no price', () => {
+        const workers = [
+          { machine: { type: 'm5.large' }, minimum: 1, maximum: 2 },
+          { machine: { type: 'c5.large' }, minimum: 1, maximum: 1 }
+        ]
+        expect(estimateShootCost(workers, prices)).toBeUndefined()
+        expect(estimateShootCost([], prices)).toBeUndefined()
+      })
+    })
+
+    describe('#formatCostRange', () => {
+      it('should format a cost range', () => {
+        expect(formatCost(1234.5, 'EUR')).toBe('€1,235')
+        expect(formatCostRange({ minimum: 73, maximum: 146 })).toBe('$73 - $146')
+        expect(formatCostRange({ minimum: 73, maximum: 73 })).toBe('$73')
+      })
+    })
+  })
+})
@@ -4,7 +4,7 @@
 // SPDX-License-Identifier: Apache-2.0
 //
 
-import { splitCIDR, getZonesNetworkConfiguration, findFreeNetworks } from '@/utils/createShoot'
+import { splitCIDR, getZonesNetworkConfiguration, findFreeNetworks, applyShootTemplateSpec, cloneShootResource } from '@/utils/createShoot'
 
 describe('utils', () => {
   describe('createShoot', () => {
@@ -320,5 +320,167 @@ describe('utils', () => {
         expect(zonesNetworkConfiguration).toBeUndefined()
       })
     })
+
+    describe('#applyShootTemplateSpec', () => {
+      const spec = {
+        cloudProfileName: 'aws',
+        region: 'eu-west-1',
+        secretBindingName: 'my-secret',
+        provider: {
+          type: 'aws',
+          infrastructureConfig: {
+            networks: {
+              vpc: {
+                cidr: '10.250.0.0/16'
+              }
+            }
+          },
+          workers: [
+            { name: 'worker-a', minimum: 1 },
+            { name: 'worker-b', minimum: 1 }
+          ]
+        }
+      }
+
+      it('should merge the template into the spec and replace lists', () => {
+        const templateSpec = {
+          region: 'eu-central-1',
+          provider: {
+            type: 'aws',
+            workers: [
+              { name: 'worker-c', minimum: 3 }
+            ]
+          },
+          purpose: 'production'
+        }
+        expect(applyShootTemplateSpec(spec, templateSpec)).toEqual({
+          ...spec,
+          region: 'eu-central-1',
+          purpose: 'production',
+          provider: {
+            ...spec.provider,
+            workers: [
+              { name: 'worker-c', minimum: 3 }
+            ]
+          }
+        })
+        expect(spec.provider.workers).toHaveLength(2)
+      })
+
+      it('should ignore secret references of the template', () => {
+        const templateSpec = {
+          secretBindingName: 'other-secret',
+          seedName: 'aws-seed',
+          dns: {
+            domain: 'foo.example.org'
+          }
+        }
+        expect(applyShootTemplateSpec(spec, templateSpec)).toEqual(spec)
+      })
+    })
+
+    describe('#cloneShootResource', () => {
+      const shootResource = {
+        apiVersion: 'core.gardener.cloud/v1beta1',
+        kind: 'Shoot',
+        metadata: {
+          name: 'foo',
+          namespace: 'garden-foo',
+          uid: '1a2b3c',
+          resourceVersion: '42',
+          labels: {
+            team: 'blue',
+            'shoot.gardener.cloud/status': 'healthy'
+          },
+          annotations: {
+            'gardener.cloud/created-by': 'foo@example.org',
+            'dashboard.garden.sapcloud.io/no-hibernation-schedule': 'true',
+            'kubectl.kubernetes.io/last-applied-configuration': '{}'
+          }
+        },
+        spec: {
+          secretBindingName: 'foo-secret',
+          seedName: 'aws-seed',
+          region: 'eu-west-1',
+          dns: {
+            domain: 'foo.example.org',
+            providers: [{ type: 'aws-route53', secretName: 'foo-dns' }]
+          },
+          resources: [{ name: 'foo', resourceRef: { kind: 'Secret', name: 'foo' } }]
+        },
+        status: {
+          technicalID: 'shoot--foo--foo'
+        }
+      }
+
+      it('should drop status, identifiers and the seed of the shoot', () => {
+        const options = { name: 'bar', namespace: 'garden-foo', secretBindingName: 'bar-secret', region: 'eu-west-2' }
+        expect(cloneShootResource(shootResource, options)).toEqual({
+          apiVersion: 'core.gardener.cloud/v1beta1',
+          kind: 'Shoot',
+          metadata: {
+            name: 'bar',
+            namespace: 'garden-foo',
+            labels: {
+              team: 'blue'
+            },
+            annotations: {
+              'dashboard.garden.sapcloud.io/no-hibernation-schedule': 'true'
+            }
+          },
+          spec: {
+            secretBindingName: 'bar-secret',
+            region: 'eu-west-2',
+            dns: {
+              providers: [{ type: 'aws-route53', secretName: 'foo-dns' }]
+            },
+            resources: shootResource.spec.resources
+          }
+        })
+        expect(shootResource.spec.seedName).toBe('aws-seed')
+      })
+
+      it('should replace the infrastructure config by the defaults of the provider', () => {
+        const options = { name: 'bar', namespace: 'garden-foo', secretBindingName: 'bar-secret', region: 'eu-west-1' }
+        const { spec } = cloneShootResource({
+          ...shootResource,
+          spec: {
+            ...shootResource.spec,
+            networking: {
+              nodes: '10.250.0.0/16'
+            },
+            provider: {
+              type: 'aws',
+              infrastructureConfig: {
+                apiVersion: 'aws.provider.extensions.gardener.cloud/v1alpha1',
+                kind: 'InfrastructureConfig',
+                networks: {
+                  vpc: {
+                    id: 'vpc-123456'
+                  },
+                  zones: [{ name: 'eu-west-1a', workers: '10.250.0.0/19' }]
+                }
+              }
+            }
+          }
+        }, options)
+        expect(spec.provider.infrastructureConfig).toEqual({
+          apiVersion: 'aws.provider.extensions.gardener.cloud/v1alpha1',
+          kind: 'InfrastructureConfig',
+          networks: {
+            vpc: {
+              cidr: '10.250.0.0/16'
+            }
+          }
+        })
+      })
+
+      it('should drop secret references when cloning into another project', () => {
+        const options = { name: 'bar', namespace: 'garden-bar', secretBindingName: 'bar-secret', region: 'eu-west-1' }
+        const { spec } = cloneShootResource(shootResource, options)
+        expect(spec.dns).toBeUndefined()
+        expect(spec.resources).toBeUndefined()
+      })
+    })
   })
 })
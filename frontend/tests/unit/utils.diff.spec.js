@@ -0,0 +1,37 @@
+//
+// SPDX-FileCopyrightText: 2023 SAP SE or an SAP affiliate company and Gardener contributors
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+
+import { diffLines } from '@/utils/diff'
+
+describe('utils', () => {
+  describe('diff', () => {
+    describe('#diffLines', () => {
+      it('should return unchanged lines for equal texts', () => {
+        expect(diffLines('a\nb\n', 'a\nb\n')).toEqual([
+          { type: 'unchanged', text: 'a' },
+          { type: 'unchanged', text: 'b' }
+        ])
+      })
+
+      it('should detect added, removed and replaced lines', () => {
+        const oldText = 'purpose: evaluation\nregion: eu-1\nseedName: foo\n'
+        const newText = 'purpose: production\nregion: eu-1\nhibernation: {}\nseedName: foo\n'
+        expect(diffLines(oldText, newText)).toEqual([
+          { type: 'removed', text: 'purpose: evaluation' },
+          { type: 'added', text: 'purpose: production' },
+          { type: 'unchanged', text: 'region: eu-1' },
+          { type: 'added', text: 'hibernation: {}' },
+          { type: 'unchanged', text: 'seedName: foo' }
+        ])
+      })
+
+      it('should handle empty texts', () => {
+        expect(diffLines('', 'a')).toEqual([{ type: 'added', text: 'a' }])
+        expect(diffLines('a', undefined)).toEqual([{ type: 'removed', text: 'a' }])
+      })
+    })
+  })
+})
@@ -0,0 +1,67 @@
+//
+// SPDX-FileCopyrightText: 2023 SAP SE or an SAP affiliate company and Gardener contributors
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+
+import { getLineOfPath, getValidationErrorMessage, getDetailedValidationErrorMessage } from '@/utils/shootEditorValidation'
+
+describe('utils', () => {
+  describe('shootEditorValidation', () => {
+    const content = [
+      'kind: Shoot',
+      'metadata:',
+      '  name: foo',
+      '  annotations:',
+      '    gardener.cloud/created-by: foo@example.org',
+      'spec:',
+      '  provider:',
+      '    type: aws',
+      '    workers:',
+      '      - name: worker-1',
+      '        machine:',
+      '          type: m5.large',
+      '        zones:',
+      '          - eu-west-1a',
+      '          - eu-west-1b',
+      '      - name: worker-2',
+      '        zones:',
+      '        - eu-west-1c',
+      '  extensions:',
+      '    - type: shoot-dns-service',
+      '      providerConfig: |',
+      '        kind: Config',
+      '        domains: []',
+      '  kubernetes:',
+      '    version: 1.25.4'
+    ].join('\n')
+
+    it('should return the line of a property path', () => {
+      expect(getLineOfPath(content, 'metadata.name')).toBe(2)
+      expect(getLineOfPath(content, 'metadata.annotations["gardener.cloud/created-by"]')).toBe(4)
+      expect(getLineOfPath(content, 'spec.provider.workers[0].machine.type')).toBe(11)
+      expect(getLineOfPath(content, 'spec.provider.workers[0].zones[1]')).toBe(14)
+      expect(getLineOfPath(content, 'spec.provider.workers[1].name')).toBe(15)
+      expect(getLineOfPath(content, 'spec.provider.workers[1].zones[0]')).toBe(17)
+      expect(getLineOfPath(content, 'spec.extensions[0].providerConfig')).toBe(20)
+      expect(getLineOfPath(content, 'spec.kubernetes.version')).toBe(24)
+    })
+
+    it('should return the line of the closest parent property', () => {
+      expect(getLineOfPath(content, 'spec.provider.workers[1].machine.type')).toBe(15)
+      expect(getLineOfPath(content, 'spec.region')).toBe(5)
+      expect(getLineOfPath(content, 'status')).toBe(-1)
+      expect(getLineOfPath(content, '')).toBe(-1)
+    })
+
+    it('should format validation errors', () => {
+      const errors = [
+        { path: 'spec.region', message: 'Region foo is not offered' },
+        { message: 'admission webhook denied the request' }
+      ]
+      expect(getValidationErrorMessage(errors)).toBe('The cluster specification contains 2 errors')
+      expect(getValidationErrorMessage(errors.slice(1))).toBe('The cluster specification contains 1 error')
+      expect(getDetailedValidationErrorMessage(errors)).toBe('spec.region: Region foo is not offered; admission webhook denied the request')
+    })
+  })
+})
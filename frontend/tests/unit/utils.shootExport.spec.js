@@ -0,0 +1,53 @@
+//
+// SPDX-FileCopyrightText: 2023 SAP SE or an SAP affiliate company and Gardener contributors
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+
+import { parseShootExport, getReferencedSecretBindings } from '@/utils/shootExport'
+
+describe('utils', () => {
+  describe('shootExport', () => {
+    const content = [
+      'apiVersion: dashboard.gardener.cloud/v1alpha1',
+      'kind: ShootExport',
+      'secretBindings:',
+      '  - name: foo-aws',
+      '    cloudProfileName: aws',
+      'shoots:',
+      '  - metadata:',
+      '      name: foo',
+      '    spec:',
+      '      cloudProfileName: aws',
+      '      secretBindingName: foo-aws',
+      '  - metadata:',
+      '      name: bar',
+      '    spec:',
+      '      cloudProfileName: aws',
+      '      secretBindingName: foo-aws',
+      '  - metadata:',
+      '      name: baz',
+      '    spec:',
+      '      cloudProfileName: gcp',
+      '      secretBindingName: foo-gcp'
+    ].join('\n')
+
+    it('should parse an export document', () => {
+      const document = parseShootExport(content)
+      expect(document.shoots).toHaveLength(3)
+    })
+
+    it('should reject documents that are not shoot exports', () => {
+      expect(() => parseShootExport('kind: Shoot')).toThrow('The document is not a ShootExport document')
+      expect(() => parseShootExport('kind: [')).toThrow(/^The document is not valid YAML/)
+    })
+
+    it('should return the secret bindings referenced by the shoots', () => {
+      const document = parseShootExport(content)
+      expect(getReferencedSecretBindings(document)).toEqual([
+        { name: 'foo-aws', cloudProfileName: 'aws' },
+        { name: 'foo-gcp', cloudProfileName: 'gcp' }
+      ])
+    })
+  })
+})
@@ -0,0 +1,99 @@
+//
+// SPDX-FileCopyrightText: 2023 SAP SE or an SAP affiliate company and Gardener contributors
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+
+import map from 'lodash/map'
+import {
+  getVersionStatus,
+  getUpgradeTargets,
+  planUpgrades,
+  groupByVersion,
+  getStages
+} from '@/utils/upgradePlanner'
+
+describe('utils', () => {
+  describe('upgradePlanner', () => {
+    const versions = [
+      { version: '1.26.0', isPreview: true },
+      { version: '1.25.4' },
+      { version: '1.25.3' },
+      { version: '1.24.8', expirationDate: '2099-01-01T00:00:00Z' },
+      { version: '1.24.7', isExpired: true, expirationDate: '2023-01-01T00:00:00Z' },
+      { version: '1.23.9', isDeprecated: true }
+    ]
+
+    function createShoot (name, version, purpose, progressing = false) {
+      const labels = progressing
+        ? { 'shoot.gardener.cloud/status': 'progressing' }
+        : {}
+      return {
+        metadata: { namespace: 'garden-foo', name, labels },
+        spec: {
+          cloudProfileName: 'aws',
+          purpose,
+          kubernetes: { version }
+        }
+      }
+    }
+
+    const getVersions = () => versions
+
+    it('should return the status of a version', () => {
+      expect(getVersionStatus('1.26.0', versions)).toBe('preview')
+      expect(getVersionStatus('1.25.4', versions)).toBe('supported')
+      expect(getVersionStatus('1.24.8', versions)).toBe('expiring')
+      expect(getVersionStatus('1.24.7', versions)).toBe('expired')
+      expect(getVersionStatus('1.23.9', versions)).toBe('deprecated')
+      expect(getVersionStatus('1.22.0', versions)).toBe('unknown')
+    })
+
+    it('should return the upgrade targets of a version', () => {
+      expect(getUpgradeTargets('1.24.7', versions)).toEqual({ patch: '1.24.8', minor: '1.25.4' })
+      expect(getUpgradeTargets('1.25.3', versions)).toEqual({ patch: '1.25.4', minor: undefined })
+      expect(getUpgradeTargets('1.23.9', versions)).toEqual({ patch: undefined, minor: '1.24.8' })
+      expect(getUpgradeTargets('foo', versions)).toEqual({})
+    })
+
+    it('should group shoots by version', () => {
+      const shoots = [
+        createShoot('a', '1.25.3', 'production'),
+        createShoot('b', '1.24.7', 'development'),
+        createShoot('c', '1.25.3', 'development'),
+        createShoot('d', '1.25.4', 'development')
+      ]
+      const groups = groupByVersion(planUpgrades(shoots, { getVersions, type: 'patch' }))
+      expect(map(groups, 'version')).toEqual(['1.24.7', '1.25.3', '1.25.4'])
+      expect(groups[0]).toMatchObject({
+        status: 'expired',
+        targets: ['1.24.8']
+      })
+      expect(map(groups[1].items, 'name')).toEqual(['a', 'c'])
+      expect(groups[2].targets).toEqual([])
+    })
+
+    it('should order the upgrade stages by purpose', () => {
+      const shoots = [
+        createShoot('a', '1.24.8', 'production'),
+        createShoot('b', '1.24.8', 'development'),
+        createShoot('c', '1.25.4', 'evaluation'),
+        createShoot('d', '1.24.8', 'infrastructure')
+      ]
+      const stages = getStages(planUpgrades(shoots, { getVersions, type: 'minor' }))
+      expect(map(stages, 'purpose')).toEqual(['development', 'production', 'infrastructure'])
+      expect(map(stages, 'blocked')).toEqual([false, true, true])
+      expect(stages[0].items[0]).toMatchObject({ name: 'b', target: '1.25.4' })
+    })
+
+    it('should block later stages while shoots are progressing', () => {
+      const shoots = [
+        createShoot('a', '1.25.4', 'development', true),
+        createShoot('b', '1.25.3', 'production')
+      ]
+      const stages = getStages(planUpgrades(shoots, { getVersions, type: 'patch' }))
+      expect(stages).toHaveLength(1)
+      expect(stages[0]).toMatchObject({ purpose: 'production', blocked: true })
+    })
+  })
+})
@@ -241,6 +241,15 @@ describe('kube-client', () => {
           expect(searchParams.toString()).toBe('')
         })
 
+        it('should list the metadata of a resource', () => {
+          const testObject = new TestObject()
+          const [url, { method, searchParams, headers }] = testObject.listMetadata('namespace', { labelSelector: 'foo=bar' })
+          expect(url).toBe('namespaces/namespace/dummies')
+          expect(method).toBe('get')
+          expect(searchParams.toString()).toBe('labelSelector=foo%3Dbar')
+          expect(headers).toEqual({ accept: 'application/json;as=PartialObjectMetadataList;g=meta.k8s.io;v=v1' })
+        })
+
         it('should list a resource across all namespaces', () => {
           const testObject = new TestObject()
           const [url, { method, searchParams }] = testObject.listAllNamespaces({})
@@ -45,6 +45,12 @@ class Networking extends V1(NamedGroup(HttpClient)) {
   }
 }
 
+class RBAC extends V1(NamedGroup(HttpClient)) {
+  static get group () {
+    return 'rbac.authorization.k8s.io'
+  }
+}
+
 class GardenerCore extends V1Beta1(NamedGroup(HttpClient)) {
   static get group () {
     return 'core.gardener.cloud'
@@ -70,6 +76,7 @@ module.exports = {
   Coordination,
   Core,
   Networking,
+  RBAC,
   GardenerCore,
   GardenerSeedManagement,
   GardenerDashboard
@@ -97,6 +97,19 @@ NamespaceScoped.Readable = superclass => class extends superclass {
     return this[http.request](url, { method: 'get', searchParams })
   }
 
+  // returns a PartialObjectMetadataList, the items only contain apiVersion, kind and metadata
+  listMetadata (namespace, { searchParams, signal, ...options } = {}) {
+    assertNamespace(namespace)
+    assertSearchParams(searchParams)
+    assertOptions(options)
+    const url = namespaceScopedUrl(this.constructor.names, namespace)
+    searchParams = normalizeSearchParams(searchParams, options)
+    const headers = {
+      accept: 'application/json;as=PartialObjectMetadataList;g=meta.k8s.io;v=v1'
+    }
+    return this[http.request](url, { method: 'get', searchParams, headers })
+  }
+
   listAllNamespaces ({ searchParams, signal, ...options } = {}) {
     assertSearchParams(searchParams)
     assertOptions(options)
@@ -51,7 +51,7 @@ class Pod extends mix(Core).with(NamespaceScoped, Readable, Observable, Writable
   }
 }
 
-class ConfigMap extends mix(Core).with(NamespaceScoped, Readable) {
+class ConfigMap extends mix(Core).with(NamespaceScoped, Readable, Writable) {
   static get names () {
     return {
       plural: 'configmaps',
@@ -105,6 +105,16 @@ class ResourceQuota extends mix(Core).with(NamespaceScoped, Readable, Observable
   }
 }
 
+class Event extends mix(Core).with(NamespaceScoped, Readable, Writable) {
+  static get names () {
+    return {
+      plural: 'events',
+      singular: 'event',
+      kind: 'Event'
+    }
+  }
+}
+
 module.exports = {
   Endpoints,
   Namespace,
@@ -114,5 +124,6 @@ module.exports = {
   Secret,
   Service,
   ServiceAccount,
-  ResourceQuota
+  ResourceQuota,
+  Event
 }
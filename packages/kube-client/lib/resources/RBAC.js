@@ -0,0 +1,26 @@
+//
+// SPDX-FileCopyrightText: 2023 SAP SE or an SAP affiliate company and Gardener contributors
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+
+'use strict'
+
+const { mix } = require('mixwith')
+
+const { RBAC } = require('../groups')
+const { NamespaceScoped, Readable, Writable } = require('../mixins')
+
+class RoleBinding extends mix(RBAC).with(NamespaceScoped, Readable, Writable) {
+  static get names () {
+    return {
+      plural: 'rolebindings',
+      singular: 'rolebinding',
+      kind: 'RoleBinding'
+    }
+  }
+}
+
+module.exports = {
+  RoleBinding
+}
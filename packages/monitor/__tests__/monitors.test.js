@@ -7,7 +7,7 @@
 'use strict'
 
 const responseTime = require('response-time')
-const { monitorSocketIO, monitorHttpServer, monitorResponseTimes } = require('../lib/monitors')
+const { monitorSocketIO, monitorHttpServer, monitorResponseTimes, monitorShoots } = require('../lib/monitors')
 const metrics = require('../lib/metrics')
 
 jest.mock('../lib/metrics')
@@ -134,4 +134,68 @@ describe('monitors', () => {
       }, requestDuration / 1000)
     })
   })
+
+  describe('shoot monitor', () => {
+    const shoots = [{
+      project: 'foo',
+      seed: 'soil',
+      status: 'healthy',
+      kubernetesVersion: '1.25.4'
+    }, {
+      project: 'foo',
+      seed: 'soil',
+      status: 'unhealthy',
+      hasIssues: true,
+      lastOperationFailed: true,
+      lastOperationType: 'Reconcile',
+      kubernetesVersion: '1.24.8',
+      kubernetesVersionExpiring: true,
+      machineImageExpiring: true
+    }, {
+      project: 'bar',
+      hibernated: true
+    }]
+
+    // the automocked gauges share the mocked methods of the Gauge prototype
+    const callsOf = (gauge, method) => gauge[method].mock.calls.filter((args, i) => gauge[method].mock.instances[i] === gauge)
+
+    it('should aggregate the shoot summaries into gauges when collected', async () => {
+      const getShoots = jest.fn(() => shoots)
+      const gauges = ['shootsCount', 'shootsWithIssuesCount', 'hibernatedShootsCount', 'failedShootsCount', 'kubernetesVersionsCount', 'expiringVersionsCount']
+      monitorShoots(getShoots)
+      expect(getShoots).not.toBeCalled()
+      // each gauge is collected independently, the summaries are only aggregated once per scrape
+      for (const gauge of gauges) {
+        metrics[gauge].collect()
+        expect(callsOf(metrics[gauge], 'reset')).toHaveLength(1)
+      }
+      expect(getShoots).toBeCalledTimes(1)
+      expect(callsOf(metrics.shootsCount, 'inc')).toEqual([
+        [{ project: 'foo', seed: 'soil', status: 'healthy' }],
+        [{ project: 'foo', seed: 'soil', status: 'unhealthy' }],
+        [{ project: 'bar', seed: '', status: 'unknown' }]
+      ])
+      expect(callsOf(metrics.shootsWithIssuesCount, 'inc')).toEqual([
+        [{ project: 'foo', seed: 'soil' }]
+      ])
+      expect(callsOf(metrics.hibernatedShootsCount, 'inc')).toEqual([
+        [{ project: 'bar' }]
+      ])
+      expect(callsOf(metrics.failedShootsCount, 'inc')).toEqual([
+        [{ project: 'foo', operation: 'Reconcile' }]
+      ])
+      expect(callsOf(metrics.kubernetesVersionsCount, 'inc')).toEqual([
+        [{ version: '1.25.4' }],
+        [{ version: '1.24.8' }]
+      ])
+      expect(callsOf(metrics.expiringVersionsCount, 'inc')).toEqual([
+        [{ project: 'foo', type: 'kubernetes' }],
+        [{ project: 'foo', type: 'machineImage' }]
+      ])
+
+      await new Promise(resolve => setImmediate(resolve))
+      metrics.shootsCount.collect()
+      expect(getShoots).toBeCalledTimes(2)
+    })
+  })
 })
@@ -28,9 +28,45 @@ const responseTime = new promClient.Histogram({
     1e+1, 2e+1
   ]
 })
+const shootsCount = new promClient.Gauge({
+  name: 'garden_shoots_count',
+  help: 'Number of shoots by project, seed and status',
+  labelNames: ['project', 'seed', 'status']
+})
+const shootsWithIssuesCount = new promClient.Gauge({
+  name: 'garden_shoots_with_issues_count',
+  help: 'Number of shoots with issues by project and seed',
+  labelNames: ['project', 'seed']
+})
+const hibernatedShootsCount = new promClient.Gauge({
+  name: 'garden_shoots_hibernated_count',
+  help: 'Number of hibernated shoots by project',
+  labelNames: ['project']
+})
+const failedShootsCount = new promClient.Gauge({
+  name: 'garden_shoots_last_operation_failed_count',
+  help: 'Number of shoots with a failed last operation by project and operation type',
+  labelNames: ['project', 'operation']
+})
+const kubernetesVersionsCount = new promClient.Gauge({
+  name: 'garden_shoots_kubernetes_versions_count',
+  help: 'Number of shoots by kubernetes version',
+  labelNames: ['version']
+})
+const expiringVersionsCount = new promClient.Gauge({
+  name: 'garden_shoots_expiring_versions_count',
+  help: 'Number of shoots using a kubernetes version or machine image version with an expiration date',
+  labelNames: ['project', 'type']
+})
 
 module.exports = {
   connectionsCount,
   connectionsTotal,
-  responseTime
+  responseTime,
+  shootsCount,
+  shootsWithIssuesCount,
+  hibernatedShootsCount,
+  failedShootsCount,
+  kubernetesVersionsCount,
+  expiringVersionsCount
 }
@@ -7,7 +7,67 @@
 'use strict'
 
 const createResponseTimeMiddleware = require('response-time')
-const { connectionsCount, connectionsTotal, responseTime } = require('./metrics')
+const {
+  connectionsCount,
+  connectionsTotal,
+  responseTime,
+  shootsCount,
+  shootsWithIssuesCount,
+  hibernatedShootsCount,
+  failedShootsCount,
+  kubernetesVersionsCount,
+  expiringVersionsCount
+} = require('./metrics')
+
+/*
+  Maps each shoot gauge to a function which passes the labels to be counted for a shoot summary to `count`.
+*/
+const shootGauges = new Map([
+  [shootsCount, ({ project, seed = '', status = 'unknown' }, count) => {
+    count({ project, seed, status })
+  }],
+  [shootsWithIssuesCount, ({ project, seed = '', hasIssues }, count) => {
+    if (hasIssues) {
+      count({ project, seed })
+    }
+  }],
+  [hibernatedShootsCount, ({ project, hibernated }, count) => {
+    if (hibernated) {
+      count({ project })
+    }
+  }],
+  [failedShootsCount, ({ project, lastOperationFailed, lastOperationType }, count) => {
+    if (lastOperationFailed) {
+      count({ project, operation: lastOperationType })
+    }
+  }],
+  [kubernetesVersionsCount, ({ kubernetesVersion }, count) => {
+    if (kubernetesVersion) {
+      count({ version: kubernetesVersion })
+    }
+  }],
+  [expiringVersionsCount, ({ project, kubernetesVersionExpiring, machineImageExpiring }, count) => {
+    if (kubernetesVersionExpiring) {
+      count({ project, type: 'kubernetes' })
+    }
+    if (machineImageExpiring) {
+      count({ project, type: 'machineImage' })
+    }
+  }]
+])
+
+function countShoots (shoots) {
+  const labelsByGauge = new Map()
+  for (const gauge of shootGauges.keys()) {
+    labelsByGauge.set(gauge, [])
+  }
+  for (const shoot of shoots) {
+    for (const [gauge, countShoot] of shootGauges) {
+      countShoot(shoot, labels => labelsByGauge.get(gauge).push(labels))
+    }
+  }
+  return labelsByGauge
+}
 
 function monitorResponseTimes (additionalLabels = {}) {
   return createResponseTimeMiddleware((req, res, timeMs) => {
@@ -47,8 +107,38 @@ function monitorHttpServer (server) {
   })
 }
 
+/**
+ * Registers a function returning a summary of every shoot of the landscape. A summary has the properties
+ * `project`, `seed`, `status`, `hasIssues`, `hibernated`, `lastOperationFailed`, `lastOperationType`,
+ * `kubernetesVersion`, `kubernetesVersionExpiring` and `machineImageExpiring`.
+ *
+ * The summaries are aggregated once per scrape. The registry collects all metrics of a scrape synchronously,
+ * therefore every gauge has its own collect function and the gauges share the counts until the next tick.
+ */
+function monitorShoots (getShoots) {
+  let labelsByGauge
+  const getLabelsByGauge = () => {
+    if (!labelsByGauge) {
+      labelsByGauge = countShoots(getShoots())
+      setImmediate(() => {
+        labelsByGauge = undefined
+      })
+    }
+    return labelsByGauge
+  }
+  for (const gauge of shootGauges.keys()) {
+    gauge.collect = () => {
+      gauge.reset()
+      for (const labels of getLabelsByGauge().get(gauge)) {
+        gauge.inc(labels)
+      }
+    }
+  }
+}
+
 module.exports = {
   monitorResponseTimes,
   monitorSocketIO,
-  monitorHttpServer
+  monitorHttpServer,
+  monitorShoots
 }
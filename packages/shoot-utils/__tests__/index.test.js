@@ -0,0 +1,30 @@
+//
+// SPDX-FileCopyrightText: 2023 SAP SE or an SAP affiliate company and Gardener contributors
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+
+'use strict'
+
+const { isUserMetadataKey } = require('../lib')
+
+describe('shoot-utils', function () {
+  describe('#isUserMetadataKey', function () {
+    it('should keep keys without prefix and other prefixes', function () {
+      expect(isUserMetadataKey('team')).toBe(true)
+      expect(isUserMetadataKey('example.org/team')).toBe(true)
+    })
+
+    it('should keep dashboard settings', function () {
+      expect(isUserMetadataKey('dashboard.gardener.cloud/no-hibernation-schedule')).toBe(true)
+      expect(isUserMetadataKey('dashboard.garden.sapcloud.io/no-hibernation-schedule')).toBe(true)
+    })
+
+    it('should drop keys maintained by gardener or kubernetes', function () {
+      expect(isUserMetadataKey('gardener.cloud/created-by')).toBe(false)
+      expect(isUserMetadataKey('shoot.gardener.cloud/status')).toBe(false)
+      expect(isUserMetadataKey('garden.sapcloud.io/purpose')).toBe(false)
+      expect(isUserMetadataKey('kubectl.kubernetes.io/last-applied-configuration')).toBe(false)
+    })
+  })
+})
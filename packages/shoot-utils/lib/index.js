@@ -0,0 +1,23 @@
+//
+// SPDX-FileCopyrightText: 2023 SAP SE or an SAP affiliate company and Gardener contributors
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+
+'use strict'
+
+/**
+ * Returns `true` for label and annotation keys set by users. Keys maintained by gardener or kubernetes
+ * must not be copied to other shoots, dashboard settings are kept.
+ */
+function isUserMetadataKey (key) {
+  const [prefix] = key.split('/')
+  if (prefix === key || prefix.startsWith('dashboard.')) {
+    return true
+  }
+  return !/(^|\.)(gardener\.cloud|garden\.sapcloud\.io|kubernetes\.io)$/.test(prefix)
+}
+
+module.exports = {
+  isUserMetadataKey
+}